@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+/**
+ * @title ERC-1271: Standard Signature Validation Method for Contracts
+ *
+ * @notice Allows smart contract wallets (like Safe multisig) to "sign" messages:
+ *      a contract cannot produce an ECDSA signature, instead it validates the signature supplied
+ *
+ * @notice See https://eips.ethereum.org/EIPS/eip-1271
+ *
+ * @author Francisco Giordano, Matt Condon, Philippe Castonguay, Amir Bandeali, Nick Mudge, Richard Meissner, Jack Tanner
+ */
+interface ERC1271 {
+	/**
+	 * @notice Verifies the signature supplied is valid for the hash of the data signed
+	 *
+	 * @dev MUST return the bytes4 magic value 0x1626ba7e when function passes;
+	 *      MUST NOT modify state; MUST allow external calls
+	 *
+	 * @param hash hash of the data signed
+	 * @param signature signature byte array associated with the hash
+	 * @return magicValue 0x1626ba7e (`isValidSignature` selector) if the signature is valid
+	 */
+	function isValidSignature(bytes32 hash, bytes memory signature) external view returns (bytes4 magicValue);
+}
@@ -0,0 +1,136 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+/**
+ * @title ERC-6372: Contract clock
+ *
+ * @notice Allows the contract to use something other than block numbers (like timestamps)
+ *      to track the time-dependent values (like the voting power history)
+ *
+ * @notice See https://eips.ethereum.org/EIPS/eip-6372
+ *
+ * @author Hadrien Croubois, Francisco Giordano
+ */
+interface ERC6372 {
+	/*
+	 * Note: the ERC-165 identifier for this interface is 0xda287a1d.
+	 * 0xda287a1d ===
+	 *   bytes4(keccak256('clock()')) ^
+	 *   bytes4(keccak256('CLOCK_MODE()'))
+	 */
+
+	/**
+	 * @notice Clock used for flagging checkpoints
+	 *
+	 * @dev Can be overridden to implement timestamp based checkpoints (and voting)
+	 *
+	 * @return current timepoint according to the mode the contract is operating on
+	 */
+	function clock() external view returns (uint48);
+
+	/**
+	 * @notice Description of the clock
+	 *
+	 * @dev MUST return "mode=blocknumber&from=default" for the block number clock,
+	 *      "mode=timestamp" for the timestamp clock
+	 *
+	 * @return machine-readable string description of the clock the contract is operating on
+	 */
+	function CLOCK_MODE() external view returns (string memory);
+}
+
+/**
+ * @title ERC-5805: Voting with delegation
+ *
+ * @notice Voting power tracking with delegation, as consumed by the governance contracts
+ *      (like OpenZeppelin Governor), known as OpenZeppelin IVotes
+ *
+ * @notice See https://eips.ethereum.org/EIPS/eip-5805
+ *
+ * @dev `DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate)`
+ *      event is not declared here to allow the implementations to name its parameters differently
+ *
+ * @author Hadrien Croubois, Francisco Giordano
+ */
+interface ERC5805 is ERC6372 {
+	/*
+	 * Note: the ERC-165 identifier for this interface is 0xe90fb3f6.
+	 * 0xe90fb3f6 ===
+	 *   bytes4(keccak256('getVotes(address)')) ^
+	 *   bytes4(keccak256('getPastVotes(address,uint256)')) ^
+	 *   bytes4(keccak256('getPastTotalSupply(uint256)')) ^
+	 *   bytes4(keccak256('delegates(address)')) ^
+	 *   bytes4(keccak256('delegate(address)')) ^
+	 *   bytes4(keccak256('delegateBySig(address,uint256,uint256,uint8,bytes32,bytes32)'))
+	 */
+
+	/**
+	 * @dev Fired when a token transfer or delegate change results
+	 *      in changes to a delegate's number of votes
+	 *
+	 * @param delegate the delegate whose number of votes has changed
+	 * @param previousBalance number of votes before the change
+	 * @param newBalance number of votes after the change
+	 */
+	event DelegateVotesChanged(address indexed delegate, uint256 previousBalance, uint256 newBalance);
+
+	/**
+	 * @notice Returns the current amount of votes that `account` has
+	 *
+	 * @param account the address to get the votes of
+	 * @return current amount of votes
+	 */
+	function getVotes(address account) external view returns (uint256);
+
+	/**
+	 * @notice Returns the amount of votes that `account` had at a specific moment in the past
+	 *
+	 * @dev MUST throw if `timepoint` is not in the past (as per `clock()`)
+	 *
+	 * @param account the address to get the votes of
+	 * @param timepoint block number or timestamp, see `clock()`
+	 * @return amount of votes at `timepoint`
+	 */
+	function getPastVotes(address account, uint256 timepoint) external view returns (uint256);
+
+	/**
+	 * @notice Returns the total supply of votes available at a specific moment in the past
+	 *
+	 * @dev MUST throw if `timepoint` is not in the past (as per `clock()`)
+	 *
+	 * @param timepoint block number or timestamp, see `clock()`
+	 * @return total supply of votes at `timepoint`
+	 */
+	function getPastTotalSupply(uint256 timepoint) external view returns (uint256);
+
+	/**
+	 * @notice Returns the delegate that `account` has chosen
+	 *
+	 * @param account the address to get the delegate of
+	 * @return delegate address, zero if not delegated
+	 */
+	function delegates(address account) external view returns (address);
+
+	/**
+	 * @notice Delegates votes from the sender to `delegatee`
+	 *
+	 * @param delegatee the address to delegate the votes to
+	 */
+	function delegate(address delegatee) external;
+
+	/**
+	 * @notice Delegates votes from signer to `delegatee`
+	 *
+	 * @dev The signer signs the EIP-712 message
+	 *      `Delegation(address delegatee,uint256 nonce,uint256 expiry)`,
+	 *      where `nonce` is the signer's current sequential nonce
+	 *
+	 * @param delegatee the address to delegate the votes to
+	 * @param nonce the signer's nonce
+	 * @param expiry signature expiration time (unix timestamp)
+	 * @param v the recovery byte of the signature
+	 * @param r half of the ECDSA signature pair
+	 * @param s half of the ECDSA signature pair
+	 */
+	function delegateBySig(address delegatee, uint256 nonce, uint256 expiry, uint8 v, bytes32 r, bytes32 s) external;
+}
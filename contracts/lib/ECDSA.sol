@@ -11,6 +11,30 @@ pragma solidity ^0.8.4;
  *      https://github.com/OpenZeppelin/openzeppelin-contracts/blob/b0cf6fbb7a70f31527f36579ad644e1cf12fdf4e/contracts/utils/cryptography/ECDSA.sol
  */
 library ECDSA {
+	/**
+	 * @dev Overload of {ECDSA-recover} that receives the 65 bytes long signature
+	 *      `r ‖ s ‖ v`, as returned by `eth_sign` and `eth_signTypedData_v4`
+	 */
+	function recover(bytes32 hash, bytes memory signature) internal pure returns (address) {
+		// only the 65 bytes long signatures are supported, EIP-2098 compact signatures are not
+		require(signature.length == 65, "invalid signature length");
+
+		// split the signature into `r`, `s`, and `v`
+		bytes32 r;
+		bytes32 s;
+		uint8 v;
+		// ecrecover takes the signature parameters, and the only way to get them
+		// currently is to use assembly
+		assembly {
+			r := mload(add(signature, 0x20))
+			s := mload(add(signature, 0x40))
+			v := byte(0, mload(add(signature, 0x60)))
+		}
+
+		// delegate to the `v`, `r`, `s` overload
+		return recover(hash, v, r, s);
+	}
+
 	/**
 	 * @dev Overload of {ECDSA-recover} that receives the `v`,
 	 * `r` and `s` signature fields separately.
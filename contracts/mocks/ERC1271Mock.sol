@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "../interfaces/ERC1271Spec.sol";
+import "../lib/ECDSA.sol";
+
+/**
+ * @title ERC-1271 Wallet Mock
+ *
+ * @notice Smart contract wallet owned by a single EOA, like 1-out-of-1 Safe multisig:
+ *      the signature is valid if it is signed by the wallet owner
+ */
+contract ERC1271WalletMock is ERC1271 {
+	/// @dev the wallet owner, the only address which signatures are accepted
+	address public owner;
+
+	/// @dev when set, all the signatures are rejected (the wallet changed its mind)
+	bool public rejectAll;
+
+	/// @dev the wallet owner is set once on deployment
+	constructor(address _owner) {
+		owner = _owner;
+	}
+
+	/// @dev enables or disables rejecting all the signatures
+	function setRejectAll(bool _rejectAll) public {
+		rejectAll = _rejectAll;
+	}
+
+	/**
+	 * @inheritdoc ERC1271
+	 */
+	function isValidSignature(bytes32 hash, bytes memory signature) public view override returns (bytes4) {
+		// malformed signature makes ECDSA.recover throw, which is treated as invalid signature by the caller
+		return !rejectAll && ECDSA.recover(hash, signature) == owner? this.isValidSignature.selector: bytes4(0xffffffff);
+	}
+}
@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "@openzeppelin/contracts/governance/Governor.sol";
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorSettings.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorCountingSimple.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorVotes.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorVotesQuorumFraction.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorTimelockControl.sol";
+
+/**
+ * @title Governor Mock
+ *
+ * @notice OpenZeppelin Governor executing the proposals via the TimelockController,
+ *      as generated by the OpenZeppelin Contracts Wizard; used to run the end-to-end
+ *      proposal lifecycle against AdvancedERC20 consumed as ERC-5805 (IVotes) token
+ *
+ * @dev Voting delay and voting period are measured in the token's clock units (ERC-6372):
+ *      blocks or seconds
+ */
+contract GovernorMock is
+	Governor,
+	GovernorSettings,
+	GovernorCountingSimple,
+	GovernorVotes,
+	GovernorVotesQuorumFraction,
+	GovernorTimelockControl
+{
+	constructor(
+		IVotes _token,
+		TimelockController _timelock,
+		uint48 _votingDelay,
+		uint32 _votingPeriod,
+		uint256 _quorumNumerator
+	)
+		Governor("GovernorMock")
+		GovernorSettings(_votingDelay, _votingPeriod, 0)
+		GovernorVotes(_token)
+		GovernorVotesQuorumFraction(_quorumNumerator)
+		GovernorTimelockControl(_timelock)
+	{}
+
+	// the following functions are overrides required by Solidity
+
+	function votingDelay() public view override(IGovernor, GovernorSettings) returns (uint256) {
+		return super.votingDelay();
+	}
+
+	function votingPeriod() public view override(IGovernor, GovernorSettings) returns (uint256) {
+		return super.votingPeriod();
+	}
+
+	function quorum(uint256 timepoint) public view override(IGovernor, GovernorVotesQuorumFraction) returns (uint256) {
+		return super.quorum(timepoint);
+	}
+
+	function state(uint256 proposalId) public view override(Governor, GovernorTimelockControl) returns (ProposalState) {
+		return super.state(proposalId);
+	}
+
+	function proposalThreshold() public view override(Governor, GovernorSettings) returns (uint256) {
+		return super.proposalThreshold();
+	}
+
+	function _execute(
+		uint256 proposalId,
+		address[] memory targets,
+		uint256[] memory values,
+		bytes[] memory calldatas,
+		bytes32 descriptionHash
+	) internal override(Governor, GovernorTimelockControl) {
+		super._execute(proposalId, targets, values, calldatas, descriptionHash);
+	}
+
+	function _cancel(
+		address[] memory targets,
+		uint256[] memory values,
+		bytes[] memory calldatas,
+		bytes32 descriptionHash
+	) internal override(Governor, GovernorTimelockControl) returns (uint256) {
+		return super._cancel(targets, values, calldatas, descriptionHash);
+	}
+
+	function _executor() internal view override(Governor, GovernorTimelockControl) returns (address) {
+		return super._executor();
+	}
+
+	function supportsInterface(bytes4 interfaceId) public view override(Governor, GovernorTimelockControl) returns (bool) {
+		return super.supportsInterface(interfaceId);
+	}
+}
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.4;
 
 import "@lazy-sol/access-control-upgradeable/contracts/UpgradeableAccessControl.sol";
+import "../interfaces/ERC20Spec.sol";
 
 /**
  * @title Generic Factory, a.k.a Generic Smart Contract Deployer
@@ -11,16 +12,144 @@ import "@lazy-sol/access-control-upgradeable/contracts/UpgradeableAccessControl.
  * @dev The deployment is done via EIP-1167 Minimal Proxy Contract
  *      See https://eips.ethereum.org/EIPS/eip-1167
  *
+ * @dev Supports both non-deterministic (create) and deterministic (create2) cloning;
+ *      deterministic clone address depends on the implementation, salt, and deployer (msg.sender),
+ *      and can be predicted with `predictDeterministicAddress` before the deployment;
+ *      since the salt is bound to the deployer, nobody else can occupy the predicted address
+ *
+ * @dev Maintains the registry of named and versioned implementations (templates), like "AdvancedERC20" v1.1, v1.2;
+ *      the registry is managed by ROLE_IMPLEMENTATION_MANAGER; cloning can be restricted to the registered
+ *      implementations only by enabling FEATURE_REGISTERED_IMPLEMENTATIONS_ONLY
+ *
+ * @dev Maintains an enumerable index of the clones it deploys: all the clones, clones by deployer,
+ *      and clones by implementation, accessible with the paginated views, so that the clones
+ *      can be enumerated with a few `eth_call`s instead of scanning the `ProxyDeployed` event logs;
+ *      note: the clones deployed before the factory was upgraded to support the index are not indexed
+ *
+ * @dev Can be operated as a public service: cloning is open to everyone unless FEATURE_RESTRICTED_CLONING is enabled,
+ *      and to ROLE_CLONER only otherwise; an optional clone fee, either in native currency or in ERC20 token,
+ *      is charged from everyone except ROLE_CLONER, and can be withdrawn by ROLE_FEE_MANAGER
+ *
  * @author Basil Gorin
  */
 contract GenericFactoryV1 is UpgradeableAccessControl {
 	/**
-	 * @dev Fired in clone()
+	 * @notice Implementation registry record: template name, version, and implementation address
+	 */
+	struct Implementation {
+		// template name, like "AdvancedERC20"
+		string name;
+		// implementation version within the template, like "1.1"
+		string version;
+		// implementation address to clone
+		address implAddress;
+	}
+
+	/**
+	 * @notice Names of the templates having at least one implementation registered,
+	 *      in the order of the first registration
+	 */
+	string[] private templateNames;
+
+	/**
+	 * @notice Implementation addresses of all the versions registered for the template,
+	 *      in the order of registration; the last one is the latest
+	 *
+	 * @dev Maps template name => implementation addresses
+	 */
+	mapping(string => address[]) private templateVersions;
+
+	/**
+	 * @notice Implementation registry records
+	 *
+	 * @dev Maps implementation address => registry record;
+	 *      zero `implAddress` in the record means the implementation is not registered
+	 */
+	mapping(address => Implementation) public implementations;
+
+	/**
+	 * @notice All the clones deployed by the factory, in the order of deployment
+	 */
+	address[] private clones;
+
+	/**
+	 * @notice Clones deployed by the deployer, in the order of deployment
+	 *
+	 * @dev Maps deployer address (`ProxyDeployed` event `by`) => clone addresses
+	 */
+	mapping(address => address[]) private clonesByDeployer;
+
+	/**
+	 * @notice Clones of the implementation, in the order of deployment
+	 *
+	 * @dev Maps implementation address => clone addresses
+	 */
+	mapping(address => address[]) private clonesByImplementation;
+
+	/**
+	 * @notice Addresses of the clones deployed by the factory
+	 *
+	 * @dev Maps clone address => true if deployed by the factory
+	 */
+	mapping(address => bool) private deployedByFactory;
+
+	/**
+	 * @notice Token the clone fee is charged in, zero address means native currency (ETH)
+	 */
+	address public feeToken;
+
+	/**
+	 * @notice Fee charged for every clone deployed, in `feeToken`; zero means no fee
+	 */
+	uint256 public cloneFee;
+
+	/**
+	 * @notice Restricts cloning to the implementations registered in the registry only
+	 * @dev Feature FEATURE_REGISTERED_IMPLEMENTATIONS_ONLY makes `clone()` and `cloneDeterministic()`
+	 *      fail for the implementations which are not registered
+	 */
+	uint32 public constant FEATURE_REGISTERED_IMPLEMENTATIONS_ONLY = 0x0000_0001;
+
+	/**
+	 * @notice Restricts cloning to the privileged cloners (ROLE_CLONER) only
+	 * @dev Feature FEATURE_RESTRICTED_CLONING makes `clone()`, `cloneDeterministic()`,
+	 *      and `cloneBatch()` functions fail when executed not by ROLE_CLONER
+	 * @dev The feature is disabled by default, so that the cloning remains open to everyone
+	 *      in the factories deployed and in the factories upgraded from the previous versions
+	 */
+	uint32 public constant FEATURE_RESTRICTED_CLONING = 0x0000_0002;
+
+	/**
+	 * @notice Implementation manager is responsible for managing the implementation registry
+	 * @dev Role ROLE_IMPLEMENTATION_MANAGER allows registering and deregistering the implementations
+	 *      (calling `registerImplementation` and `deregisterImplementation` functions)
+	 */
+	uint32 public constant ROLE_IMPLEMENTATION_MANAGER = 0x0001_0000;
+
+	/**
+	 * @notice Privileged cloner can clone the implementations even if cloning is restricted,
+	 *      and doesn't pay the clone fee
+	 * @dev Role ROLE_CLONER allows executing `clone()`, `cloneDeterministic()`, and `cloneBatch()`
+	 *      functions regardless of the FEATURE_RESTRICTED_CLONING, and exempts from the clone fee
+	 */
+	uint32 public constant ROLE_CLONER = 0x0002_0000;
+
+	/**
+	 * @notice Fee manager is responsible for setting the clone fee and withdrawing the fees collected
+	 * @dev Role ROLE_FEE_MANAGER allows setting the clone fee (calling `setCloneFee` function),
+	 *      and withdrawing the native currency and ERC20 tokens (calling `withdrawFees` function)
+	 */
+	uint32 public constant ROLE_FEE_MANAGER = 0x0004_0000;
+
+	/**
+	 * @dev Fired in clone(), cloneDeterministic(), and cloneBatch() (once per clone)
 	 *
 	 * @param by an address which made the deployment (clone), msg.sender
 	 * @param proxyAddress deployed EIP-1167 clone (proxy) address,
 	 *      this is the main `clone()` function output
 	 * @param implAddress impl address used for cloning
+	 * @param salt salt used for deterministic cloning (as specified by the deployer);
+	 *      zero for non-deterministic clones
 	 * @param data optional data bytes passed to the proxy for initialization;
 	 *      can be empty, in which case this means proxy wasn't initialized
 	 * @param returnData when data field is used, contains the response from low-level
@@ -30,10 +159,59 @@ contract GenericFactoryV1 is UpgradeableAccessControl {
 		address indexed by,
 		address proxyAddress,
 		address indexed implAddress,
+		bytes32 salt,
 		bytes data,
 		bytes returnData
 	);
 
+	/**
+	 * @dev Fired in registerImplementation()
+	 *
+	 * @param by an address which registered the implementation, msg.sender
+	 * @param implAddress implementation address registered
+	 * @param name template name the implementation is registered under
+	 * @param version implementation version within the template
+	 */
+	event ImplementationRegistered(address indexed by, address indexed implAddress, string name, string version);
+
+	/**
+	 * @dev Fired in deregisterImplementation()
+	 *
+	 * @param by an address which deregistered the implementation, msg.sender
+	 * @param implAddress implementation address deregistered
+	 * @param name template name the implementation was registered under
+	 * @param version implementation version within the template
+	 */
+	event ImplementationDeregistered(address indexed by, address indexed implAddress, string name, string version);
+
+	/**
+	 * @dev Fired in setCloneFee()
+	 *
+	 * @param by an address which updated the fee, msg.sender
+	 * @param feeToken token the fee is charged in, zero address means native currency
+	 * @param cloneFee fee charged for every clone deployed
+	 */
+	event CloneFeeUpdated(address indexed by, address indexed feeToken, uint256 cloneFee);
+
+	/**
+	 * @dev Fired in clone(), cloneDeterministic(), and cloneBatch() when the clone fee is charged
+	 *
+	 * @param by an address which paid the fee, msg.sender
+	 * @param feeToken token the fee is charged in, zero address means native currency
+	 * @param amount fee amount charged, for all the clones deployed in the transaction
+	 */
+	event CloneFeeCharged(address indexed by, address indexed feeToken, uint256 amount);
+
+	/**
+	 * @dev Fired in withdrawFees()
+	 *
+	 * @param by an address which withdrew the fees, msg.sender
+	 * @param token token withdrawn, zero address means native currency
+	 * @param to an address which received the fees
+	 * @param value amount withdrawn
+	 */
+	event FeesWithdrawn(address indexed by, address indexed token, address indexed to, uint256 value);
+
 	/**
 	 * @dev "Constructor replacement" for a smart contract with a delayed initialization (post-deployment initialization)
 	 */
@@ -48,15 +226,596 @@ contract GenericFactoryV1 is UpgradeableAccessControl {
 	 * @dev Technically this deploys a tiny EIP 1167 proxy pointing to the impl address specified
 	 *      and optionally initializes it immediately, making the deployment safe and ready for use
 	 *
+	 * @dev Throws if cloning is restricted and the sender is not ROLE_CLONER
+	 * @dev Throws if the clone fee is not paid, see `getCloneFee`
+	 * @dev Throws on proxy initialization failure
+	 *
+	 * @param _implAddress contract implementation address to clone
+	 * @param _data optional bytes data to execute the low-level call on cloned instance for initialization
+	 */
+	function clone(
+		address _implAddress,
+		bytes calldata _data
+	) external payable returns(address proxyAddress, bytes memory returnData) {
+		// verify the sender can clone, and charge the fee
+		__verifyCloner();
+		__chargeFee(1);
+
+		// delegate to the internal implementation
+		return __deploy(_implAddress, false, 0, _data);
+	}
+
+	/**
+	 * @notice Clones the specified contract to the deterministic address, and optionally initializes it immediately
+	 *
+	 * @dev Same as `clone`, but uses create2 opcode; the address of the clone is defined by
+	 *      the factory address, the implementation address, the salt, and the deployer (msg.sender),
+	 *      see `predictDeterministicAddress`
+	 *
+	 * @dev Throws if the clone with the same implementation and salt was already deployed by the same deployer
+	 * @dev Throws if cloning is restricted and the sender is not ROLE_CLONER
+	 * @dev Throws if the clone fee is not paid, see `getCloneFee`
 	 * @dev Throws on proxy initialization failure
 	 *
 	 * @param _implAddress contract implementation address to clone
+	 * @param _salt arbitrary salt defining the clone address, together with the deployer address
 	 * @param _data optional bytes data to execute the low-level call on cloned instance for initialization
 	 */
-	function clone(address _implAddress, bytes calldata _data) external returns(address proxyAddress, bytes memory returnData) {
-		// "clone" the impl (deploy a proxy)
-		proxyAddress = __clone(_implAddress);
+	function cloneDeterministic(
+		address _implAddress,
+		bytes32 _salt,
+		bytes calldata _data
+	) external payable returns(address proxyAddress, bytes memory returnData) {
+		// verify the sender can clone, and charge the fee
+		__verifyCloner();
+		__chargeFee(1);
+
+		// delegate to the internal implementation
+		return __deploy(_implAddress, true, _salt, _data);
+	}
+
+	/**
+	 * @notice Clones the specified contracts and initializes them, all in a single transaction
+	 *
+	 * @dev Same as executing `clone` for every implementation address and initialization data pair,
+	 *      emits a `ProxyDeployed` event for every clone
+	 * @dev The batch is atomic: throws if any of the clones fails to deploy or initialize
+	 * @dev Throws if cloning is restricted and the sender is not ROLE_CLONER
+	 * @dev Throws if the clone fee for all the clones is not paid, see `getCloneFee`
+	 *
+	 * @param _implAddresses contract implementation addresses to clone
+	 * @param _data optional bytes data to execute the low-level call on cloned instances for initialization,
+	 *      the array must have the same length as the implementation addresses array;
+	 *      empty element means the corresponding clone is not initialized
+	 * @return proxyAddresses deployed clone (proxy) addresses, in the same order as the implementations
+	 * @return returnData the responses from the low-level proxy initialization calls
+	 */
+	function cloneBatch(
+		address[] calldata _implAddresses,
+		bytes[] calldata _data
+	) external payable returns(address[] memory proxyAddresses, bytes[] memory returnData) {
+		// verify the inputs
+		require(_implAddresses.length != 0, "empty batch");
+		require(_implAddresses.length == _data.length, "array lengths mismatch");
+
+		// verify the sender can clone, and charge the fee for all the clones
+		__verifyCloner();
+		__chargeFee(_implAddresses.length);
+
+		// allocate the results
+		proxyAddresses = new address[](_implAddresses.length);
+		returnData = new bytes[](_implAddresses.length);
+
+		// clone the implementations one by one
+		for(uint256 i = 0; i < _implAddresses.length; i++) {
+			(proxyAddresses[i], returnData[i]) = __deploy(_implAddresses[i], false, 0, _data[i]);
+		}
+
+		// explicitly return the results
+		return (proxyAddresses, returnData);
+	}
+
+	/**
+	 * @notice Computes the address of the clone deployed with `cloneDeterministic`
+	 *
+	 * @dev The address doesn't depend on the initialization data
+	 *
+	 * @param _implAddress contract implementation address to clone
+	 * @param _salt salt to be used for cloning
+	 * @param _deployer an address to execute `cloneDeterministic`, msg.sender
+	 * @return the address of the clone
+	 */
+	function predictDeterministicAddress(address _implAddress, bytes32 _salt, address _deployer) external view returns(address) {
+		// delegate to the internal implementation
+		return __predictDeterministicAddress(_implAddress, __deployerSalt(_deployer, _salt), address(this));
+	}
+
+	/**
+	 * @notice Sets the clone fee charged for every clone deployed
+	 *
+	 * @dev Restricted access function, requires ROLE_FEE_MANAGER
+	 *
+	 * @param _feeToken ERC20 token to charge the fee in, zero address for native currency (ETH)
+	 * @param _cloneFee fee charged for every clone deployed, zero to disable the fee
+	 */
+	function setCloneFee(address _feeToken, uint256 _cloneFee) external {
+		// verify the access permission
+		_requireSenderInRole(ROLE_FEE_MANAGER);
+
+		// verify the fee token is deployed, if set
+		require(_feeToken == address(0) || _feeToken.code.length != 0, "not a contract");
+
+		// update the fee
+		feeToken = _feeToken;
+		cloneFee = _cloneFee;
+
+		// emit an event
+		emit CloneFeeUpdated(msg.sender, _feeToken, _cloneFee);
+	}
+
+	/**
+	 * @notice Calculates the clone fee the deployer is going to pay
+	 *
+	 * @dev ROLE_CLONER doesn't pay the fee
+	 *
+	 * @param _deployer an address to execute the cloning, msg.sender
+	 * @param _count number of the clones to deploy, 1 for `clone` and `cloneDeterministic`,
+	 *      number of the implementations for `cloneBatch`
+	 * @return token token the fee is charged in, zero address means native currency (to be sent as msg.value)
+	 * @return amount fee amount to pay
+	 */
+	function getCloneFee(address _deployer, uint256 _count) public view returns(address token, uint256 amount) {
+		// privileged cloners don't pay the fee
+		return (feeToken, isOperatorInRole(_deployer, ROLE_CLONER)? 0: cloneFee * _count);
+	}
+
+	/**
+	 * @notice Withdraws the fees collected (or any other native currency or ERC20 tokens)
+	 *      from the factory balance
+	 *
+	 * @dev Restricted access function, requires ROLE_FEE_MANAGER
+	 *
+	 * @param _token ERC20 token to withdraw, zero address for native currency (ETH)
+	 * @param _to an address to send the fees to
+	 * @param _value amount to withdraw
+	 */
+	function withdrawFees(address _token, address _to, uint256 _value) external {
+		// verify the access permission
+		_requireSenderInRole(ROLE_FEE_MANAGER);
+
+		// verify the receiver is set
+		require(_to != address(0), "zero address");
+
+		// send the native currency or the tokens
+		if(_token == address(0)) {
+			(bool success, ) = _to.call{value: _value}("");
+			require(success, "native transfer failed");
+		}
+		else {
+			__callToken(_token, abi.encodeWithSelector(ERC20.transfer.selector, _to, _value));
+		}
+
+		// emit an event
+		emit FeesWithdrawn(msg.sender, _token, _to, _value);
+	}
+
+	/**
+	 * @notice Registers the implementation in the registry under the template name and version specified
+	 *
+	 * @dev Restricted access function, requires ROLE_IMPLEMENTATION_MANAGER
+	 * @dev Throws if the implementation is already registered, or if the template
+	 *      already has the version specified registered
+	 *
+	 * @param _name template name, like "AdvancedERC20"
+	 * @param _version implementation version within the template, like "1.2"
+	 * @param _implAddress implementation address to register
+	 */
+	function registerImplementation(string calldata _name, string calldata _version, address _implAddress) external {
+		// verify the access permission
+		_requireSenderInRole(ROLE_IMPLEMENTATION_MANAGER);
+
+		// verify the inputs are set
+		require(bytes(_name).length != 0, "empty name");
+		require(bytes(_version).length != 0, "empty version");
+		// verify the implementation is deployed
+		require(_implAddress.code.length != 0, "not a contract");
+		// verify the implementation is not yet registered
+		require(implementations[_implAddress].implAddress == address(0), "already registered");
+
+		// get a link to the versions of the template
+		address[] storage versions = templateVersions[_name];
+
+		// verify the version is not yet registered for the template
+		for(uint256 i = 0; i < versions.length; i++) {
+			require(
+				keccak256(bytes(implementations[versions[i]].version)) != keccak256(bytes(_version)),
+				"version already registered"
+			);
+		}
 
+		// if that's the first version of the template, register the template name
+		if(versions.length == 0) {
+			templateNames.push(_name);
+		}
+
+		// register the implementation
+		versions.push(_implAddress);
+		implementations[_implAddress] = Implementation(_name, _version, _implAddress);
+
+		// emit an event
+		emit ImplementationRegistered(msg.sender, _implAddress, _name, _version);
+	}
+
+	/**
+	 * @notice Removes the implementation from the registry
+	 *
+	 * @dev Restricted access function, requires ROLE_IMPLEMENTATION_MANAGER
+	 * @dev Removing the last version of the template removes the template name as well
+	 *
+	 * @param _implAddress implementation address to deregister
+	 */
+	function deregisterImplementation(address _implAddress) external {
+		// verify the access permission
+		_requireSenderInRole(ROLE_IMPLEMENTATION_MANAGER);
+
+		// read the registry record, verify the implementation is registered
+		Implementation memory record = implementations[_implAddress];
+		require(record.implAddress != address(0), "not registered");
+
+		// remove the implementation from the template versions, preserving the order
+		address[] storage versions = templateVersions[record.name];
+		__removeAddress(versions, _implAddress);
+
+		// if that was the last version of the template, remove the template name, preserving the order
+		if(versions.length == 0) {
+			for(uint256 i = 0; i < templateNames.length; i++) {
+				if(keccak256(bytes(templateNames[i])) == keccak256(bytes(record.name))) {
+					for(uint256 j = i; j < templateNames.length - 1; j++) {
+						templateNames[j] = templateNames[j + 1];
+					}
+					templateNames.pop();
+					break;
+				}
+			}
+		}
+
+		// delete the registry record
+		delete implementations[_implAddress];
+
+		// emit an event
+		emit ImplementationDeregistered(msg.sender, _implAddress, record.name, record.version);
+	}
+
+	/**
+	 * @notice Lists the names of the templates having at least one implementation registered
+	 *
+	 * @return template names, in the order of the first registration
+	 */
+	function getTemplateNames() external view returns(string[] memory) {
+		// just return the array
+		return templateNames;
+	}
+
+	/**
+	 * @notice Lists all the implementations registered for the template
+	 *
+	 * @param _name template name, like "AdvancedERC20"
+	 * @return implementations registry records, in the order of registration; the last one is the latest
+	 */
+	function getTemplateVersions(string calldata _name) external view returns(Implementation[] memory) {
+		// get a link to the versions of the template
+		address[] storage versions = templateVersions[_name];
+
+		// copy the registry records into the memory array
+		Implementation[] memory records = new Implementation[](versions.length);
+		for(uint256 i = 0; i < versions.length; i++) {
+			records[i] = implementations[versions[i]];
+		}
+
+		// return the result
+		return records;
+	}
+
+	/**
+	 * @notice Gets the latest (most recently registered) implementation of the template
+	 *
+	 * @dev Throws if the template has no implementations registered
+	 *
+	 * @param _name template name, like "AdvancedERC20"
+	 * @return latest implementation registry record
+	 */
+	function getLatestImplementation(string calldata _name) external view returns(Implementation memory) {
+		// get a link to the versions of the template
+		address[] storage versions = templateVersions[_name];
+
+		// verify the template exists
+		require(versions.length != 0, "unknown template");
+
+		// return the last one registered
+		return implementations[versions[versions.length - 1]];
+	}
+
+	/**
+	 * @notice Checks if the implementation is registered in the registry
+	 *
+	 * @param _implAddress implementation address to check
+	 * @return true if the implementation is registered, false otherwise
+	 */
+	function isRegisteredImplementation(address _implAddress) public view returns(bool) {
+		// zero address in the record means not registered
+		return implementations[_implAddress].implAddress != address(0);
+	}
+
+	/**
+	 * @notice Total number of the clones deployed by the factory
+	 *
+	 * @return number of the clones in the index
+	 */
+	function getClonesCount() external view returns(uint256) {
+		// read the array length
+		return clones.length;
+	}
+
+	/**
+	 * @notice Lists the clones deployed by the factory, paginated
+	 *
+	 * @param _offset index of the first clone to return, in the order of deployment
+	 * @param _limit maximum number of the clones to return
+	 * @return clone addresses; empty if the offset is out of bounds
+	 */
+	function getClones(uint256 _offset, uint256 _limit) external view returns(address[] memory) {
+		// return the requested page
+		return __page(clones, _offset, _limit);
+	}
+
+	/**
+	 * @notice Number of the clones deployed by the deployer
+	 *
+	 * @param _deployer deployer address, `ProxyDeployed` event `by`
+	 * @return number of the clones deployed by the deployer
+	 */
+	function getClonesByDeployerCount(address _deployer) external view returns(uint256) {
+		// read the array length
+		return clonesByDeployer[_deployer].length;
+	}
+
+	/**
+	 * @notice Lists the clones deployed by the deployer, paginated
+	 *
+	 * @param _deployer deployer address, `ProxyDeployed` event `by`
+	 * @param _offset index of the first clone to return, in the order of deployment
+	 * @param _limit maximum number of the clones to return
+	 * @return clone addresses; empty if the offset is out of bounds
+	 */
+	function getClonesByDeployer(address _deployer, uint256 _offset, uint256 _limit) external view returns(address[] memory) {
+		// return the requested page
+		return __page(clonesByDeployer[_deployer], _offset, _limit);
+	}
+
+	/**
+	 * @notice Number of the clones of the implementation
+	 *
+	 * @param _implAddress implementation address
+	 * @return number of the clones of the implementation
+	 */
+	function getClonesByImplementationCount(address _implAddress) external view returns(uint256) {
+		// read the array length
+		return clonesByImplementation[_implAddress].length;
+	}
+
+	/**
+	 * @notice Lists the clones of the implementation, paginated
+	 *
+	 * @param _implAddress implementation address
+	 * @param _offset index of the first clone to return, in the order of deployment
+	 * @param _limit maximum number of the clones to return
+	 * @return clone addresses; empty if the offset is out of bounds
+	 */
+	function getClonesByImplementation(
+		address _implAddress,
+		uint256 _offset,
+		uint256 _limit
+	) external view returns(address[] memory) {
+		// return the requested page
+		return __page(clonesByImplementation[_implAddress], _offset, _limit);
+	}
+
+	/**
+	 * @notice Checks if the address is a clone deployed by the factory
+	 *
+	 * @param _proxyAddress an address to check
+	 * @return true if the address is in the clones index, false otherwise
+	 */
+	function isDeployedByFactory(address _proxyAddress) external view returns(bool) {
+		// read the mapping
+		return deployedByFactory[_proxyAddress];
+	}
+
+	/**
+	 * @dev Adds the clone deployed by msg.sender into the clones index
+	 *
+	 * @param proxyAddress deployed clone address
+	 * @param implAddress implementation address the clone points to
+	 */
+	function __indexClone(address proxyAddress, address implAddress) private {
+		// add the clone to all the lists
+		clones.push(proxyAddress);
+		clonesByDeployer[msg.sender].push(proxyAddress);
+		clonesByImplementation[implAddress].push(proxyAddress);
+		// and mark it as deployed by the factory
+		deployedByFactory[proxyAddress] = true;
+	}
+
+	/**
+	 * @dev Copies the page of the storage array into memory
+	 *
+	 * @param array storage array to read the page from
+	 * @param offset index of the first element to copy
+	 * @param limit maximum number of the elements to copy
+	 * @return page elements; empty if the offset is out of bounds
+	 */
+	function __page(address[] storage array, uint256 offset, uint256 limit) private view returns(address[] memory page) {
+		// if the offset is out of bounds, return an empty page
+		if(offset >= array.length) {
+			return page;
+		}
+
+		// truncate the page to the array bounds
+		uint256 length = array.length - offset < limit? array.length - offset: limit;
+
+		// copy the elements
+		page = new address[](length);
+		for(uint256 i = 0; i < length; i++) {
+			page[i] = array[offset + i];
+		}
+
+		// return the result
+		return page;
+	}
+
+	/**
+	 * @dev Verifies the sender can clone: either cloning is not restricted, or the sender is ROLE_CLONER
+	 */
+	function __verifyCloner() private view {
+		// verify cloning is not restricted, or the sender is a privileged cloner
+		require(
+			!_isFeatureEnabled(FEATURE_RESTRICTED_CLONING) || _isSenderInRole(ROLE_CLONER),
+			"cloning is restricted"
+		);
+	}
+
+	/**
+	 * @dev Charges the clone fee from the sender, see `getCloneFee`;
+	 *      native currency fee must be sent as msg.value, ERC20 fee must be approved to the factory
+	 *
+	 * @param count number of the clones being deployed
+	 */
+	function __chargeFee(uint256 count) private {
+		// calculate the fee
+		(address token, uint256 amount) = getCloneFee(msg.sender, count);
+
+		// native currency fee must be sent exactly, ERC20 fee is transferred from the sender
+		if(token == address(0)) {
+			require(msg.value == amount, "incorrect fee value");
+		}
+		else {
+			require(msg.value == 0, "incorrect fee value");
+			if(amount != 0) {
+				__callToken(token, abi.encodeWithSelector(ERC20.transferFrom.selector, msg.sender, address(this), amount));
+			}
+		}
+
+		// emit an event if the fee was charged
+		if(amount != 0) {
+			emit CloneFeeCharged(msg.sender, token, amount);
+		}
+	}
+
+	/**
+	 * @dev Executes ERC20 `transfer` or `transferFrom` call on the token, supporting the tokens
+	 *      which don't return the success status
+	 *
+	 * @dev Throws if the token is not a contract, or if the call fails or returns false
+	 *
+	 * @param token ERC20 token address
+	 * @param data ABI encoded call
+	 */
+	function __callToken(address token, bytes memory data) private {
+		// verify the token is deployed, since the call to an empty address always succeeds
+		require(token.code.length != 0, "not a contract");
+
+		// execute the low-level call
+		(bool success, bytes memory returnData) = token.call(data);
+		// the call must succeed and return either nothing or true
+		require(success && (returnData.length == 0 || abi.decode(returnData, (bool))), "token transfer failed");
+	}
+
+	/**
+	 * @dev Verifies the implementation can be cloned: if FEATURE_REGISTERED_IMPLEMENTATIONS_ONLY
+	 *      is enabled, the implementation must be registered
+	 *
+	 * @param _implAddress implementation address to verify
+	 */
+	function __verifyImplementation(address _implAddress) private view {
+		// verify the implementation is registered, if required
+		require(
+			!_isFeatureEnabled(FEATURE_REGISTERED_IMPLEMENTATIONS_ONLY) || isRegisteredImplementation(_implAddress),
+			"implementation is not registered"
+		);
+	}
+
+	/**
+	 * @dev Removes the element from the array preserving the order of the remaining elements
+	 *
+	 * @param array storage array to remove the element from
+	 * @param element the element to remove, must be present in the array
+	 */
+	function __removeAddress(address[] storage array, address element) private {
+		// find the element
+		uint256 i = 0;
+		while(array[i] != element) {
+			i++;
+		}
+
+		// shift the rest of the elements left
+		for(; i < array.length - 1; i++) {
+			array[i] = array[i + 1];
+		}
+
+		// remove the last (now duplicated) element
+		array.pop();
+	}
+
+	/**
+	 * @dev Clones the implementation, indexes the clone, initializes it, and emits the `ProxyDeployed` event
+	 *
+	 * @dev Throws if the implementation is not allowed to be cloned, see `__verifyImplementation`
+	 * @dev Throws on proxy initialization failure
+	 *
+	 * @param _implAddress contract implementation address to clone
+	 * @param deterministic true to use create2 (`cloneDeterministic`), false to use create (`clone`)
+	 * @param _salt salt to use for create2, ignored (must be zero) for create
+	 * @param _data optional bytes data to execute the low-level call on cloned instance for initialization
+	 * @return proxyAddress deployed clone (proxy) address
+	 * @return returnData the response from low-level proxy initialization call, empty if not initialized
+	 */
+	function __deploy(
+		address _implAddress,
+		bool deterministic,
+		bytes32 _salt,
+		bytes calldata _data
+	) private returns(address proxyAddress, bytes memory returnData) {
+		// verify the implementation can be cloned
+		__verifyImplementation(_implAddress);
+
+		// "clone" the impl (deploy a proxy), using the salt bound to the deployer if deterministic
+		proxyAddress = deterministic?
+			__cloneDeterministic(_implAddress, __deployerSalt(msg.sender, _salt)):
+			__clone(_implAddress);
+
+		// add the proxy to the clones index
+		__indexClone(proxyAddress, _implAddress);
+
+		// initialize the proxy if initialization data is specified
+		returnData = __initialize(proxyAddress, _data);
+
+		// emit an event
+		emit ProxyDeployed(msg.sender, proxyAddress, _implAddress, _salt, _data, returnData);
+
+		// explicitly return the results
+		return (proxyAddress, returnData);
+	}
+
+	/**
+	 * @dev Initializes the proxy by executing the low-level call with the data specified
+	 *
+	 * @dev Throws on proxy initialization failure
+	 *
+	 * @param proxyAddress proxy address to initialize
+	 * @param _data bytes data to execute the low-level call with, empty data means no initialization
+	 * @return returnData the response from low-level proxy initialization call, empty if not initialized
+	 */
+	function __initialize(address proxyAddress, bytes calldata _data) private returns(bytes memory returnData) {
 		// if initialization data is specified
 		if(_data.length > 0) {
 			// allocate the variable to store low-level call status
@@ -67,11 +826,21 @@ contract GenericFactoryV1 is UpgradeableAccessControl {
 			require(success, "proxy initialization failed");
 		}
 
-		// emit an event
-		emit ProxyDeployed(msg.sender, proxyAddress, _implAddress, _data, returnData);
+		// return the response (empty if there was no call)
+		return returnData;
+	}
 
-		// explicitly return the results
-		return (proxyAddress, returnData);
+	/**
+	 * @dev Binds the salt to the deployer, so that the deterministic address
+	 *      can be occupied only by the deployer who specified the salt
+	 *
+	 * @param deployer an address executing `cloneDeterministic`
+	 * @param salt salt specified by the deployer
+	 * @return create2 salt, keccak256(deployer, salt)
+	 */
+	function __deployerSalt(address deployer, bytes32 salt) private pure returns(bytes32) {
+		// mix the deployer address into the salt
+		return keccak256(abi.encode(deployer, salt));
 	}
 
 	/**
@@ -92,4 +861,48 @@ contract GenericFactoryV1 is UpgradeableAccessControl {
 		}
 		require(instance != address(0), "ERC1167: create failed");
 	}
+
+	/**
+	 * @dev EIP-1167: Minimal Proxy Contract implementation copied from OpenZeppelin Clones
+	 *
+	 * @dev Deploys and returns the address of a clone that mimics the behaviour of `implementation`.
+	 *      This function uses the create2 opcode and a `salt` to deterministically deploy the clone.
+	 *      Using the same `implementation` and `salt` multiple time will revert, since
+	 *      the clones cannot be deployed twice at the same address.
+	 */
+	function __cloneDeterministic(address implementation, bytes32 salt) private returns (address instance) {
+		/// @solidity memory-safe-assembly
+		assembly {
+			// Cleans the upper 96 bits of the `implementation` word, then packs the first 3 bytes
+			// of the `implementation` address with the bytecode before the address.
+			mstore(0x00, or(shr(0xe8, shl(0x60, implementation)), 0x3d602d80600a3d3981f3363d3d373d3d3d363d73000000))
+			// Packs the remaining 17 bytes of `implementation` with the bytecode after the address.
+			mstore(0x20, or(shl(0x78, implementation), 0x5af43d82803e903d91602b57fd5bf3))
+			instance := create2(0, 0x09, 0x37, salt)
+		}
+		require(instance != address(0), "ERC1167: create2 failed");
+	}
+
+	/**
+	 * @dev EIP-1167: Minimal Proxy Contract implementation copied from OpenZeppelin Clones
+	 *
+	 * @dev Computes the address of a clone deployed using `__cloneDeterministic`.
+	 */
+	function __predictDeterministicAddress(
+		address implementation,
+		bytes32 salt,
+		address deployer
+	) private pure returns (address predicted) {
+		/// @solidity memory-safe-assembly
+		assembly {
+			let ptr := mload(0x40)
+			mstore(add(ptr, 0x38), deployer)
+			mstore(add(ptr, 0x24), 0x5af43d82803e903d91602b57fd5bf3ff)
+			mstore(add(ptr, 0x14), implementation)
+			mstore(ptr, 0x3d602d80600a3d3981f3363d3d373d3d3d363d73)
+			mstore(add(ptr, 0x58), salt)
+			mstore(add(ptr, 0x78), keccak256(add(ptr, 0x0c), 0x37))
+			predicted := keccak256(add(ptr, 0x43), 0x55)
+		}
+	}
 }
@@ -0,0 +1,161 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "../lib/ECDSA.sol";
+
+/**
+ * @title Minimal Forwarder, ERC-2771 Trusted Forwarder
+ *
+ * @notice Executes the calls (meta-transactions) signed by the senders and submitted by the relayers,
+ *      allowing the senders to interact with the ERC-2771 recipients (like AdvancedERC20) without
+ *      paying for gas, see https://eips.ethereum.org/EIPS/eip-2771
+ *
+ * @dev The request is an EIP-712 signed `ForwardRequest` struct; the forwarder verifies the signature,
+ *      the nonce, and the deadline, and calls the `to` address with the `data` supplied,
+ *      appending the signer address (`from`) to the calldata; the recipient which trusts the forwarder
+ *      extracts the sender from the last 20 bytes of the calldata
+ *
+ * @dev Nonces are sequential per signer; the request is executed at most once
+ *
+ * @dev The forwarder is not upgradeable and has no owner: anyone can submit the signed requests
+ *
+ * @author Basil Gorin
+ */
+contract MinimalForwarder {
+	/**
+	 * @notice Meta-transaction request signed by the sender
+	 */
+	struct ForwardRequest {
+		// transaction sender, request signer
+		address from;
+		// the address to call (ERC-2771 recipient)
+		address to;
+		// native currency (ETH) value to send with the call
+		uint256 value;
+		// gas limit of the call
+		uint256 gas;
+		// sender's nonce, see `nonces`
+		uint256 nonce;
+		// request expiration time (unix timestamp)
+		uint256 deadline;
+		// calldata to call the `to` address with
+		bytes data;
+	}
+
+	/**
+	 * @notice Nonces of the request signers, incremented with every request executed
+	 *
+	 * @dev Maps signer address => next nonce to use
+	 */
+	mapping(address => uint256) public nonces;
+
+	/**
+	 * @notice EIP-712 contract's domain typeHash,
+	 *      see https://eips.ethereum.org/EIPS/eip-712#rationale-for-typehash
+	 *
+	 * @dev Unlike AdvancedERC20, the forwarder includes the version into the domain
+	 */
+	bytes32 public constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+	/**
+	 * @notice EIP-712 ForwardRequest struct typeHash,
+	 *      see https://eips.ethereum.org/EIPS/eip-712#rationale-for-typehash
+	 */
+	bytes32 public constant FORWARD_REQUEST_TYPEHASH = keccak256("ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint256 deadline,bytes data)");
+
+	/**
+	 * @dev Fired in `execute()` when the request is executed
+	 *
+	 * @param from request signer, the transaction sender
+	 * @param to the address called
+	 * @param nonce signer's nonce used
+	 */
+	event Executed(address indexed from, address indexed to, uint256 nonce);
+
+	/**
+	 * @notice EIP-712 domain separator of the forwarder: name "MinimalForwarder", version "1"
+	 *
+	 * @dev Evaluated on every call to be correct after the chain fork (chain ID change)
+	 *
+	 * @return the EIP-712 domain separator
+	 */
+	function DOMAIN_SEPARATOR() public view returns(bytes32) {
+		// build the EIP-712 domain separator on the fly
+		return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256(bytes("MinimalForwarder")), keccak256(bytes("1")), block.chainid, address(this)));
+	}
+
+	/**
+	 * @notice Verifies the request is signed by its `from` address, the nonce is valid,
+	 *      and the request is not yet expired
+	 *
+	 * @dev Throws if the signature is malformed
+	 *
+	 * @param req the request to verify
+	 * @param signature 65 bytes long ECDSA signature `r ‖ s ‖ v` of the request
+	 * @return true if the request can be executed, false otherwise
+	 */
+	function verify(ForwardRequest calldata req, bytes calldata signature) public view returns(bool) {
+		// build the EIP-712 hash of the request
+		bytes32 hashStruct = keccak256(abi.encode(
+			FORWARD_REQUEST_TYPEHASH,
+			req.from,
+			req.to,
+			req.value,
+			req.gas,
+			req.nonce,
+			req.deadline,
+			keccak256(req.data)
+		));
+
+		// build the EIP-712 digest to recover the signer from
+		bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), hashStruct));
+
+		// the request is valid if the nonce is current, the deadline is not reached, and the signer is `from`
+		return nonces[req.from] == req.nonce && block.timestamp < req.deadline && ECDSA.recover(digest, signature) == req.from;
+	}
+
+	/**
+	 * @notice Executes the request signed by its `from` address: calls the `to` address
+	 *      with the `data` and the `from` address appended, forwarding `value` and `gas` specified
+	 *
+	 * @dev Anyone (relayer) can submit the request; the relayer pays for gas
+	 *      and must send exactly `req.value` of native currency
+	 *
+	 * @dev Bubbles up the revert reason if the call fails, the nonce is not used in that case
+	 *
+	 * @param req the request to execute
+	 * @param signature 65 bytes long ECDSA signature `r ‖ s ‖ v` of the request
+	 * @return the data returned by the call
+	 */
+	function execute(ForwardRequest calldata req, bytes calldata signature) public payable returns(bytes memory) {
+		// verify the signature, the nonce, and the deadline
+		require(verify(req, signature), "invalid request");
+
+		// verify the relayer sent the value requested
+		require(msg.value == req.value, "invalid value");
+
+		// use the nonce
+		nonces[req.from]++;
+
+		// call the `to` address appending the signer address to the calldata (ERC-2771)
+		(bool success, bytes memory returndata) = req.to.call{gas: req.gas, value: req.value}(abi.encodePacked(req.data, req.from));
+
+		// relayer could have supplied not enough gas to the call leaving the 1/64 of the gas (EIP-150),
+		// make sure the call received at least the gas requested
+		require(gasleft() > req.gas / 63, "insufficient gas");
+
+		// if the call failed
+		if(!success) {
+			// bubble up the revert reason
+			assembly {
+				revert(add(returndata, 0x20), mload(returndata))
+			}
+		}
+
+		// emit an event
+		emit Executed(req.from, req.to, req.nonce);
+
+		// return the data returned by the call
+		return returndata;
+	}
+}
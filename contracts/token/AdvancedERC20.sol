@@ -4,6 +4,8 @@ pragma solidity ^0.8.4;
 import "../interfaces/ERC1363Spec.sol";
 import "../interfaces/EIP2612.sol";
 import "../interfaces/EIP3009.sol";
+import "../interfaces/ERC1271Spec.sol";
+import "../interfaces/ERC5805Spec.sol";
 import "../lib/ECDSA.sol";
 
 import "@lazy-sol/access-control-upgradeable/contracts/InitializableAccessControlCore.sol";
@@ -21,11 +23,17 @@ import "@lazy-sol/access-control-upgradeable/contracts/InitializableAccessContro
  *      - Symbol: configurable (set on deployment)
  *      - Name: configurable (set on deployment)
  *      - Decimals: 18
- *      - Initial/maximum total supply: configurable (set on deployment)
+ *      - Initial/maximum total supply: configurable (set on deployment); maximum total supply can be lowered
  *      - Initial supply holder (initial holder) address: configurable (set on deployment)
  *      - Mintability: configurable (initially enabled, but possible to revoke forever)
  *      - Burnability: configurable (initially enabled, but possible to revoke forever)
  *      - DAO Support: supports voting delegation
+ *      - Emergency pause: configurable (possible to freeze and unfreeze all token operations at once)
+ *      - Compliance: configurable blocklist and allowlist-only mode (restricting the token holders)
+ *      - Forced transfers (clawbacks): disabled by default (opt-in via FEATURE_FORCED_TRANSFERS, not part of FEATURE_ALL),
+ *        possible to revoke forever
+ *      - Meta-transactions: optional ERC-2771 trusted forwarder (set on deployment)
+ *      - EIP-712 domain: configurable name and version (set on deployment), discoverable via EIP-5267
  *
  * @notice Features Summary:
  *      - Supports atomic allowance modification, resolves well-known ERC20 issue with approve (arXiv:1907.00903)
@@ -103,6 +111,10 @@ import "@lazy-sol/access-control-upgradeable/contracts/InitializableAccessContro
  *      - delegateWithAuthorization <- delegateBySig
  * @dev Compound-like voting delegation improved to allow the use of random nonces like in EIP-3009,
  *      instead of sequential; same `usedNonces` EIP-3009 mapping is used to track nonces
+ * @dev The standard names are still available as the ERC-5805 (OpenZeppelin IVotes) compatibility layer:
+ *      `getVotes`, `getPastVotes`, `getPastTotalSupply`, `delegates`, `delegateBySig`
+ *      (sequential nonces shared with EIP-2612 `permit`), and `DelegateVotesChanged` event
+ *      emitted together with `VotingPowerChanged`
  *
  * @dev Reference implementations "used":
  *      - Atomic allowance:    https://github.com/OpenZeppelin/openzeppelin-contracts
@@ -120,7 +132,7 @@ import "@lazy-sol/access-control-upgradeable/contracts/InitializableAccessContro
  *
  * @author Basil Gorin
  */
-contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP3009, InitializableAccessControlCore {
+contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP3009, ERC5805, InitializableAccessControlCore {
 	/**
 	 * @notice Name of the token
 	 *
@@ -191,20 +203,22 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 
 	/**
 	 * @notice Auxiliary structure to store key-value pair, used to store:
-	 *      - voting power record (key: block.timestamp, value: voting power)
-	 *      - total supply record (key: block.timestamp, value: total supply)
+	 *      - voting power record (key: timepoint, value: voting power)
+	 *      - total supply record (key: timepoint, value: total supply)
+	 * @notice Timepoint is a block number or a block timestamp depending
+	 *      on the token clock mode (ERC-6372), see `clock()`, `CLOCK_MODE()`
 	 * @notice A voting power record binds voting power of a delegate to a particular
-	 *      block when the voting power delegation change happened
-	 *         k: block.number when delegation has changed; starting from
-	 *            that block voting power value is in effect
+	 *      timepoint when the voting power delegation change happened
+	 *         k: timepoint when delegation has changed; starting from
+	 *            that timepoint voting power value is in effect
 	 *         v: cumulative voting power a delegate has obtained starting
-	 *            from the block stored in blockNumber
+	 *            from the timepoint stored in k
 	 * @notice Total supply record binds total token supply to a particular
-	 *      block when total supply change happened (due to mint/burn operations)
+	 *      timepoint when total supply change happened (due to mint/burn operations)
 	 */
 	struct KV {
 		/*
-		 * @dev key, a block number
+		 * @dev key, a timepoint: block number or timestamp, see `clock()`
 		 */
 		uint64 k;
 
@@ -224,7 +238,7 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 * @dev Stores current value and entire history of its changes.
 	 *      The changes are stored as an array of checkpoints (key-value pairs).
 	 *      Checkpoint is an auxiliary data structure containing voting
-	 *      power (number of votes) and block number when the checkpoint is saved
+	 *      power (number of votes) and timepoint when the checkpoint is saved
 	 *
 	 * @dev Maps voting delegate => voting power record
 	 */
@@ -238,7 +252,7 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 * @dev Stores current value and entire history of its changes.
 	 *      The changes are stored as an array of checkpoints (key-value pairs).
 	 *      Checkpoint is an auxiliary data structure containing total
-	 *      token supply and block number when the checkpoint is saved
+	 *      token supply and timepoint when the checkpoint is saved
 	 */
 	KV[] public totalSupplyHistory;
 
@@ -247,6 +261,8 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 *
 	 * @dev Note: EIP2612 doesn't imply a possibility for nonce randomization like in EIP-3009
 	 *
+	 * @dev Same nonces are used by ERC-5805 `delegateBySig`, like in OpenZeppelin ERC20Votes
+	 *
 	 * @dev Maps delegate address => delegate nonce
 	 */
 	mapping(address => uint256) public override nonces;
@@ -269,6 +285,98 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 */
 	mapping(address => mapping(address => uint256)) private transferAllowances;
 
+	/**
+	 * @dev Maximum total supply of the token (supply cap), which minting cannot exceed;
+	 *      zero value means there is no cap other than uint192 limit, see `maxSupply()`
+	 *
+	 * @dev Set in the `postConstruct` initializer, can only be lowered afterwards, see `lowerMaxSupply()`
+	 */
+	uint256 private supplyCap;
+
+	/**
+	 * @notice Indicates if the token is paused (frozen): transfers, mints, burns, delegations,
+	 *      and ERC-1363 callbacks are disabled regardless of the features enabled
+	 *
+	 * @dev Pausing doesn't modify the features mask, unpausing restores exactly the features
+	 *      which were enabled before the pause, see `pause()`, `unpause()`
+	 */
+	bool public paused;
+
+	/**
+	 * @notice Indicates if the token is in the allowlist-only mode: only the addresses
+	 *      in the `allowlist` can send, receive, and get the tokens minted
+	 *
+	 * @dev Packed with `paused` and `blocklistSize` into a single storage slot
+	 */
+	bool public allowlistOnly;
+
+	/**
+	 * @notice Number of the addresses in the `blocklist`
+	 *
+	 * @dev The blocklist is not checked at all while it is empty, saving the storage reads
+	 */
+	uint64 public blocklistSize;
+
+	/**
+	 * @notice ERC-2771 trusted forwarder: the calls it relays are executed on behalf of the address
+	 *      appended to the calldata, see `_msgSender()`; zero address means meta-transactions are disabled
+	 *
+	 * @dev Set once in the `postConstruct` initializer, cannot be changed afterwards
+	 *
+	 * @dev Packed with `paused`, `allowlistOnly`, and `blocklistSize` into a single storage slot
+	 */
+	address public trustedForwarder;
+
+	/**
+	 * @dev ERC-6372 clock mode: if set, the voting power and total supply history
+	 *      is keyed by block timestamps, otherwise by block numbers, see `clock()`
+	 *
+	 * @dev Set once in the `postConstruct` initializer, cannot be changed afterwards
+	 *
+	 * @dev Packed with `paused`, `allowlistOnly`, `blocklistSize`, and `trustedForwarder` into a single storage slot
+	 */
+	bool private timestampClock;
+
+	/**
+	 * @notice Blocklist: blocked (sanctioned) addresses cannot send, receive, operate,
+	 *      approve or be approved, or get the tokens minted
+	 *
+	 * @dev Managed by ROLE_COMPLIANCE_MANAGER, see `updateBlocklist()`
+	 */
+	mapping(address => bool) public blocklist;
+
+	/**
+	 * @notice Allowlist: in the allowlist-only mode only these addresses can
+	 *      send, receive, and get the tokens minted
+	 *
+	 * @dev Managed by ROLE_COMPLIANCE_MANAGER, see `updateAllowlist()`, `setAllowlistOnly()`
+	 */
+	mapping(address => bool) public allowlist;
+
+	/**
+	 * @dev EIP-712 domain name; empty value means the default domain is used:
+	 *      name "AdvancedERC20v1" and no version, see `DOMAIN_SEPARATOR()`, `eip712Domain()`
+	 *
+	 * @dev Set once in the `postConstruct` initializer, cannot be changed afterwards
+	 */
+	string private domainName;
+
+	/**
+	 * @dev EIP-712 domain version, included into the domain only if `domainName` is set
+	 *
+	 * @dev Set once in the `postConstruct` initializer, cannot be changed afterwards
+	 */
+	string private domainVersion;
+
+	/**
+	 * @dev Empty reserved space in storage. The size of the __gap array is calculated so that
+	 *      the amount of storage used by the contract always adds up to the 50.
+	 *      Allows adding new storage variables in the upgradeable flavour (UpgradeableAdvancedERC20)
+	 *      without shifting down storage in the inheritance chain; a new variable must consume a gap slot.
+	 *      See https://docs.openzeppelin.com/contracts/4.x/upgradeable#storage_gaps
+	 */
+	uint256[34] private __gap;
+
 	/**
 	 * @notice Enables ERC20 transfers of the tokens
 	 *      (transfer by the token owner himself)
@@ -368,6 +476,17 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 */
 	uint32 public constant FEATURE_EIP3009_RECEPTIONS = 0x0000_0800;
 
+	/**
+	 * @notice Enables forced transfers (clawbacks) executed by the force transfer manager,
+	 *      see `forceTransfer()`
+	 * @dev Feature FEATURE_FORCED_TRANSFERS must be enabled in order for
+	 *      `forceTransfer()` function to succeed
+	 * @dev The feature is opt-in: it is not a part of FEATURE_ALL (0xEFFF) and must be enabled explicitly
+	 * @dev Disabling the feature and then revoking it from every access manager's own permissions
+	 *      (access manager cannot set the bits it doesn't have) disables forced transfers forever
+	 */
+	uint32 public constant FEATURE_FORCED_TRANSFERS = 0x0000_1000;
+
 	/**
 	 * @notice Token creator is responsible for creating (minting)
 	 *      tokens to an arbitrary address
@@ -412,25 +531,111 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 */
 	uint32 public constant ROLE_ERC20_SENDER = 0x0008_0000;
 
+	/**
+	 * @notice Pause manager is responsible for freezing and unfreezing the token
+	 *      in an emergency
+	 *
+	 * @dev Role ROLE_PAUSE_MANAGER allows pausing and unpausing the token,
+	 *      see `pause()`, `unpause()`
+	 */
+	uint32 public constant ROLE_PAUSE_MANAGER = 0x0020_0000;
+
+	/**
+	 * @notice Compliance manager is responsible for managing the blocklist and the allowlist,
+	 *      and for switching the allowlist-only mode
+	 *
+	 * @dev Role ROLE_COMPLIANCE_MANAGER allows executing `updateBlocklist()`,
+	 *      `updateAllowlist()`, and `setAllowlistOnly()`
+	 */
+	uint32 public constant ROLE_COMPLIANCE_MANAGER = 0x0040_0000;
+
+	/**
+	 * @notice Force transfer manager is responsible for executing the court orders
+	 *      and lost key recoveries by moving the tokens without the token owner consent
+	 *
+	 * @dev Role ROLE_FORCE_TRANSFER_MANAGER allows executing `forceTransfer()`,
+	 *      requires FEATURE_FORCED_TRANSFERS to be enabled
+	 */
+	uint32 public constant ROLE_FORCE_TRANSFER_MANAGER = 0x0080_0000;
+
 	/**
 	 * @notice EIP-712 contract's domain typeHash,
 	 *      see https://eips.ethereum.org/EIPS/eip-712#rationale-for-typehash
 	 *
-	 * @dev Note: we do not include version into the domain typehash/separator,
+	 * @dev Note: default domain doesn't include version into the domain typehash/separator,
 	 *      it is implied version is concatenated to the name field, like "AdvancedERC20v1"
 	 */
 	// keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)")
 	bytes32 public constant DOMAIN_TYPEHASH = 0x8cad95687ba82c2ce50e74f7b754645e5117c3a5bec8151c0726d5857980a866;
 
+	/**
+	 * @notice EIP-712 contract's domain typeHash of the custom domain (set on deployment),
+	 *      which includes the version, see `eip712Domain()`
+	 */
+	// keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)")
+	bytes32 public constant DOMAIN_WITH_VERSION_TYPEHASH = 0x8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f;
+
 	/**
 	 * @notice EIP-712 contract domain separator,
 	 *      see https://eips.ethereum.org/EIPS/eip-712#definition-of-domainseparator
-	 *      note: we specify contract version in its name
+	 *      note: default domain specifies contract version in its name
 	 */
 	function DOMAIN_SEPARATOR() public view override returns(bytes32) {
+		// read the domain name and version, see `eip712Domain()`
+		(bytes1 fields, string memory name_, string memory version,,,,) = eip712Domain();
+
 		// build the EIP-712 contract domain separator, see https://eips.ethereum.org/EIPS/eip-712#definition-of-domainseparator
-		// note: we specify contract version in its name
-		return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256(bytes("AdvancedERC20v1")), block.chainid, address(this)));
+		// note: default domain doesn't have the version field, we specify contract version in its name
+		return fields == 0x0d
+			? keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256(bytes(name_)), block.chainid, address(this)))
+			: keccak256(abi.encode(DOMAIN_WITH_VERSION_TYPEHASH, keccak256(bytes(name_)), keccak256(bytes(version)), block.chainid, address(this)));
+	}
+
+	/**
+	 * @notice EIP-5267 `eip712Domain`: describes the EIP-712 domain used by the contract
+	 *      to verify the signatures, see https://eips.ethereum.org/EIPS/eip-5267
+	 *
+	 * @dev Default domain has name "AdvancedERC20v1", chainId, and verifyingContract fields (0x0d),
+	 *      custom domain additionally has the version field (0x0f)
+	 *
+	 * @return fields bitmap of the domain fields used: name, version, chainId, verifyingContract, salt
+	 * @return name_ EIP-712 domain name
+	 * @return version EIP-712 domain version, empty if not used
+	 * @return chainId EIP-712 domain chain ID, current chain ID
+	 * @return verifyingContract EIP-712 domain verifying contract, this token address
+	 * @return salt EIP-712 domain salt, not used (zero)
+	 * @return extensions EIP-712 domain extensions, not used (empty)
+	 */
+	function eip712Domain() public view returns(
+		bytes1 fields,
+		string memory name_,
+		string memory version,
+		uint256 chainId,
+		address verifyingContract,
+		bytes32 salt,
+		uint256[] memory extensions
+	) {
+		// read the custom domain name
+		name_ = domainName;
+
+		// if the custom domain is not set
+		if(bytes(name_).length == 0) {
+			// describe the default domain: name, chainId, verifyingContract
+			fields = 0x0d;
+			name_ = "AdvancedERC20v1";
+		}
+		// otherwise, if the custom domain is set
+		else {
+			// describe the custom domain: name, version, chainId, verifyingContract
+			fields = 0x0f;
+			version = domainVersion;
+		}
+
+		// chain ID and verifying contract are always used, salt and extensions are not
+		chainId = block.chainid;
+		verifyingContract = address(this);
+		salt = bytes32(0);
+		extensions = new uint256[](0);
 	}
 
 	/**
@@ -440,6 +645,27 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	// keccak256("Delegation(address delegate,uint256 nonce,uint256 expiry)")
 	bytes32 public constant DELEGATION_TYPEHASH = 0xff41620983935eb4d4a3c7384a066ca8c1d10cef9a5eca9eb97ca735cd14a755;
 
+	/**
+	 * @notice EIP-712 delegation struct typeHash binding the delegator, used by `delegateWithAuthorization`
+	 *      accepting the signature as bytes, see https://eips.ethereum.org/EIPS/eip-712#rationale-for-typehash
+	 *
+	 * @dev Unlike `DELEGATION_TYPEHASH`, includes the delegator: the delegator is supplied explicitly
+	 *      and is not derived from the signature, which otherwise allows the signature to be replayed
+	 *      on behalf of an ERC-1271 smart contract wallet validating the same signer signatures
+	 */
+	// keccak256("DelegationWithDelegator(address delegator,address delegate,uint256 nonce,uint256 expiry)")
+	bytes32 public constant DELEGATION_WITH_DELEGATOR_TYPEHASH = 0x05d43a2ffbf2b7d4265ac5d77177dd7b6795cca4924d35c66493de835d54d02c;
+
+	/**
+	 * @notice EIP-712 ERC-5805 (OpenZeppelin IVotes) delegation struct typeHash, used by `delegateBySig`,
+	 *      see https://eips.ethereum.org/EIPS/eip-712#rationale-for-typehash
+	 *
+	 * @dev Differs from `DELEGATION_TYPEHASH` in the delegate field name, which makes the signatures
+	 *      for `delegateBySig` and `delegateWithAuthorization` incompatible (not replayable)
+	 */
+	// keccak256("Delegation(address delegatee,uint256 nonce,uint256 expiry)")
+	bytes32 public constant DELEGATE_BY_SIG_TYPEHASH = 0xe48329057bfd03d55e49b547132e39cffd9c1820ad7b9d4c5307691425d15adf;
+
 	/**
 	 * @notice EIP-712 permit (EIP-2612) struct typeHash,
 	 *      see https://eips.ethereum.org/EIPS/eip-712#rationale-for-typehash
@@ -539,6 +765,73 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 */
 	event VotingPowerChanged(address indexed by, address indexed target, uint256 fromVal, uint256 toVal);
 
+	/**
+	 * @dev Fired in `lowerMaxSupply()`
+	 *
+	 * @param by an address which executed the operation
+	 * @param fromVal previous maximum total supply value
+	 * @param toVal new maximum total supply value
+	 */
+	event MaxSupplyChanged(address indexed by, uint256 fromVal, uint256 toVal);
+
+	/**
+	 * @dev Fired in `pause()`
+	 *
+	 * @param by an address which executed the operation
+	 */
+	event Paused(address indexed by);
+
+	/**
+	 * @dev Fired in `unpause()`
+	 *
+	 * @param by an address which executed the operation
+	 */
+	event Unpaused(address indexed by);
+
+	/**
+	 * @dev Fired in `updateBlocklist()`
+	 *
+	 * @param by an address which executed the operation
+	 * @param accounts the addresses added to or removed from the blocklist
+	 * @param blocked true if the addresses were added, false if removed
+	 */
+	event BlocklistUpdated(address indexed by, address[] accounts, bool blocked);
+
+	/**
+	 * @dev Fired in `updateAllowlist()`
+	 *
+	 * @param by an address which executed the operation
+	 * @param accounts the addresses added to or removed from the allowlist
+	 * @param allowed true if the addresses were added, false if removed
+	 */
+	event AllowlistUpdated(address indexed by, address[] accounts, bool allowed);
+
+	/**
+	 * @dev Fired in `setAllowlistOnly()`
+	 *
+	 * @param by an address which executed the operation
+	 * @param fromVal previous allowlist-only mode value
+	 * @param toVal new allowlist-only mode value
+	 */
+	event AllowlistOnlyChanged(address indexed by, bool fromVal, bool toVal);
+
+	/**
+	 * @dev Fired in `forceTransfer()` together with the `Transfer` events
+	 *
+	 * @param by an address which executed the operation (force transfer manager)
+	 * @param from an address tokens were taken from
+	 * @param to an address tokens were sent to
+	 * @param value amount of tokens transferred
+	 * @param reasonCode an arbitrary reason code, like the court order reference or its hash
+	 */
+	event ForcedTransfer(address indexed by, address indexed from, address indexed to, uint256 value, bytes32 reasonCode);
+
+	/**
+	 * @dev EIP-5267 event: fired in `postConstruct()` when the custom EIP-712 domain is set,
+	 *      see `eip712Domain()`
+	 */
+	event EIP712DomainChanged();
+
 	/**
 	 * @dev Deploys the token smart contract,
 	 *      assigns initial token supply to the address specified
@@ -566,6 +859,9 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	/**
 	 * @dev "Constructor replacement" for a smart contract with a delayed initialization (post-deployment initialization)
 	 *
+	 * @dev Doesn't cap the total supply, doesn't set the trusted forwarder, uses the default
+	 *      EIP-712 domain and the block number clock mode, see `postConstruct` accepting all the settings
+	 *
 	 * @param contractOwner smart contract owner (has minting/burning and all other permissions)
 	 * @param _name token name to set
 	 * @param _symbol token symbol to set
@@ -580,7 +876,88 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		address initialHolder,
 		uint256 initialSupply,
 		uint256 initialFeatures
-	) public virtual initializer {
+	) public virtual {
+		// delegate to the initializer with no supply cap and no trusted forwarder
+		__postConstruct(contractOwner, _name, _symbol, initialHolder, initialSupply, initialFeatures, 0, address(0));
+	}
+
+	/**
+	 * @dev "Constructor replacement" for a smart contract with a delayed initialization (post-deployment initialization)
+	 *
+	 * @dev Accepts all the token settings; zero (empty) values keep the defaults, the same as
+	 *      `postConstruct` accepting the basic settings only
+	 *
+	 * @dev Empty `_domainName` keeps the default EIP-712 domain ("AdvancedERC20v1", no version),
+	 *      `_domainVersion` is ignored in that case
+	 *
+	 * @dev Timestamp clock mode is recommended for the networks with irregular (or very fast)
+	 *      block production, like L2s, where block numbers are a poor time proxy for governance
+	 *
+	 * @param contractOwner smart contract owner (has minting/burning and all other permissions)
+	 * @param _name token name to set
+	 * @param _symbol token symbol to set
+	 * @param initialHolder owner of the initial token supply
+	 * @param initialSupply initial token supply value
+	 * @param initialFeatures RBAC features enabled initially
+	 * @param _maxSupply maximum total supply (supply cap) minting cannot exceed, zero means no cap
+	 * @param _trustedForwarder ERC-2771 trusted forwarder, zero address disables meta-transactions
+	 * @param _domainName EIP-712 domain name, like the token name
+	 * @param _domainVersion EIP-712 domain version, like "1"
+	 * @param _timestampClock ERC-6372 clock mode: true to key the voting power and
+	 *      total supply history by block timestamps, false – by block numbers
+	 */
+	function postConstruct(
+		address contractOwner,
+		string memory _name,
+		string memory _symbol,
+		address initialHolder,
+		uint256 initialSupply,
+		uint256 initialFeatures,
+		uint256 _maxSupply,
+		address _trustedForwarder,
+		string memory _domainName,
+		string memory _domainVersion,
+		bool _timestampClock
+	) public virtual {
+		// assign the ERC-6372 clock mode before the initial supply is minted and recorded into the history
+		timestampClock = _timestampClock;
+
+		// delegate to the initializer; it can be executed only once, and so is the domain assignment below
+		__postConstruct(contractOwner, _name, _symbol, initialHolder, initialSupply, initialFeatures, _maxSupply, _trustedForwarder);
+
+		// if the custom EIP-712 domain is requested
+		if(bytes(_domainName).length != 0) {
+			// assign the EIP-712 domain name and version
+			domainName = _domainName;
+			domainVersion = _domainVersion;
+
+			// emit an event
+			emit EIP712DomainChanged();
+		}
+	}
+
+	/**
+	 * @dev Initializes the token, see `postConstruct`
+	 *
+	 * @param contractOwner smart contract owner (has minting/burning and all other permissions)
+	 * @param _name token name to set
+	 * @param _symbol token symbol to set
+	 * @param initialHolder owner of the initial token supply
+	 * @param initialSupply initial token supply value
+	 * @param initialFeatures RBAC features enabled initially
+	 * @param _maxSupply maximum total supply (supply cap) minting cannot exceed, zero means no cap
+	 * @param _trustedForwarder ERC-2771 trusted forwarder, zero address disables meta-transactions
+	 */
+	function __postConstruct(
+		address contractOwner,
+		string memory _name,
+		string memory _symbol,
+		address initialHolder,
+		uint256 initialSupply,
+		uint256 initialFeatures,
+		uint256 _maxSupply,
+		address _trustedForwarder
+	) private initializer {
 		// verify name and symbol are set
 		require(bytes(_name).length > 0, "token name is not set");
 		require(bytes(_symbol).length > 0, "token symbol is not set");
@@ -589,6 +966,12 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		name = _name;
 		symbol = _symbol;
 
+		// assign the supply cap before minting, so that it applies to the initial supply as well
+		supplyCap = _maxSupply;
+
+		// assign the ERC-2771 trusted forwarder
+		trustedForwarder = _trustedForwarder;
+
 		// verify initial holder address non-zero (is set) if there is an initial supply to mint
 		require(initialSupply == 0 || initialHolder != address(0), "_initialHolder not set (zero address)");
 
@@ -614,9 +997,265 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		    || interfaceId == type(ERC20).interfaceId
 		    || interfaceId == type(ERC1363).interfaceId
 		    || interfaceId == type(EIP2612).interfaceId
-		    || interfaceId == type(EIP3009).interfaceId;
+		    || interfaceId == type(EIP3009).interfaceId
+		    || interfaceId == type(ERC6372).interfaceId
+		    || interfaceId == type(ERC5805).interfaceId;
+	}
+
+	// ===== Start: ERC-2771 meta-transactions =====
+
+	/**
+	 * @notice ERC-2771 `isTrustedForwarder`: checks if the forwarder specified is trusted
+	 *      to relay the meta-transactions, see https://eips.ethereum.org/EIPS/eip-2771
+	 *
+	 * @param forwarder an address to check
+	 * @return true if the forwarder is trusted, false otherwise
+	 */
+	function isTrustedForwarder(address forwarder) public view returns (bool) {
+		// zero address is never trusted: meta-transactions are disabled if the forwarder is not set
+		return forwarder != address(0) && forwarder == trustedForwarder;
+	}
+
+	/**
+	 * @dev ERC-2771 transaction sender: if the call is relayed by the trusted forwarder,
+	 *      the sender is the address the forwarder appended to the calldata (last 20 bytes),
+	 *      otherwise the sender is `msg.sender`
+	 *
+	 * @dev Used everywhere instead of `msg.sender`, except the access control functions inherited
+	 *      (`updateFeatures`, `updateRole`) and the upgrade functions, which cannot be relayed
+	 *
+	 * @return sender transaction sender, the relayed call signer or `msg.sender`
+	 */
+	function _msgSender() internal view virtual returns (address sender) {
+		// if the call is relayed by the trusted forwarder which appended the sender address
+		if(msg.sender == trustedForwarder && msg.data.length >= 20) {
+			// extract the sender address from the last 20 bytes of the calldata
+			assembly {
+				sender := shr(96, calldataload(sub(calldatasize(), 20)))
+			}
+			return sender;
+		}
+
+		// otherwise the sender is the caller
+		return msg.sender;
+	}
+
+	// ===== End: ERC-2771 meta-transactions =====
+
+	/**
+	 * @dev Verifies the transaction sender has the permissions (role) required,
+	 *      throws "access denied" otherwise
+	 *
+	 * @dev Shared by all the role restricted functions, keeps the smart contract bytecode compact
+	 *
+	 * @param role the permissions (role) required
+	 */
+	function __requireSenderInRole(uint256 role) private view {
+		// verify the sender has the permissions required
+		require(_isOperatorInRole(_msgSender(), role), "access denied");
 	}
 
+	// ===== Start: Emergency pause =====
+
+	/**
+	 * @notice Pauses (freezes) the token: transfers (including ERC-1363 and EIP-3009 ones),
+	 *      mints, burns, delegations, and ERC-1363 approvals with callback are disabled
+	 *      until the token is unpaused
+	 *
+	 * @dev Doesn't modify the features mask, see `unpause()`
+	 *
+	 * @dev Requires executor to have `ROLE_PAUSE_MANAGER` permission
+	 */
+	function pause() public virtual {
+		// check if caller has sufficient permissions to pause the token
+		__requireSenderInRole(ROLE_PAUSE_MANAGER);
+
+		// verify the token is not paused yet
+		require(!paused, "already paused");
+
+		// pause the token
+		paused = true;
+
+		// emit an event
+		emit Paused(_msgSender());
+	}
+
+	/**
+	 * @notice Unpauses (unfreezes) the token, previously paused with `pause()`;
+	 *      the features enabled before the pause become effective again
+	 *
+	 * @dev Requires executor to have `ROLE_PAUSE_MANAGER` permission
+	 */
+	function unpause() public virtual {
+		// check if caller has sufficient permissions to unpause the token
+		__requireSenderInRole(ROLE_PAUSE_MANAGER);
+
+		// verify the token is paused
+		require(paused, "not paused");
+
+		// unpause the token
+		paused = false;
+
+		// emit an event
+		emit Unpaused(_msgSender());
+	}
+
+	/**
+	 * @dev Verifies the token is not paused
+	 */
+	function __requireNotPaused() private view {
+		// throw if the token is paused
+		require(!paused, "token is paused");
+	}
+
+	// ===== End: Emergency pause =====
+
+	// ===== Start: Compliance (blocklist and allowlist) =====
+
+	/**
+	 * @notice Adds the addresses to or removes them from the blocklist
+	 *
+	 * @dev Addresses already having the requested status are skipped silently,
+	 *      but are still listed in the event emitted
+	 *
+	 * @dev Requires executor to have `ROLE_COMPLIANCE_MANAGER` permission
+	 *
+	 * @param accounts the addresses to add or to remove
+	 * @param blocked true to add the addresses to the blocklist, false to remove
+	 */
+	function updateBlocklist(address[] calldata accounts, bool blocked) public virtual {
+		// check if caller has sufficient permissions to manage the blocklist
+		__requireSenderInRole(ROLE_COMPLIANCE_MANAGER);
+
+		// iterate over the addresses supplied
+		for(uint256 i = 0; i < accounts.length; i++) {
+			// skip the addresses already having the status requested
+			if(blocklist[accounts[i]] != blocked) {
+				// update the status
+				blocklist[accounts[i]] = blocked;
+
+				// keep track of the blocklist size; it cannot overflow or underflow
+				// since it counts the addresses which changed their status
+				unchecked {
+					blocklistSize = blocked? blocklistSize + 1: blocklistSize - 1;
+				}
+			}
+		}
+
+		// emit an event
+		emit BlocklistUpdated(_msgSender(), accounts, blocked);
+	}
+
+	/**
+	 * @notice Adds the addresses to or removes them from the allowlist;
+	 *      the allowlist is effective in the allowlist-only mode only, see `setAllowlistOnly()`
+	 *
+	 * @dev Requires executor to have `ROLE_COMPLIANCE_MANAGER` permission
+	 *
+	 * @param accounts the addresses to add or to remove
+	 * @param allowed true to add the addresses to the allowlist, false to remove
+	 */
+	function updateAllowlist(address[] calldata accounts, bool allowed) public virtual {
+		// check if caller has sufficient permissions to manage the allowlist
+		__requireSenderInRole(ROLE_COMPLIANCE_MANAGER);
+
+		// iterate over the addresses supplied and update their status
+		for(uint256 i = 0; i < accounts.length; i++) {
+			allowlist[accounts[i]] = allowed;
+		}
+
+		// emit an event
+		emit AllowlistUpdated(_msgSender(), accounts, allowed);
+	}
+
+	/**
+	 * @notice Enables or disables the allowlist-only mode
+	 *
+	 * @dev Requires executor to have `ROLE_COMPLIANCE_MANAGER` permission
+	 *
+	 * @param _allowlistOnly true to enable the allowlist-only mode, false to disable
+	 */
+	function setAllowlistOnly(bool _allowlistOnly) public virtual {
+		// check if caller has sufficient permissions to switch the mode
+		__requireSenderInRole(ROLE_COMPLIANCE_MANAGER);
+
+		// emit an event
+		emit AllowlistOnlyChanged(_msgSender(), allowlistOnly, _allowlistOnly);
+
+		// update the mode
+		allowlistOnly = _allowlistOnly;
+	}
+
+	/**
+	 * @dev Verifies the address is not in the blocklist
+	 *
+	 * @param account the address to verify
+	 */
+	function __requireNotBlocked(address account) private view {
+		// the blocklist is checked only if it is not empty
+		require(blocklistSize == 0 || !blocklist[account], "blocklisted address");
+	}
+
+	/**
+	 * @dev Verifies the address is not in the blocklist, and, in the allowlist-only mode,
+	 *      that it is in the allowlist
+	 *
+	 * @param account the address to verify
+	 */
+	function __requireCompliant(address account) private view {
+		// verify the address is not blocked
+		__requireNotBlocked(account);
+
+		// the allowlist is checked only in the allowlist-only mode
+		require(!allowlistOnly || allowlist[account], "address is not allowlisted");
+	}
+
+	// ===== End: Compliance (blocklist and allowlist) =====
+
+	// ===== Start: Forced transfers =====
+
+	/**
+	 * @notice Moves the tokens from one address to another without the token owner consent,
+	 *      to execute a court order or to recover the tokens from the lost key;
+	 *      voting power moves together with the tokens, like in a regular transfer
+	 *
+	 * @dev Unlike the regular transfer, doesn't require the sender to be compliant,
+	 *      allowing to claw back the tokens from the blocklisted address;
+	 *      the receiver must be compliant, the token must not be paused
+	 *
+	 * @dev Requires executor to have `ROLE_FORCE_TRANSFER_MANAGER` permission,
+	 *      requires FEATURE_FORCED_TRANSFERS to be enabled
+	 *
+	 * @param from an address to take the tokens from
+	 * @param to an address to send the tokens to
+	 * @param value amount of tokens to move
+	 * @param reasonCode an arbitrary reason code, like the court order reference or its hash
+	 */
+	function forceTransfer(address from, address to, uint256 value, bytes32 reasonCode) public virtual {
+		// check if caller has sufficient permissions to force transfer the tokens
+		__requireSenderInRole(ROLE_FORCE_TRANSFER_MANAGER);
+
+		// verify forced transfers feature is enabled
+		require(_isFeatureEnabled(FEATURE_FORCED_TRANSFERS), "forced transfers are disabled");
+
+		// ensure the token is not paused
+		__requireNotPaused();
+
+		// the receiver must not be blocked and must be allowlisted in the allowlist-only mode
+		__requireCompliant(to);
+
+		// verify the source and the recipient addresses
+		__requireValidTransfer(from, to);
+
+		// move the tokens and the voting power, emit the transfer events
+		__moveTokens(_msgSender(), from, to, value);
+
+		// emit a forced transfer event
+		emit ForcedTransfer(_msgSender(), from, to, value, reasonCode);
+	}
+
+	// ===== End: Forced transfers =====
+
 	// ===== Start: ERC-1363 functions =====
 
 	/**
@@ -641,8 +1280,8 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 * @return true unless throwing
 	 */
 	function transferAndCall(address to, uint256 value) public override returns (bool) {
-		// delegate to `transferFromAndCall` passing `msg.sender` as `from`
-		return transferFromAndCall(msg.sender, to, value);
+		// delegate to `transferFromAndCall` passing the sender as `from`
+		return transferFromAndCall(_msgSender(), to, value);
 	}
 
 	/**
@@ -669,8 +1308,8 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 * @return true unless throwing
 	 */
 	function transferAndCall(address to, uint256 value, bytes memory data) public override returns (bool) {
-		// delegate to `transferFromAndCall` passing `msg.sender` as `from`
-		return transferFromAndCall(msg.sender, to, value, data);
+		// delegate to `transferFromAndCall` passing the sender as `from`
+		return transferFromAndCall(_msgSender(), to, value, data);
 	}
 
 	/**
@@ -784,6 +1423,9 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 * @return true unless throwing
 	 */
 	function approveAndCall(address spender, uint256 value, bytes memory data) public override returns (bool) {
+		// ensure the token is not paused
+		__requireNotPaused();
+
 		// ensure ERC-1363 approvals are enabled
 		require(_isFeatureEnabled(FEATURE_ERC1363_APPROVALS), "ERC1363 approvals are disabled");
 
@@ -823,7 +1465,7 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		}
 
 		// otherwise - if `to` is a contract - execute onTransferReceived
-		bytes4 response = ERC1363Receiver(to).onTransferReceived(msg.sender, from, value, data);
+		bytes4 response = ERC1363Receiver(to).onTransferReceived(_msgSender(), from, value, data);
 
 		// expected response is ERC1363Receiver(_to).onTransferReceived.selector
 		// bytes4(keccak256("onTransferReceived(address,address,uint256,bytes)"))
@@ -846,7 +1488,7 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		require(spender.code.length > 0, "EOA spender"); // AddressUtils.isContract(_spender)
 
 		// otherwise - if `to` is a contract - execute onApprovalReceived
-		bytes4 response = ERC1363Spender(spender).onApprovalReceived(msg.sender, value, data);
+		bytes4 response = ERC1363Spender(spender).onApprovalReceived(_msgSender(), value, data);
 
 		// expected response is ERC1363Spender(_to).onApprovalReceived.selector
 		// bytes4(keccak256("onApprovalReceived(address,uint256,bytes)"))
@@ -893,7 +1535,7 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	function transfer(address to, uint256 value) public override returns (bool success) {
 		// just delegate call to `transferFrom`,
 		// `FEATURE_TRANSFERS` is verified inside it
-		return transferFrom(msg.sender, to, value);
+		return transferFrom(_msgSender(), to, value);
 	}
 
 	/**
@@ -929,7 +1571,7 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		// or sender has `ROLE_ERC20_SENDER` permission
 		if(_isFeatureEnabled(FEATURE_UNSAFE_TRANSFERS)
 			|| _isOperatorInRole(to, ROLE_ERC20_RECEIVER)
-			|| _isSenderInRole(ROLE_ERC20_SENDER)) {
+			|| _isOperatorInRole(_msgSender(), ROLE_ERC20_SENDER)) {
 			// we execute unsafe transfer - delegate call to `unsafeTransferFrom`,
 			// `FEATURE_TRANSFERS` is verified inside it
 			unsafeTransferFrom(from, to, value);
@@ -1014,7 +1656,7 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 */
 	function unsafeTransferFrom(address from, address to, uint256 value) public {
 		// make an internal transferFrom - delegate to `__transferFrom`
-		__transferFrom(msg.sender, from, to, value);
+		__transferFrom(_msgSender(), from, to, value);
 	}
 
 	/**
@@ -1032,37 +1674,29 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 *      value is allowed
 	 */
 	function __transferFrom(address by, address from, address to, uint256 value) private {
+		// ensure the token is not paused
+		__requireNotPaused();
+
 		// if `from` is equal to sender, require transfers feature to be enabled
 		// otherwise require transfers on behalf feature to be enabled
 		require(from == by && _isFeatureEnabled(FEATURE_TRANSFERS)
 		     || from != by && _isFeatureEnabled(FEATURE_TRANSFERS_ON_BEHALF),
 		        from == by ? "transfers are disabled": "transfers on behalf are disabled");
 
-		// non-zero source address check - Zeppelin
-		// obviously, zero source address is a client mistake
-		// it's not part of ERC20 standard but it's reasonable to fail fast
-		// since for zero value transfer transaction succeeds otherwise
-		require(from != address(0), "transfer from the zero address");
+		// compliance checks: the operator must not be blocked,
+		// the sender and the receiver must not be blocked and must be allowlisted in the allowlist-only mode
+		__requireNotBlocked(by);
+		__requireCompliant(from);
+		__requireCompliant(to);
 
-		// non-zero recipient address check
-		require(to != address(0), "transfer to the zero address");
-
-		// according to the Ethereum ERC20 token standard, it is possible to transfer
-		// tokens to oneself using the transfer or transferFrom functions.
-		// In both cases, the transfer will succeed as long as the sender has a sufficient balance of tokens.
-		// require(_from != _to, "sender and recipient are the same (_from = _to)");
-
-		// sending tokens to the token smart contract itself is a client mistake
-		require(to != address(this), "invalid recipient (transfer to the token smart contract itself)");
+		// verify the source and the recipient addresses
+		__requireValidTransfer(from, to);
 
 		// according to ERC-20 Token Standard, https://eips.ethereum.org/EIPS/eip-20
 		// "Transfers of 0 values MUST be treated as normal transfers and fire the Transfer event."
 		if(value == 0) {
-			// emit an improved transfer event (arXiv:1907.00903)
-			emit Transfer(by, from, to, value);
-
-			// emit an ERC20 transfer event
-			emit Transfer(from, to, value);
+			// emit the improved and ERC20 transfer events
+			__emitTransfer(by, from, to, value);
 
 			// don't forget to return - we're done
 			return;
@@ -1084,18 +1718,57 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 				// update allowance value on the stack
 				_allowance -= value;
 
-				// update the allowance value in storage
-				transferAllowances[from][by] = _allowance;
+				// update the allowance value in storage
+				transferAllowances[from][by] = _allowance;
+
+				// emit the improved and ERC20 approval events to reflect the decrease
+				__emitApproval(from, by, _allowance + value, _allowance);
+			}
+		}
+
+		// move the tokens and the voting power, emit the transfer events
+		__moveTokens(by, from, to, value);
+	}
+
+	/**
+	 * @dev Auxiliary function to verify the transfer source and recipient addresses,
+	 *      used by `__transferFrom` and `forceTransfer`
+	 *
+	 * @param from token sender
+	 * @param to token receiver
+	 */
+	function __requireValidTransfer(address from, address to) private view {
+		// non-zero source address check - Zeppelin
+		// obviously, zero source address is a client mistake
+		// it's not part of ERC20 standard but it's reasonable to fail fast
+		// since for zero value transfer transaction succeeds otherwise
+		require(from != address(0), "transfer from the zero address");
+
+		// non-zero recipient address check
+		require(to != address(0), "transfer to the zero address");
 
-				// emit an improved atomic approve event
-				emit Approval(from, by, _allowance + value, _allowance);
+		// according to the Ethereum ERC20 token standard, it is possible to transfer
+		// tokens to oneself using the transfer or transferFrom functions.
+		// In both cases, the transfer will succeed as long as the sender has a sufficient balance of tokens.
+		// require(_from != _to, "sender and recipient are the same (_from = _to)");
 
-				// emit an ERC20 approval event to reflect the decrease
-				emit Approval(from, by, _allowance);
-			}
-		}
+		// sending tokens to the token smart contract itself is a client mistake
+		require(to != address(this), "invalid recipient (transfer to the token smart contract itself)");
+	}
 
-		// verify sender has enough tokens to transfer on behalf
+	/**
+	 * @dev Auxiliary function to move the tokens and the voting power associated with them,
+	 *      used by `__transferFrom` and `forceTransfer` once all the checks are done
+	 *
+	 * @dev Emits the improved and the ERC20 `Transfer` events
+	 *
+	 * @param by an address executing the transfer
+	 * @param from token sender
+	 * @param to token receiver
+	 * @param value amount of tokens to be transferred
+	 */
+	function __moveTokens(address by, address from, address to, uint256 value) private {
+		// verify sender has enough tokens to transfer
 		require(tokenBalances[from] >= value, "transfer amount exceeds balance");
 
 		// perform the transfer:
@@ -1108,6 +1781,20 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		// move voting power associated with the tokens transferred
 		__moveVotingPower(by, votingDelegates[from], votingDelegates[to], value);
 
+		// emit the improved and ERC20 transfer events
+		__emitTransfer(by, from, to, value);
+	}
+
+	/**
+	 * @dev Auxiliary function to emit an improved transfer event (arXiv:1907.00903)
+	 *      together with an ERC20 transfer event
+	 *
+	 * @param by an address which performed the transfer, mint, or burn
+	 * @param from token sender, zero address for mint
+	 * @param to token receiver, zero address for burn
+	 * @param value amount of tokens transferred
+	 */
+	function __emitTransfer(address by, address from, address to, uint256 value) private {
 		// emit an improved transfer event (arXiv:1907.00903)
 		emit Transfer(by, from, to, value);
 
@@ -1131,7 +1818,7 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 */
 	function approve(address spender, uint256 value) public override returns (bool success) {
 		// make an internal approve - delegate to `__approve`
-		__approve(msg.sender, spender, value);
+		__approve(_msgSender(), spender, value);
 
 		// operation successful, return true
 		return true;
@@ -1144,7 +1831,7 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 *      of tokens on behalf of the `owner`
 	 *
 	 * @dev `owner` must not necessarily own any tokens to grant the permission
-	 * @dev Throws if `spender` is a zero address
+	 * @dev Throws if `spender` is a zero address, or if `owner` or `spender` is blocklisted
 	 *
 	 * @param owner owner of the tokens to set approval on behalf of
 	 * @param spender an address approved by the token owner
@@ -1158,12 +1845,30 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		// it's not part of ERC20 standard but it's reasonable to fail fast
 		require(spender != address(0), "approve to the zero address");
 
+		// compliance checks: neither the owner nor the spender must be blocked
+		__requireNotBlocked(owner);
+		__requireNotBlocked(spender);
+
 		// read old approval value to emmit an improved event (arXiv:1907.00903)
 		uint256 oldValue = transferAllowances[owner][spender];
 
 		// perform an operation: write value requested into the storage
 		transferAllowances[owner][spender] = value;
 
+		// emit the improved and ERC20 approval events
+		__emitApproval(owner, spender, oldValue, value);
+	}
+
+	/**
+	 * @dev Auxiliary function to emit an improved approval event (arXiv:1907.00903)
+	 *      together with an ERC20 approval event
+	 *
+	 * @param owner an address which granted a permission to transfer tokens on its behalf
+	 * @param spender an address which received a permission to transfer tokens on behalf of the owner
+	 * @param oldValue previously granted amount of tokens to transfer on behalf
+	 * @param value new granted amount of tokens to transfer on behalf
+	 */
+	function __emitApproval(address owner, address spender, uint256 oldValue, uint256 value) private {
 		// emit an improved atomic approve event (arXiv:1907.00903)
 		emit Approval(owner, spender, oldValue, value);
 
@@ -1207,7 +1912,7 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 */
 	function increaseAllowance(address spender, uint256 value) public returns (bool) {
 		// read current allowance value
-		uint256 currentVal = transferAllowances[msg.sender][spender];
+		uint256 currentVal = transferAllowances[_msgSender()][spender];
 
 		// non-zero value and arithmetic overflow check on the allowance
 		unchecked {
@@ -1233,7 +1938,7 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 */
 	function decreaseAllowance(address spender, uint256 value) public returns (bool) {
 		// read current allowance value
-		uint256 currentVal = transferAllowances[msg.sender][spender];
+		uint256 currentVal = transferAllowances[_msgSender()][spender];
 
 		// non-zero value check on the allowance
 		require(value > 0, "zero value approval decrease");
@@ -1257,6 +1962,7 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 * @dev Requires executor to have `ROLE_TOKEN_CREATOR` permission
 	 *
 	 * @dev Throws on overflow, if totalSupply + value doesn't fit into uint192
+	 * @dev Throws if totalSupply + value exceeds the maximum total supply, see `maxSupply()`
 	 *
 	 * @param to the destination address to mint tokens to
 	 * @param value an amount of tokens to mint (create)
@@ -1264,7 +1970,7 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 */
 	function mint(address to, uint256 value) public override virtual returns(bool success) {
 		// check if caller has sufficient permissions to mint tokens
-		require(_isSenderInRole(ROLE_TOKEN_CREATOR), "access denied");
+		__requireSenderInRole(ROLE_TOKEN_CREATOR);
 
 		// delegate call to unsafe `__mint`
 		__mint(to, value);
@@ -1273,6 +1979,48 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		return true;
 	}
 
+	/**
+	 * @notice Maximum total supply of the token (supply cap), minting cannot exceed it
+	 *
+	 * @dev If the cap is not set, returns the maximum total supply the token is able to track (2^192 - 1)
+	 *
+	 * @return maximum total supply of the token
+	 */
+	function maxSupply() public view returns(uint256) {
+		// zero supply cap means there is no cap other than uint192 limit
+		return supplyCap == 0? type(uint192).max: supplyCap;
+	}
+
+	/**
+	 * @notice Lowers the maximum total supply of the token (supply cap);
+	 *      the cap can only be lowered, it can never be increased
+	 *
+	 * @dev Requires executor to have `ROLE_TOKEN_CREATOR` permission
+	 *
+	 * @dev Throws if the new cap is not lower than the current one, or is lower than the current total supply
+	 *
+	 * @param _maxSupply new maximum total supply value to set, non-zero
+	 */
+	function lowerMaxSupply(uint256 _maxSupply) public virtual {
+		// check if caller has sufficient permissions to lower the supply cap
+		__requireSenderInRole(ROLE_TOKEN_CREATOR);
+
+		// read the current cap
+		uint256 currentVal = maxSupply();
+
+		// verify the new cap is non-zero (zero means no cap), and is lower than the current one
+		require(_maxSupply != 0, "zero max supply");
+		require(_maxSupply < currentVal, "max supply can only be lowered");
+		// verify the new cap doesn't invalidate the tokens already minted
+		require(_maxSupply >= totalSupply, "max supply is below total supply");
+
+		// emit an event
+		emit MaxSupplyChanged(_msgSender(), currentVal, _maxSupply);
+
+		// update the cap
+		supplyCap = _maxSupply;
+	}
+
 	/**
 	 * @dev Mints (creates) some tokens and then executes `onTransferReceived` callback on the receiver,
 	 *      passing zero address as the token source address `from`
@@ -1362,9 +2110,15 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 * @param value an amount of tokens to mint (create)
 	 */
 	function __mint(address to, uint256 value) private {
+		// ensure the token is not paused
+		__requireNotPaused();
+
 		// non-zero recipient address check
 		require(to != address(0), "zero address");
 
+		// compliance check: the receiver must not be blocked and must be allowlisted in the allowlist-only mode
+		__requireCompliant(to);
+
 		// non-zero value and arithmetic overflow check on the total supply
 		// this check automatically secures arithmetic overflow on the individual balance
 		unchecked {
@@ -1375,6 +2129,9 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		// uint192 overflow check (required by voting delegation)
 		require(totalSupply + value <= type(uint192).max, "total supply overflow (uint192)");
 
+		// supply cap check
+		require(totalSupply + value <= maxSupply(), "max supply exceeded");
+
 		// perform mint:
 		// increase total amount of tokens value
 		totalSupply += value;
@@ -1385,17 +2142,17 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		// update total token supply history
 		__updateHistory(totalSupplyHistory, true, value);
 
+		// resolve the transaction sender, taking ERC-2771 meta-transactions into account
+		address by = _msgSender();
+
 		// create voting power associated with the tokens minted
-		__moveVotingPower(msg.sender, address(0), votingDelegates[to], value);
+		__moveVotingPower(by, address(0), votingDelegates[to], value);
 
 		// fire a minted event
-		emit Minted(msg.sender, to, value);
+		emit Minted(by, to, value);
 
-		// emit an improved transfer event (arXiv:1907.00903)
-		emit Transfer(msg.sender, address(0), to, value);
-
-		// fire ERC20 compliant transfer event
-		emit Transfer(address(0), to, value);
+		// emit the improved and ERC20 transfer events
+		__emitTransfer(by, address(0), to, value);
 	}
 
 	/**
@@ -1416,19 +2173,25 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 * @return success true on success, throws otherwise
 	 */
 	function burn(address from, uint256 value) public override virtual returns(bool success) {
+		// resolve the transaction sender, taking ERC-2771 meta-transactions into account
+		address by = _msgSender();
+
+		// ensure the token is not paused
+		__requireNotPaused();
+
 		// check if caller has sufficient permissions to burn tokens
 		// and if not - check for possibility to burn own tokens or to burn on behalf
-		if(!_isSenderInRole(ROLE_TOKEN_DESTROYER)) {
+		if(!_isOperatorInRole(by, ROLE_TOKEN_DESTROYER)) {
 			// if `from` is equal to sender, require own burns feature to be enabled
 			// otherwise require burns on behalf feature to be enabled
-			require(from == msg.sender && _isFeatureEnabled(FEATURE_OWN_BURNS)
-			     || from != msg.sender && _isFeatureEnabled(FEATURE_BURNS_ON_BEHALF),
-			        from == msg.sender? "burns are disabled": "burns on behalf are disabled");
+			require(from == by && _isFeatureEnabled(FEATURE_OWN_BURNS)
+			     || from != by && _isFeatureEnabled(FEATURE_BURNS_ON_BEHALF),
+			        from == by? "burns are disabled": "burns on behalf are disabled");
 
 			// in case of burn on behalf
-			if(from != msg.sender) {
+			if(from != by) {
 				// read allowance value - the amount of tokens allowed to be burnt - into the stack
-				uint256 _allowance = transferAllowances[from][msg.sender];
+				uint256 _allowance = transferAllowances[from][by];
 
 				// verify sender has an allowance to burn amount of tokens requested
 				require(_allowance >= value, "burn amount exceeds allowance");
@@ -1440,13 +2203,13 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 					_allowance -= value;
 
 					// update the allowance value in storage
-					transferAllowances[from][msg.sender] = _allowance;
+					transferAllowances[from][by] = _allowance;
 
 					// emit an improved atomic approve event (arXiv:1907.00903)
-					emit Approval(msg.sender, from, _allowance + value, _allowance);
+					emit Approval(by, from, _allowance + value, _allowance);
 
 					// emit an ERC20 approval event to reflect the decrease
-					emit Approval(from, msg.sender, _allowance);
+					emit Approval(from, by, _allowance);
 				}
 			}
 		}
@@ -1476,16 +2239,13 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		__updateHistory(totalSupplyHistory, false, value);
 
 		// destroy voting power associated with the tokens burnt
-		__moveVotingPower(msg.sender, votingDelegates[from], address(0), value);
+		__moveVotingPower(by, votingDelegates[from], address(0), value);
 
 		// fire a burnt event
-		emit Burnt(msg.sender, from, value);
+		emit Burnt(by, from, value);
 
-		// emit an improved transfer event (arXiv:1907.00903)
-		emit Transfer(msg.sender, from, address(0), value);
-
-		// fire ERC20 compliant transfer event
-		emit Transfer(from, address(0), value);
+		// emit the improved and ERC20 transfer events
+		__emitTransfer(by, from, address(0), value);
 
 		// always return true
 		return true;
@@ -1533,16 +2293,36 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 * @param s half of the ECDSA signature pair
 	 */
 	function permit(address owner, address spender, uint256 value, uint256 exp, uint8 v, bytes32 r, bytes32 s) public override {
+		// pack the signature and delegate call to the `bytes signature` overload
+		permit(owner, spender, value, exp, __packSignature(v, r, s));
+	}
+
+	/**
+	 * @notice EIP-2612 permit accepting the signature as bytes; supports smart contract
+	 *      wallets (like Safe multisig) as the token owners, see `__requireValidSignature`
+	 *
+	 * @dev See `permit(address,address,uint256,uint256,uint8,bytes32,bytes32)` soldoc for details
+	 *
+	 * @param owner owner of the tokens to set approval on behalf of,
+	 *      an address which signed the EIP-712 message (EOA or ERC-1271 smart contract)
+	 * @param spender an address approved by the token owner
+	 *      to spend some tokens on its behalf
+	 * @param value an amount of tokens spender `spender` is allowed to
+	 *      transfer on behalf of the token owner
+	 * @param exp signature expiration time (unix timestamp)
+	 * @param signature 65 bytes long ECDSA signature `r ‖ s ‖ v` if owner is an EOA,
+	 *      arbitrary signature accepted by the owner's `isValidSignature` otherwise
+	 */
+	function permit(address owner, address spender, uint256 value, uint256 exp, bytes memory signature) public {
 		// verify permits are enabled
 		require(_isFeatureEnabled(FEATURE_EIP2612_PERMITS), "EIP2612 permits are disabled");
 
-		// derive signer of the EIP712 Permit message, and
+		// verify the owner signed the EIP712 Permit message, and
 		// update the nonce for that particular signer to avoid replay attack!!! --------->>> ↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓↓
-		address signer = __deriveSigner(abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonces[owner]++, exp), v, r, s);
+		__requireValidSignature(owner, abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonces[owner]++, exp), signature);
 
-		// perform message integrity and security validations
-		require(signer == owner, "invalid signature");
-		require(block.timestamp < exp, "signature expired");
+		// perform message security validations
+		__requireNotExpired(exp);
 
 		// delegate call to `__approve` - execute the logic required
 		__approve(owner, spender, value);
@@ -1597,22 +2377,49 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		bytes32 r,
 		bytes32 s
 	) public override {
+		// pack the signature and delegate call to the `bytes signature` overload
+		transferWithAuthorization(from, to, value, validAfter, validBefore, nonce, __packSignature(v, r, s));
+	}
+
+	/**
+	 * @notice Execute a transfer with a signed authorization; accepts the signature as bytes,
+	 *      supports smart contract wallets (like Safe multisig) as the authorizers, see `__requireValidSignature`
+	 *
+	 * @param from token sender and transaction authorizer (EOA or ERC-1271 smart contract)
+	 * @param to token receiver
+	 * @param value amount to be transferred
+	 * @param validAfter signature valid after time (unix timestamp)
+	 * @param validBefore signature valid before time (unix timestamp)
+	 * @param nonce unique random nonce
+	 * @param signature 65 bytes long ECDSA signature `r ‖ s ‖ v` if authorizer is an EOA,
+	 *      arbitrary signature accepted by the authorizer's `isValidSignature` otherwise
+	 */
+	function transferWithAuthorization(
+		address from,
+		address to,
+		uint256 value,
+		uint256 validAfter,
+		uint256 validBefore,
+		bytes32 nonce,
+		bytes memory signature
+	) public {
 		// ensure EIP-3009 transfers are enabled
 		require(_isFeatureEnabled(FEATURE_EIP3009_TRANSFERS), "EIP3009 transfers are disabled");
 
-		// derive signer of the EIP712 TransferWithAuthorization message
-		address signer = __deriveSigner(abi.encode(TRANSFER_WITH_AUTHORIZATION_TYPEHASH, from, to, value, validAfter, validBefore, nonce), v, r, s);
+		// verify the authorizer signed the EIP712 TransferWithAuthorization message
+		__requireValidSignature(from, abi.encode(TRANSFER_WITH_AUTHORIZATION_TYPEHASH, from, to, value, validAfter, validBefore, nonce), signature);
 
-		// perform message integrity and security validations
-		require(signer == from, "invalid signature");
-		require(block.timestamp > validAfter, "signature not yet valid");
-		require(block.timestamp < validBefore, "signature expired");
+		// perform message security validations
+		__requireValidWindow(validAfter, validBefore);
+
+		// ensure the relayer submitting the authorization is not blocked
+		__requireNotBlocked(_msgSender());
 
 		// use the nonce supplied (verify, mark as used, emit event)
 		__useNonce(from, nonce, false);
 
 		// delegate call to `__transferFrom` - execute the logic required
-		__transferFrom(signer, from, to, value);
+		__transferFrom(from, from, to, value);
 	}
 
 	/**
@@ -1644,23 +2451,50 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		bytes32 r,
 		bytes32 s
 	) public override {
+		// pack the signature and delegate call to the `bytes signature` overload
+		receiveWithAuthorization(from, to, value, validAfter, validBefore, nonce, __packSignature(v, r, s));
+	}
+
+	/**
+	 * @notice Receive a transfer with a signed authorization from the payer; accepts the signature as bytes,
+	 *      supports smart contract wallets (like Safe multisig) as the payers, see `__requireValidSignature`
+	 *
+	 * @dev This has an additional check to ensure that the payee's address
+	 *      matches the caller of this function to prevent front-running attacks.
+	 *
+	 * @param from token sender and transaction authorizer (EOA or ERC-1271 smart contract)
+	 * @param to token receiver
+	 * @param value amount to be transferred
+	 * @param validAfter signature valid after time (unix timestamp)
+	 * @param validBefore signature valid before time (unix timestamp)
+	 * @param nonce unique random nonce
+	 * @param signature 65 bytes long ECDSA signature `r ‖ s ‖ v` if authorizer is an EOA,
+	 *      arbitrary signature accepted by the authorizer's `isValidSignature` otherwise
+	 */
+	function receiveWithAuthorization(
+		address from,
+		address to,
+		uint256 value,
+		uint256 validAfter,
+		uint256 validBefore,
+		bytes32 nonce,
+		bytes memory signature
+	) public {
 		// verify EIP3009 receptions are enabled
 		require(_isFeatureEnabled(FEATURE_EIP3009_RECEPTIONS), "EIP3009 receptions are disabled");
 
-		// derive signer of the EIP712 ReceiveWithAuthorization message
-		address signer = __deriveSigner(abi.encode(RECEIVE_WITH_AUTHORIZATION_TYPEHASH, from, to, value, validAfter, validBefore, nonce), v, r, s);
+		// verify the authorizer signed the EIP712 ReceiveWithAuthorization message
+		__requireValidSignature(from, abi.encode(RECEIVE_WITH_AUTHORIZATION_TYPEHASH, from, to, value, validAfter, validBefore, nonce), signature);
 
-		// perform message integrity and security validations
-		require(signer == from, "invalid signature");
-		require(block.timestamp > validAfter, "signature not yet valid");
-		require(block.timestamp < validBefore, "signature expired");
-		require(to == msg.sender, "access denied");
+		// perform message security validations
+		__requireValidWindow(validAfter, validBefore);
+		require(to == _msgSender(), "access denied");
 
 		// use the nonce supplied (verify, mark as used, emit event)
 		__useNonce(from, nonce, false);
 
 		// delegate call to `__transferFrom` - execute the logic required
-		__transferFrom(signer, from, to, value);
+		__transferFrom(from, from, to, value);
 	}
 
 	/**
@@ -1681,11 +2515,22 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		bytes32 r,
 		bytes32 s
 	) public override {
-		// derive signer of the EIP712 ReceiveWithAuthorization message
-		address signer = __deriveSigner(abi.encode(CANCEL_AUTHORIZATION_TYPEHASH, authorizer, nonce), v, r, s);
+		// pack the signature and delegate call to the `bytes signature` overload
+		cancelAuthorization(authorizer, nonce, __packSignature(v, r, s));
+	}
 
-		// perform message integrity and security validations
-		require(signer == authorizer, "invalid signature");
+	/**
+	 * @notice Attempt to cancel an authorization; accepts the signature as bytes,
+	 *      supports smart contract wallets (like Safe multisig) as the authorizers, see `__requireValidSignature`
+	 *
+	 * @param authorizer transaction authorizer (EOA or ERC-1271 smart contract)
+	 * @param nonce unique random nonce to cancel (mark as used)
+	 * @param signature 65 bytes long ECDSA signature `r ‖ s ‖ v` if authorizer is an EOA,
+	 *      arbitrary signature accepted by the authorizer's `isValidSignature` otherwise
+	 */
+	function cancelAuthorization(address authorizer, bytes32 nonce, bytes memory signature) public {
+		// verify the authorizer signed the EIP712 CancelAuthorization message
+		__requireValidSignature(authorizer, abi.encode(CANCEL_AUTHORIZATION_TYPEHASH, authorizer, nonce), signature);
 
 		// cancel the nonce supplied (verify, mark as used, emit event)
 		__useNonce(authorizer, nonce, true);
@@ -1703,11 +2548,8 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 * @return recovered non-zero signer address, unless throwing
 	 */
 	function __deriveSigner(bytes memory abiEncodedTypehash, uint8 v, bytes32 r, bytes32 s) private view returns(address) {
-		// build the EIP-712 hashStruct of the message
-		bytes32 hashStruct = keccak256(abiEncodedTypehash);
-
-		// calculate the EIP-712 digest "\x19\x01" ‖ domainSeparator ‖ hashStruct(message)
-		bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), hashStruct));
+		// build the EIP-712 digest of the message
+		bytes32 digest = __hashTypedData(abiEncodedTypehash);
 
 		// recover the address which signed the message with v, r, s
 		address signer = ECDSA.recover(digest, v, r, s);
@@ -1719,6 +2561,95 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		return signer;
 	}
 
+	/**
+	 * @dev Auxiliary function to verify structured EIP712 message is signed by the signer specified,
+	 *      throws with "invalid signature" if it is not
+	 *
+	 * @dev If the signer is a smart contract (smart contract wallet like Safe multisig),
+	 *      the signature is validated by calling its ERC-1271 `isValidSignature` function,
+	 *      otherwise the signer is recovered from the 65 bytes long ECDSA signature `r ‖ s ‖ v`
+	 *      (the same way USDC v2.2 does)
+	 *
+	 * @param signer an address expected to sign the message, EOA or ERC-1271 smart contract
+	 * @param abiEncodedTypehash abi.encode of the message typehash together with all its parameters
+	 * @param signature the signature to verify
+	 */
+	function __requireValidSignature(address signer, bytes memory abiEncodedTypehash, bytes memory signature) private view {
+		// build the EIP-712 digest of the message
+		bytes32 digest = __hashTypedData(abiEncodedTypehash);
+
+		// if the signer is a smart contract
+		if(signer.code.length > 0) {
+			// delegate the signature validation to the signer; failed call (including the call
+			// to the contract not supporting ERC-1271) is treated as an invalid signature
+			(bool success, bytes memory result) = signer.staticcall(
+				abi.encodeWithSelector(ERC1271.isValidSignature.selector, digest, signature)
+			);
+
+			// the signature is valid only if the magic value (`isValidSignature` selector) is returned
+			require(
+				success && result.length >= 32 && abi.decode(result, (bytes32)) == bytes32(ERC1271.isValidSignature.selector),
+				"invalid signature"
+			);
+		}
+		// otherwise, if the signer is an EOA
+		else {
+			// recover the address which signed the message and compare it with the signer expected;
+			// zero address is rejected inside `ECDSA.recover`
+			require(ECDSA.recover(digest, signature) == signer, "invalid signature");
+		}
+	}
+
+	/**
+	 * @dev Auxiliary function to pack the ECDSA signature pair and the recovery byte into
+	 *      65 bytes long signature `r ‖ s ‖ v`, accepted by `__requireValidSignature`
+	 *
+	 * @param v the recovery byte of the signature
+	 * @param r half of the ECDSA signature pair
+	 * @param s half of the ECDSA signature pair
+	 * @return 65 bytes long signature `r ‖ s ‖ v`
+	 */
+	function __packSignature(uint8 v, bytes32 r, bytes32 s) private pure returns(bytes memory) {
+		// pack the signature the same way wallets do
+		return abi.encodePacked(r, s, v);
+	}
+
+	/**
+	 * @dev Auxiliary function to build the EIP712 digest of the structured message
+	 *
+	 * @param abiEncodedTypehash abi.encode of the message typehash together with all its parameters
+	 * @return EIP-712 digest "\x19\x01" ‖ domainSeparator ‖ hashStruct(message)
+	 */
+	function __hashTypedData(bytes memory abiEncodedTypehash) private view returns(bytes32) {
+		// build the EIP-712 hashStruct of the message, and
+		// calculate the EIP-712 digest "\x19\x01" ‖ domainSeparator ‖ hashStruct(message)
+		return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), keccak256(abiEncodedTypehash)));
+	}
+
+	/**
+	 * @dev Auxiliary function to verify the EIP-3009 authorization validity time window
+	 *
+	 * @param validAfter signature valid after time (unix timestamp)
+	 * @param validBefore signature valid before time (unix timestamp)
+	 */
+	function __requireValidWindow(uint256 validAfter, uint256 validBefore) private view {
+		// verify the signature is already valid
+		require(block.timestamp > validAfter, "signature not yet valid");
+
+		// verify the signature is not yet expired
+		__requireNotExpired(validBefore);
+	}
+
+	/**
+	 * @dev Auxiliary function to verify the signature (authorization) is not yet expired
+	 *
+	 * @param exp signature expiration time (unix timestamp)
+	 */
+	function __requireNotExpired(uint256 exp) private view {
+		// verify the signature is not yet expired
+		require(block.timestamp < exp, "signature expired"); // Compound msg
+	}
+
 	/**
 	 * @dev Auxiliary function to use/cancel the nonce supplied for a given authorizer:
 	 *      1. Verifies the nonce was not used before
@@ -1757,6 +2688,27 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 
 	// ===== Start: DAO Support (Compound-like voting delegation) =====
 
+	/**
+	 * @notice ERC-6372 clock: the current timepoint used to key the voting power
+	 *      and total supply history, see https://eips.ethereum.org/EIPS/eip-6372
+	 *
+	 * @return current block timestamp in the timestamp clock mode, current block number otherwise
+	 */
+	function clock() public view override returns(uint48) {
+		// the mode is set once on deployment, see `postConstruct`
+		return uint48(timestampClock? block.timestamp: block.number);
+	}
+
+	/**
+	 * @notice ERC-6372 clock mode: machine-readable description of the `clock()`
+	 *
+	 * @return "mode=timestamp" in the timestamp clock mode, "mode=blocknumber&from=default" otherwise
+	 */
+	function CLOCK_MODE() public view override returns(string memory) {
+		// the mode is set once on deployment, see `postConstruct`
+		return timestampClock? "mode=timestamp": "mode=blocknumber&from=default";
+	}
+
 	/**
 	 * @notice Gets current voting power of the account `holder`
 	 *
@@ -1773,25 +2725,22 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	}
 
 	/**
-	 * @notice Gets past voting power of the account `holder` at some block `blockNum`
+	 * @notice Gets past voting power of the account `holder` at some timepoint `timepoint`
 	 *
-	 * @dev Throws if `blockNum` is not in the past (not the finalized block)
+	 * @dev Throws if `timepoint` is not in the past (not the finalized block)
 	 *
 	 * @param holder the address of account to get voting power of
-	 * @param blockNum block number to get the voting power at
+	 * @param timepoint block number or timestamp (see `clock()`) to get the voting power at
 	 * @return past cumulative voting power of the account,
-	 *      sum of token balances of all its voting delegators at block number `blockNum`
+	 *      sum of token balances of all its voting delegators at `timepoint`
 	 */
-	function votingPowerAt(address holder, uint256 blockNum) public view returns (uint256) {
-		// make sure block number is in the past (the finalized block)
-		require(blockNum < block.number, "block not yet mined"); // Compound msg not yet determined
-
-		// `votingPowerHistory[holder]` is an array ordered by `blockNumber`, ascending;
+	function votingPowerAt(address holder, uint256 timepoint) public view returns (uint256) {
+		// `votingPowerHistory[holder]` is an array ordered by `k`, ascending;
 		// apply binary search on `votingPowerHistory[_of]` to find such an entry number `i`, that
-		// `votingPowerHistory[holder][i].k ≤ blockNum`, but in the same time
-		// `votingPowerHistory[holder][i + 1].k > blockNum`
+		// `votingPowerHistory[holder][i].k ≤ timepoint`, but in the same time
+		// `votingPowerHistory[holder][i + 1].k > timepoint`
 		// return the result - voting power found at index `i`
-		return __binaryLookup(votingPowerHistory[holder], blockNum);
+		return __binaryLookup(votingPowerHistory[holder], timepoint);
 	}
 
 	/**
@@ -1818,30 +2767,27 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	}
 
 	/**
-	 * @notice Gets past total token supply value at some block `blockNum`
+	 * @notice Gets past total token supply value at some timepoint `timepoint`
 	 *
-	 * @dev Throws if `blockNum` is not in the past (not the finalized block)
+	 * @dev Throws if `timepoint` is not in the past (not the finalized block)
 	 *
-	 * @param blockNum block number to get the total token supply at
-	 * @return past total token supply at block number `blockNum`
+	 * @param timepoint block number or timestamp (see `clock()`) to get the total token supply at
+	 * @return past total token supply at `timepoint`
 	 */
-	function totalSupplyAt(uint256 blockNum) public view returns(uint256) {
-		// make sure block number is in the past (the finalized block)
-		require(blockNum < block.number, "block not yet mined");
-
+	function totalSupplyAt(uint256 timepoint) public view returns(uint256) {
 		// `totalSupplyHistory` is an array ordered by `k`, ascending;
 		// apply binary search on `totalSupplyHistory` to find such an entry number `i`, that
-		// `totalSupplyHistory[i].k ≤ blockNum`, but in the same time
-		// `totalSupplyHistory[i + 1].k > blockNum`
+		// `totalSupplyHistory[i].k ≤ timepoint`, but in the same time
+		// `totalSupplyHistory[i + 1].k > timepoint`
 		// return the result - value `totalSupplyHistory[i].v` found at index `i`
-		return __binaryLookup(totalSupplyHistory, blockNum);
+		return __binaryLookup(totalSupplyHistory, timepoint);
 	}
 
 	/**
 	 * @dev Reads an entire total token supply history array
 	 *
 	 * @return total token supply history array, a key-value pair array,
-	 *      where key is a block number and value is total token supply at that block
+	 *      where key is a timepoint (see `clock()`) and value is total token supply at that timepoint
 	 */
 	function entireSupplyHistory() public view returns(KV[] memory) {
 		// return an entire array as memory
@@ -1859,6 +2805,59 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		return totalSupplyHistory.length;
 	}
 
+	/**
+	 * @notice ERC-5805 `getVotes`: gets current voting power of the account `account`
+	 *
+	 * @dev Same as `votingPowerOf`
+	 *
+	 * @param account the address of account to get voting power of
+	 * @return current cumulative voting power of the account
+	 */
+	function getVotes(address account) public view override returns (uint256) {
+		// delegate call to `votingPowerOf`
+		return votingPowerOf(account);
+	}
+
+	/**
+	 * @notice ERC-5805 `getPastVotes`: gets past voting power of the account `account` at some timepoint `timepoint`
+	 *
+	 * @dev Same as `votingPowerAt`, throws if `timepoint` is not in the past
+	 *
+	 * @param account the address of account to get voting power of
+	 * @param timepoint block number or timestamp (see `clock()`) to get the voting power at
+	 * @return past cumulative voting power of the account at `timepoint`
+	 */
+	function getPastVotes(address account, uint256 timepoint) public view override returns (uint256) {
+		// delegate call to `votingPowerAt`
+		return votingPowerAt(account, timepoint);
+	}
+
+	/**
+	 * @notice ERC-5805 `getPastTotalSupply`: gets past total token supply value at some timepoint `timepoint`
+	 *
+	 * @dev Same as `totalSupplyAt`, throws if `timepoint` is not in the past
+	 *
+	 * @param timepoint block number or timestamp (see `clock()`) to get the total token supply at
+	 * @return past total token supply at `timepoint`
+	 */
+	function getPastTotalSupply(uint256 timepoint) public view override returns (uint256) {
+		// delegate call to `totalSupplyAt`
+		return totalSupplyAt(timepoint);
+	}
+
+	/**
+	 * @notice ERC-5805 `delegates`: gets the delegate of the account `account`
+	 *
+	 * @dev Same as `votingDelegates`
+	 *
+	 * @param account the address of account to get the delegate of
+	 * @return the delegate address, zero if the account didn't delegate its voting power
+	 */
+	function delegates(address account) public view override returns (address) {
+		// read the delegate from the mapping and return
+		return votingDelegates[account];
+	}
+
 	/**
 	 * @notice Delegates voting power of the delegator `msg.sender` to the delegate `to`
 	 *
@@ -1867,11 +2866,11 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 *
 	 * @param to address to delegate voting power to
 	 */
-	function delegate(address to) public {
+	function delegate(address to) public override {
 		// verify delegations are enabled
 		require(_isFeatureEnabled(FEATURE_DELEGATIONS), "delegations are disabled");
 		// delegate call to `__delegate`
-		__delegate(msg.sender, to);
+		__delegate(_msgSender(), to);
 	}
 
 	/**
@@ -1884,6 +2883,9 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 * @param to delegate who receives the voting power
 	 */
 	function __delegate(address from, address to) private {
+		// ensure the token is not paused
+		__requireNotPaused();
+
 		// read current delegate to be replaced by a new one
 		address fromDelegate = votingDelegates[from];
 
@@ -1918,18 +2920,93 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 * @param s half of the ECDSA signature pair
 	 */
 	function delegateWithAuthorization(address to, bytes32 nonce, uint256 exp, uint8 v, bytes32 r, bytes32 s) public {
-		// verify delegations on behalf are enabled
-		require(_isFeatureEnabled(FEATURE_DELEGATIONS_ON_BEHALF), "delegations on behalf are disabled");
+		// derive signer of the EIP712 Delegation message, and
+		// delegate call to `__delegateWithAuthorization` - execute the logic required
+		__delegateWithAuthorization(__deriveSigner(abi.encode(DELEGATION_TYPEHASH, to, nonce, exp), v, r, s), to, nonce, exp);
+	}
+
+	/**
+	 * @notice Delegates voting power of the delegator (represented by its signature) to the delegate `to`;
+	 *      accepts the signature as bytes, supports smart contract wallets (like Safe multisig)
+	 *      as the delegators, see `__requireValidSignature`
+	 *
+	 * @dev Since the signer cannot be derived from the ERC-1271 signature, the delegator
+	 *      is supplied explicitly, and is signed as part of the DelegationWithDelegator message,
+	 *      see `DELEGATION_WITH_DELEGATOR_TYPEHASH`
+	 *
+	 * @param delegator an address which signed the EIP-712 message (EOA or ERC-1271 smart contract),
+	 *      an address to delegate voting power of
+	 * @param to address to delegate voting power to
+	 * @param nonce nonce used to construct the signature, and used to validate it
+	 * @param exp signature expiration time
+	 * @param signature 65 bytes long ECDSA signature `r ‖ s ‖ v` if delegator is an EOA,
+	 *      arbitrary signature accepted by the delegator's `isValidSignature` otherwise
+	 */
+	function delegateWithAuthorization(address delegator, address to, bytes32 nonce, uint256 exp, bytes memory signature) public {
+		// verify the delegator signed the EIP712 DelegationWithDelegator message
+		__requireValidSignature(delegator, abi.encode(DELEGATION_WITH_DELEGATOR_TYPEHASH, delegator, to, nonce, exp), signature);
 
+		// delegate call to `__delegateWithAuthorization` - execute the logic required
+		__delegateWithAuthorization(delegator, to, nonce, exp);
+	}
+
+	/**
+	 * @notice ERC-5805 `delegateBySig`: delegates voting power of the delegator (represented by its signature)
+	 *      to the delegate `delegatee`
+	 *
+	 * @dev Unlike `delegateWithAuthorization`, uses sequential nonces (shared with EIP-2612 `permit`)
+	 *      and the OpenZeppelin IVotes Delegation message, see `DELEGATE_BY_SIG_TYPEHASH`
+	 *
+	 * @param delegatee address to delegate voting power to
+	 * @param nonce the signer's current nonce, see `nonces`;
+	 *      nonce is increased by one after successful signature validation and vote delegation
+	 * @param expiry signature expiration time
+	 * @param v the recovery byte of the signature
+	 * @param r half of the ECDSA signature pair
+	 * @param s half of the ECDSA signature pair
+	 */
+	function delegateBySig(address delegatee, uint256 nonce, uint256 expiry, uint8 v, bytes32 r, bytes32 s) public override {
 		// derive signer of the EIP712 Delegation message
-		address signer = __deriveSigner(abi.encode(DELEGATION_TYPEHASH, to, nonce, exp), v, r, s);
+		address signer = __deriveSigner(abi.encode(DELEGATE_BY_SIG_TYPEHASH, delegatee, nonce, expiry), v, r, s);
 
-		// perform message integrity and security validations
-		require(block.timestamp < exp, "signature expired"); // Compound msg
+		// use the sequential nonce supplied (verify and increment)
+		require(nonce == nonces[signer]++, "invalid nonce");
+
+		// delegate call to `__delegateOnBehalf` - execute the logic required
+		__delegateOnBehalf(signer, delegatee, expiry);
+	}
 
+	/**
+	 * @dev Powers `delegateWithAuthorization` overloads, executed after the signature is verified
+	 *
+	 * @param signer an address which signed the delegation, delegator
+	 * @param to address to delegate voting power to
+	 * @param nonce nonce used to construct the signature
+	 * @param exp signature expiration time
+	 */
+	function __delegateWithAuthorization(address signer, address to, bytes32 nonce, uint256 exp) private {
 		// use the nonce supplied (verify, mark as used, emit event)
 		__useNonce(signer, nonce, false);
 
+		// delegate call to `__delegateOnBehalf` - execute the logic required
+		__delegateOnBehalf(signer, to, exp);
+	}
+
+	/**
+	 * @dev Powers `delegateWithAuthorization` overloads and `delegateBySig`,
+	 *      executed after the signature is verified and the nonce is used
+	 *
+	 * @param signer an address which signed the delegation, delegator
+	 * @param to address to delegate voting power to
+	 * @param exp signature expiration time
+	 */
+	function __delegateOnBehalf(address signer, address to, uint256 exp) private {
+		// verify delegations on behalf are enabled
+		require(_isFeatureEnabled(FEATURE_DELEGATIONS_ON_BEHALF), "delegations on behalf are disabled");
+
+		// perform message security validations
+		__requireNotExpired(exp);
+
 		// delegate call to `__delegate` - execute the logic required
 		__delegate(signer, to);
 	}
@@ -1955,32 +3032,40 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 
 		// if source address is not zero - decrease its voting power
 		if(from != address(0)) {
-			// get a link to an array of voting power history records for an address specified
-			KV[] storage h = votingPowerHistory[from];
-
 			// update source voting power: decrease by `value`
-			(uint256 fromVal, uint256 toVal) = __updateHistory(h, false, value);
-
-			// emit an event
-			emit VotingPowerChanged(by, from, fromVal, toVal);
+			__updateVotingPower(by, from, false, value);
 		}
 
 		// if destination address is not zero - increase its voting power
 		if(to != address(0)) {
-			// get a link to an array of voting power history records for an address specified
-			KV[] storage h = votingPowerHistory[to];
-
 			// update destination voting power: increase by `value`
-			(uint256 fromVal, uint256 toVal) = __updateHistory(h, true, value);
-
-			// emit an event
-			emit VotingPowerChanged(by, to, fromVal, toVal);
+			__updateVotingPower(by, to, true, value);
 		}
 	}
 
+	/**
+	 * @dev Auxiliary function to increase or decrease voting power of the delegate `target` by `value`,
+	 *      appends the `votingPowerHistory` and emits the events
+	 *
+	 * @param by an address which executed delegate, mint, burn, or transfer operation
+	 *      which had led to delegate voting power change
+	 * @param target delegate to update voting power for
+	 * @param add an operation (add = true / subtract = false) to apply
+	 * @param value voting power to add/subtract
+	 */
+	function __updateVotingPower(address by, address target, bool add, uint256 value) private {
+		// update the voting power history of the delegate
+		(uint256 fromVal, uint256 toVal) = __updateHistory(votingPowerHistory[target], add, value);
+
+		// emit an event
+		emit VotingPowerChanged(by, target, fromVal, toVal);
+		// emit ERC-5805 event
+		emit DelegateVotesChanged(target, fromVal, toVal);
+	}
+
 	/**
 	 * @dev Auxiliary function to append key-value pair to an array,
-	 *      sets the key to the current block number and
+	 *      sets the key to the current timepoint (see `clock()`) and
 	 *      value as derived
 	 *
 	 * @param h array of key-value pairs to append to
@@ -1997,15 +3082,18 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 		// init the new value - result of the operation on the old value
 		toVal = add? fromVal + delta: fromVal - delta;
 
-		// if there is an existing voting power value stored for current block
-		if(h.length != 0 && h[h.length - 1].k == block.number) {
-			// update voting power which is already stored in the current block
+		// read the current timepoint: block number or timestamp
+		uint64 k = clock();
+
+		// if there is an existing voting power value stored for current timepoint
+		if(h.length != 0 && h[h.length - 1].k == k) {
+			// update voting power which is already stored in the current timepoint
 			h[h.length - 1].v = uint192(toVal);
 		}
-		// otherwise - if there is no value stored for current block
+		// otherwise - if there is no value stored for current timepoint
 		else {
-			// add new element into array representing the value for current block
-			h.push(KV(uint64(block.number), uint192(toVal)));
+			// add new element into array representing the value for current timepoint
+			h.push(KV(k, uint192(toVal)));
 		}
 	}
 
@@ -2022,12 +3110,18 @@ contract AdvancedERC20 is MintableERC1363, MintableBurnableERC20, EIP2612, EIP30
 	 *
 	 * @dev Returns zero for an empty array input regardless of the key input
 	 *
+	 * @dev Throws if the key is not in the past (not the finalized block), the key
+	 *      is a timepoint, see `clock()`
+	 *
 	 * @param h an array of key-value pair elements to search in
 	 * @param k key of interest to look the value for
 	 * @return the value of the key-value pair of the key-value pair element with the closest
 	 *      key to the key of interest (not exceeding that key)
 	 */
 	function __binaryLookup(KV[] storage h, uint256 k) private view returns(uint256) {
+		// make sure the timepoint is in the past (the finalized block)
+		require(k < clock(), "block not yet mined"); // Compound msg not yet determined
+
 		// if an array is empty, there is nothing to lookup in
 		if(h.length == 0) {
 			// by documented agreement, fall back to a zero result
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.4;
+
+import "./AdvancedERC20.sol";
+import "@lazy-sol/access-control-upgradeable/contracts/UpgradeableAccessControlCore.sol";
+
+/**
+ * @title Upgradeable Advanced ERC20
+ *
+ * @notice Upgradeable (UUPS) flavour of the Advanced ERC20 token: the same token logic
+ *      deployed behind the ERC1967 proxy
+ *
+ * @dev The implementation is deployed once and is not for use: it is initialized in the constructor
+ *      with no owner, no features, and no supply; the token is deployed as ERC1967Proxy pointing to
+ *      the implementation, and is initialized via `postConstruct` in the proxy constructor,
+ *      see https://eips.ethereum.org/EIPS/eip-1967, https://eips.ethereum.org/EIPS/eip-1822
+ *
+ * @dev Upgrades (`upgradeTo`, `upgradeToAndCall`) are restricted to ROLE_UPGRADE_MANAGER
+ *
+ * @dev The storage layout is upgrade safe: AdvancedERC20 and all its parents reserve the storage gaps,
+ *      new storage variables must be added by consuming the gap slots
+ *
+ * @author Basil Gorin
+ */
+contract UpgradeableAdvancedERC20 is AdvancedERC20, UpgradeableAccessControlCore {
+	/**
+	 * @dev Deploys the implementation contract and locks it (initializes with no owner, no features, no supply)
+	 */
+	constructor() AdvancedERC20(address(0), "implementation contract, not for use", "N/A", address(0), 0, 0) {}
+}
@@ -0,0 +1,70 @@
+// register: npx hardhat deploy --network sepolia --tags register-AdvancedERC20_Impl
+// registers AdvancedERC20_Impl in the GenericFactory_Proxy implementation registry as the "AdvancedERC20" template,
+// the version is taken from the package.json; the deployment account must have ROLE_IMPLEMENTATION_MANAGER
+
+// script is built for hardhat-deploy plugin:
+// A Hardhat Plugin For Replicable Deployments And Easy Testing
+// https://www.npmjs.com/package/hardhat-deploy
+
+// deployment utils (contract state printers)
+const {
+	print_amt,
+} = require("@lazy-sol/a-missing-gem");
+
+// template name to register the AdvancedERC20 implementation under
+const TEMPLATE_NAME = "AdvancedERC20";
+
+// to be picked up and executed by hardhat-deploy plugin
+module.exports = async function({deployments, getChainId, getNamedAccounts, getUnnamedAccounts}) {
+	// print some useful info on the account we're using for the deployment
+	const chainId = await getChainId();
+	const accounts = await web3.eth.getAccounts();
+	// do not use the default account for tests
+	const A0 = network.name === "hardhat"? accounts[1]: accounts[0];
+	const nonce = await web3.eth.getTransactionCount(A0);
+	const balance = await web3.eth.getBalance(A0);
+
+	// print initial debug information
+	console.log("script: %o", require("path").basename(__filename));
+	console.log("network %o %o", chainId, network.name);
+	console.log("accounts: %o, service account %o, nonce: %o, balance: %o ETH", accounts.length, A0, nonce, print_amt(balance));
+
+	// Register AdvancedERC20_Impl in GenericFactory_Proxy
+	{
+		// get deployment details
+		const v1_deployment = await deployments.get("GenericFactoryV1");
+		const proxy_deployment = await deployments.get("GenericFactory_Proxy");
+		const factory = new web3.eth.Contract(v1_deployment.abi, proxy_deployment.address);
+		const impl_deployment = await deployments.get("AdvancedERC20_Impl");
+		const version = require("../package.json").version;
+
+		// check if the implementation is not yet registered
+		const {name} = await factory.methods.implementations(impl_deployment.address).call();
+		if(name) {
+			console.log("AdvancedERC20_Impl %o is already registered as %o", impl_deployment.address, name);
+		}
+		else {
+			// prepare the registerImplementation call bytes
+			const register_data = factory.methods.registerImplementation(TEMPLATE_NAME, version, impl_deployment.address).encodeABI();
+
+			// register the implementation
+			const receipt = await deployments.rawTx({
+				from: A0,
+				to: proxy_deployment.address,
+				data: register_data, // registerImplementation(TEMPLATE_NAME, version, impl_deployment.address)
+			});
+			console.log(
+				"GenericFactory_Proxy.registerImplementation(%o, %o, %o): %o",
+				TEMPLATE_NAME, version, impl_deployment.address, receipt.transactionHash
+			);
+		}
+	}
+};
+
+// Tags represent what the deployment script acts on. In general, it will be a single string value,
+// the name of the contract it deploys or modifies.
+// Then if another deploy script has such tag as a dependency, then when the latter deploy script has a specific tag
+// and that tag is requested, the dependency will be executed first.
+// https://www.npmjs.com/package/hardhat-deploy#deploy-scripts-tags-and-dependencies
+module.exports.tags = ["register-AdvancedERC20_Impl", "v1_1"];
+module.exports.dependencies = ["AdvancedERC20_Impl", "GenericFactoryV1", "GenericFactory_Proxy"];
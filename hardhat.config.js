@@ -93,6 +93,27 @@ require("hardhat-dependency-compiler");
 // https://www.npmjs.com/package/hardhat-deploy
 require("hardhat-deploy");
 
+// AdvancedERC20 management tasks: token:mint, token:burn, token:pause, token:unpause, token:features:*, token:roles:*, token:inspect
+// run: npx hardhat help
+require("./tasks/token");
+
+// CSV-driven token distribution task: token:airdrop
+require("./tasks/airdrop");
+
+// holders balances snapshot task: token:snapshot
+require("./tasks/snapshot");
+
+// compliance lists CSV sync tasks: token:compliance:diff, token:compliance:sync, token:compliance:allowlist-only
+require("./tasks/compliance");
+
+// offline signing and relaying tasks: sign:permit, sign:transfer-auth, sign:receive-auth,
+// sign:cancel-auth, sign:delegation, relay:submit
+require("./tasks/sign");
+
+// factory implementation registry, clones index, and batch deployment tasks: factory:templates,
+// factory:templates:register, factory:templates:deregister, factory:clones, factory:deploy-manifest
+require("./tasks/factory");
+
 // automatically generate TypeScript bindings for smart contracts while using Hardhat
 // TypeScript bindings help IDEs to properly recognize compiled contracts' ABIs
 // https://github.com/dethcrypto/TypeChain/tree/master/packages/hardhat
@@ -345,7 +366,35 @@ module.exports = {
 					}
 				}
 			},
-		]
+		],
+		overrides: {
+			// UUPS upgradeability (UUPSUpgradeable, ERC1967Upgrade) adds about 3.4KB to the token,
+			// which doesn't fit into the 24KB contract size limit (EIP-170) with the main compiler settings:
+			// optimize the upgradeable token for the code size rather than for the execution cost,
+			// and use PUSH0 opcode (Shanghai) to shorten the code further;
+			// the immutable token, its clones, and all other contracts keep the main compiler settings
+			"contracts/token/UpgradeableAdvancedERC20.sol": {
+				version: "0.8.29",
+				settings: {
+					optimizer: {
+						enabled: true,
+						runs: 1
+					},
+					evmVersion: "shanghai",
+				}
+			},
+			// the mock extending the upgradeable token is compiled the same way as the token itself
+			"contracts/mocks/UpgradeableAdvCompMock.sol": {
+				version: "0.8.29",
+				settings: {
+					optimizer: {
+						enabled: true,
+						runs: 1
+					},
+					evmVersion: "shanghai",
+				}
+			},
+		},
 	},
 
 	// configure typechain to generate Truffle v5 bindings
@@ -363,6 +412,11 @@ module.exports = {
 		enableTimeouts: false,
 		// https://github.com/mochajs/mocha/issues/3813
 		timeout: false,
+
+		// UPGRADEABLE_ERC20 environment variable runs the tests against the upgradeable token (ERC1967 proxy),
+		// proxy delegate call adds up to the gas consumption, therefore gas consumption tests
+		// (marked with @skip-on-upgradeable) are skipped, all the other tests are executed
+		...(process.env.UPGRADEABLE_ERC20? {grep: "@skip-on-upgradeable", invert: true}: {}),
 	},
 
 	// hardhat-gas-reporter will be disabled by default, use REPORT_GAS environment variable to enable it
@@ -0,0 +1,619 @@
+// Type declarations for the package exports, see index.js
+
+/**
+ * Big number as returned by `web3.utils.BN` (bn.js), used by the RBAC module
+ */
+export interface BN {
+	toString(base?: number | "hex"): string;
+	toNumber(): number;
+	and(b: BN): BN;
+	or(b: BN): BN;
+	xor(b: BN): BN;
+	eq(b: BN): boolean;
+	isZero(): boolean;
+}
+
+/**
+ * Any integer representation accepted by the package functions
+ */
+export type IntegerLike = number | bigint | string | BN;
+
+/**
+ * JSON ABI fragment as produced by the Solidity compiler
+ */
+export interface AbiParameter {
+	name: string;
+	type: string;
+	internalType?: string;
+	indexed?: boolean;
+	components?: AbiParameter[];
+}
+export interface AbiItem {
+	type: "function" | "constructor" | "event" | "error" | "fallback" | "receive";
+	name?: string;
+	inputs?: AbiParameter[];
+	outputs?: AbiParameter[];
+	stateMutability?: "pure" | "view" | "nonpayable" | "payable";
+	anonymous?: boolean;
+}
+
+// ===== RBAC features and roles =====
+
+export const ROLE_ACCESS_MANAGER: BN;
+export const ROLE_UPGRADE_MANAGER: BN;
+export const FULL_PRIVILEGES_MASK: BN;
+export function or(...roles: IntegerLike[]): BN;
+export function not(...roles: IntegerLike[]): BN;
+
+export const FEATURE_ALL: number;
+export const FEATURE_NONE: number;
+export const FEATURE_TRANSFERS: number;
+export const FEATURE_TRANSFERS_ON_BEHALF: number;
+export const FEATURE_UNSAFE_TRANSFERS: number;
+export const FEATURE_OWN_BURNS: number;
+export const FEATURE_BURNS_ON_BEHALF: number;
+export const FEATURE_DELEGATIONS: number;
+export const FEATURE_DELEGATIONS_ON_BEHALF: number;
+export const FEATURE_ERC1363_TRANSFERS: number;
+export const FEATURE_ERC1363_APPROVALS: number;
+export const FEATURE_EIP2612_PERMITS: number;
+export const FEATURE_EIP3009_TRANSFERS: number;
+export const FEATURE_EIP3009_RECEPTIONS: number;
+export const FEATURE_FORCED_TRANSFERS: number;
+export const ROLE_TOKEN_CREATOR: number;
+export const ROLE_TOKEN_DESTROYER: number;
+export const ROLE_ERC20_RECEIVER: number;
+export const ROLE_ERC20_SENDER: number;
+export const ROLE_PAUSE_MANAGER: number;
+export const ROLE_COMPLIANCE_MANAGER: number;
+export const ROLE_FORCE_TRANSFER_MANAGER: number;
+
+/**
+ * ERC20 features and roles, as defined in AdvancedERC20
+ */
+export const ERC20: Readonly<{
+	FEATURE_TRANSFERS: number;
+	FEATURE_TRANSFERS_ON_BEHALF: number;
+	FEATURE_UNSAFE_TRANSFERS: number;
+	FEATURE_OWN_BURNS: number;
+	FEATURE_BURNS_ON_BEHALF: number;
+	FEATURE_DELEGATIONS: number;
+	FEATURE_DELEGATIONS_ON_BEHALF: number;
+	FEATURE_ERC1363_TRANSFERS: number;
+	FEATURE_ERC1363_APPROVALS: number;
+	FEATURE_EIP2612_PERMITS: number;
+	FEATURE_EIP3009_TRANSFERS: number;
+	FEATURE_EIP3009_RECEPTIONS: number;
+	FEATURE_FORCED_TRANSFERS: number;
+	ROLE_TOKEN_CREATOR: number;
+	ROLE_TOKEN_DESTROYER: number;
+	ROLE_ERC20_RECEIVER: number;
+	ROLE_ERC20_SENDER: number;
+	ROLE_PAUSE_MANAGER: number;
+	ROLE_COMPLIANCE_MANAGER: number;
+	ROLE_FORCE_TRANSFER_MANAGER: number;
+}>;
+
+/**
+ * ERC721 features and roles; FEATURE_PERMITS and FEATURE_OPERATOR_PERMITS share the values with
+ * ERC20 FEATURE_EIP2612_PERMITS and FEATURE_EIP3009_TRANSFERS, never use them with the ERC20 token
+ */
+export const ERC721: Readonly<{
+	FEATURE_TRANSFERS: number;
+	FEATURE_TRANSFERS_ON_BEHALF: number;
+	FEATURE_OWN_BURNS: number;
+	FEATURE_BURNS_ON_BEHALF: number;
+	FEATURE_PERMITS: number;
+	FEATURE_OPERATOR_PERMITS: number;
+	ROLE_TOKEN_CREATOR: number;
+	ROLE_TOKEN_DESTROYER: number;
+	ROLE_URI_MANAGER: number;
+}>;
+
+/**
+ * GenericFactoryV1 features and roles; the values overlap with the ERC20 ones, never use them with the ERC20 token
+ */
+export const FACTORY: Readonly<{
+	FEATURE_REGISTERED_IMPLEMENTATIONS_ONLY: number;
+	FEATURE_RESTRICTED_CLONING: number;
+	ROLE_IMPLEMENTATION_MANAGER: number;
+	ROLE_CLONER: number;
+	ROLE_FEE_MANAGER: number;
+}>;
+
+/**
+ * Decoded features/roles mask, see `describeMask`
+ */
+export interface MaskDescription {
+	mask: string;
+	features: string[];
+	roles: string[];
+	unknownFeatures: string | null;
+	unknownRoles: string | null;
+}
+export function describeMask(mask: IntegerLike): MaskDescription;
+export function formatMask(mask: IntegerLike): string;
+export function parseMask(input: string): BN;
+
+// ===== EIP-712 typed data builders =====
+
+export interface TypedDataField {
+	name: string;
+	type: string;
+}
+export type EIP712PrimaryType =
+	| "Delegation"
+	| "DelegationWithDelegator"
+	| "Permit"
+	| "TransferWithAuthorization"
+	| "ReceiveWithAuthorization"
+	| "CancelAuthorization";
+export interface EIP712Domain {
+	name: string;
+	version?: string;
+	chainId: number;
+	verifyingContract: string;
+}
+export interface TypedData<M = Record<string, string>> {
+	types: {EIP712Domain: TypedDataField[]} & {[primaryType: string]: TypedDataField[]};
+	primaryType: EIP712PrimaryType;
+	domain: EIP712Domain;
+	message: M;
+}
+export interface Signature {
+	v: number;
+	r: string;
+	s: string;
+}
+
+export const DEFAULT_DOMAIN_NAME: string;
+export const EIP712_DOMAIN_TYPE: TypedDataField[];
+export const EIP712_TYPES: Record<EIP712PrimaryType, TypedDataField[]>;
+export function buildDomain(verifyingContract: string, chainId: IntegerLike, name?: string, version?: string): EIP712Domain;
+export function buildDomainType(domain: EIP712Domain): TypedDataField[];
+export function fetchDomain(web3: any, token: string): Promise<EIP712Domain>;
+export function buildTypedData(domain: EIP712Domain, primaryType: EIP712PrimaryType, message: object): TypedData;
+export function buildPermit(domain: EIP712Domain, params: {
+	owner: string;
+	spender: string;
+	value: IntegerLike;
+	nonce: IntegerLike;
+	deadline: IntegerLike;
+}): TypedData;
+export function buildTransferWithAuthorization(domain: EIP712Domain, params: {
+	from: string;
+	to: string;
+	value: IntegerLike;
+	validAfter: IntegerLike;
+	validBefore: IntegerLike;
+	nonce: string;
+}): TypedData;
+export function buildReceiveWithAuthorization(domain: EIP712Domain, params: {
+	from: string;
+	to: string;
+	value: IntegerLike;
+	validAfter: IntegerLike;
+	validBefore: IntegerLike;
+	nonce: string;
+}): TypedData;
+export function buildCancelAuthorization(domain: EIP712Domain, params: {
+	authorizer: string;
+	nonce: string;
+}): TypedData;
+export function buildDelegation(domain: EIP712Domain, params: {
+	delegator?: string;
+	delegate: string;
+	nonce: IntegerLike;
+	expiry: IntegerLike;
+}): TypedData;
+export function buildDelegateBySig(domain: EIP712Domain, params: {
+	delegatee: string;
+	nonce: IntegerLike;
+	expiry: IntegerLike;
+}): TypedData;
+export function splitSignature(signature: string): Signature;
+export function joinSignature(signature: Signature): string;
+
+// ===== AdvancedERC20 client =====
+
+/**
+ * Transaction options passed to web3 `send`; `from` overrides the client default sender
+ */
+export interface SendOptions {
+	from?: string;
+	gas?: IntegerLike;
+	gasPrice?: IntegerLike;
+	maxFeePerGas?: IntegerLike;
+	maxPriorityFeePerGas?: IntegerLike;
+	nonce?: number;
+}
+
+/**
+ * Transaction receipt as returned by web3 `send`
+ */
+export interface TransactionReceipt {
+	transactionHash: string;
+	blockNumber: number;
+	status: boolean;
+	events?: {[eventName: string]: any};
+	[key: string]: any;
+}
+
+export class AdvancedERC20Client {
+	constructor(web3: any, address: string, options?: {from?: string, abi?: AbiItem[]});
+	readonly web3: any;
+	readonly address: string;
+	from?: string;
+	readonly contract: any;
+
+	name(): Promise<string>;
+	symbol(): Promise<string>;
+	decimals(): Promise<number>;
+	totalSupply(): Promise<bigint>;
+	maxSupply(): Promise<bigint>;
+	paused(): Promise<boolean>;
+	allowlistOnly(): Promise<boolean>;
+	blocklist(account: string): Promise<boolean>;
+	allowlist(account: string): Promise<boolean>;
+	balanceOf(owner: string): Promise<bigint>;
+	allowance(owner: string, spender: string): Promise<bigint>;
+	nonces(owner: string): Promise<bigint>;
+	authorizationState(authorizer: string, nonce: string): Promise<boolean>;
+	votingPowerOf(holder: string): Promise<bigint>;
+	votingPowerAt(holder: string, timepoint: IntegerLike): Promise<bigint>;
+	votingDelegates(holder: string): Promise<string>;
+	totalSupplyAt(timepoint: IntegerLike): Promise<bigint>;
+	clock(): Promise<bigint>;
+	clockMode(): Promise<string>;
+	features(): Promise<bigint>;
+	getRole(operator: string): Promise<bigint>;
+	isFeatureEnabled(required: IntegerLike): Promise<boolean>;
+	isOperatorInRole(operator: string, required: IntegerLike): Promise<boolean>;
+	domain(): Promise<EIP712Domain>;
+
+	transfer(to: string, value: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+	transferFrom(from: string, to: string, value: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+	safeTransferFrom(from: string, to: string, value: IntegerLike, data?: string, options?: SendOptions): Promise<TransactionReceipt>;
+	unsafeTransferFrom(from: string, to: string, value: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+	approve(spender: string, value: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+	increaseAllowance(spender: string, value: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+	decreaseAllowance(spender: string, value: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+
+	transferAndCall(to: string, value: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+	transferAndCall(to: string, value: IntegerLike, data: string, options?: SendOptions): Promise<TransactionReceipt>;
+	transferFromAndCall(from: string, to: string, value: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+	transferFromAndCall(from: string, to: string, value: IntegerLike, data: string, options?: SendOptions): Promise<TransactionReceipt>;
+	approveAndCall(spender: string, value: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+	approveAndCall(spender: string, value: IntegerLike, data: string, options?: SendOptions): Promise<TransactionReceipt>;
+
+	mint(to: string, value: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+	safeMint(to: string, value: IntegerLike, data?: string, options?: SendOptions): Promise<TransactionReceipt>;
+	mintAndCall(to: string, value: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+	mintAndCall(to: string, value: IntegerLike, data: string, options?: SendOptions): Promise<TransactionReceipt>;
+	lowerMaxSupply(value: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+	burn(from: string, value: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+	permit(
+		owner: string,
+		spender: string,
+		value: IntegerLike,
+		deadline: IntegerLike,
+		signature: string | Signature,
+		options?: SendOptions
+	): Promise<TransactionReceipt>;
+	transferWithAuthorization(
+		from: string,
+		to: string,
+		value: IntegerLike,
+		validAfter: IntegerLike,
+		validBefore: IntegerLike,
+		nonce: string,
+		signature: string | Signature,
+		options?: SendOptions
+	): Promise<TransactionReceipt>;
+	receiveWithAuthorization(
+		from: string,
+		to: string,
+		value: IntegerLike,
+		validAfter: IntegerLike,
+		validBefore: IntegerLike,
+		nonce: string,
+		signature: string | Signature,
+		options?: SendOptions
+	): Promise<TransactionReceipt>;
+	cancelAuthorization(authorizer: string, nonce: string, signature: string | Signature, options?: SendOptions): Promise<TransactionReceipt>;
+
+	delegate(to: string, options?: SendOptions): Promise<TransactionReceipt>;
+	delegateWithAuthorization(
+		to: string,
+		nonce: string,
+		expiry: IntegerLike,
+		signature: string | Signature,
+		options?: SendOptions
+	): Promise<TransactionReceipt>;
+	delegateWithAuthorization(
+		delegator: string,
+		to: string,
+		nonce: string,
+		expiry: IntegerLike,
+		signature: string | Signature,
+		options?: SendOptions
+	): Promise<TransactionReceipt>;
+	delegateBySig(
+		delegatee: string,
+		nonce: IntegerLike,
+		expiry: IntegerLike,
+		signature: string | Signature,
+		options?: SendOptions
+	): Promise<TransactionReceipt>;
+
+	pause(options?: SendOptions): Promise<TransactionReceipt>;
+	unpause(options?: SendOptions): Promise<TransactionReceipt>;
+
+	updateBlocklist(accounts: string[], blocked: boolean, options?: SendOptions): Promise<TransactionReceipt>;
+	updateAllowlist(accounts: string[], allowed: boolean, options?: SendOptions): Promise<TransactionReceipt>;
+	setAllowlistOnly(allowlistOnly: boolean, options?: SendOptions): Promise<TransactionReceipt>;
+
+	forceTransfer(from: string, to: string, value: IntegerLike, reasonCode: string, options?: SendOptions): Promise<TransactionReceipt>;
+
+	updateFeatures(mask: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+	updateRole(operator: string, role: IntegerLike, options?: SendOptions): Promise<TransactionReceipt>;
+}
+
+// ===== Compiled smart contracts ABIs and bytecode =====
+
+export const ADVANCED_ERC20_ABI: AbiItem[];
+export const ADVANCED_ERC20_BYTECODE: string;
+export const ADVANCED_ERC20_DEPLOYED_BYTECODE: string;
+export const GENERIC_FACTORY_ABI: AbiItem[];
+export const GENERIC_FACTORY_BYTECODE: string;
+export const GENERIC_FACTORY_DEPLOYED_BYTECODE: string;
+export const MINIMAL_FORWARDER_ABI: AbiItem[];
+export const MINIMAL_FORWARDER_BYTECODE: string;
+export const MINIMAL_FORWARDER_DEPLOYED_BYTECODE: string;
+export const ERC1363_ABI: AbiItem[];
+export const ERC1363_RECEIVER_ABI: AbiItem[];
+export const ERC1363_SPENDER_ABI: AbiItem[];
+export const EIP2612_ABI: AbiItem[];
+export const EIP3009_ABI: AbiItem[];
+
+// ===== postConstruct calldata encoder/decoder and factory deployment helpers =====
+
+/**
+ * AdvancedERC20 initialization params, see `encodeTokenInit`
+ */
+export interface TokenInitParams {
+	owner: string;
+	name: string;
+	symbol: string;
+	holder?: string;
+	supply?: IntegerLike;
+	features?: IntegerLike;
+	maxSupply?: IntegerLike;
+	trustedForwarder?: string;
+	domainName?: string;
+	domainVersion?: string;
+	timestampClock?: boolean;
+}
+
+/**
+ * Decoded AdvancedERC20 initialization params, see `decodeTokenInit`
+ */
+export interface DecodedTokenInit {
+	owner: string;
+	name: string;
+	symbol: string;
+	holder: string;
+	supply: bigint;
+	features: bigint;
+	maxSupply: bigint;
+	trustedForwarder: string;
+	domainName: string;
+	domainVersion: string;
+	timestampClock: boolean;
+}
+
+export const TOKEN_INIT_ABI: AbiItem;
+export const TOKEN_INIT_FULL_ABI: AbiItem;
+export function encodeTokenInit(params: TokenInitParams): string;
+export function decodeTokenInit(data: string): DecodedTokenInit;
+export function predictCloneAddress(factory: string, impl: string, salt: string, deployer: string): string;
+export function deployViaFactory(
+	factory: any,
+	impl: string | {address: string} | {options: {address: string}},
+	params: TokenInitParams,
+	options?: SendOptions & {salt?: string}
+): Promise<string>;
+
+/**
+ * AdvancedERC20 token to deploy with `deployBatchViaFactory`: initialization params and the implementation to clone
+ */
+export interface BatchToken extends TokenInitParams {
+	impl: string;
+}
+
+/**
+ * Tokens manifest entry, see `resolveManifest`
+ */
+export interface ManifestToken {
+	name: string;
+	symbol: string;
+	owner?: string;
+	holder?: string;
+	supply?: string | number;
+	maxSupply?: string | number;
+	trustedForwarder?: string;
+	domainName?: string;
+	domainVersion?: string;
+	timestampClock?: boolean;
+	features?: IntegerLike;
+	template?: string;
+	impl?: string;
+}
+export function deployBatchViaFactory(factory: any, tokens: BatchToken[], options?: SendOptions): Promise<string[]>;
+export function resolveManifest(
+	factory: any,
+	manifest: {tokens: ManifestToken[]} | ManifestToken[],
+	defaults?: {owner?: string, impl?: string, features?: IntegerLike, trustedForwarder?: string, timestampClock?: boolean}
+): Promise<BatchToken[]>;
+
+/**
+ * Implementation registered in the GenericFactoryV1 registry, see `listTemplates`
+ */
+export interface TemplateVersion {
+	name: string;
+	version: string;
+	implAddress: string;
+}
+
+/**
+ * Template registered in the GenericFactoryV1 registry with all its versions, see `listTemplates`
+ */
+export interface Template {
+	name: string;
+	versions: TemplateVersion[];
+	latest: TemplateVersion;
+}
+export function listTemplates(factory: any): Promise<Template[]>;
+
+/**
+ * GenericFactoryV1 clones index filter, see `listClones`
+ */
+export interface ClonesFilter {
+	deployer?: string;
+	implementation?: string;
+	pageSize?: number;
+}
+export function listClones(factory: any, filter?: ClonesFilter): Promise<string[]>;
+
+// ===== token holders snapshot builder =====
+
+/**
+ * Token holder entry in the snapshot, see `takeSnapshot`;
+ *      votingPower and delegate are present only if requested
+ */
+export interface SnapshotHolder {
+	address: string;
+	balance: bigint;
+	votingPower?: bigint;
+	delegate?: string;
+}
+
+/**
+ * Token holders snapshot at the given block, see `takeSnapshot`
+ */
+export interface Snapshot {
+	token: string;
+	blockNumber: number;
+	totalSupply: bigint;
+	sum: bigint;
+	consistent: boolean;
+	holders: SnapshotHolder[];
+}
+
+export function takeSnapshot(
+	web3: any,
+	address: string,
+	options: {blockNumber: number, fromBlock?: number, batchSize?: number, votingPower?: boolean}
+): Promise<Snapshot>;
+
+// ===== compliance lists (blocklist and allowlist) tooling =====
+
+/**
+ * Compliance list name
+ */
+export type ComplianceList = "blocklist" | "allowlist";
+
+/**
+ * Compliance list descriptor: the event updating the list, the mapping getter, and the update function
+ */
+export interface ComplianceListDescriptor {
+	event: string;
+	getter: string;
+	update: string;
+}
+export const COMPLIANCE_LISTS: Readonly<Record<ComplianceList, ComplianceListDescriptor>>;
+
+/**
+ * Compliance list events replay options, see `readComplianceList`
+ */
+export interface ComplianceListOptions {
+	fromBlock?: number;
+	toBlock?: number;
+	batchSize?: number;
+}
+
+/**
+ * Difference between the desired compliance list and the one on-chain, see `diffComplianceList`
+ */
+export interface ComplianceListDiff {
+	add: string[];
+	remove: string[];
+	unchanged: string[];
+}
+
+export function readComplianceList(
+	web3: any,
+	address: string,
+	list: ComplianceList,
+	options?: ComplianceListOptions
+): Promise<string[]>;
+export function diffComplianceList(
+	web3: any,
+	address: string,
+	list: ComplianceList,
+	addresses: string[],
+	options?: ComplianceListOptions
+): Promise<ComplianceListDiff>;
+
+// ===== ERC-2771 meta-transactions (MinimalForwarder) =====
+
+/**
+ * MinimalForwarder EIP-712 domain, see `buildForwarderDomain`
+ */
+export interface ForwarderDomain {
+	name: string;
+	version: string;
+	chainId: number;
+	verifyingContract: string;
+}
+
+/**
+ * Meta-transaction request to sign, see `buildForwardRequest`
+ */
+export interface ForwardRequest {
+	from: string;
+	to: string;
+	value?: IntegerLike;
+	gas: IntegerLike;
+	nonce: IntegerLike;
+	deadline: IntegerLike;
+	data: string;
+}
+
+/**
+ * `ForwardRequest` typed data payload, ready to be signed with `eth_signTypedData_v4`
+ */
+export interface ForwardRequestTypedData {
+	types: {EIP712Domain: TypedDataField[], ForwardRequest: TypedDataField[]};
+	primaryType: "ForwardRequest";
+	domain: ForwarderDomain;
+	message: Record<string, string>;
+}
+
+export const FORWARDER_DOMAIN_NAME: string;
+export const FORWARDER_DOMAIN_VERSION: string;
+export const FORWARDER_DOMAIN_TYPE: TypedDataField[];
+export const FORWARD_REQUEST_TYPE: TypedDataField[];
+export function buildForwarderDomain(verifyingContract: string, chainId: IntegerLike): ForwarderDomain;
+export function buildForwardRequest(domain: ForwarderDomain, request: ForwardRequest): ForwardRequestTypedData;
+export function prepareForwardRequest(
+	web3: any,
+	forwarder: string,
+	request: {from: string, to: string, data: string, value?: IntegerLike, gas?: IntegerLike, deadline?: IntegerLike}
+): Promise<ForwardRequestTypedData>;
+export function relayForwardRequest(
+	web3: any,
+	typedData: ForwardRequestTypedData,
+	signature: string,
+	options?: SendOptions
+): Promise<TransactionReceipt>;
@@ -21,15 +21,98 @@ const {
 	FEATURE_EIP2612_PERMITS,
 	FEATURE_EIP3009_TRANSFERS,
 	FEATURE_EIP3009_RECEPTIONS,
-	FEATURE_PERMITS,
-	FEATURE_OPERATOR_PERMITS,
+	FEATURE_FORCED_TRANSFERS,
 	ROLE_TOKEN_CREATOR,
 	ROLE_TOKEN_DESTROYER,
 	ROLE_ERC20_RECEIVER,
 	ROLE_ERC20_SENDER,
-	ROLE_URI_MANAGER,
+	ROLE_PAUSE_MANAGER,
+	ROLE_COMPLIANCE_MANAGER,
+	ROLE_FORCE_TRANSFER_MANAGER,
+	ERC20,
+	ERC721,
+	FACTORY,
+	describeMask,
+	formatMask,
+	parseMask,
 } = require("./scripts/include/features_roles");
 
+// EIP-712 typed data builders
+const {
+	DEFAULT_DOMAIN_NAME,
+	EIP712_DOMAIN_TYPE,
+	EIP712_TYPES,
+	buildDomain,
+	buildDomainType,
+	fetchDomain,
+	buildTypedData,
+	buildPermit,
+	buildTransferWithAuthorization,
+	buildReceiveWithAuthorization,
+	buildCancelAuthorization,
+	buildDelegation,
+	buildDelegateBySig,
+	splitSignature,
+	joinSignature,
+} = require("./scripts/include/eip712");
+
+// AdvancedERC20 client
+const {AdvancedERC20Client} = require("./scripts/include/advanced_erc20_client");
+
+// compiled smart contracts ABIs and bytecode
+const {
+	ADVANCED_ERC20_ABI,
+	ADVANCED_ERC20_BYTECODE,
+	ADVANCED_ERC20_DEPLOYED_BYTECODE,
+	GENERIC_FACTORY_ABI,
+	GENERIC_FACTORY_BYTECODE,
+	GENERIC_FACTORY_DEPLOYED_BYTECODE,
+	MINIMAL_FORWARDER_ABI,
+	MINIMAL_FORWARDER_BYTECODE,
+	MINIMAL_FORWARDER_DEPLOYED_BYTECODE,
+	ERC1363_ABI,
+	ERC1363_RECEIVER_ABI,
+	ERC1363_SPENDER_ABI,
+	EIP2612_ABI,
+	EIP3009_ABI,
+} = require("./scripts/include/artifacts");
+
+// postConstruct calldata encoder/decoder and factory deployment helpers
+const {
+	TOKEN_INIT_ABI,
+	TOKEN_INIT_FULL_ABI,
+	encodeTokenInit,
+	decodeTokenInit,
+	predictCloneAddress,
+	deployViaFactory,
+	deployBatchViaFactory,
+	resolveManifest,
+	listTemplates,
+	listClones,
+} = require("./scripts/include/token_init");
+
+// token holders snapshot builder
+const {takeSnapshot} = require("./scripts/include/snapshot");
+
+// compliance lists (blocklist and allowlist) tooling
+const {
+	COMPLIANCE_LISTS,
+	readComplianceList,
+	diffComplianceList,
+} = require("./scripts/include/compliance");
+
+// ERC-2771 meta-transactions: MinimalForwarder request builders and relayer helpers
+const {
+	FORWARDER_DOMAIN_NAME,
+	FORWARDER_DOMAIN_VERSION,
+	FORWARDER_DOMAIN_TYPE,
+	FORWARD_REQUEST_TYPE,
+	buildForwarderDomain,
+	buildForwardRequest,
+	prepareForwardRequest,
+	relayForwardRequest,
+} = require("./scripts/include/forwarder");
+
 // Re-export the functions
 module.exports = {
 	ROLE_ACCESS_MANAGER,
@@ -51,11 +134,70 @@ module.exports = {
 	FEATURE_EIP2612_PERMITS,
 	FEATURE_EIP3009_TRANSFERS,
 	FEATURE_EIP3009_RECEPTIONS,
-	FEATURE_PERMITS,
-	FEATURE_OPERATOR_PERMITS,
+	FEATURE_FORCED_TRANSFERS,
 	ROLE_TOKEN_CREATOR,
 	ROLE_TOKEN_DESTROYER,
 	ROLE_ERC20_RECEIVER,
 	ROLE_ERC20_SENDER,
-	ROLE_URI_MANAGER,
+	ROLE_PAUSE_MANAGER,
+	ROLE_COMPLIANCE_MANAGER,
+	ROLE_FORCE_TRANSFER_MANAGER,
+	ERC20,
+	ERC721,
+	FACTORY,
+	describeMask,
+	formatMask,
+	parseMask,
+	DEFAULT_DOMAIN_NAME,
+	EIP712_DOMAIN_TYPE,
+	EIP712_TYPES,
+	buildDomain,
+	buildDomainType,
+	fetchDomain,
+	buildTypedData,
+	buildPermit,
+	buildTransferWithAuthorization,
+	buildReceiveWithAuthorization,
+	buildCancelAuthorization,
+	buildDelegation,
+	buildDelegateBySig,
+	splitSignature,
+	joinSignature,
+	AdvancedERC20Client,
+	ADVANCED_ERC20_ABI,
+	ADVANCED_ERC20_BYTECODE,
+	ADVANCED_ERC20_DEPLOYED_BYTECODE,
+	GENERIC_FACTORY_ABI,
+	GENERIC_FACTORY_BYTECODE,
+	GENERIC_FACTORY_DEPLOYED_BYTECODE,
+	MINIMAL_FORWARDER_ABI,
+	MINIMAL_FORWARDER_BYTECODE,
+	MINIMAL_FORWARDER_DEPLOYED_BYTECODE,
+	ERC1363_ABI,
+	ERC1363_RECEIVER_ABI,
+	ERC1363_SPENDER_ABI,
+	EIP2612_ABI,
+	EIP3009_ABI,
+	TOKEN_INIT_ABI,
+	TOKEN_INIT_FULL_ABI,
+	encodeTokenInit,
+	decodeTokenInit,
+	predictCloneAddress,
+	deployViaFactory,
+	deployBatchViaFactory,
+	resolveManifest,
+	listTemplates,
+	listClones,
+	takeSnapshot,
+	COMPLIANCE_LISTS,
+	readComplianceList,
+	diffComplianceList,
+	FORWARDER_DOMAIN_NAME,
+	FORWARDER_DOMAIN_VERSION,
+	FORWARDER_DOMAIN_TYPE,
+	FORWARD_REQUEST_TYPE,
+	buildForwarderDomain,
+	buildForwardRequest,
+	prepareForwardRequest,
+	relayForwardRequest,
 };
@@ -0,0 +1,576 @@
+// AdvancedERC20 client: web3 contract wrapper with overload-resolved methods,
+// BigInt amounts, and local feature/role checks executed before sending the transaction
+
+// RBAC token features and roles
+const {
+	ROLE_ACCESS_MANAGER,
+	FEATURE_TRANSFERS,
+	FEATURE_TRANSFERS_ON_BEHALF,
+	FEATURE_OWN_BURNS,
+	FEATURE_BURNS_ON_BEHALF,
+	FEATURE_DELEGATIONS,
+	FEATURE_DELEGATIONS_ON_BEHALF,
+	FEATURE_ERC1363_TRANSFERS,
+	FEATURE_ERC1363_APPROVALS,
+	FEATURE_EIP2612_PERMITS,
+	FEATURE_EIP3009_TRANSFERS,
+	FEATURE_EIP3009_RECEPTIONS,
+	FEATURE_FORCED_TRANSFERS,
+	ROLE_TOKEN_CREATOR,
+	ROLE_TOKEN_DESTROYER,
+	ROLE_PAUSE_MANAGER,
+	ROLE_COMPLIANCE_MANAGER,
+	ROLE_FORCE_TRANSFER_MANAGER,
+} = require("./features_roles");
+
+// EIP-712 helpers
+const {
+	buildDomain,
+	fetchDomain,
+	splitSignature,
+	joinSignature,
+} = require("./eip712");
+
+// AdvancedERC20 ABI shipped with the package
+const {ADVANCED_ERC20_ABI} = require("./artifacts");
+
+/**
+ * Converts an integer value (number, BN, BigInt, string) into BigInt
+ *
+ * @param value integer value to convert
+ * @returns BigInt
+ */
+function to_bigint(value) {
+	return typeof value === "bigint"? value: BigInt(value.toString());
+}
+
+/**
+ * Converts an integer value (number, BN, BigInt, string) into a decimal string accepted by web3
+ *
+ * @param value integer value to convert
+ * @returns decimal string
+ */
+function to_uint(value) {
+	return to_bigint(value).toString(10);
+}
+
+/**
+ * Accepts the signature either as a 65 bytes hex string, or as already split {v, r, s} object
+ *
+ * @param signature signature to split
+ * @returns signature split into {v, r, s}
+ */
+function to_vrs(signature) {
+	return typeof signature === "string"? splitSignature(signature): signature;
+}
+
+/**
+ * Accepts the signature either as a hex string of any length (ERC-1271 wallets define their own formats),
+ *      or as already split {v, r, s} object
+ *
+ * @param signature signature to join
+ * @returns signature as a hex string
+ */
+function to_bytes(signature) {
+	return typeof signature === "string"? signature: joinSignature(signature);
+}
+
+/**
+ * AdvancedERC20 client
+ *
+ * @notice Wraps the web3 contract instance, resolves the overloaded functions by the arguments supplied,
+ *      accepts amounts as BigInt (as well as numbers, BN, and strings), returns the uint256 values as BigInt
+ *
+ * @notice Before sending the transaction verifies the features and roles required for the
+ *      transaction to succeed, and throws locally with the same error message the token would revert with,
+ *      for example "transfers on behalf are disabled"
+ */
+class AdvancedERC20Client {
+	/**
+	 * Creates the client bound to the token deployed at the address specified
+	 *
+	 * @param web3 web3 instance connected to the network the token is deployed to
+	 * @param address deployed token address
+	 * @param from default transaction sender, optional, falls back to `web3.eth.defaultAccount`
+	 * @param abi token ABI, optional, defaults to the AdvancedERC20 ABI shipped with the package
+	 */
+	constructor(web3, address, {from, abi = ADVANCED_ERC20_ABI} = {}) {
+		this.web3 = web3;
+		this.address = address;
+		this.from = from;
+		this.contract = new web3.eth.Contract(abi, address);
+	}
+
+	// ===== Views =====
+
+	async name() {
+		return await this.contract.methods.name().call();
+	}
+
+	async symbol() {
+		return await this.contract.methods.symbol().call();
+	}
+
+	async decimals() {
+		return parseInt(await this.contract.methods.decimals().call());
+	}
+
+	async totalSupply() {
+		return to_bigint(await this.contract.methods.totalSupply().call());
+	}
+
+	async paused() {
+		return await this.contract.methods.paused().call();
+	}
+
+	async allowlistOnly() {
+		return await this.contract.methods.allowlistOnly().call();
+	}
+
+	async blocklist(account) {
+		return await this.contract.methods.blocklist(account).call();
+	}
+
+	async allowlist(account) {
+		return await this.contract.methods.allowlist(account).call();
+	}
+
+	async maxSupply() {
+		return to_bigint(await this.contract.methods.maxSupply().call());
+	}
+
+	async balanceOf(owner) {
+		return to_bigint(await this.contract.methods.balanceOf(owner).call());
+	}
+
+	async allowance(owner, spender) {
+		return to_bigint(await this.contract.methods.allowance(owner, spender).call());
+	}
+
+	async nonces(owner) {
+		return to_bigint(await this.contract.methods.nonces(owner).call());
+	}
+
+	async authorizationState(authorizer, nonce) {
+		return await this.contract.methods.authorizationState(authorizer, nonce).call();
+	}
+
+	async votingPowerOf(holder) {
+		return to_bigint(await this.contract.methods.votingPowerOf(holder).call());
+	}
+
+	async votingPowerAt(holder, timepoint) {
+		return to_bigint(await this.contract.methods.votingPowerAt(holder, to_uint(timepoint)).call());
+	}
+
+	async votingDelegates(holder) {
+		return await this.contract.methods.votingDelegates(holder).call();
+	}
+
+	async totalSupplyAt(timepoint) {
+		return to_bigint(await this.contract.methods.totalSupplyAt(to_uint(timepoint)).call());
+	}
+
+	async clock() {
+		return to_bigint(await this.contract.methods.clock().call());
+	}
+
+	async clockMode() {
+		return await this.contract.methods.CLOCK_MODE().call();
+	}
+
+	async features() {
+		return to_bigint(await this.contract.methods.features().call());
+	}
+
+	async getRole(operator) {
+		return to_bigint(await this.contract.methods.getRole(operator).call());
+	}
+
+	async isFeatureEnabled(required) {
+		required = to_bigint(required);
+		return ((await this.features()) & required) === required;
+	}
+
+	async isOperatorInRole(operator, required) {
+		required = to_bigint(required);
+		return ((await this.getRole(operator)) & required) === required;
+	}
+
+	/**
+	 * Discovers the EIP-712 domain of the token (EIP-5267) to be used with the `eip712` typed data builders;
+	 *      falls back to the default domain for the tokens deployed before EIP-5267 support
+	 *
+	 * @returns EIP-712 domain object {name, version, chainId, verifyingContract}, version is set only if used
+	 */
+	async domain() {
+		try {
+			return await fetchDomain(this.web3, this.address);
+		}
+		catch(e) {
+			return buildDomain(this.address, await this.web3.eth.getChainId());
+		}
+	}
+
+	// ===== ERC20 transfers and approvals =====
+
+	async transfer(to, value, options = {}) {
+		const from = this.__sender(options);
+		await this.__requireTransfer(from, from);
+		return await this.__send(this.contract.methods["transfer(address,uint256)"](to, to_uint(value)), options);
+	}
+
+	async transferFrom(from, to, value, options = {}) {
+		await this.__requireTransfer(this.__sender(options), from);
+		return await this.__send(this.contract.methods["transferFrom(address,address,uint256)"](from, to, to_uint(value)), options);
+	}
+
+	async safeTransferFrom(from, to, value, data = "0x", options = {}) {
+		await this.__requireTransfer(this.__sender(options), from);
+		return await this.__send(this.contract.methods["safeTransferFrom(address,address,uint256,bytes)"](from, to, to_uint(value), data), options);
+	}
+
+	async unsafeTransferFrom(from, to, value, options = {}) {
+		await this.__requireTransfer(this.__sender(options), from);
+		return await this.__send(this.contract.methods["unsafeTransferFrom(address,address,uint256)"](from, to, to_uint(value)), options);
+	}
+
+	async approve(spender, value, options = {}) {
+		return await this.__send(this.contract.methods["approve(address,uint256)"](spender, to_uint(value)), options);
+	}
+
+	async increaseAllowance(spender, value, options = {}) {
+		return await this.__send(this.contract.methods["increaseAllowance(address,uint256)"](spender, to_uint(value)), options);
+	}
+
+	async decreaseAllowance(spender, value, options = {}) {
+		return await this.__send(this.contract.methods["decreaseAllowance(address,uint256)"](spender, to_uint(value)), options);
+	}
+
+	// ===== ERC1363 =====
+
+	async transferAndCall(to, value, data, options = {}) {
+		[data, options] = this.__resolveData(data, options);
+		const from = this.__sender(options);
+		await this.__requireFeature(FEATURE_ERC1363_TRANSFERS, "ERC1363 transfers are disabled");
+		await this.__requireTransfer(from, from);
+		const method = data === undefined
+			? this.contract.methods["transferAndCall(address,uint256)"](to, to_uint(value))
+			: this.contract.methods["transferAndCall(address,uint256,bytes)"](to, to_uint(value), data);
+		return await this.__send(method, options);
+	}
+
+	async transferFromAndCall(from, to, value, data, options = {}) {
+		[data, options] = this.__resolveData(data, options);
+		await this.__requireFeature(FEATURE_ERC1363_TRANSFERS, "ERC1363 transfers are disabled");
+		await this.__requireTransfer(this.__sender(options), from);
+		const method = data === undefined
+			? this.contract.methods["transferFromAndCall(address,address,uint256)"](from, to, to_uint(value))
+			: this.contract.methods["transferFromAndCall(address,address,uint256,bytes)"](from, to, to_uint(value), data);
+		return await this.__send(method, options);
+	}
+
+	async approveAndCall(spender, value, data, options = {}) {
+		[data, options] = this.__resolveData(data, options);
+		await this.__requireNotPaused();
+		await this.__requireFeature(FEATURE_ERC1363_APPROVALS, "ERC1363 approvals are disabled");
+		const method = data === undefined
+			? this.contract.methods["approveAndCall(address,uint256)"](spender, to_uint(value))
+			: this.contract.methods["approveAndCall(address,uint256,bytes)"](spender, to_uint(value), data);
+		return await this.__send(method, options);
+	}
+
+	// ===== Minting and burning =====
+
+	async mint(to, value, options = {}) {
+		await this.__requireNotPaused();
+		await this.__requireRole(this.__sender(options), ROLE_TOKEN_CREATOR);
+		return await this.__send(this.contract.methods["mint(address,uint256)"](to, to_uint(value)), options);
+	}
+
+	async safeMint(to, value, data = "0x", options = {}) {
+		await this.__requireNotPaused();
+		await this.__requireRole(this.__sender(options), ROLE_TOKEN_CREATOR);
+		return await this.__send(this.contract.methods["safeMint(address,uint256,bytes)"](to, to_uint(value), data), options);
+	}
+
+	async mintAndCall(to, value, data, options = {}) {
+		[data, options] = this.__resolveData(data, options);
+		await this.__requireNotPaused();
+		await this.__requireRole(this.__sender(options), ROLE_TOKEN_CREATOR);
+		const method = data === undefined
+			? this.contract.methods["mintAndCall(address,uint256)"](to, to_uint(value))
+			: this.contract.methods["mintAndCall(address,uint256,bytes)"](to, to_uint(value), data);
+		return await this.__send(method, options);
+	}
+
+	async lowerMaxSupply(value, options = {}) {
+		await this.__requireRole(this.__sender(options), ROLE_TOKEN_CREATOR);
+		return await this.__send(this.contract.methods.lowerMaxSupply(to_uint(value)), options);
+	}
+
+	async burn(from, value, options = {}) {
+		const by = this.__sender(options);
+		await this.__requireNotPaused();
+		// token destroyer can burn anyone's tokens regardless of the features
+		if(!await this.isOperatorInRole(by, ROLE_TOKEN_DESTROYER)) {
+			if(from.toLowerCase() === by.toLowerCase()) {
+				await this.__requireFeature(FEATURE_OWN_BURNS, "burns are disabled");
+			}
+			else {
+				await this.__requireFeature(FEATURE_BURNS_ON_BEHALF, "burns on behalf are disabled");
+			}
+		}
+		return await this.__send(this.contract.methods["burn(address,uint256)"](from, to_uint(value)), options);
+	}
+
+	// ===== EIP-2612 and EIP-3009 =====
+
+	/**
+	 * Executes EIP-2612 permit
+	 *
+	 * @param signature 65 bytes hex string signature, or already split {v, r, s};
+	 *      if the owner is a smart contract wallet (ERC-1271) – the signature in the wallet's own format
+	 */
+	async permit(owner, spender, value, deadline, signature, options = {}) {
+		await this.__requireFeature(FEATURE_EIP2612_PERMITS, "EIP2612 permits are disabled");
+		return await this.__sendSigned(
+			owner,
+			"permit(address,address,uint256,uint256",
+			[owner, spender, to_uint(value), to_uint(deadline)],
+			signature,
+			options
+		);
+	}
+
+	/**
+	 * Executes EIP-3009 transferWithAuthorization
+	 *
+	 * @param signature 65 bytes hex string signature, or already split {v, r, s};
+	 *      if the sender is a smart contract wallet (ERC-1271) – the signature in the wallet's own format
+	 */
+	async transferWithAuthorization(from, to, value, validAfter, validBefore, nonce, signature, options = {}) {
+		await this.__requireNotPaused();
+		await this.__requireFeature(FEATURE_EIP3009_TRANSFERS, "EIP3009 transfers are disabled");
+		return await this.__sendSigned(
+			from,
+			"transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32",
+			[from, to, to_uint(value), to_uint(validAfter), to_uint(validBefore), nonce],
+			signature,
+			options
+		);
+	}
+
+	/**
+	 * Executes EIP-3009 receiveWithAuthorization, must be sent by the receiver `to`
+	 *
+	 * @param signature 65 bytes hex string signature, or already split {v, r, s};
+	 *      if the sender is a smart contract wallet (ERC-1271) – the signature in the wallet's own format
+	 */
+	async receiveWithAuthorization(from, to, value, validAfter, validBefore, nonce, signature, options = {}) {
+		await this.__requireNotPaused();
+		await this.__requireFeature(FEATURE_EIP3009_RECEPTIONS, "EIP3009 receptions are disabled");
+		if(to.toLowerCase() !== this.__sender(options).toLowerCase()) {
+			throw new Error("access denied");
+		}
+		return await this.__sendSigned(
+			from,
+			"receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32",
+			[from, to, to_uint(value), to_uint(validAfter), to_uint(validBefore), nonce],
+			signature,
+			options
+		);
+	}
+
+	/**
+	 * Executes EIP-3009 cancelAuthorization
+	 *
+	 * @param signature 65 bytes hex string signature, or already split {v, r, s};
+	 *      if the authorizer is a smart contract wallet (ERC-1271) – the signature in the wallet's own format
+	 */
+	async cancelAuthorization(authorizer, nonce, signature, options = {}) {
+		return await this.__sendSigned(authorizer, "cancelAuthorization(address,bytes32", [authorizer, nonce], signature, options);
+	}
+
+	// ===== Voting delegation =====
+
+	async delegate(to, options = {}) {
+		await this.__requireNotPaused();
+		await this.__requireFeature(FEATURE_DELEGATIONS, "delegations are disabled");
+		return await this.__send(this.contract.methods["delegate(address)"](to), options);
+	}
+
+	/**
+	 * Executes delegateWithAuthorization
+	 *
+	 * @notice Accepts the arguments either as (to, nonce, expiry, signature), where the delegator
+	 *      is recovered from the signature, or as (delegator, to, nonce, expiry, signature);
+	 *      the latter is required when the delegator is a smart contract wallet (ERC-1271),
+	 *      and the delegator must be signed as well, see `buildDelegation`
+	 *
+	 * @param signature 65 bytes hex string signature, or already split {v, r, s};
+	 *      if the delegator is a smart contract wallet – the signature in the wallet's own format
+	 */
+	async delegateWithAuthorization(...args) {
+		// the second argument is either the delegation target address, or the bytes32 nonce
+		const [delegator, to, nonce, expiry, signature, options = {}] = this.web3.utils.isAddress(args[1])? args: [undefined, ...args];
+		await this.__requireNotPaused();
+		await this.__requireFeature(FEATURE_DELEGATIONS_ON_BEHALF, "delegations on behalf are disabled");
+		if(delegator !== undefined) {
+			return await this.__send(
+				this.contract.methods["delegateWithAuthorization(address,address,bytes32,uint256,bytes)"](
+					delegator, to, nonce, to_uint(expiry), to_bytes(signature)
+				),
+				options
+			);
+		}
+		const {v, r, s} = to_vrs(signature);
+		return await this.__send(
+			this.contract.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](
+				to, nonce, to_uint(expiry), v, r, s
+			),
+			options
+		);
+	}
+
+	/**
+	 * Executes ERC-5805 (OpenZeppelin IVotes) delegateBySig
+	 *
+	 * @notice Unlike `delegateWithAuthorization`, the nonce is the delegator's sequential nonce,
+	 *      see `nonces`, and the signature is built with `buildDelegateBySig`
+	 *
+	 * @param signature 65 bytes hex string signature, or already split {v, r, s}
+	 */
+	async delegateBySig(delegatee, nonce, expiry, signature, options = {}) {
+		await this.__requireNotPaused();
+		await this.__requireFeature(FEATURE_DELEGATIONS_ON_BEHALF, "delegations on behalf are disabled");
+		const {v, r, s} = to_vrs(signature);
+		return await this.__send(
+			this.contract.methods.delegateBySig(delegatee, to_uint(nonce), to_uint(expiry), v, r, s),
+			options
+		);
+	}
+
+	// ===== Emergency pause =====
+
+	async pause(options = {}) {
+		await this.__requireRole(this.__sender(options), ROLE_PAUSE_MANAGER);
+		return await this.__send(this.contract.methods.pause(), options);
+	}
+
+	async unpause(options = {}) {
+		await this.__requireRole(this.__sender(options), ROLE_PAUSE_MANAGER);
+		return await this.__send(this.contract.methods.unpause(), options);
+	}
+
+	// ===== Compliance =====
+
+	async updateBlocklist(accounts, blocked, options = {}) {
+		await this.__requireRole(this.__sender(options), ROLE_COMPLIANCE_MANAGER);
+		return await this.__send(this.contract.methods.updateBlocklist(accounts, blocked), options);
+	}
+
+	async updateAllowlist(accounts, allowed, options = {}) {
+		await this.__requireRole(this.__sender(options), ROLE_COMPLIANCE_MANAGER);
+		return await this.__send(this.contract.methods.updateAllowlist(accounts, allowed), options);
+	}
+
+	async setAllowlistOnly(allowlistOnly, options = {}) {
+		await this.__requireRole(this.__sender(options), ROLE_COMPLIANCE_MANAGER);
+		return await this.__send(this.contract.methods.setAllowlistOnly(allowlistOnly), options);
+	}
+
+	// ===== Forced transfers =====
+
+	/**
+	 * Executes forceTransfer
+	 *
+	 * @param reasonCode bytes32 hex string, like the court order reference or its hash
+	 */
+	async forceTransfer(from, to, value, reasonCode, options = {}) {
+		await this.__requireNotPaused();
+		await this.__requireFeature(FEATURE_FORCED_TRANSFERS, "forced transfers are disabled");
+		await this.__requireRole(this.__sender(options), ROLE_FORCE_TRANSFER_MANAGER);
+		return await this.__send(this.contract.methods.forceTransfer(from, to, to_uint(value), reasonCode), options);
+	}
+
+	// ===== Access control =====
+
+	async updateFeatures(mask, options = {}) {
+		await this.__requireRole(this.__sender(options), ROLE_ACCESS_MANAGER);
+		return await this.__send(this.contract.methods["updateFeatures(uint256)"](to_uint(mask)), options);
+	}
+
+	async updateRole(operator, role, options = {}) {
+		await this.__requireRole(this.__sender(options), ROLE_ACCESS_MANAGER);
+		return await this.__send(this.contract.methods["updateRole(address,uint256)"](operator, to_uint(role)), options);
+	}
+
+	// ===== Internal helpers =====
+
+	// resolves the transaction sender: explicit `options.from`, client default, or web3 default account
+	__sender(options) {
+		const from = options.from || this.from || this.web3.eth.defaultAccount;
+		if(!from) {
+			throw new Error("transaction sender is not set");
+		}
+		return from;
+	}
+
+	// resolves optional `data` argument, which may be omitted in favour of `options`
+	__resolveData(data, options) {
+		return data !== null && typeof data === "object"? [undefined, data]: [data === null? undefined: data, options];
+	}
+
+	// sends the transaction from the resolved sender, returns the receipt
+	async __send(method, options) {
+		return await method.send(Object.assign({}, options, {from: this.__sender(options)}));
+	}
+
+	// sends the signed operation via its `bytes signature` overload if the signer is a smart contract wallet (ERC-1271),
+	// and via its `v, r, s` overload otherwise; `fn` is the function signature without the signature parameters
+	async __sendSigned(signer, fn, args, signature, options) {
+		if(await this.web3.eth.getCode(signer) !== "0x") {
+			return await this.__send(this.contract.methods[`${fn},bytes)`](...args, to_bytes(signature)), options);
+		}
+		const {v, r, s} = to_vrs(signature);
+		return await this.__send(this.contract.methods[`${fn},uint8,bytes32,bytes32)`](...args, v, r, s), options);
+	}
+
+	// throws locally if the feature required is disabled
+	async __requireFeature(feature, message) {
+		if(!await this.isFeatureEnabled(feature)) {
+			throw new Error(message);
+		}
+	}
+
+	// throws locally if the operator doesn't have the role required
+	async __requireRole(operator, role) {
+		if(!await this.isOperatorInRole(operator, role)) {
+			throw new Error("access denied");
+		}
+	}
+
+	// throws locally if the token is paused
+	async __requireNotPaused() {
+		if(await this.paused()) {
+			throw new Error("token is paused");
+		}
+	}
+
+	// throws locally if the token is paused, or the transfer or transfer on behalf is disabled
+	async __requireTransfer(by, from) {
+		await this.__requireNotPaused();
+		if(from.toLowerCase() === by.toLowerCase()) {
+			await this.__requireFeature(FEATURE_TRANSFERS, "transfers are disabled");
+		}
+		else {
+			await this.__requireFeature(FEATURE_TRANSFERS_ON_BEHALF, "transfers on behalf are disabled");
+		}
+	}
+}
+
+// export public module API
+module.exports = {
+	AdvancedERC20Client,
+};
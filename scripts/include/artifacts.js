@@ -0,0 +1,53 @@
+// export the ABIs and bytecode of the compiled smart contracts shipped with the package
+
+// compiled Hardhat artifacts, committed into the repository and published with the package
+const AdvancedERC20 = require("../../artifacts/contracts/token/AdvancedERC20.sol/AdvancedERC20.json");
+const GenericFactoryV1 = require("../../artifacts/contracts/protocol/GenericFactoryV1.sol/GenericFactoryV1.json");
+const MinimalForwarder = require("../../artifacts/contracts/protocol/MinimalForwarder.sol/MinimalForwarder.json");
+const ERC1363 = require("../../artifacts/contracts/interfaces/ERC1363Spec.sol/ERC1363.json");
+const ERC1363Receiver = require("../../artifacts/contracts/interfaces/ERC1363Spec.sol/ERC1363Receiver.json");
+const ERC1363Spender = require("../../artifacts/contracts/interfaces/ERC1363Spec.sol/ERC1363Spender.json");
+const EIP2612 = require("../../artifacts/contracts/interfaces/EIP2612.sol/EIP2612.json");
+const EIP3009 = require("../../artifacts/contracts/interfaces/EIP3009.sol/EIP3009.json");
+
+// AdvancedERC20 implementation: ABI, creation and runtime bytecode
+const ADVANCED_ERC20_ABI = AdvancedERC20.abi;
+const ADVANCED_ERC20_BYTECODE = AdvancedERC20.bytecode;
+const ADVANCED_ERC20_DEPLOYED_BYTECODE = AdvancedERC20.deployedBytecode;
+
+// GenericFactoryV1: ABI, creation and runtime bytecode
+const GENERIC_FACTORY_ABI = GenericFactoryV1.abi;
+const GENERIC_FACTORY_BYTECODE = GenericFactoryV1.bytecode;
+const GENERIC_FACTORY_DEPLOYED_BYTECODE = GenericFactoryV1.deployedBytecode;
+
+// MinimalForwarder (ERC-2771 trusted forwarder): ABI, creation and runtime bytecode
+const MINIMAL_FORWARDER_ABI = MinimalForwarder.abi;
+const MINIMAL_FORWARDER_BYTECODE = MinimalForwarder.bytecode;
+const MINIMAL_FORWARDER_DEPLOYED_BYTECODE = MinimalForwarder.deployedBytecode;
+
+// ERC1363 token, receiver, and spender interfaces ABIs
+const ERC1363_ABI = ERC1363.abi;
+const ERC1363_RECEIVER_ABI = ERC1363Receiver.abi;
+const ERC1363_SPENDER_ABI = ERC1363Spender.abi;
+
+// EIP-2612 and EIP-3009 interfaces ABIs
+const EIP2612_ABI = EIP2612.abi;
+const EIP3009_ABI = EIP3009.abi;
+
+// export public module API
+module.exports = {
+	ADVANCED_ERC20_ABI,
+	ADVANCED_ERC20_BYTECODE,
+	ADVANCED_ERC20_DEPLOYED_BYTECODE,
+	GENERIC_FACTORY_ABI,
+	GENERIC_FACTORY_BYTECODE,
+	GENERIC_FACTORY_DEPLOYED_BYTECODE,
+	MINIMAL_FORWARDER_ABI,
+	MINIMAL_FORWARDER_BYTECODE,
+	MINIMAL_FORWARDER_DEPLOYED_BYTECODE,
+	ERC1363_ABI,
+	ERC1363_RECEIVER_ABI,
+	ERC1363_SPENDER_ABI,
+	EIP2612_ABI,
+	EIP3009_ABI,
+};
@@ -0,0 +1,119 @@
+// compliance lists (blocklist and allowlist) tooling: reads the list members by replaying the
+// BlocklistUpdated/AllowlistUpdated events, and diffs the desired list against the on-chain state
+
+// AdvancedERC20 ABI shipped with the package
+const {ADVANCED_ERC20_ABI} = require("./artifacts");
+
+// supported lists: the event updating the list, the mapping getter, and the update function
+const COMPLIANCE_LISTS = Object.freeze({
+	blocklist: Object.freeze({
+		event: "BlocklistUpdated(address,address[],bool)",
+		getter: "blocklist",
+		update: "updateBlocklist",
+	}),
+	allowlist: Object.freeze({
+		event: "AllowlistUpdated(address,address[],bool)",
+		getter: "allowlist",
+		update: "updateAllowlist",
+	}),
+});
+
+/**
+ * Resolves the list descriptor by its name
+ *
+ * @param list list name, "blocklist" or "allowlist"
+ * @returns list descriptor {event, getter, update}, throws if the list is unknown
+ */
+function resolve_list(list) {
+	const descriptor = COMPLIANCE_LISTS[list];
+	if(!descriptor) {
+		throw new Error(`unknown compliance list: ${list}, expected one of ${Object.keys(COMPLIANCE_LISTS).join(", ")}`);
+	}
+	return descriptor;
+}
+
+/**
+ * Reads the current members of the compliance list
+ *
+ * @dev The mappings are not enumerable, the candidates are collected by replaying the update events
+ *      in batches of `batchSize` blocks, and every candidate is then verified with the mapping getter
+ *
+ * @param web3 web3 instance connected to the network the token is deployed to
+ * @param address token address
+ * @param list list name, "blocklist" or "allowlist"
+ * @param fromBlock block number to start replaying the events from, optional, token deployment block
+ * @param toBlock block number to stop replaying the events at, optional, latest block
+ * @param batchSize number of blocks to query the logs for at once, optional
+ * @returns an array of the list members (checksum addresses), sorted
+ */
+async function readComplianceList(web3, address, list, {fromBlock = 0, toBlock, batchSize = 10_000} = {}) {
+	const {event, getter} = resolve_list(list);
+	const token = new web3.eth.Contract(ADVANCED_ERC20_ABI, address);
+	const topic = web3.eth.abi.encodeEventSignature(event);
+	if(toBlock === undefined) {
+		toBlock = Number(await web3.eth.getBlockNumber());
+	}
+
+	// collect all the addresses ever mentioned in the list updates
+	const candidates = new Set();
+	for(let from = fromBlock; from <= toBlock; from += batchSize) {
+		const logs = await web3.eth.getPastLogs({
+			address,
+			topics: [topic],
+			fromBlock: from,
+			toBlock: Math.min(from + batchSize - 1, toBlock),
+		});
+		for(const log of logs) {
+			// by is indexed, accounts and the status are not
+			const {0: accounts} = web3.eth.abi.decodeParameters(["address[]", "bool"], log.data);
+			accounts.forEach(a => candidates.add(web3.utils.toChecksumAddress(a)));
+		}
+	}
+
+	// the getter is the source of truth: the same address can be added and removed several times
+	const members = [];
+	for(const candidate of candidates) {
+		if(await token.methods[getter](candidate).call()) {
+			members.push(candidate);
+		}
+	}
+	return members.sort();
+}
+
+/**
+ * Compares the desired compliance list with the one on-chain
+ *
+ * @param web3 web3 instance connected to the network the token is deployed to
+ * @param address token address
+ * @param list list name, "blocklist" or "allowlist"
+ * @param addresses desired list members
+ * @param options events replay options, see `readComplianceList`
+ * @returns diff {add, remove, unchanged}: the addresses to add to the list, to remove from it,
+ *      and the ones already listed; all checksum addresses, sorted
+ */
+async function diffComplianceList(web3, address, list, addresses, options = {}) {
+	const {getter} = resolve_list(list);
+	const token = new web3.eth.Contract(ADVANCED_ERC20_ABI, address);
+	const desired = new Set(addresses.map(a => web3.utils.toChecksumAddress(a)));
+
+	// desired addresses are verified directly, the ones to remove are found by replaying the events
+	const add = [];
+	const unchanged = [];
+	for(const account of desired) {
+		(await token.methods[getter](account).call()? unchanged: add).push(account);
+	}
+	const remove = (await readComplianceList(web3, address, list, options)).filter(a => !desired.has(a));
+
+	return {
+		add: add.sort(),
+		remove,
+		unchanged: unchanged.sort(),
+	};
+}
+
+// export public module API
+module.exports = {
+	COMPLIANCE_LISTS,
+	readComplianceList,
+	diffComplianceList,
+};
@@ -0,0 +1,367 @@
+// EIP-712 typed structured data builders for all the signed operations AdvancedERC20 accepts:
+// EIP-2612 permit, EIP-3009 transfer/receive/cancel authorizations, and voting delegation on behalf
+
+// default EIP-712 domain name, AdvancedERC20 specifies its version in the name
+const DEFAULT_DOMAIN_NAME = "AdvancedERC20v1";
+
+// EIP-712 domain type, AdvancedERC20 doesn't include version into the default domain
+const EIP712_DOMAIN_TYPE = [
+	{name: "name", type: "string"},
+	{name: "chainId", type: "uint256"},
+	{name: "verifyingContract", type: "address"},
+];
+
+// all the EIP-712 domain fields in the order of the EIP-5267 `fields` bitmap bits
+const EIP712_DOMAIN_FIELDS = [
+	{name: "name", type: "string"},
+	{name: "version", type: "string"},
+	{name: "chainId", type: "uint256"},
+	{name: "verifyingContract", type: "address"},
+	{name: "salt", type: "bytes32"},
+];
+
+// EIP-5267 eip712Domain() ABI
+const EIP5267_DOMAIN_ABI = {
+	type: "function",
+	name: "eip712Domain",
+	inputs: [],
+	outputs: [
+		{name: "fields", type: "bytes1"},
+		{name: "name", type: "string"},
+		{name: "version", type: "string"},
+		{name: "chainId", type: "uint256"},
+		{name: "verifyingContract", type: "address"},
+		{name: "salt", type: "bytes32"},
+		{name: "extensions", type: "uint256[]"},
+	],
+	stateMutability: "view",
+};
+
+// EIP-712 struct types of all the signed operations AdvancedERC20 accepts
+const EIP712_TYPES = {
+	Delegation: [
+		{name: "delegate", type: "address"},
+		{name: "nonce", type: "uint256"},
+		{name: "expiry", type: "uint256"},
+	],
+	DelegationWithDelegator: [
+		{name: "delegator", type: "address"},
+		{name: "delegate", type: "address"},
+		{name: "nonce", type: "uint256"},
+		{name: "expiry", type: "uint256"},
+	],
+	Permit: [
+		{name: "owner", type: "address"},
+		{name: "spender", type: "address"},
+		{name: "value", type: "uint256"},
+		{name: "nonce", type: "uint256"},
+		{name: "deadline", type: "uint256"},
+	],
+	TransferWithAuthorization: [
+		{name: "from", type: "address"},
+		{name: "to", type: "address"},
+		{name: "value", type: "uint256"},
+		{name: "validAfter", type: "uint256"},
+		{name: "validBefore", type: "uint256"},
+		{name: "nonce", type: "bytes32"},
+	],
+	ReceiveWithAuthorization: [
+		{name: "from", type: "address"},
+		{name: "to", type: "address"},
+		{name: "value", type: "uint256"},
+		{name: "validAfter", type: "uint256"},
+		{name: "validBefore", type: "uint256"},
+		{name: "nonce", type: "bytes32"},
+	],
+	CancelAuthorization: [
+		{name: "authorizer", type: "address"},
+		{name: "nonce", type: "bytes32"},
+	],
+};
+
+// ERC-5805 (OpenZeppelin IVotes) `delegateBySig` Delegation struct type; shares the name with
+// the `delegateWithAuthorization` Delegation struct type, but names the delegate field differently
+const EIP5805_DELEGATION_TYPE = [
+	{name: "delegatee", type: "address"},
+	{name: "nonce", type: "uint256"},
+	{name: "expiry", type: "uint256"},
+];
+
+/**
+ * Converts an integer value (number, BN, BigInt, string) into a decimal string,
+ *      which is safe to be serialized into JSON and is accepted by all the wallets
+ *
+ * @param value integer value to convert
+ * @returns decimal string representation of the value
+ */
+function to_uint_string(value) {
+	return typeof value === "string" && /^0x/i.test(value)? BigInt(value).toString(10): value.toString(10);
+}
+
+/**
+ * Builds the EIP-712 domain of the AdvancedERC20 token
+ *
+ * @param verifyingContract token address
+ * @param chainId chain ID the token is deployed to
+ * @param name EIP-712 domain name, optional, defaults to "AdvancedERC20v1"
+ * @param version EIP-712 domain version, optional, the default domain has no version
+ * @returns EIP-712 domain object {name, version, chainId, verifyingContract}, version is set only if specified
+ */
+function buildDomain(verifyingContract, chainId, name = DEFAULT_DOMAIN_NAME, version) {
+	return Object.assign({name}, version === undefined? {}: {version}, {chainId: parseInt(to_uint_string(chainId)), verifyingContract});
+}
+
+/**
+ * Builds the EIP-712 domain type (`EIP712Domain` fields) describing the domain given,
+ *      the default AdvancedERC20 domain gives `EIP712_DOMAIN_TYPE`
+ *
+ * @param domain EIP-712 domain, see `buildDomain`, `fetchDomain`
+ * @returns an array of the domain fields {name, type} present in the domain, in the EIP-712 order
+ */
+function buildDomainType(domain) {
+	return EIP712_DOMAIN_FIELDS.filter(({name}) => domain[name] !== undefined);
+}
+
+/**
+ * Discovers the EIP-712 domain of the token by reading its EIP-5267 `eip712Domain()`,
+ *      see https://eips.ethereum.org/EIPS/eip-5267
+ *
+ * @dev Doesn't require the token to be AdvancedERC20, works with any EIP-5267 compatible contract
+ *      not using the extensions
+ *
+ * @param web3 web3 instance connected to the network
+ * @param token token address
+ * @returns EIP-712 domain object containing only the fields the token uses, like
+ *      {name, version, chainId, verifyingContract}
+ */
+async function fetchDomain(web3, token) {
+	const contract = new web3.eth.Contract([EIP5267_DOMAIN_ABI], token);
+	const result = await contract.methods.eip712Domain().call();
+	if(result.extensions.length) {
+		throw new Error(`unsupported EIP-712 domain extensions: ${result.extensions.join(", ")}`);
+	}
+
+	// pick the fields marked in the bitmap, in the EIP-712 order
+	const fields = parseInt(result.fields, 16);
+	const domain = {};
+	for(const [i, {name}] of EIP712_DOMAIN_FIELDS.entries()) {
+		if(fields & (1 << i)) {
+			domain[name] = name === "chainId"? parseInt(to_uint_string(result.chainId)): result[name];
+		}
+	}
+	return domain;
+}
+
+/**
+ * Builds `eth_signTypedData_v4`-ready typed data payload for the given struct type
+ *
+ * @param domain EIP-712 domain, see `buildDomain`, `fetchDomain`
+ * @param primaryType one of the EIP712_TYPES keys
+ * @param message the struct to sign
+ * @returns typed data payload {types, primaryType, domain, message}
+ */
+function buildTypedData(domain, primaryType, message) {
+	if(!EIP712_TYPES[primaryType]) {
+		throw new Error(`unknown EIP-712 type: ${primaryType}`);
+	}
+	return {
+		types: {
+			EIP712Domain: buildDomainType(domain),
+			[primaryType]: EIP712_TYPES[primaryType],
+		},
+		primaryType,
+		domain,
+		message,
+	};
+}
+
+/**
+ * Builds the EIP-2612 `permit` typed data payload
+ *
+ * @param domain EIP-712 domain, see `buildDomain`
+ * @param owner token owner, signer
+ * @param spender an address to be approved to spend the tokens
+ * @param value an amount of tokens to approve
+ * @param nonce current owner's nonce, see `nonces(owner)`
+ * @param deadline signature expiration time (unix timestamp)
+ * @returns typed data payload
+ */
+function buildPermit(domain, {owner, spender, value, nonce, deadline}) {
+	return buildTypedData(domain, "Permit", {
+		owner,
+		spender,
+		value: to_uint_string(value),
+		nonce: to_uint_string(nonce),
+		deadline: to_uint_string(deadline),
+	});
+}
+
+/**
+ * Builds the EIP-3009 `transferWithAuthorization` typed data payload
+ *
+ * @param domain EIP-712 domain, see `buildDomain`
+ * @param from token sender, signer
+ * @param to token receiver
+ * @param value an amount of tokens to transfer
+ * @param validAfter signature valid after time (unix timestamp)
+ * @param validBefore signature valid before time (unix timestamp)
+ * @param nonce unique random bytes32 nonce
+ * @returns typed data payload
+ */
+function buildTransferWithAuthorization(domain, {from, to, value, validAfter, validBefore, nonce}) {
+	return buildTypedData(domain, "TransferWithAuthorization", {
+		from,
+		to,
+		value: to_uint_string(value),
+		validAfter: to_uint_string(validAfter),
+		validBefore: to_uint_string(validBefore),
+		nonce,
+	});
+}
+
+/**
+ * Builds the EIP-3009 `receiveWithAuthorization` typed data payload
+ *
+ * @param domain EIP-712 domain, see `buildDomain`
+ * @param from token sender, signer
+ * @param to token receiver, transaction sender
+ * @param value an amount of tokens to transfer
+ * @param validAfter signature valid after time (unix timestamp)
+ * @param validBefore signature valid before time (unix timestamp)
+ * @param nonce unique random bytes32 nonce
+ * @returns typed data payload
+ */
+function buildReceiveWithAuthorization(domain, {from, to, value, validAfter, validBefore, nonce}) {
+	return buildTypedData(domain, "ReceiveWithAuthorization", {
+		from,
+		to,
+		value: to_uint_string(value),
+		validAfter: to_uint_string(validAfter),
+		validBefore: to_uint_string(validBefore),
+		nonce,
+	});
+}
+
+/**
+ * Builds the EIP-3009 `cancelAuthorization` typed data payload
+ *
+ * @param domain EIP-712 domain, see `buildDomain`
+ * @param authorizer an address which cancels the authorization, signer
+ * @param nonce bytes32 nonce of the authorization to cancel
+ * @returns typed data payload
+ */
+function buildCancelAuthorization(domain, {authorizer, nonce}) {
+	return buildTypedData(domain, "CancelAuthorization", {authorizer, nonce});
+}
+
+/**
+ * Builds the `delegateWithAuthorization` typed data payload
+ *
+ * @dev Note: nonce is a random bytes32 value (like in EIP-3009), it is signed as uint256
+ *
+ * @dev If the delegator is specified, builds the DelegationWithDelegator payload accepted by the
+ *      `delegateWithAuthorization(delegator, to, nonce, expiry, signature)` overload (required for
+ *      the smart contract wallets), otherwise builds the Delegation payload accepted by
+ *      the `v, r, s` overload, where the delegator is recovered from the signature
+ *
+ * @param domain EIP-712 domain, see `buildDomain`
+ * @param delegator an address to delegate voting power of, signer, optional
+ * @param delegate an address to delegate voting power to
+ * @param nonce unique random bytes32 nonce
+ * @param expiry signature expiration time (unix timestamp)
+ * @returns typed data payload
+ */
+function buildDelegation(domain, {delegator, delegate, nonce, expiry}) {
+	const message = {
+		delegate,
+		nonce: to_uint_string(nonce),
+		expiry: to_uint_string(expiry),
+	};
+	return delegator === undefined
+		? buildTypedData(domain, "Delegation", message)
+		: buildTypedData(domain, "DelegationWithDelegator", Object.assign({delegator}, message));
+}
+
+/**
+ * Builds the ERC-5805 (OpenZeppelin IVotes) `delegateBySig` typed data payload
+ *
+ * @dev Note: nonce is the delegator's sequential nonce shared with EIP-2612 `permit`, see `nonces(delegator)`
+ *
+ * @param domain EIP-712 domain, see `buildDomain`
+ * @param delegatee an address to delegate voting power to
+ * @param nonce current delegator's nonce
+ * @param expiry signature expiration time (unix timestamp)
+ * @returns typed data payload
+ */
+function buildDelegateBySig(domain, {delegatee, nonce, expiry}) {
+	return {
+		types: {
+			EIP712Domain: buildDomainType(domain),
+			Delegation: EIP5805_DELEGATION_TYPE,
+		},
+		primaryType: "Delegation",
+		domain,
+		message: {
+			delegatee,
+			nonce: to_uint_string(nonce),
+			expiry: to_uint_string(expiry),
+		},
+	};
+}
+
+/**
+ * Splits the 65 bytes long signature returned by `eth_signTypedData_v4` into `v, r, s`
+ *
+ * @param signature 0x-prefixed hex string, 65 bytes long (r ‖ s ‖ v)
+ * @returns signature split into {v, r, s}, v is normalized to be 27 or 28
+ */
+function splitSignature(signature) {
+	if(!/^0x[0-9a-fA-F]{130}$/.test(signature)) {
+		throw new Error("malformed signature, 65 bytes hex string expected");
+	}
+	const r = "0x" + signature.substring(2, 66);
+	const s = "0x" + signature.substring(66, 130);
+	let v = parseInt(signature.substring(130, 132), 16);
+	if(v < 27) {
+		v += 27;
+	}
+	return {v, r, s};
+}
+
+/**
+ * Joins the {v, r, s} signature into 65 bytes long signature (r ‖ s ‖ v),
+ *      accepted by the `bytes signature` overloads of the signed operations
+ *
+ * @dev Smart contract wallets (ERC-1271) define their own signature formats, the signatures
+ *      they produce are passed to the `bytes signature` overloads as is, without joining or splitting
+ *
+ * @param v signature v, 27 or 28
+ * @param r signature r, 0x-prefixed 32 bytes hex string
+ * @param s signature s, 0x-prefixed 32 bytes hex string
+ * @returns 0x-prefixed hex string, 65 bytes long (r ‖ s ‖ v)
+ */
+function joinSignature({v, r, s}) {
+	if(!/^0x[0-9a-fA-F]{64}$/.test(r) || !/^0x[0-9a-fA-F]{64}$/.test(s)) {
+		throw new Error("malformed signature, 32 bytes hex strings r and s expected");
+	}
+	return r + s.substring(2) + parseInt(v).toString(16).padStart(2, "0");
+}
+
+// export public module API
+module.exports = {
+	DEFAULT_DOMAIN_NAME,
+	EIP712_DOMAIN_TYPE,
+	EIP712_TYPES,
+	buildDomain,
+	buildDomainType,
+	fetchDomain,
+	buildTypedData,
+	buildPermit,
+	buildTransferWithAuthorization,
+	buildReceiveWithAuthorization,
+	buildCancelAuthorization,
+	buildDelegation,
+	buildDelegateBySig,
+	splitSignature,
+	joinSignature,
+};
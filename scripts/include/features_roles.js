@@ -9,8 +9,9 @@ const {
 	not,
 } = require("@lazy-sol/access-control-upgradeable");
 
-// All 16 features enabled
-const FEATURE_ALL = 0x0000_FFFF;
+// All 16 features enabled, except the opt-in FEATURE_FORCED_TRANSFERS (0x1000),
+// which must be enabled explicitly, like or(FEATURE_ALL, FEATURE_FORCED_TRANSFERS)
+const FEATURE_ALL = 0x0000_EFFF;
 
 // All 16 features disabled
 const FEATURE_NONE = 0x0000_0000;
@@ -84,10 +85,18 @@ const FEATURE_EIP3009_TRANSFERS = 0x0000_0400;
  */
 const FEATURE_EIP3009_RECEPTIONS = 0x0000_0800;
 
-// [ERC721] Enables approvals on behalf (permits via an EIP712 signature)
+/**
+ * [ERC20] Enables forced transfers (clawbacks) executed by the force transfer manager;
+ *      opt-in feature, not included into FEATURE_ALL
+ */
+const FEATURE_FORCED_TRANSFERS = 0x0000_1000;
+
+// [ERC721] Enables approvals on behalf (permits via an EIP712 signature),
+// exported in the ERC721 namespace only, see below
 const FEATURE_PERMITS = 0x0000_0200;
 
-// [ERC721] Enables operator approvals on behalf (permits for all via an EIP712 signature)
+// [ERC721] Enables operator approvals on behalf (permits for all via an EIP712 signature),
+// exported in the ERC721 namespace only, see below
 const FEATURE_OPERATOR_PERMITS = 0x0000_0400;
 
 /**
@@ -114,11 +123,228 @@ const ROLE_ERC20_RECEIVER = 0x0004_0000;
  */
 const ROLE_ERC20_SENDER = 0x0008_0000;
 
-// [ERC721] URI manager is responsible for managing base URI part of the token URI ERC721Metadata interface
+/**
+ * [ERC20] Pause manager is responsible for pausing (freezing) and unpausing
+ *      the token in an emergency
+ */
+const ROLE_PAUSE_MANAGER = 0x0020_0000;
+
+/**
+ * [ERC20] Compliance manager is responsible for managing the blocklist and the allowlist,
+ *      and for switching the allowlist-only mode
+ */
+const ROLE_COMPLIANCE_MANAGER = 0x0040_0000;
+
+/**
+ * [ERC20] Force transfer manager is responsible for executing the court orders
+ *      and lost key recoveries by moving the tokens without the token owner consent
+ */
+const ROLE_FORCE_TRANSFER_MANAGER = 0x0080_0000;
+
+// [ERC721] URI manager is responsible for managing base URI part of the token URI ERC721Metadata interface,
+// exported in the ERC721 namespace only, see below
 const ROLE_URI_MANAGER = 0x0010_0000;
 
 // End: ===== ERC20/ERC721 =====
 
+// Start: ===== GenericFactoryV1 =====
+
+// [Factory] Restricts cloning to the implementations registered in the registry only,
+// exported in the FACTORY namespace only, see below
+const FEATURE_REGISTERED_IMPLEMENTATIONS_ONLY = 0x0000_0001;
+
+// [Factory] Restricts cloning to ROLE_CLONER only, otherwise anyone can clone the implementations,
+// exported in the FACTORY namespace only, see below
+const FEATURE_RESTRICTED_CLONING = 0x0000_0002;
+
+// [Factory] Implementation manager is responsible for managing the implementation registry,
+// exported in the FACTORY namespace only, see below
+const ROLE_IMPLEMENTATION_MANAGER = 0x0001_0000;
+
+// [Factory] Privileged cloner can clone even if cloning is restricted, and doesn't pay the clone fee,
+// exported in the FACTORY namespace only, see below
+const ROLE_CLONER = 0x0002_0000;
+
+// [Factory] Fee manager is responsible for setting the clone fee and withdrawing the fees collected,
+// exported in the FACTORY namespace only, see below
+const ROLE_FEE_MANAGER = 0x0004_0000;
+
+// End: ===== GenericFactoryV1 =====
+
+// Auxiliary BN stuff
+const BN = web3.utils.BN;
+
+// Features range: lower 16 bits of the mask
+const FEATURES_MASK = new BN(0x0000_FFFF);
+
+// Roles range: everything above the lower 16 bits of the mask
+const ROLES_MASK = FULL_PRIVILEGES_MASK.xor(FEATURES_MASK);
+
+// ERC20 namespace: features and roles defined in AdvancedERC20 as `uint32 public constant`,
+// the values are verified against the compiled contract in test/scripts/features_roles_drift.js
+const ERC20 = Object.freeze({
+	FEATURE_TRANSFERS,
+	FEATURE_TRANSFERS_ON_BEHALF,
+	FEATURE_UNSAFE_TRANSFERS,
+	FEATURE_OWN_BURNS,
+	FEATURE_BURNS_ON_BEHALF,
+	FEATURE_DELEGATIONS,
+	FEATURE_DELEGATIONS_ON_BEHALF,
+	FEATURE_ERC1363_TRANSFERS,
+	FEATURE_ERC1363_APPROVALS,
+	FEATURE_EIP2612_PERMITS,
+	FEATURE_EIP3009_TRANSFERS,
+	FEATURE_EIP3009_RECEPTIONS,
+	FEATURE_FORCED_TRANSFERS,
+	ROLE_TOKEN_CREATOR,
+	ROLE_TOKEN_DESTROYER,
+	ROLE_ERC20_RECEIVER,
+	ROLE_ERC20_SENDER,
+	ROLE_PAUSE_MANAGER,
+	ROLE_COMPLIANCE_MANAGER,
+	ROLE_FORCE_TRANSFER_MANAGER,
+});
+
+// ERC721 namespace: features and roles of the ERC721 tokens;
+// note: FEATURE_PERMITS and FEATURE_OPERATOR_PERMITS share the values with the
+// ERC20 FEATURE_EIP2612_PERMITS and FEATURE_EIP3009_TRANSFERS, never use them with ERC20 token
+const ERC721 = Object.freeze({
+	FEATURE_TRANSFERS,
+	FEATURE_TRANSFERS_ON_BEHALF,
+	FEATURE_OWN_BURNS,
+	FEATURE_BURNS_ON_BEHALF,
+	FEATURE_PERMITS,
+	FEATURE_OPERATOR_PERMITS,
+	ROLE_TOKEN_CREATOR,
+	ROLE_TOKEN_DESTROYER,
+	ROLE_URI_MANAGER,
+});
+
+// FACTORY namespace: features and roles defined in GenericFactoryV1 as `uint32 public constant`;
+// note: the values overlap with the ERC20 ones, never use them with the ERC20 token
+const FACTORY = Object.freeze({
+	FEATURE_REGISTERED_IMPLEMENTATIONS_ONLY,
+	FEATURE_RESTRICTED_CLONING,
+	ROLE_IMPLEMENTATION_MANAGER,
+	ROLE_CLONER,
+	ROLE_FEE_MANAGER,
+});
+
+// named features and roles known to the AdvancedERC20, used to encode/decode masks
+const KNOWN_BITS = Object.assign({}, ERC20, {
+	ROLE_UPGRADE_MANAGER,
+	ROLE_ACCESS_MANAGER,
+});
+
+// named composite masks, accepted by `parseMask` but never produced by `describeMask`
+const KNOWN_MASKS = {
+	FEATURE_ALL,
+	FEATURE_NONE,
+	FULL_PRIVILEGES_MASK,
+};
+
+/**
+ * Converts the mask supplied into BN; accepts numbers, BN, BigInt,
+ * and decimal or hex strings (with optional "_" separators, like "0x0000_0FFF")
+ *
+ * @param mask features/roles mask to convert
+ * @returns BN representation of the mask
+ */
+function to_bn(mask) {
+	if(typeof mask === "string") {
+		// note: web3 BN wrapper accepts "0x"-prefixed hex strings, but ignores the base argument
+		const s = mask.trim().replace(/_/g, "").toLowerCase();
+		if(!/^(0x[0-9a-f]+|[0-9]+)$/.test(s)) {
+			throw new Error(`malformed mask: ${mask}`);
+		}
+		return new BN(s);
+	}
+	if(typeof mask === "bigint") {
+		return new BN(mask.toString(10));
+	}
+	return new BN(mask);
+}
+
+/**
+ * Decodes the features/roles mask into the named FEATURE_* and ROLE_* constants
+ *
+ * @param mask features/roles mask to decode, as it is passed into `postConstruct`,
+ *      `updateFeatures`, `updateRole`, or returned from `features()`, `getRole()`;
+ *      can be a number, BN, BigInt, decimal or hex string
+ * @returns an object containing
+ *      mask – the mask itself as a hex string,
+ *      features – names of the features (lower 16 bits) set in the mask,
+ *      roles – names of the roles (the rest of the bits) set in the mask,
+ *      unknownFeatures – hex string of the bits in the features range which have no name, or null,
+ *      unknownRoles – hex string of the bits in the roles range which have no name, or null
+ */
+function describeMask(mask) {
+	const bn = to_bn(mask);
+	const features = [];
+	const roles = [];
+	let known = new BN(0);
+	for(const [name, value] of Object.entries(KNOWN_BITS)) {
+		const bit = new BN(value);
+		if(!bn.and(bit).isZero()) {
+			(name.startsWith("FEATURE_")? features: roles).push(name);
+			known = known.or(bit);
+		}
+	}
+	const unknown = bn.xor(known);
+	const unknown_features = unknown.and(FEATURES_MASK);
+	const unknown_roles = unknown.and(ROLES_MASK);
+
+	return {
+		mask: "0x" + bn.toString(16),
+		features,
+		roles,
+		unknownFeatures: unknown_features.isZero()? null: "0x" + unknown_features.toString(16),
+		unknownRoles: unknown_roles.isZero()? null: "0x" + unknown_roles.toString(16),
+	};
+}
+
+/**
+ * Formats the features/roles mask as a human-readable string of "|"-separated names,
+ *      like "FEATURE_TRANSFERS|FEATURE_OWN_BURNS|ROLE_TOKEN_CREATOR";
+ *      unknown bits are appended as hex numbers, zero mask is formatted as "FEATURE_NONE"
+ *
+ * @param mask features/roles mask to format, see `describeMask`
+ * @returns human-readable mask representation, which can be parsed back with `parseMask`
+ */
+function formatMask(mask) {
+	const {features, roles, unknownFeatures, unknownRoles} = describeMask(mask);
+	const tokens = [...features, ...roles, unknownFeatures, unknownRoles].filter(t => t);
+	return tokens.length? tokens.join("|"): "FEATURE_NONE";
+}
+
+/**
+ * Encodes the features/roles mask from its human-readable representation
+ *
+ * @dev Accepts the names separated by "|", ",", "+", or whitespace;
+ *      the names are case-insensitive, "FEATURE_" and "ROLE_" prefixes can be omitted;
+ *      hex and decimal numbers are accepted as is
+ *
+ * @dev Example: parseMask("TRANSFERS|OWN_BURNS|EIP2612_PERMITS") returns 0x0000_0209
+ *
+ * @param input human-readable mask representation, like "TRANSFERS|OWN_BURNS|EIP2612_PERMITS"
+ * @returns mask as BN, throws if any of the names is unknown
+ */
+function parseMask(input) {
+	const named = Object.assign({}, KNOWN_BITS, KNOWN_MASKS);
+	const tokens = String(input).split(/[|,+\s]+/).filter(t => t);
+	return or(0, ...tokens.map(function(token) {
+		if(/^[0-9]/.test(token)) {
+			return to_bn(token);
+		}
+		const name = token.toUpperCase();
+		const value = [name, "FEATURE_" + name, "ROLE_" + name].map(n => named[n]).find(v => v !== undefined);
+		if(value === undefined) {
+			throw new Error(`unknown feature or role: ${token}`);
+		}
+		return value;
+	}));
+}
+
 // export public module API
 module.exports = {
 	ROLE_ACCESS_MANAGER,
@@ -140,11 +366,18 @@ module.exports = {
 	FEATURE_EIP2612_PERMITS,
 	FEATURE_EIP3009_TRANSFERS,
 	FEATURE_EIP3009_RECEPTIONS,
-	FEATURE_PERMITS,
-	FEATURE_OPERATOR_PERMITS,
+	FEATURE_FORCED_TRANSFERS,
 	ROLE_TOKEN_CREATOR,
 	ROLE_TOKEN_DESTROYER,
 	ROLE_ERC20_RECEIVER,
 	ROLE_ERC20_SENDER,
-	ROLE_URI_MANAGER,
+	ROLE_PAUSE_MANAGER,
+	ROLE_COMPLIANCE_MANAGER,
+	ROLE_FORCE_TRANSFER_MANAGER,
+	ERC20,
+	ERC721,
+	FACTORY,
+	describeMask,
+	formatMask,
+	parseMask,
 };
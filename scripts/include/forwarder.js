@@ -0,0 +1,157 @@
+// ERC-2771 meta-transactions: MinimalForwarder EIP-712 request builders and the relayer helpers,
+// allowing to execute any AdvancedERC20 function gasless: the sender signs the request, the relayer submits it
+
+// MinimalForwarder ABI shipped with the package
+const {MINIMAL_FORWARDER_ABI} = require("./artifacts");
+
+// MinimalForwarder EIP-712 domain name and version
+const FORWARDER_DOMAIN_NAME = "MinimalForwarder";
+const FORWARDER_DOMAIN_VERSION = "1";
+
+// EIP-712 domain type, MinimalForwarder includes version into the domain
+const FORWARDER_DOMAIN_TYPE = [
+	{name: "name", type: "string"},
+	{name: "version", type: "string"},
+	{name: "chainId", type: "uint256"},
+	{name: "verifyingContract", type: "address"},
+];
+
+// EIP-712 ForwardRequest struct type
+const FORWARD_REQUEST_TYPE = [
+	{name: "from", type: "address"},
+	{name: "to", type: "address"},
+	{name: "value", type: "uint256"},
+	{name: "gas", type: "uint256"},
+	{name: "nonce", type: "uint256"},
+	{name: "deadline", type: "uint256"},
+	{name: "data", type: "bytes"},
+];
+
+// default request validity period: one hour
+const DEFAULT_VALIDITY_PERIOD = 3_600;
+
+/**
+ * Converts an integer value (number, BN, BigInt, string) into a decimal string
+ *
+ * @param value integer value to convert
+ * @returns decimal string
+ */
+function to_uint_string(value) {
+	return BigInt(value.toString()).toString(10);
+}
+
+/**
+ * Builds the EIP-712 domain of the MinimalForwarder
+ *
+ * @param verifyingContract forwarder address
+ * @param chainId chain ID the forwarder is deployed to
+ * @returns EIP-712 domain object {name, version, chainId, verifyingContract}
+ */
+function buildForwarderDomain(verifyingContract, chainId) {
+	return {
+		name: FORWARDER_DOMAIN_NAME,
+		version: FORWARDER_DOMAIN_VERSION,
+		chainId: parseInt(to_uint_string(chainId)),
+		verifyingContract,
+	};
+}
+
+/**
+ * Builds the `ForwardRequest` typed data payload, ready to be signed with `eth_signTypedData_v4`
+ *
+ * @param domain EIP-712 domain, see `buildForwarderDomain`
+ * @param from transaction sender, signer
+ * @param to the address to call, like the token address
+ * @param value native currency value to send with the call, optional, defaults to zero
+ * @param gas gas limit of the call
+ * @param nonce current sender's nonce, see forwarder `nonces(from)`
+ * @param deadline request expiration time (unix timestamp)
+ * @param data calldata to call the `to` address with (ABI encoded function call)
+ * @returns typed data payload {types, primaryType, domain, message}
+ */
+function buildForwardRequest(domain, {from, to, value = 0, gas, nonce, deadline, data}) {
+	return {
+		types: {
+			EIP712Domain: FORWARDER_DOMAIN_TYPE,
+			ForwardRequest: FORWARD_REQUEST_TYPE,
+		},
+		primaryType: "ForwardRequest",
+		domain,
+		message: {
+			from,
+			to,
+			value: to_uint_string(value),
+			gas: to_uint_string(gas),
+			nonce: to_uint_string(nonce),
+			deadline: to_uint_string(deadline),
+			data,
+		},
+	};
+}
+
+/**
+ * Prepares the meta-transaction request to be signed by the sender: reads the sender's nonce
+ *      and the chain ID from the network, and estimates the gas limit of the call if not set
+ *
+ * @dev Gas is estimated as if the forwarder was calling the `to` address, the `to` address
+ *      must trust the forwarder for the estimation to succeed
+ *
+ * @param web3 web3 instance connected to the network
+ * @param forwarder forwarder address
+ * @param from transaction sender, the one to sign the request
+ * @param to the address to call, like the token address
+ * @param data calldata to call the `to` address with, like
+ *      `token.methods.transfer(to, value).encodeABI()`
+ * @param value native currency value to send with the call, optional, defaults to zero
+ * @param gas gas limit of the call, optional, estimated if not set
+ * @param deadline request expiration time (unix timestamp), optional, defaults to one hour from the latest block
+ * @returns typed data payload to sign, see `buildForwardRequest`
+ */
+async function prepareForwardRequest(web3, forwarder, {from, to, data, value = 0, gas, deadline}) {
+	const contract = new web3.eth.Contract(MINIMAL_FORWARDER_ABI, forwarder);
+	const nonce = await contract.methods.nonces(from).call();
+	const chainId = await web3.eth.getChainId();
+	if(gas === undefined) {
+		gas = await web3.eth.estimateGas({from: forwarder, to, value: to_uint_string(value), data: data + from.substring(2)});
+	}
+	if(deadline === undefined) {
+		// the deadline is checked against the block timestamp, which can differ from the local clock
+		const {timestamp} = await web3.eth.getBlock("latest");
+		deadline = BigInt(timestamp) + BigInt(DEFAULT_VALIDITY_PERIOD);
+	}
+	return buildForwardRequest(buildForwarderDomain(forwarder, chainId), {from, to, value, gas, nonce, deadline, data});
+}
+
+/**
+ * Submits (relays) the signed meta-transaction request to the forwarder
+ *
+ * @dev The relayer pays for gas and sends the native currency value requested, if any
+ *
+ * @param web3 web3 instance connected to the network
+ * @param typedData signed typed data payload, see `prepareForwardRequest`
+ * @param signature 65 bytes long signature of the typed data, as returned by `eth_signTypedData_v4`
+ * @param options web3 send options, like {from: relayer}
+ * @returns transaction receipt
+ */
+async function relayForwardRequest(web3, typedData, signature, options = {}) {
+	const contract = new web3.eth.Contract(MINIMAL_FORWARDER_ABI, typedData.domain.verifyingContract);
+	const {from, to, value, gas, nonce, deadline, data} = typedData.message;
+	const method = contract.methods.execute([from, to, value, gas, nonce, deadline, data], signature);
+	if(options.gas === undefined) {
+		// request gas plus the forwarder overhead, and the 1/64 of the gas which is not forwarded (EIP-150)
+		options = Object.assign({gas: Math.ceil(parseInt(gas) * 64 / 63) + 100_000}, options);
+	}
+	return await method.send(Object.assign({value}, options));
+}
+
+// export public module API
+module.exports = {
+	FORWARDER_DOMAIN_NAME,
+	FORWARDER_DOMAIN_VERSION,
+	FORWARDER_DOMAIN_TYPE,
+	FORWARD_REQUEST_TYPE,
+	buildForwarderDomain,
+	buildForwardRequest,
+	prepareForwardRequest,
+	relayForwardRequest,
+};
@@ -0,0 +1,139 @@
+// token holders snapshot: balances of all the holders at block N, built by replaying the
+// improved Transfer(by, from, to, value) events and cross-checked against totalSupplyAt(N)
+
+// AdvancedERC20 ABI shipped with the package
+const {ADVANCED_ERC20_ABI} = require("./artifacts");
+
+// improved transfer event (arXiv:1907.00903), emitted on every transfer, mint, and burn
+const TRANSFER_EVENT = "Transfer(address,address,address,uint256)";
+
+// zero address, the "from" of mints and the "to" of burns
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Resolves the ERC-6372 timepoint of the block specified: `totalSupplyAt` and `votingPowerAt` accept
+ *      the block timestamp if the token clock runs on timestamps, and the block number otherwise
+ *
+ * @dev The tokens deployed before ERC-6372 support have no `CLOCK_MODE()`, and use block numbers
+ * @dev Several consecutive blocks may share the same timestamp (opBNB, for example); the history
+ *      at such a timestamp includes all of them, therefore the last block having the same timestamp
+ *      as the block specified is resolved as well, the events are to be replayed up to it
+ *
+ * @param web3 web3 instance connected to the network the token is deployed to
+ * @param token token web3 contract instance
+ * @param blockNumber block number to resolve the timepoint for
+ * @returns {timepoint, toBlock}, where timepoint is the value to pass into `totalSupplyAt` and `votingPowerAt`,
+ *      toBlock is the last block the timepoint covers (`blockNumber` in the block number clock mode)
+ */
+async function block_timepoint(web3, token, blockNumber) {
+	const mode = await token.methods.CLOCK_MODE().call().catch(() => "mode=blocknumber&from=default");
+	if(mode !== "mode=timestamp") {
+		return {timepoint: blockNumber, toBlock: blockNumber};
+	}
+
+	// find the last block sharing the timestamp with the block specified
+	const timepoint = Number((await web3.eth.getBlock(blockNumber)).timestamp);
+	const latest = Number(await web3.eth.getBlockNumber());
+	let toBlock = blockNumber;
+	while(toBlock < latest && Number((await web3.eth.getBlock(toBlock + 1)).timestamp) === timepoint) {
+		toBlock++;
+	}
+
+	// the latest block sharing the timestamp means more blocks with this timestamp may still come
+	if(toBlock === latest) {
+		throw new Error(`block ${blockNumber} timestamp ${timepoint} is shared with the latest block ${latest}, `
+			+ `the history at this timestamp is not final yet; wait for a block with a later timestamp`);
+	}
+
+	return {timepoint, toBlock};
+}
+
+/**
+ * Takes the snapshot of the token holders balances at the block specified
+ *
+ * @dev Reads `Transfer(by, from, to, value)` logs in batches of `batchSize` blocks,
+ *      so that the node's logs query limits are not exceeded
+ * @dev Only the addresses holding tokens at the snapshot block are listed; delegates which
+ *      don't hold tokens themselves are not, even if they have voting power
+ * @dev For the tokens keeping the history by timestamps (ERC-6372 timestamp clock mode) the history
+ *      is read at the snapshot block timestamp; the snapshot then represents the state at the end of
+ *      the last block having this timestamp (`toBlock`), which may be after the snapshot block
+ *
+ * @param web3 web3 instance connected to the network the token is deployed to
+ * @param address token address
+ * @param blockNumber block number to take the snapshot at, must be already mined (< latest block)
+ * @param fromBlock block number to start replaying the events from, optional, token deployment block
+ * @param batchSize number of blocks to query the logs for at once, optional
+ * @param votingPower true to include `votingPowerAt(holder, blockNumber)` and the current
+ *      `votingDelegates(holder)` for every holder, optional
+ * @returns snapshot {token, blockNumber, toBlock, timepoint, totalSupply, sum, consistent, holders}, where
+ *      toBlock is the last block the events are replayed up to, timepoint is the ERC-6372 timepoint
+ *      of the snapshot block, totalSupply is `totalSupplyAt(timepoint)`, sum is the sum of the replayed balances,
+ *      consistent is true if they are equal, holders is an array of {address, balance[, votingPower, delegate]},
+ *      sorted by balance descending; all the amounts are BigInt
+ */
+async function takeSnapshot(web3, address, {blockNumber, fromBlock = 0, batchSize = 10_000, votingPower = false}) {
+	const token = new web3.eth.Contract(ADVANCED_ERC20_ABI, address);
+	const topic = web3.eth.abi.encodeEventSignature(TRANSFER_EVENT);
+
+	// the history is keyed by block numbers or timestamps, depending on the token clock mode;
+	// in the timestamp mode the blocks sharing the snapshot block timestamp are replayed as well
+	const {timepoint, toBlock} = await block_timepoint(web3, token, blockNumber);
+
+	// replay the transfers
+	const balances = {};
+	for(let from = fromBlock; from <= toBlock; from += batchSize) {
+		const logs = await web3.eth.getPastLogs({
+			address,
+			topics: [topic],
+			fromBlock: from,
+			toBlock: Math.min(from + batchSize - 1, toBlock),
+		});
+		for(const log of logs) {
+			// by, from, and to are indexed, value is the only non-indexed argument
+			const sender = web3.utils.toChecksumAddress("0x" + log.topics[2].substring(26));
+			const receiver = web3.utils.toChecksumAddress("0x" + log.topics[3].substring(26));
+			const value = BigInt(log.data);
+			if(sender !== ZERO_ADDRESS) {
+				balances[sender] = (balances[sender] || 0n) - value;
+			}
+			if(receiver !== ZERO_ADDRESS) {
+				balances[receiver] = (balances[receiver] || 0n) + value;
+			}
+		}
+	}
+
+	// drop zero balances, sort the holders by balance descending
+	const holders = Object.entries(balances)
+		.filter(([, balance]) => balance !== 0n)
+		.map(([address, balance]) => ({address, balance}))
+		.sort((a, b) => a.balance < b.balance? 1: a.balance > b.balance? -1: 0);
+
+	// voting power at the snapshot block, and the delegate (votingDelegates has no history, it's current)
+	if(votingPower) {
+		for(const holder of holders) {
+			holder.votingPower = BigInt(await token.methods.votingPowerAt(holder.address, timepoint).call());
+			holder.delegate = await token.methods.votingDelegates(holder.address).call();
+		}
+	}
+
+	// cross-check with the total supply history
+	const totalSupply = BigInt(await token.methods.totalSupplyAt(timepoint).call());
+	const sum = holders.reduce((sum, {balance}) => sum + balance, 0n);
+
+	return {
+		token: web3.utils.toChecksumAddress(address),
+		blockNumber,
+		toBlock,
+		timepoint,
+		totalSupply,
+		sum,
+		consistent: sum === totalSupply,
+		holders,
+	};
+}
+
+// export public module API
+module.exports = {
+	takeSnapshot,
+};
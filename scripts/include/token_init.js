@@ -0,0 +1,412 @@
+// AdvancedERC20 initialization (postConstruct) calldata encoder/decoder and the GenericFactoryV1 deployment helpers
+// the module has no imports and relies on the global `web3` only, so that it can be loaded
+// into the browser with the <script> tag as well (see ui.html)
+
+// AdvancedERC20 initializer ABI, postConstruct(address,string,string,address,uint256,uint256)
+const TOKEN_INIT_ABI = {
+	type: "function",
+	name: "postConstruct",
+	inputs: [
+		{name: "contractOwner", type: "address"},
+		{name: "_name", type: "string"},
+		{name: "_symbol", type: "string"},
+		{name: "initialHolder", type: "address"},
+		{name: "initialSupply", type: "uint256"},
+		{name: "initialFeatures", type: "uint256"},
+	],
+	outputs: [],
+	stateMutability: "nonpayable",
+};
+
+// AdvancedERC20 initializer ABI accepting all the token settings: the supply cap, the ERC-2771 trusted forwarder,
+// the custom EIP-712 domain name and version, and the ERC-6372 clock mode (timestamp or block number),
+// postConstruct(address,string,string,address,uint256,uint256,uint256,address,string,string,bool)
+const TOKEN_INIT_FULL_ABI = Object.assign({}, TOKEN_INIT_ABI, {
+	inputs: [
+		...TOKEN_INIT_ABI.inputs,
+		{name: "_maxSupply", type: "uint256"},
+		{name: "_trustedForwarder", type: "address"},
+		{name: "_domainName", type: "string"},
+		{name: "_domainVersion", type: "string"},
+		{name: "_timestampClock", type: "bool"},
+	],
+});
+
+// zero address, means the trusted forwarder is not set
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * ABI encodes the AdvancedERC20 `postConstruct` call to be used as an initialization data
+ *      when cloning AdvancedERC20 implementation via the GenericFactoryV1
+ *
+ * @param owner smart contract owner having full privileges
+ * @param name token name (ERC20Metadata)
+ * @param symbol token symbol (ERC20Metadata)
+ * @param holder initial token holder, optional, defaults to the owner
+ * @param supply initial token supply, optional, defaults to zero
+ * @param features initial features to enable, optional, defaults to zero (no features)
+ * @param maxSupply maximum total supply (supply cap), optional, defaults to zero (no cap)
+ * @param trustedForwarder ERC-2771 trusted forwarder, optional, defaults to zero address (meta-transactions disabled)
+ * @param domainName custom EIP-712 domain name, optional, defaults to empty (default "AdvancedERC20v1" domain)
+ * @param domainVersion custom EIP-712 domain version, optional, used only if the domainName is set
+ * @param timestampClock ERC-6372 clock mode, optional, defaults to false (block number clock);
+ *      set to true to key the voting power history by block timestamps
+ * @dev The settings above are encoded only if at least one of them is set (via the full initializer),
+ *      so that the basic tokens can be initialized by the implementations not supporting these settings
+ * @returns ABI encoded postConstruct call, 0x-prefixed hex string
+ */
+function encodeTokenInit({
+	owner,
+	name,
+	symbol,
+	holder = owner,
+	supply = 0,
+	features = 0,
+	maxSupply = 0,
+	trustedForwarder = ZERO_ADDRESS,
+	domainName = "",
+	domainVersion = "",
+	timestampClock = false,
+}) {
+	const params = [
+		owner,
+		name,
+		symbol,
+		holder,
+		BigInt(supply.toString()).toString(10),
+		BigInt(features.toString()).toString(10),
+	];
+	const max_supply = BigInt(maxSupply.toString());
+	if(max_supply === 0n && BigInt(trustedForwarder) === 0n && !domainName && !timestampClock) {
+		return web3.eth.abi.encodeFunctionCall(TOKEN_INIT_ABI, params);
+	}
+	return web3.eth.abi.encodeFunctionCall(
+		TOKEN_INIT_FULL_ABI,
+		[...params, max_supply.toString(10), trustedForwarder, domainName, domainVersion, !!timestampClock]
+	);
+}
+
+/**
+ * Decodes the AdvancedERC20 `postConstruct` call, for example the `data` field
+ *      of the GenericFactoryV1 `ProxyDeployed` event
+ *
+ * @param data ABI encoded postConstruct call, 0x-prefixed hex string
+ * @returns decoded {owner, name, symbol, holder, supply, features, maxSupply, trustedForwarder, domainName, domainVersion, timestampClock},
+ *      supply, features, and maxSupply are BigInt; zero maxSupply means there is no supply cap,
+ *      zero address trustedForwarder means meta-transactions are disabled,
+ *      empty domainName means the default EIP-712 domain is used,
+ *      false timestampClock means the voting power history is keyed by block numbers
+ */
+function decodeTokenInit(data) {
+	// verify the data is one of the postConstruct calls
+	const selector = data && data.substring(0, 10).toLowerCase();
+	const abis = [TOKEN_INIT_ABI, TOKEN_INIT_FULL_ABI];
+	const abi = abis.find(abi => web3.eth.abi.encodeFunctionSignature(abi) === selector);
+	if(!abi) {
+		throw new Error("not a postConstruct call");
+	}
+
+	// decode the parameters skipping the selector
+	const decoded = web3.eth.abi.decodeParameters(abi.inputs, "0x" + data.substring(10));
+	return {
+		owner: decoded.contractOwner,
+		name: decoded._name,
+		symbol: decoded._symbol,
+		holder: decoded.initialHolder,
+		supply: BigInt(decoded.initialSupply),
+		features: BigInt(decoded.initialFeatures),
+		maxSupply: BigInt(decoded._maxSupply || 0),
+		trustedForwarder: decoded._trustedForwarder || ZERO_ADDRESS,
+		domainName: decoded._domainName || "",
+		domainVersion: decoded._domainVersion || "",
+		timestampClock: !!decoded._timestampClock,
+	};
+}
+
+/**
+ * Binds the salt to the deployer the same way GenericFactoryV1 does: keccak256(abi.encode(deployer, salt))
+ *
+ * @param deployer an address executing `cloneDeterministic`
+ * @param salt bytes32 salt, 0x-prefixed hex string
+ * @returns create2 salt, 0x-prefixed hex string
+ */
+function deployer_salt(deployer, salt) {
+	if(!/^0x[0-9a-fA-F]{64}$/.test(salt)) {
+		throw new Error(`salt must be a bytes32 hex string: ${salt}`);
+	}
+	return web3.utils.keccak256(web3.eth.abi.encodeParameters(["address", "bytes32"], [deployer, salt]));
+}
+
+/**
+ * Computes the address of the clone deployed via GenericFactoryV1 `cloneDeterministic` offline;
+ *      the same as GenericFactoryV1 `predictDeterministicAddress`, but doesn't need network access
+ *
+ * @dev The address doesn't depend on the chain, the same factory address, implementation address,
+ *      salt, and deployer give the same clone address on any network
+ *
+ * @param factory GenericFactoryV1 (proxy) address
+ * @param impl implementation address to clone
+ * @param salt bytes32 salt, 0x-prefixed hex string
+ * @param deployer an address to execute `cloneDeterministic`, transaction sender
+ * @returns clone address, checksummed
+ */
+function predictCloneAddress(factory, impl, salt, deployer) {
+	// EIP-1167 minimal proxy creation code
+	const init_code = "0x3d602d80600a3d3981f3363d3d373d3d3d363d73"
+		+ impl.substring(2).toLowerCase()
+		+ "5af43d82803e903d91602b57fd5bf3";
+
+	// create2 address: keccak256(0xff ‖ factory ‖ salt ‖ keccak256(init_code))[12:]
+	const hash = web3.utils.keccak256("0xff"
+		+ factory.substring(2).toLowerCase()
+		+ deployer_salt(deployer, salt).substring(2)
+		+ web3.utils.keccak256(init_code).substring(2));
+	return web3.utils.toChecksumAddress("0x" + hash.substring(26));
+}
+
+/**
+ * Deploys (clones) the AdvancedERC20 via the GenericFactoryV1 and initializes it
+ *
+ * @dev If `options.salt` is set, the clone is deployed to the deterministic address
+ *      with `cloneDeterministic`, see `predictCloneAddress`
+ *
+ * @param factory GenericFactoryV1 web3 contract instance (or Truffle contract instance)
+ * @param impl AdvancedERC20 implementation address (or contract instance) to clone
+ * @param params token initialization params, see `encodeTokenInit`
+ * @param options transaction options (`from`, `gas`, etc.) and an optional bytes32 `salt`, optional
+ * @returns deployed proxy address, parsed from the `ProxyDeployed` event
+ */
+async function deployViaFactory(factory, impl, params, options = {}) {
+	// support both web3 and Truffle contract instances
+	const factory_contract = factory.contract || factory;
+	const impl_address = typeof impl === "string"? impl: impl.address || impl.options.address;
+
+	// encode the initialization data and clone the implementation
+	const {salt, ...tx_options} = options;
+	const data = encodeTokenInit(params);
+	const method = salt === undefined?
+		factory_contract.methods["clone(address,bytes)"](impl_address, data):
+		factory_contract.methods["cloneDeterministic(address,bytes32,bytes)"](impl_address, salt, data);
+	const receipt = await method.send(tx_options);
+
+	// extract the deployed proxy address from the event
+	const event = receipt.events && receipt.events["ProxyDeployed"];
+	if(!event) {
+		throw new Error('unexpected transaction receipt: no "ProxyDeployed" event found');
+	}
+	return event.returnValues["proxyAddress"];
+}
+
+/**
+ * Deploys (clones) several AdvancedERC20 tokens via the GenericFactoryV1 `cloneBatch`
+ *      and initializes them, all in a single transaction
+ *
+ * @param factory GenericFactoryV1 web3 contract instance (or Truffle contract instance)
+ * @param tokens an array of the tokens to deploy: token initialization params, see `encodeTokenInit`,
+ *      and `impl` – AdvancedERC20 implementation address to clone
+ * @param options transaction options (`from`, `gas`, etc.), optional
+ * @returns deployed proxy addresses in the order of the tokens, parsed from the `ProxyDeployed` events
+ */
+async function deployBatchViaFactory(factory, tokens, options = {}) {
+	// support both web3 and Truffle contract instances
+	const factory_contract = factory.contract || factory;
+
+	// encode the initialization data and clone the implementations
+	const impl_addresses = tokens.map(({impl}) => impl);
+	const data = tokens.map(params => encodeTokenInit(params));
+	const receipt = await factory_contract.methods.cloneBatch(impl_addresses, data).send(options);
+
+	// extract the deployed proxy addresses from the events, web3 returns an array for the repeated events
+	const events = [].concat((receipt.events && receipt.events["ProxyDeployed"]) || []);
+	if(events.length !== tokens.length) {
+		throw new Error(`unexpected transaction receipt: ${events.length} "ProxyDeployed" events found, expected ${tokens.length}`);
+	}
+	return events.sort((a, b) => a.logIndex - b.logIndex).map(event => event.returnValues["proxyAddress"]);
+}
+
+/**
+ * Parses the human-readable token amount, like "1.5", into the integer amount taking into account
+ *      AdvancedERC20 decimals (18), like 1500000000000000000n
+ *
+ * @param amount human-readable amount, decimal string or number
+ * @returns amount as BigInt
+ */
+function parse_supply(amount) {
+	const match = /^([0-9]+)(?:\.([0-9]{0,18}))?$/.exec(String(amount).trim().replace(/_/g, ""));
+	if(!match) {
+		throw new Error(`malformed amount: ${amount}`);
+	}
+	const [, whole, fraction = ""] = match;
+	return BigInt(whole + fraction.padEnd(18, "0"));
+}
+
+/**
+ * Resolves the tokens manifest into the list of the tokens ready to be deployed with `deployBatchViaFactory`
+ *
+ * @dev Manifest is a JSON object {tokens: [...]} (or just an array of the tokens), where every token is
+ *      {name, symbol, owner, holder, supply, maxSupply, trustedForwarder, domainName, domainVersion, timestampClock,
+ *      features, template, impl}:
+ *      name and symbol are required;
+ *      owner and holder default to `defaults.owner` (holder defaults to the owner);
+ *      supply is human-readable, taking into account 18 decimals, like "1000000" or "0.5", defaults to zero;
+ *      maxSupply (supply cap) is human-readable as well, defaults to zero (no cap);
+ *      trustedForwarder (ERC-2771) defaults to `defaults.trustedForwarder` or zero address (no meta-transactions);
+ *      domainName and domainVersion (EIP-712) are optional, the default "AdvancedERC20v1" domain is used if not set;
+ *      timestampClock (ERC-6372) is a boolean, defaults to `defaults.timestampClock` or false (block number clock);
+ *      features is a number or hex string, like "0xFFFF", defaults to `defaults.features` or zero;
+ *      impl is an implementation address to clone; if not set, the latest version of the `template`
+ *      is read from the factory registry; if the template is not set either, `defaults.impl` is used
+ *
+ * @param factory GenericFactoryV1 web3 contract instance (or Truffle contract instance)
+ * @param manifest tokens manifest, parsed JSON
+ * @param defaults default values for the tokens: {owner, impl, features, trustedForwarder, timestampClock}, optional
+ * @returns an array of the tokens, see `deployBatchViaFactory`
+ */
+async function resolveManifest(factory, manifest, defaults = {}) {
+	// support both web3 and Truffle contract instances
+	const factory_contract = factory.contract || factory;
+
+	// manifest can be either an object {tokens: []}, or just an array
+	const tokens = Array.isArray(manifest)? manifest: manifest && manifest.tokens;
+	if(!Array.isArray(tokens) || !tokens.length) {
+		throw new Error("manifest doesn't contain any tokens");
+	}
+
+	// resolve the tokens one by one, caching the latest template versions
+	const latest = {};
+	const resolved = [];
+	for(const [i, token] of tokens.entries()) {
+		const {
+			name,
+			symbol,
+			owner = defaults.owner,
+			holder = owner,
+			supply = 0,
+			maxSupply = 0,
+			trustedForwarder = defaults.trustedForwarder || ZERO_ADDRESS,
+			domainName = "",
+			domainVersion = "",
+			timestampClock = defaults.timestampClock || false,
+			features = defaults.features || 0,
+		} = token;
+		if(!name || !symbol) {
+			throw new Error(`token #${i}: name and symbol are required`);
+		}
+		if(!owner) {
+			throw new Error(`token #${i} (${symbol}): owner is not set`);
+		}
+
+		let impl = token.impl;
+		if(!impl && token.template) {
+			if(!latest[token.template]) {
+				latest[token.template] = await factory_contract.methods.getLatestImplementation(token.template).call();
+			}
+			impl = latest[token.template].implAddress;
+		}
+		impl = impl || defaults.impl;
+		if(!impl) {
+			throw new Error(`token #${i} (${symbol}): neither impl nor template is set`);
+		}
+
+		if(!web3.utils.isAddress(trustedForwarder)) {
+			throw new Error(`token #${i} (${symbol}): invalid trusted forwarder address: ${trustedForwarder}`);
+		}
+		if(domainVersion && !domainName) {
+			throw new Error(`token #${i} (${symbol}): domainVersion is set, but domainName is not`);
+		}
+		if(typeof timestampClock !== "boolean") {
+			throw new Error(`token #${i} (${symbol}): timestampClock must be a boolean: ${timestampClock}`);
+		}
+
+		resolved.push({
+			impl,
+			owner,
+			name,
+			symbol,
+			holder,
+			supply: parse_supply(supply),
+			maxSupply: parse_supply(maxSupply),
+			trustedForwarder,
+			domainName,
+			domainVersion,
+			timestampClock,
+			features,
+		});
+	}
+	return resolved;
+}
+
+/**
+ * Lists the templates registered in the GenericFactoryV1 implementation registry,
+ *      reading them from the chain state
+ *
+ * @param factory GenericFactoryV1 web3 contract instance (or Truffle contract instance)
+ * @returns an array of templates {name, versions, latest}, where `versions` is an array of
+ *      {name, version, implAddress} in the order of registration, and `latest` is the last one of them
+ */
+async function listTemplates(factory) {
+	// support both web3 and Truffle contract instances
+	const factory_contract = factory.contract || factory;
+
+	// read the template names, and then all the versions of every template
+	const names = await factory_contract.methods.getTemplateNames().call();
+	return await Promise.all(names.map(async function(name) {
+		const records = await factory_contract.methods.getTemplateVersions(name).call();
+		const versions = records.map(({name, version, implAddress}) => ({name, version, implAddress}));
+		return {name, versions, latest: versions[versions.length - 1]};
+	}));
+}
+
+/**
+ * Lists the clones deployed by the GenericFactoryV1 reading its clones index page by page;
+ *      lists all the clones, or the clones deployed by the deployer, or the clones of the implementation
+ *
+ * @param factory GenericFactoryV1 web3 contract instance (or Truffle contract instance)
+ * @param filter optional filter: `deployer` or `implementation` address (not both),
+ *      and the `pageSize` – number of the clones to read in one call, 100 by default
+ * @returns clone addresses, in the order of deployment
+ */
+async function listClones(factory, {deployer, implementation, pageSize = 100} = {}) {
+	// support both web3 and Truffle contract instances
+	const factory_contract = factory.contract || factory;
+	const methods = factory_contract.methods;
+
+	// resolve the count and page readers for the filter requested
+	if(deployer && implementation) {
+		throw new Error("deployer and implementation filters cannot be used together");
+	}
+	const [count, page] = deployer? [
+		methods.getClonesByDeployerCount(deployer),
+		(offset) => methods.getClonesByDeployer(deployer, offset, pageSize),
+	]: implementation? [
+		methods.getClonesByImplementationCount(implementation),
+		(offset) => methods.getClonesByImplementation(implementation, offset, pageSize),
+	]: [
+		methods.getClonesCount(),
+		(offset) => methods.getClones(offset, pageSize),
+	];
+
+	// read the clones page by page
+	const total = parseInt(await count.call());
+	const clones = [];
+	for(let offset = 0; offset < total; offset += pageSize) {
+		clones.push(...await page(offset).call());
+	}
+	return clones;
+}
+
+// export public module API (CommonJS only, in the browser the functions are global)
+if(typeof module !== "undefined") {
+	module.exports = {
+		TOKEN_INIT_ABI,
+		TOKEN_INIT_FULL_ABI,
+		encodeTokenInit,
+		decodeTokenInit,
+		predictCloneAddress,
+		deployViaFactory,
+		deployBatchViaFactory,
+		resolveManifest,
+		listTemplates,
+		listClones,
+	};
+}
@@ -0,0 +1,254 @@
+// Hardhat task to distribute (airdrop) the tokens to the addresses listed in the CSV file
+// run: npx hardhat token:airdrop --network sepolia --token 0x... --csv airdrop.csv
+// CSV format: address,amount; amount is human-readable (taking into account decimals), like 1.5
+// progress is recorded into the JSON journal (<csv>.journal.json by default), rerun the same command
+// to resume the interrupted distribution: already paid addresses are never paid twice,
+// the transactions sent, but not mined yet, block the rerun until they are mined or their nonces are taken
+
+// Hardhat task API
+const {task, types} = require("hardhat/config");
+
+// file system access
+const fs = require("fs");
+
+// task utils
+const {
+	get_sender,
+	get_token,
+	parse_amount,
+	format_amount,
+} = require("./include/task_utils");
+const {read_csv, write_csv} = require("./include/csv");
+
+/**
+ * Parses and validates the airdrop CSV: checksums, duplicates, amounts
+ *
+ * @param web3 web3 instance
+ * @param path CSV file path
+ * @param decimals token decimals
+ * @returns an array of {address, amount} entries, amount is BigInt; throws listing all the errors found
+ */
+function parse_airdrop_csv(web3, path, decimals) {
+	const errors = [];
+	const seen = {};
+	const entries = [];
+	read_csv(path).forEach(function({line, fields}, i) {
+		const [address, amount] = fields;
+		// skip the optional header
+		if(i === 0 && /^address$/i.test(address)) {
+			return;
+		}
+		if(fields.length !== 2) {
+			errors.push(`line ${line}: expected 2 columns (address,amount), got ${fields.length}`);
+			return;
+		}
+		// isAddress verifies the checksum of the mixed-case addresses
+		if(!web3.utils.isAddress(address)) {
+			errors.push(`line ${line}: invalid address or checksum ${address}`);
+			return;
+		}
+		const key = address.toLowerCase();
+		if(seen[key]) {
+			errors.push(`line ${line}: duplicate address ${address}, first seen in line ${seen[key]}`);
+			return;
+		}
+		seen[key] = line;
+		let value;
+		try {
+			value = parse_amount(amount, decimals);
+		}
+		catch(e) {
+			errors.push(`line ${line}: ${e.message}`);
+			return;
+		}
+		if(value === 0n) {
+			errors.push(`line ${line}: zero amount`);
+			return;
+		}
+		entries.push({address: web3.utils.toChecksumAddress(address), amount: value});
+	});
+	if(errors.length) {
+		throw new Error(`malformed airdrop CSV ${path}:\n\t${errors.join("\n\t")}`);
+	}
+	return entries;
+}
+
+/**
+ * Loads the journal from the file, or creates new one
+ *
+ * @param path journal file path
+ * @param token token address the journal is created for
+ * @returns journal {token, entries: {address: {amount, status, tx, nonce}}}
+ */
+function load_journal(path, token) {
+	if(!fs.existsSync(path)) {
+		return {token, entries: {}};
+	}
+	const journal = JSON.parse(fs.readFileSync(path, "utf8"));
+	if(journal.token.toLowerCase() !== token.toLowerCase()) {
+		throw new Error(`journal ${path} belongs to another token ${journal.token}`);
+	}
+	return journal;
+}
+
+/**
+ * Resolves the state of the transaction recorded in the journal, but not confirmed:
+ *      the previous run was interrupted, or web3 gave up waiting for the transaction to be mined
+ *
+ * @dev The transaction which is not mined yet may still be mined later, even if it is not
+ *      in the mempool of the node anymore; it can be safely resent only once its nonce is taken
+ *      by another transaction mined
+ *
+ * @param web3 web3 instance
+ * @param sender transaction sender
+ * @param tx transaction hash
+ * @param nonce transaction nonce, optional
+ * @returns "done" if the transaction succeeded, "failed" if it was reverted or its nonce was taken
+ *      by another transaction (safe to resend), or "pending" if it is not mined yet (not safe to resend)
+ */
+async function resolve_tx_status(web3, sender, tx, nonce) {
+	// read the nonce before the receipt: if the nonce was taken, but there is no receipt, it was taken by another transaction
+	const mined_nonce = await web3.eth.getTransactionCount(sender, "latest");
+	const receipt = await web3.eth.getTransactionReceipt(tx);
+	if(receipt) {
+		return receipt.status? "done": "failed";
+	}
+	return nonce !== undefined && mined_nonce > nonce? "failed": "pending";
+}
+
+task("token:airdrop", "Distributes tokens to the addresses listed in the CSV file (address,amount), resumable")
+	.addParam("token", "token address")
+	.addParam("csv", "CSV file path, each line is address,amount; amount is human-readable, like 1.5")
+	.addOptionalParam("journal", "progress journal file path, defaults to <csv>.journal.json")
+	.addOptionalParam("report", "reconciliation report file path, defaults to <csv>.report.csv")
+	.addOptionalParam("chunkSize", "number of transactions to send before waiting for them to be mined", 20, types.int)
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "validate the CSV and the sender balance without sending anything")
+	.setAction(async function({token: address, csv, journal: journal_path, report: report_path, chunkSize, from, dryRun}, hre) {
+		const web3 = hre.web3;
+		journal_path = journal_path || csv + ".journal.json";
+		report_path = report_path || csv + ".report.csv";
+
+		const token = await get_token(hre, address);
+		const sender = await get_sender(hre, from);
+		const decimals = parseInt(await token.methods.decimals().call());
+		const entries = parse_airdrop_csv(web3, csv, decimals);
+		const journal = load_journal(journal_path, token.options.address);
+		const save_journal = () => fs.writeFileSync(journal_path, JSON.stringify(journal, null, "\t"));
+
+		// the amount in the journal must match the CSV, otherwise the CSV was modified after the run started
+		for(const {address, amount} of entries) {
+			const record = journal.entries[address];
+			if(record && record.amount !== amount.toString(10)) {
+				throw new Error(`${address} amount changed since the previous run: ${record.amount} → ${amount}`);
+			}
+		}
+
+		// resolve every transaction sent, but not confirmed in the previous run, regardless of its status:
+		// web3 rejects the transaction which is slow to mine, but it still can be mined later
+		for(const record of Object.values(journal.entries).filter(r => r.tx && r.status !== "done")) {
+			const status = await resolve_tx_status(web3, sender, record.tx, record.nonce);
+			if(status === "pending") {
+				save_journal();
+				throw new Error(`transaction ${record.tx} is still pending, wait for it to be mined`
+					+ ` (or for its nonce ${record.nonce} to be taken by another transaction) and rerun`);
+			}
+			record.status = status;
+		}
+		save_journal();
+
+		// everything not yet paid
+		const todo = entries.filter(({address}) => !journal.entries[address] || journal.entries[address].status !== "done");
+		const total = todo.reduce((sum, {amount}) => sum + amount, 0n);
+		const balance = BigInt(await token.methods.balanceOf(sender).call());
+		console.log("airdrop: %o entries in CSV, %o to pay, %s tokens total, sender %o balance %s",
+			entries.length, todo.length, format_amount(total, decimals), sender, format_amount(balance, decimals));
+		if(balance < total) {
+			throw new Error(`insufficient sender balance: ${format_amount(balance, decimals)} < ${format_amount(total, decimals)}`);
+		}
+		if(dryRun) {
+			console.log("dry run: CSV is valid, sender balance is sufficient");
+			return {dryRun: true, entries: entries.length, todo: todo.length, total};
+		}
+
+		// send the transfers chunk by chunk
+		for(let i = 0; i < todo.length; i += chunkSize) {
+			const chunk = todo.slice(i, i + chunkSize);
+
+			// estimate gas first: transfers which would fail are not sent,
+			// so that they don't consume the nonce and don't leave the gaps in the nonce sequence
+			const prepared = [];
+			for(const {address, amount} of chunk) {
+				const record = journal.entries[address] = {amount: amount.toString(10), status: "sending"};
+				const method = token.methods.transfer(address, amount.toString(10));
+				try {
+					prepared.push({record, method, gas: await method.estimateGas({from: sender})});
+				}
+				catch(e) {
+					Object.assign(record, {status: "failed", error: e.message});
+				}
+			}
+
+			let nonce = await web3.eth.getTransactionCount(sender, "pending");
+			await Promise.all(prepared.map(({record, method, gas}) => new Promise(function(resolve) {
+				record.nonce = nonce++;
+				method.send({from: sender, gas, nonce: record.nonce})
+					// record the transaction hash before it is mined, so that the interrupted run can be resumed
+					.once("transactionHash", function(tx) {
+						Object.assign(record, {status: "sent", tx});
+						save_journal();
+					})
+					.then(function() {
+						record.status = "done";
+						resolve();
+					})
+					.catch(async function(e) {
+						record.error = e.message;
+						// the transaction which never got a hash was never sent, and is safe to resend;
+						// the transaction sent may still be mined (web3 timeout, stuck nonce), resolve it instead
+						record.status = record.tx? await resolve_tx_status(web3, sender, record.tx, record.nonce): "failed";
+						// the transaction still pending remains "sent", and is resolved by the next run
+						if(record.status === "pending") {
+							record.status = "sent";
+						}
+						resolve();
+					});
+			})));
+			save_journal();
+			console.log("chunk %o-%o of %o processed", i + 1, i + chunk.length, todo.length);
+		}
+
+		// reconciliation: compare on-chain balances with the CSV
+		const report = [];
+		for(const {address, amount} of entries) {
+			const actual = BigInt(await token.methods.balanceOf(address).call());
+			const record = journal.entries[address] || {};
+			report.push({
+				address,
+				expected: amount,
+				actual,
+				status: record.status,
+				tx: record.tx || "",
+				// balance may be higher than the airdrop amount if the address had tokens before
+				match: actual === amount? "ok": actual > amount? "over": "short",
+			});
+		}
+		write_csv(report_path, ["address", "expected", "actual", "status", "tx", "match"], report.map(r => [
+			r.address,
+			format_amount(r.expected, decimals),
+			format_amount(r.actual, decimals),
+			r.status,
+			r.tx,
+			r.match,
+		]));
+
+		const failed = report.filter(r => r.status === "failed");
+		const pending = report.filter(r => r.status === "sent");
+		const short = report.filter(r => r.match === "short");
+		console.log("airdrop complete: %o paid, %o failed (rerun to retry), %o pending (rerun to resolve), %o short balances; report saved to %o",
+			report.length - failed.length - pending.length, failed.length, pending.length, short.length, report_path);
+		failed.forEach(r => console.log("\tfailed: %s %s", r.address, journal.entries[r.address].error));
+		pending.forEach(r => console.log("\tpending: %s %s", r.address, r.tx));
+
+		return {report, failed: failed.length, pending: pending.length, short: short.length};
+	});
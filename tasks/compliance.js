@@ -0,0 +1,130 @@
+// Hardhat tasks to manage the token compliance lists (blocklist and allowlist) from the CSV file
+// run: npx hardhat token:compliance:diff --network sepolia --token 0x... --list blocklist --csv sanctioned.csv
+// run: npx hardhat token:compliance:sync --network sepolia --token 0x... --list blocklist --csv sanctioned.csv
+// CSV format: address[,anything]; only the first column is used, the rest (like the reason) is ignored
+
+// Hardhat task API
+const {task, types} = require("hardhat/config");
+
+// task utils
+const {
+	get_sender,
+	get_token,
+	send_or_simulate,
+} = require("./include/task_utils");
+const {read_csv} = require("./include/csv");
+
+// compliance lists tooling
+const {diffComplianceList, COMPLIANCE_LISTS} = require("../scripts/include/compliance");
+
+/**
+ * Parses and validates the compliance list CSV: checksums, duplicates
+ *
+ * @param web3 web3 instance
+ * @param path CSV file path
+ * @returns an array of checksum addresses; throws listing all the errors found
+ */
+function parse_list_csv(web3, path) {
+	const errors = [];
+	const seen = {};
+	const addresses = [];
+	read_csv(path).forEach(function({line, fields}, i) {
+		const [address] = fields;
+		// skip the optional header
+		if(i === 0 && /^address$/i.test(address)) {
+			return;
+		}
+		// isAddress verifies the checksum of the mixed-case addresses
+		if(!web3.utils.isAddress(address)) {
+			errors.push(`line ${line}: invalid address or checksum ${address}`);
+			return;
+		}
+		const key = address.toLowerCase();
+		if(seen[key]) {
+			errors.push(`line ${line}: duplicate address ${address}, first seen in line ${seen[key]}`);
+			return;
+		}
+		seen[key] = line;
+		addresses.push(web3.utils.toChecksumAddress(address));
+	});
+	if(errors.length) {
+		throw new Error(`malformed compliance list CSV ${path}:\n\t${errors.join("\n\t")}`);
+	}
+	return addresses;
+}
+
+/**
+ * Reads the CSV and compares it with the list on-chain, prints the difference
+ *
+ * @returns diff {add, remove, unchanged}, see `diffComplianceList`
+ */
+async function diff_list(hre, {token: address, list, csv, fromBlock, batchSize}) {
+	if(!COMPLIANCE_LISTS[list]) {
+		throw new Error(`unknown compliance list: ${list}, expected one of ${Object.keys(COMPLIANCE_LISTS).join(", ")}`);
+	}
+	const token = await get_token(hre, address);
+	const addresses = parse_list_csv(hre.web3, csv);
+	const diff = await diffComplianceList(hre.web3, token.options.address, list, addresses, {fromBlock, batchSize});
+
+	console.log("%s: %o addresses in CSV, %o to add, %o to remove, %o unchanged",
+		list, addresses.length, diff.add.length, diff.remove.length, diff.unchanged.length);
+	diff.add.forEach(a => console.log("\t+ %s", a));
+	diff.remove.forEach(a => console.log("\t- %s", a));
+
+	return diff;
+}
+
+task("token:compliance:diff", "Compares the compliance list in the CSV file with the one on-chain")
+	.addParam("token", "token address")
+	.addParam("list", "compliance list: blocklist or allowlist")
+	.addParam("csv", "CSV file containing the desired list, one address per line")
+	.addOptionalParam("fromBlock", "block to start replaying the list update events from, the token deployment block", 0, types.int)
+	.addOptionalParam("batchSize", "number of blocks to query the logs for at once", 10_000, types.int)
+	.setAction(async function(args, hre) {
+		return await diff_list(hre, args);
+	});
+
+task("token:compliance:sync", "Makes the compliance list on-chain equal to the one in the CSV file, requires ROLE_COMPLIANCE_MANAGER")
+	.addParam("token", "token address")
+	.addParam("list", "compliance list: blocklist or allowlist")
+	.addParam("csv", "CSV file containing the desired list, one address per line")
+	.addOptionalParam("fromBlock", "block to start replaying the list update events from, the token deployment block", 0, types.int)
+	.addOptionalParam("batchSize", "number of blocks to query the logs for at once", 10_000, types.int)
+	.addOptionalParam("chunkSize", "number of addresses to add or to remove in a single transaction", 200, types.int)
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "simulate the transactions without sending them")
+	.setAction(async function(args, hre) {
+		const {list, chunkSize, from, dryRun} = args;
+		const token = await get_token(hre, args.token);
+		const sender = await get_sender(hre, from);
+		const diff = await diff_list(hre, args);
+		const update = COMPLIANCE_LISTS[list].update;
+
+		// removals first, so that the list never contains more than the union of the old and new lists
+		const results = [];
+		for(const [accounts, status] of [[diff.remove, false], [diff.add, true]]) {
+			for(let i = 0; i < accounts.length; i += chunkSize) {
+				const chunk = accounts.slice(i, i + chunkSize);
+				console.log("%s %o addresses %s the %s", status? "adding": "removing", chunk.length, status? "to": "from", list);
+				results.push(await send_or_simulate(hre, token.methods[update](chunk, status), sender, dryRun));
+			}
+		}
+		if(!results.length) {
+			console.log("%s is up to date", list);
+		}
+
+		return Object.assign(diff, {results});
+	});
+
+task("token:compliance:allowlist-only", "Enables or disables the allowlist-only mode, requires ROLE_COMPLIANCE_MANAGER")
+	.addParam("token", "token address")
+	.addParam("enabled", "true to enable the allowlist-only mode, false to disable", undefined, types.boolean)
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "simulate the transaction without sending it")
+	.setAction(async function({token: address, enabled, from, dryRun}, hre) {
+		const token = await get_token(hre, address);
+		const sender = await get_sender(hre, from);
+
+		console.log("%s the allowlist-only mode", enabled? "enabling": "disabling");
+		return await send_or_simulate(hre, token.methods.setAllowlistOnly(enabled), sender, dryRun);
+	});
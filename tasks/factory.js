@@ -0,0 +1,179 @@
+// Hardhat tasks to manage the GenericFactoryV1 implementation registry (templates), to list the deployed clones,
+// and to deploy several tokens in a single transaction from the JSON manifest
+// run: npx hardhat factory:templates --network sepolia
+// the factory address defaults to the GenericFactory_Proxy deployment of the network;
+// all the state changing tasks support --dry-run flag, which simulates the transaction (eth_call + estimateGas)
+
+// Hardhat task API
+const {task, types} = require("hardhat/config");
+
+// task utils
+const {
+	get_sender,
+	get_factory,
+	decode_logs,
+	send_or_simulate,
+} = require("./include/task_utils");
+
+// file system access
+const fs = require("fs");
+
+// factory registry and clones index readers, tokens manifest resolver
+const {
+	encodeTokenInit,
+	resolveManifest,
+	listTemplates,
+	listClones,
+} = require("../scripts/include/token_init");
+
+// note: features_roles module relies on the global web3, which becomes available
+// only once Hardhat runtime environment is initialized, so it is loaded inside the task actions
+function features_roles() {
+	return require("../scripts/include/features_roles");
+}
+
+/**
+ * Sends (or simulates) the transaction, and prints the decoded factory events
+ *
+ * @returns raw transaction receipt with `events` decoded, or {dryRun: true, gas} in dry-run mode
+ */
+async function execute(hre, factory, method, from, dry_run, value) {
+	const result = await send_or_simulate(hre, method, from, dry_run, value);
+	if(result.dryRun) {
+		return result;
+	}
+	const events = decode_logs(hre.web3, factory.options.jsonInterface, result.logs.filter(
+		log => log.address.toLowerCase() === factory.options.address.toLowerCase()
+	));
+	for(const {name, values} of events) {
+		console.log("\t%s(%s)", name, Object.entries(values).map(([k, v]) => `${k}: ${v}`).join(", "));
+	}
+	return Object.assign(result, {events});
+}
+
+/**
+ * Reads the clone fee the sender is going to pay, and verifies the ERC20 fee is approved
+ *
+ * @param hre Hardhat runtime environment
+ * @param factory web3 contract instance
+ * @param sender transaction sender
+ * @param count number of the clones to deploy
+ * @returns native currency amount to send with the transaction (zero if the fee is charged in ERC20)
+ */
+async function clone_fee(hre, factory, sender, count) {
+	const {token, amount} = await factory.methods.getCloneFee(sender, count).call();
+	if(BigInt(amount) === 0n) {
+		return "0";
+	}
+	if(token === "0x0000000000000000000000000000000000000000") {
+		console.log("clone fee: %s wei", amount);
+		return amount;
+	}
+	console.log("clone fee: %s of the ERC20 token %s", amount, token);
+	const {abi} = await hre.artifacts.readArtifact("contracts/interfaces/ERC20Spec.sol:ERC20");
+	const allowance = await new hre.web3.eth.Contract(abi, token).methods.allowance(sender, factory.options.address).call();
+	if(BigInt(allowance) < BigInt(amount)) {
+		throw new Error(`clone fee ${amount} of the token ${token} is not approved to the factory, allowance: ${allowance}`);
+	}
+	return "0";
+}
+
+task("factory:templates", "Lists the templates registered in the factory and their versions, reading the chain state")
+	.addOptionalParam("factory", "factory (proxy) address, defaults to GenericFactory_Proxy deployment")
+	.setAction(async function({factory: address}, hre) {
+		const factory = await get_factory(hre, address);
+		const templates = await listTemplates(factory);
+
+		console.log("factory %o, templates: %o", factory.options.address, templates.length);
+		for(const {name, versions, latest} of templates) {
+			console.log("\t%s, latest version %s: %s", name, latest.version, latest.implAddress);
+			for(const {version, implAddress} of versions) {
+				console.log("\t\t%s: %s", version, implAddress);
+			}
+		}
+		return templates;
+	});
+
+task("factory:templates:register", "Registers the implementation in the factory under the template name and version")
+	.addOptionalParam("factory", "factory (proxy) address, defaults to GenericFactory_Proxy deployment")
+	.addParam("name", "template name, like AdvancedERC20")
+	.addParam("implVersion", "implementation version within the template, like 1.2")
+	.addParam("impl", "implementation address to register")
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "simulate the transaction without sending it")
+	.setAction(async function({factory: address, name, implVersion, impl, from, dryRun}, hre) {
+		const factory = await get_factory(hre, address);
+		const sender = await get_sender(hre, from);
+
+		console.log("registering %s %s: %s", name, implVersion, impl);
+		return await execute(hre, factory, factory.methods.registerImplementation(name, implVersion, impl), sender, dryRun);
+	});
+
+task("factory:templates:deregister", "Removes the implementation from the factory registry")
+	.addOptionalParam("factory", "factory (proxy) address, defaults to GenericFactory_Proxy deployment")
+	.addParam("impl", "implementation address to deregister")
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "simulate the transaction without sending it")
+	.setAction(async function({factory: address, impl, from, dryRun}, hre) {
+		const factory = await get_factory(hre, address);
+		const sender = await get_sender(hre, from);
+
+		const {name, version} = await factory.methods.implementations(impl).call();
+		if(!name) {
+			throw new Error(`implementation ${impl} is not registered`);
+		}
+		console.log("deregistering %s %s: %s", name, version, impl);
+		return await execute(hre, factory, factory.methods.deregisterImplementation(impl), sender, dryRun);
+	});
+
+task("factory:clones", "Lists the clones deployed by the factory, reading the factory clones index")
+	.addOptionalParam("factory", "factory (proxy) address, defaults to GenericFactory_Proxy deployment")
+	.addOptionalParam("deployer", "list only the clones deployed by this address")
+	.addOptionalParam("impl", "list only the clones of this implementation")
+	.addOptionalParam("pageSize", "number of the clones to read in one call", 100, types.int)
+	.setAction(async function({factory: address, deployer, impl, pageSize}, hre) {
+		const factory = await get_factory(hre, address);
+		const clones = await listClones(factory, {deployer, implementation: impl, pageSize});
+
+		console.log("factory %o, clones: %o", factory.options.address, clones.length);
+		for(const clone of clones) {
+			console.log("\t%s", clone);
+		}
+		return clones;
+	});
+
+task("factory:deploy-manifest", "Deploys the tokens listed in the JSON manifest in a single transaction (cloneBatch)")
+	.addOptionalParam("factory", "factory (proxy) address, defaults to GenericFactory_Proxy deployment")
+	.addParam("manifest", "tokens manifest JSON file path: {tokens: [{name, symbol, owner, holder, supply, features, template, impl}]}")
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "simulate the transaction without sending it")
+	.setAction(async function({factory: address, manifest: path, from, dryRun}, hre) {
+		const {parseMask} = features_roles();
+
+		const factory = await get_factory(hre, address);
+		const sender = await get_sender(hre, from);
+
+		// features in the manifest can be specified by names, like "TRANSFERS|OWN_BURNS";
+		// the tokens without impl and template set are deployed from AdvancedERC20_Impl deployment, if any
+		const manifest = JSON.parse(fs.readFileSync(path, "utf8"));
+		const impl_deployment = await hre.deployments.getOrNull("AdvancedERC20_Impl");
+		const tokens = await resolveManifest(factory, manifest, {
+			owner: sender,
+			impl: impl_deployment && impl_deployment.address,
+		});
+		tokens.forEach(token => token.features = parseMask(String(token.features)).toString(10));
+
+		for(const {symbol, name, impl} of tokens) {
+			console.log("\t%s (%s), implementation %s", symbol, name, impl);
+		}
+		console.log("deploying %o tokens", tokens.length);
+		const value = await clone_fee(hre, factory, sender, tokens.length);
+		const method = factory.methods.cloneBatch(tokens.map(({impl}) => impl), tokens.map(encodeTokenInit));
+		const result = await execute(hre, factory, method, sender, dryRun, value);
+		if(result.dryRun) {
+			return result;
+		}
+		return Object.assign(result, {
+			proxyAddresses: result.events.filter(e => e.name === "ProxyDeployed").map(e => e.values.proxyAddress),
+		});
+	});
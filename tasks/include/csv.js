@@ -0,0 +1,37 @@
+// minimalistic CSV reader/writer used by the Hardhat tasks;
+// supports comma separated values without embedded commas, "#" comments and empty lines
+
+// file system access
+const fs = require("fs");
+
+/**
+ * Reads the CSV file into an array of rows
+ *
+ * @param path CSV file path
+ * @returns an array of rows {line, fields}, where line is 1-based line number in the file
+ *      and fields is an array of trimmed values (surrounding quotes removed)
+ */
+function read_csv(path) {
+	return fs.readFileSync(path, "utf8")
+		.split(/\r?\n/)
+		.map((text, i) => ({line: i + 1, text: text.trim()}))
+		.filter(({text}) => text && !text.startsWith("#"))
+		.map(({line, text}) => ({line, fields: text.split(",").map(f => f.trim().replace(/^"(.*)"$/, "$1"))}));
+}
+
+/**
+ * Writes the rows into the CSV file
+ *
+ * @param path CSV file path
+ * @param header an array of column names
+ * @param rows an array of rows, each row is an array of values
+ */
+function write_csv(path, header, rows) {
+	fs.writeFileSync(path, [header, ...rows].map(row => row.join(",")).join("\n") + "\n");
+}
+
+// export public API
+module.exports = {
+	read_csv,
+	write_csv,
+};
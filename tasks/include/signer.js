@@ -0,0 +1,85 @@
+// offline signer used by the sign:* tasks: loads the private key from the keystore file
+// or derives it from the mnemonic, and signs EIP-712 typed data; doesn't need network access
+
+// file system access
+const fs = require("fs");
+
+// keystore decryption and HD wallet derivation
+const {default: Wallet, hdkey} = require("ethereumjs-wallet");
+const {mnemonicToSeedSync} = require("ethereum-cryptography/bip39");
+
+// EIP-712 signing
+const sigUtil = require("eth-sig-util");
+
+/**
+ * Loads the signer private key either from the encrypted JSON keystore (V3) file,
+ *      or derives it from the mnemonic using the default Ethereum derivation path m/44'/60'/0'/0/index
+ *
+ * @param keystore keystore file path, optional
+ * @param password keystore password, optional, defaults to KEYSTORE_PASSWORD env variable
+ * @param mnemonic mnemonic phrase, optional
+ * @param index account index to derive from the mnemonic, optional, defaults to zero
+ * @returns signer {address, privateKey}, address is checksummed, privateKey is a Buffer
+ */
+async function load_signer({keystore, password = process.env.KEYSTORE_PASSWORD, mnemonic, index = 0}) {
+	if(!keystore === !mnemonic) {
+		throw new Error("either keystore or mnemonic must be specified");
+	}
+
+	let wallet;
+	if(keystore) {
+		if(password === undefined) {
+			throw new Error("keystore password is not set, use --password or KEYSTORE_PASSWORD env variable");
+		}
+		wallet = await Wallet.fromV3(fs.readFileSync(keystore, "utf8"), password, true);
+	}
+	else {
+		const seed = Buffer.from(mnemonicToSeedSync(mnemonic.trim()));
+		wallet = hdkey.fromMasterSeed(seed).derivePath(`m/44'/60'/0'/0/${index}`).getWallet();
+	}
+
+	return {
+		address: wallet.getChecksumAddressString(),
+		privateKey: wallet.getPrivateKey(),
+	};
+}
+
+/**
+ * Signs the EIP-712 typed data, the same way `eth_signTypedData_v4` does
+ *
+ * @param signer signer {address, privateKey}, see `load_signer`
+ * @param typed_data typed data payload {types, primaryType, domain, message}
+ * @returns 65 bytes long signature as 0x-prefixed hex string
+ */
+function sign_typed_data(signer, typed_data) {
+	return sigUtil.signTypedData_v4(signer.privateKey, {data: typed_data});
+}
+
+/**
+ * Recovers the address which signed the EIP-712 typed data
+ *
+ * @param typed_data typed data payload {types, primaryType, domain, message}
+ * @param signature 65 bytes long signature as 0x-prefixed hex string
+ * @returns signer address, lowercase
+ */
+function recover_typed_data_signer(typed_data, signature) {
+	return sigUtil.recoverTypedSignature_v4({data: typed_data, sig: signature});
+}
+
+/**
+ * Calculates the EIP-712 domain separator, the same way `DOMAIN_SEPARATOR()` does
+ *
+ * @param typed_data typed data payload containing the domain and its type
+ * @returns domain separator as 0x-prefixed hex string
+ */
+function domain_separator(typed_data) {
+	return "0x" + sigUtil.TypedDataUtils.hashStruct("EIP712Domain", typed_data.domain, typed_data.types).toString("hex");
+}
+
+// export public API
+module.exports = {
+	load_signer,
+	sign_typed_data,
+	recover_typed_data_signer,
+	domain_separator,
+};
@@ -0,0 +1,153 @@
+// auxiliary functions shared by the Hardhat tasks
+
+/**
+ * Resolves the account to send transactions from: explicitly specified account,
+ *      or the default deployment account (accounts[1] in Hardhat network, accounts[0] otherwise)
+ *
+ * @param hre Hardhat runtime environment
+ * @param from explicitly specified account, optional
+ * @returns transaction sender address
+ */
+async function get_sender(hre, from) {
+	if(from) {
+		return hre.web3.utils.toChecksumAddress(from);
+	}
+	const accounts = await hre.web3.eth.getAccounts();
+	// do not use the default account for tests
+	return hre.network.name === "hardhat"? accounts[1]: accounts[0];
+}
+
+/**
+ * Connects to the AdvancedERC20 token deployed at the address specified
+ *
+ * @param hre Hardhat runtime environment
+ * @param address token address
+ * @returns web3 contract instance
+ */
+async function get_token(hre, address) {
+	if(!hre.web3.utils.isAddress(address)) {
+		throw new Error(`invalid token address: ${address}`);
+	}
+	const {abi} = await hre.artifacts.readArtifact("AdvancedERC20");
+	return new hre.web3.eth.Contract(abi, address);
+}
+
+/**
+ * Connects to the GenericFactoryV1 deployed at the address specified;
+ *      if the address is not specified, uses GenericFactory_Proxy deployment of the network
+ *
+ * @param hre Hardhat runtime environment
+ * @param address factory (proxy) address, optional
+ * @returns web3 contract instance
+ */
+async function get_factory(hre, address) {
+	if(!address) {
+		const deployment = await hre.deployments.getOrNull("GenericFactory_Proxy");
+		if(!deployment) {
+			throw new Error(`factory address is not set and no GenericFactory_Proxy deployment found for ${hre.network.name}`);
+		}
+		address = deployment.address;
+	}
+	if(!hre.web3.utils.isAddress(address)) {
+		throw new Error(`invalid factory address: ${address}`);
+	}
+	const {abi} = await hre.artifacts.readArtifact("GenericFactoryV1");
+	return new hre.web3.eth.Contract(abi, address);
+}
+
+/**
+ * Parses the human-readable token amount, like "1.5", into the integer amount
+ *      taking into account token decimals, like 1500000000000000000n for 18 decimals
+ *
+ * @param amount human-readable amount, decimal string
+ * @param decimals token decimals
+ * @returns amount as BigInt
+ */
+function parse_amount(amount, decimals) {
+	const s = String(amount).trim().replace(/_/g, "");
+	const match = /^([0-9]+)(?:\.([0-9]*))?$/.exec(s);
+	if(!match) {
+		throw new Error(`malformed amount: ${amount}`);
+	}
+	const [, whole, fraction = ""] = match;
+	if(fraction.length > decimals) {
+		throw new Error(`too many decimal places in ${amount}, token decimals: ${decimals}`);
+	}
+	return BigInt(whole + fraction.padEnd(decimals, "0"));
+}
+
+/**
+ * Formats the integer token amount into human-readable form, like "1.5"
+ *
+ * @param value integer amount, number, BN, BigInt, or string
+ * @param decimals token decimals
+ * @returns human-readable decimal string
+ */
+function format_amount(value, decimals) {
+	const s = BigInt(value.toString()).toString(10).padStart(decimals + 1, "0");
+	const whole = s.substring(0, s.length - decimals);
+	const fraction = s.substring(s.length - decimals).replace(/0+$/, "");
+	return fraction? `${whole}.${fraction}`: whole;
+}
+
+/**
+ * Decodes the logs emitted by the contract with the ABI specified;
+ *      supports overloaded events, like Transfer(from, to, value) and Transfer(by, from, to, value),
+ *      since their signatures (topic0) differ
+ *
+ * @param web3 web3 instance
+ * @param abi contract ABI
+ * @param logs raw logs, as in the transaction receipt returned by `eth_getTransactionReceipt`
+ * @returns an array of decoded events {name, values}, logs which cannot be decoded are skipped
+ */
+function decode_logs(web3, abi, logs) {
+	const events = abi.filter(e => e.type === "event").map(e => Object.assign({topic: web3.eth.abi.encodeEventSignature(e)}, e));
+	return logs.map(function(log) {
+		const event = events.find(e => e.topic === log.topics[0]);
+		if(!event) {
+			return null;
+		}
+		const values = web3.eth.abi.decodeLog(event.inputs, log.data, log.topics.slice(1));
+		return {
+			name: event.name,
+			values: Object.fromEntries(event.inputs.map(i => [i.name, values[i.name]])),
+		};
+	}).filter(e => e);
+}
+
+/**
+ * Executes the transaction; in dry-run mode simulates it with eth_call and estimates gas instead
+ *
+ * @param hre Hardhat runtime environment
+ * @param method web3 contract method object, like `contract.methods.mint(to, value)`
+ * @param from transaction sender
+ * @param dry_run true to simulate only, false to send the transaction
+ * @param value native currency amount (wei) to send with the transaction, optional
+ * @returns raw transaction receipt (containing the logs), or {dryRun: true, gas} in dry-run mode
+ */
+async function send_or_simulate(hre, method, from, dry_run, value = 0) {
+	// in dry-run mode eth_call throws with the revert reason if the transaction would fail
+	if(dry_run) {
+		await method.call({from, value});
+		const gas = await method.estimateGas({from, value});
+		console.log("dry run: transaction would succeed, estimated gas: %o", gas);
+		return {dryRun: true, gas};
+	}
+
+	// web3 contract replaces raw logs with the decoded events, read the raw receipt back
+	const {transactionHash} = await method.send({from, value});
+	const receipt = await hre.web3.eth.getTransactionReceipt(transactionHash);
+	console.log("transaction %o mined in block %o, gas used: %o", receipt.transactionHash, receipt.blockNumber, receipt.gasUsed);
+	return receipt;
+}
+
+// export public utils API
+module.exports = {
+	get_sender,
+	get_token,
+	get_factory,
+	parse_amount,
+	format_amount,
+	decode_logs,
+	send_or_simulate,
+};
@@ -0,0 +1,284 @@
+// Hardhat tasks to sign EIP-2612 permits, EIP-3009 authorizations, and voting delegations offline,
+// and to submit (relay) the signed envelopes to the network
+// sign (no network access needed, uses in-process Hardhat network by default):
+//     npx hardhat sign:permit --chain-id 1 --token 0x... --keystore key.json --spender 0x... --value 1.5 --nonce 0 --output permit.json
+// submit:
+//     npx hardhat relay:submit --network mainnet --envelope permit.json
+// signed envelope is a JSON file {type, chainId, token, signer, typedData, signature, v, r, s}
+
+// Hardhat task API
+const {task, types} = require("hardhat/config");
+
+// file system access and random nonces
+const fs = require("fs");
+const crypto = require("crypto");
+
+// task utils
+const {
+	get_sender,
+	get_token,
+	parse_amount,
+	send_or_simulate,
+} = require("./include/task_utils");
+const {
+	load_signer,
+	sign_typed_data,
+	recover_typed_data_signer,
+	domain_separator,
+} = require("./include/signer");
+
+// EIP-712 typed data builders
+const {
+	DEFAULT_DOMAIN_NAME,
+	buildDomain,
+	buildPermit,
+	buildTransferWithAuthorization,
+	buildReceiveWithAuthorization,
+	buildCancelAuthorization,
+	buildDelegation,
+	splitSignature,
+} = require("../scripts/include/eip712");
+
+// envelope types and the EIP-712 struct types they are signed as
+const ENVELOPE_TYPES = {
+	"permit": "Permit",
+	"transfer-auth": "TransferWithAuthorization",
+	"receive-auth": "ReceiveWithAuthorization",
+	"cancel-auth": "CancelAuthorization",
+	"delegation": "Delegation",
+};
+
+// default signature validity period: one day
+const DEFAULT_VALIDITY_PERIOD = 86_400;
+
+// current unix timestamp
+function now() {
+	return Math.floor(Date.now() / 1000);
+}
+
+// generates random bytes32 nonce for EIP-3009 authorizations and delegations
+function random_nonce() {
+	return "0x" + crypto.randomBytes(32).toString("hex");
+}
+
+// converts uint256 (decimal string) into bytes32 (0x-prefixed hex string)
+function to_bytes32(value) {
+	return "0x" + BigInt(value).toString(16).padStart(64, "0");
+}
+
+/**
+ * Defines the sign:* task with the parameters common for all the signing tasks:
+ *      token, chain ID, domain name and version, keystore/mnemonic, and output file
+ *
+ * @param name task name
+ * @param description task description
+ * @returns task definition to add the specific parameters and the action to
+ */
+function sign_task(name, description) {
+	return task(name, description)
+		.addParam("token", "token address, EIP-712 verifying contract")
+		.addParam("chainId", "chain ID the token is deployed to", undefined, types.int)
+		.addOptionalParam("domainName", "EIP-712 domain name", DEFAULT_DOMAIN_NAME)
+		.addOptionalParam("domainVersion", "EIP-712 domain version, the default domain has no version")
+		.addOptionalParam("keystore", "signer encrypted JSON keystore file path")
+		.addOptionalParam("password", "keystore password, defaults to KEYSTORE_PASSWORD env variable")
+		.addOptionalParam("mnemonic", "signer mnemonic phrase")
+		.addOptionalParam("index", "account index to derive from the mnemonic", 0, types.int)
+		.addOptionalParam("output", "file to save the signed envelope to, prints it if not set");
+}
+
+/**
+ * Signs the typed data built by the `build` function and saves (or prints) the signed envelope
+ *
+ * @param hre Hardhat runtime environment
+ * @param args task arguments
+ * @param type envelope type, one of the ENVELOPE_TYPES keys
+ * @param build function (domain, signer_address) => typed data
+ * @returns signed envelope
+ */
+async function sign_envelope(hre, args, type, build) {
+	const {token, chainId, domainName, domainVersion, keystore, password, mnemonic, index, output} = args;
+	if(!hre.web3.utils.isAddress(token)) {
+		throw new Error(`invalid token address: ${token}`);
+	}
+
+	const signer = await load_signer({keystore, password, mnemonic, index});
+	const domain = buildDomain(hre.web3.utils.toChecksumAddress(token), chainId, domainName, domainVersion);
+	const typedData = build(domain, signer.address);
+	const signature = sign_typed_data(signer, typedData);
+
+	const envelope = Object.assign({
+		type,
+		chainId,
+		token: domain.verifyingContract,
+		signer: signer.address,
+		typedData,
+		signature,
+	}, splitSignature(signature));
+
+	const json = JSON.stringify(envelope, null, "\t");
+	if(output) {
+		fs.writeFileSync(output, json);
+		console.log("%s signed by %o, envelope saved to %o", typedData.primaryType, signer.address, output);
+	}
+	else {
+		console.log(json);
+	}
+	return envelope;
+}
+
+sign_task("sign:permit", "Signs EIP-2612 permit offline")
+	.addParam("spender", "address to be approved to spend the tokens")
+	.addParam("value", "amount of tokens to approve, human-readable (taking into account decimals), like 1.5")
+	.addParam("nonce", "current signer's permit nonce, see nonces(owner)", undefined, types.int)
+	.addOptionalParam("deadline", "signature expiration time (unix timestamp), defaults to one day from now", undefined, types.int)
+	.addOptionalParam("decimals", "token decimals", 18, types.int)
+	.setAction(async function(args, hre) {
+		const {spender, value, nonce, deadline = now() + DEFAULT_VALIDITY_PERIOD, decimals} = args;
+		return await sign_envelope(hre, args, "permit", (domain, owner) => buildPermit(domain, {
+			owner,
+			spender: hre.web3.utils.toChecksumAddress(spender),
+			value: parse_amount(value, decimals),
+			nonce,
+			deadline,
+		}));
+	});
+
+// transfer-auth and receive-auth tasks have the same parameters
+for(const [type, build] of [["transfer-auth", buildTransferWithAuthorization], ["receive-auth", buildReceiveWithAuthorization]]) {
+	sign_task(`sign:${type}`, `Signs EIP-3009 ${ENVELOPE_TYPES[type]} offline`)
+		.addParam("to", "token receiver")
+		.addParam("value", "amount of tokens to transfer, human-readable (taking into account decimals), like 1.5")
+		.addOptionalParam("validAfter", "signature valid after time (unix timestamp)", 0, types.int)
+		.addOptionalParam("validBefore", "signature valid before time (unix timestamp), defaults to one day from now", undefined, types.int)
+		.addOptionalParam("nonce", "unique bytes32 nonce, random if not set")
+		.addOptionalParam("decimals", "token decimals", 18, types.int)
+		.setAction(async function(args, hre) {
+			const {to, value, validAfter, validBefore = now() + DEFAULT_VALIDITY_PERIOD, nonce = random_nonce(), decimals} = args;
+			return await sign_envelope(hre, args, type, (domain, from) => build(domain, {
+				from,
+				to: hre.web3.utils.toChecksumAddress(to),
+				value: parse_amount(value, decimals),
+				validAfter,
+				validBefore,
+				nonce,
+			}));
+		});
+}
+
+sign_task("sign:cancel-auth", "Signs EIP-3009 CancelAuthorization offline")
+	.addParam("nonce", "bytes32 nonce of the authorization to cancel")
+	.setAction(async function(args, hre) {
+		return await sign_envelope(hre, args, "cancel-auth", (domain, authorizer) => buildCancelAuthorization(domain, {
+			authorizer,
+			nonce: args.nonce,
+		}));
+	});
+
+sign_task("sign:delegation", "Signs voting power Delegation (delegateWithAuthorization) offline")
+	.addParam("delegate", "address to delegate voting power to")
+	.addOptionalParam("nonce", "unique bytes32 nonce, random if not set")
+	.addOptionalParam("expiry", "signature expiration time (unix timestamp), defaults to one day from now", undefined, types.int)
+	.setAction(async function(args, hre) {
+		const {delegate, nonce = random_nonce(), expiry = now() + DEFAULT_VALIDITY_PERIOD} = args;
+		return await sign_envelope(hre, args, "delegation", (domain) => buildDelegation(domain, {
+			delegate: hre.web3.utils.toChecksumAddress(delegate),
+			nonce,
+			expiry,
+		}));
+	});
+
+/**
+ * Verifies the signed envelope against the token state, and builds the transaction to submit it
+ *
+ * @param hre Hardhat runtime environment
+ * @param token web3 contract instance
+ * @param envelope signed envelope
+ * @param sender transaction sender
+ * @returns web3 contract method object to send; throws if the envelope cannot be submitted
+ */
+async function verify_envelope(hre, token, envelope, sender) {
+	const web3 = hre.web3;
+	const {type, typedData, signature} = envelope;
+	const {message} = typedData;
+	const {v, r, s} = splitSignature(signature);
+
+	if(ENVELOPE_TYPES[type] !== typedData.primaryType) {
+		throw new Error(`unknown envelope type ${type} (${typedData.primaryType})`);
+	}
+
+	// the envelope must be signed for this network and token
+	const chainId = await web3.eth.getChainId();
+	if(parseInt(typedData.domain.chainId) !== chainId) {
+		throw new Error(`envelope is signed for chain ID ${typedData.domain.chainId}, connected to ${chainId}`);
+	}
+	const expected_separator = await token.methods.DOMAIN_SEPARATOR().call();
+	if(domain_separator(typedData) !== expected_separator) {
+		throw new Error(`envelope domain doesn't match DOMAIN_SEPARATOR() ${expected_separator}: `
+			+ `check the token address and the domain name`);
+	}
+
+	// the signature must be valid and belong to the authorizer
+	const signer = web3.utils.toChecksumAddress(recover_typed_data_signer(typedData, signature));
+	const authorizer = message.owner || message.from || message.authorizer || signer;
+	if(signer !== envelope.signer || signer !== web3.utils.toChecksumAddress(authorizer)) {
+		throw new Error(`invalid signature: recovered signer ${signer}, expected ${envelope.signer}`);
+	}
+
+	// the signature must not be expired or used
+	const {timestamp} = await web3.eth.getBlock("latest");
+	const expires = message.deadline || message.validBefore || message.expiry;
+	if(expires !== undefined && BigInt(expires) <= BigInt(timestamp)) {
+		throw new Error(`signature expired at ${expires}, latest block timestamp is ${timestamp}`);
+	}
+	if(message.validAfter !== undefined && BigInt(message.validAfter) > BigInt(timestamp)) {
+		throw new Error(`signature is not yet valid, valid after ${message.validAfter}, latest block timestamp is ${timestamp}`);
+	}
+	if(type === "permit") {
+		const nonce = await token.methods.nonces(signer).call();
+		if(nonce !== message.nonce) {
+			throw new Error(`permit nonce ${message.nonce} doesn't match nonces(${signer}) ${nonce}`);
+		}
+	}
+	else {
+		const nonce = type === "delegation"? to_bytes32(message.nonce): message.nonce;
+		if(await token.methods.authorizationState(signer, nonce).call()) {
+			throw new Error(`nonce ${nonce} is already used or canceled by ${signer}`);
+		}
+	}
+
+	switch(type) {
+		case "permit":
+			return token.methods.permit(message.owner, message.spender, message.value, message.deadline, v, r, s);
+		case "transfer-auth":
+			return token.methods.transferWithAuthorization(
+				message.from, message.to, message.value, message.validAfter, message.validBefore, message.nonce, v, r, s
+			);
+		case "receive-auth":
+			// receiveWithAuthorization can be executed only by the receiver, which prevents front-running
+			if(sender !== web3.utils.toChecksumAddress(message.to)) {
+				throw new Error(`receive authorization must be submitted by the receiver ${message.to}, not ${sender}`);
+			}
+			return token.methods.receiveWithAuthorization(
+				message.from, message.to, message.value, message.validAfter, message.validBefore, message.nonce, v, r, s
+			);
+		case "cancel-auth":
+			return token.methods.cancelAuthorization(message.authorizer, message.nonce, v, r, s);
+		case "delegation":
+			return token.methods.delegateWithAuthorization(message.delegate, to_bytes32(message.nonce), message.expiry, v, r, s);
+	}
+}
+
+task("relay:submit", "Verifies the signed envelope against the token state and submits it")
+	.addParam("envelope", "signed envelope file path, produced by one of the sign:* tasks")
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "verify and simulate the transaction without sending it")
+	.setAction(async function({envelope: path, from, dryRun}, hre) {
+		const envelope = JSON.parse(fs.readFileSync(path, "utf8"));
+		const token = await get_token(hre, envelope.token);
+		const sender = await get_sender(hre, from);
+
+		const method = await verify_envelope(hre, token, envelope, sender);
+		console.log("%s signed by %o is valid, submitting", envelope.typedData.primaryType, envelope.signer);
+		return await send_or_simulate(hre, method, sender, dryRun);
+	});
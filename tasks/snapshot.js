@@ -0,0 +1,75 @@
+// Hardhat task to export the token holders balances at the given block (snapshot) into JSON and CSV files
+// run: npx hardhat token:snapshot --network sepolia --token 0x... --block 1234567 --voting
+// balances are built by replaying Transfer(by, from, to, value) events and cross-checked against totalSupplyAt(block);
+// for the tokens in the ERC-6372 timestamp clock mode the snapshot is the state at the end of the last block
+// having the same timestamp as the block specified (several blocks may share a timestamp, like on opBNB)
+
+// Hardhat task API
+const {task, types} = require("hardhat/config");
+
+// file system access
+const fs = require("fs");
+
+// task utils
+const {get_token, format_amount} = require("./include/task_utils");
+const {write_csv} = require("./include/csv");
+
+// snapshot builder
+const {takeSnapshot} = require("../scripts/include/snapshot");
+
+task("token:snapshot", "Exports token holders balances at the block specified into JSON and CSV files")
+	.addParam("token", "token address")
+	.addOptionalParam("block", "block number to take the snapshot at, defaults to the latest block - 1", undefined, types.int)
+	.addOptionalParam("fromBlock", "block to start replaying Transfer events from, the token deployment block", 0, types.int)
+	.addOptionalParam("batchSize", "number of blocks to query the logs for at once", 10_000, types.int)
+	.addOptionalParam("output", "output files path without extension, defaults to snapshot_<token>_<block>")
+	.addFlag("voting", "include voting power at the snapshot block and the (current) voting delegate")
+	.setAction(async function({token: address, block, fromBlock, batchSize, output, voting}, hre) {
+		const web3 = hre.web3;
+
+		// totalSupplyAt and votingPowerAt accept only already mined blocks
+		const latest = await web3.eth.getBlockNumber();
+		if(block === undefined) {
+			block = latest - 1;
+		}
+		if(block < 0 || block >= latest) {
+			throw new Error(`block ${block} is not yet mined, latest block is ${latest}`);
+		}
+		if(fromBlock > block) {
+			throw new Error(`from block ${fromBlock} is after the snapshot block ${block}`);
+		}
+
+		const token = await get_token(hre, address);
+		const decimals = parseInt(await token.methods.decimals().call());
+		const symbol = await token.methods.symbol().call();
+		console.log("taking %s snapshot at block %o, replaying Transfer events from block %o", symbol, block, fromBlock);
+
+		const snapshot = await takeSnapshot(web3, token.options.address, {blockNumber: block, fromBlock, batchSize, votingPower: voting});
+		if(snapshot.toBlock !== block) {
+			console.log("blocks %o to %o share the timestamp %o, the snapshot includes them all", block, snapshot.toBlock, snapshot.timepoint);
+		}
+		if(!snapshot.consistent) {
+			throw new Error(`sum of the balances ${format_amount(snapshot.sum, decimals)} doesn't match `
+				+ `totalSupplyAt(${snapshot.timepoint}) ${format_amount(snapshot.totalSupply, decimals)}; `
+				+ `make sure --from-block is not after the token deployment block`);
+		}
+
+		// JSON keeps the exact integer amounts, CSV – human-readable ones
+		output = output || `snapshot_${snapshot.token}_${block}`;
+		fs.writeFileSync(output + ".json", JSON.stringify(Object.assign({}, snapshot, {symbol, decimals}), function(k, v) {
+			return typeof v === "bigint"? v.toString(10): v;
+		}, "\t"));
+		write_csv(
+			output + ".csv",
+			voting? ["address", "balance", "votingPower", "delegate"]: ["address", "balance"],
+			snapshot.holders.map(h => voting?
+				[h.address, format_amount(h.balance, decimals), format_amount(h.votingPower, decimals), h.delegate]:
+				[h.address, format_amount(h.balance, decimals)]
+			),
+		);
+
+		console.log("snapshot complete: %o holders, total supply %s; saved to %o and %o",
+			snapshot.holders.length, format_amount(snapshot.totalSupply, decimals), output + ".json", output + ".csv");
+
+		return snapshot;
+	});
@@ -0,0 +1,240 @@
+// Hardhat tasks to manage the deployed AdvancedERC20 token: mint, burn, pause, features, roles, inspect
+// run: npx hardhat token:inspect --network sepolia --token 0x...
+// all the state changing tasks support --dry-run flag, which simulates the transaction (eth_call + estimateGas)
+
+// Hardhat task API
+const {task} = require("hardhat/config");
+
+// task utils
+const {
+	get_sender,
+	get_token,
+	parse_amount,
+	format_amount,
+	decode_logs,
+	send_or_simulate,
+} = require("./include/task_utils");
+
+// note: features_roles module relies on the global web3, which becomes available
+// only once Hardhat runtime environment is initialized, so it is loaded inside the task actions
+function features_roles() {
+	return require("../scripts/include/features_roles");
+}
+
+/**
+ * Prints the events emitted by the token in a human-readable form:
+ *      amounts are formatted with token decimals, features/roles masks are decoded into names
+ *
+ * @param hre Hardhat runtime environment
+ * @param token web3 contract instance
+ * @param receipt raw transaction receipt
+ * @param decimals token decimals
+ * @returns an array of decoded events {name, values}
+ */
+function print_events(hre, token, receipt, decimals) {
+	const {formatMask} = features_roles();
+	const events = decode_logs(hre.web3, token.options.jsonInterface, receipt.logs.filter(
+		log => log.address.toLowerCase() === token.options.address.toLowerCase()
+	));
+	for(const {name, values} of events) {
+		const args = Object.entries(values).map(function([k, v]) {
+			if(["value", "oldValue", "fromVal", "toVal"].includes(k)) {
+				return `${k}: ${format_amount(v, decimals)}`;
+			}
+			if(["requested", "assigned"].includes(k)) {
+				return `${k}: ${formatMask(v)}`;
+			}
+			return `${k}: ${v}`;
+		});
+		console.log("\t%s(%s)", name, args.join(", "));
+	}
+	return events;
+}
+
+/**
+ * Sends (or simulates) the transaction, and prints the decoded events
+ *
+ * @returns raw transaction receipt with `events` decoded, or {dryRun: true, gas} in dry-run mode
+ */
+async function execute(hre, token, method, from, dry_run) {
+	const result = await send_or_simulate(hre, method, from, dry_run);
+	if(result.dryRun) {
+		return result;
+	}
+	const decimals = parseInt(await token.methods.decimals().call());
+	return Object.assign(result, {events: print_events(hre, token, result, decimals)});
+}
+
+/**
+ * Updates the role of the operator by adding or removing the roles specified
+ *
+ * @returns raw transaction receipt with `events` decoded, or {dryRun: true, gas} in dry-run mode
+ */
+async function update_role(hre, {token: address, operator, roles, from, dryRun}, grant) {
+	const {parseMask, formatMask} = features_roles();
+	const BN = hre.web3.utils.BN;
+
+	const token = await get_token(hre, address);
+	const sender = await get_sender(hre, from);
+	const mask = parseMask(roles);
+	const current = new BN(await token.methods.getRole(operator).call());
+	const updated = grant? current.or(mask): current.and(mask.notn(256));
+
+	console.log("%s %s role: %s → %s", grant? "granting": "revoking", operator, formatMask(current), formatMask(updated));
+	const result = await execute(hre, token, token.methods.updateRole(operator, updated.toString(10)), sender, dryRun);
+
+	// access manager can only grant/revoke the permissions it has itself
+	const event = result.events && result.events.find(e => e.name === "RoleUpdated");
+	if(event && event.values.assigned !== event.values.requested) {
+		console.warn("WARNING: assigned role differs from the requested one, sender %s doesn't have all the roles", sender);
+	}
+	return result;
+}
+
+task("token:inspect", "Prints token details: name, symbol, supply, features, and optionally the account balance and roles")
+	.addParam("token", "token address")
+	.addOptionalParam("account", "account to print balance and roles for")
+	.setAction(async function({token: address, account}, hre) {
+		const {describeMask, formatMask} = features_roles();
+
+		const token = await get_token(hre, address);
+		const decimals = parseInt(await token.methods.decimals().call());
+		const info = {
+			address: token.options.address,
+			name: await token.methods.name().call(),
+			symbol: await token.methods.symbol().call(),
+			decimals,
+			totalSupply: format_amount(await token.methods.totalSupply().call(), decimals),
+			features: describeMask(await token.methods.features().call()).features,
+			paused: await token.methods.paused().call(),
+		};
+		console.log("token %o", info.address);
+		console.log("\tname: %o, symbol: %o, decimals: %o", info.name, info.symbol, info.decimals);
+		console.log("\ttotal supply: %s", info.totalSupply);
+		console.log("\tfeatures: %s%s", formatMask(await token.methods.features().call()), info.paused? " (paused)": "");
+
+		if(account) {
+			info.account = {
+				address: account,
+				balance: format_amount(await token.methods.balanceOf(account).call(), decimals),
+				votingPower: format_amount(await token.methods.votingPowerOf(account).call(), decimals),
+				delegate: await token.methods.votingDelegates(account).call(),
+				roles: describeMask(await token.methods.getRole(account).call()).roles,
+			};
+			console.log("account %o", account);
+			console.log("\tbalance: %s, voting power: %s, delegate: %o", info.account.balance, info.account.votingPower, info.account.delegate);
+			console.log("\troles: %s", formatMask(await token.methods.getRole(account).call()));
+		}
+
+		return info;
+	});
+
+task("token:mint", "Mints tokens to the address specified, requires ROLE_TOKEN_CREATOR")
+	.addParam("token", "token address")
+	.addParam("to", "address to mint tokens to")
+	.addParam("amount", "amount of tokens to mint, human-readable (taking into account decimals), like 1.5")
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "simulate the transaction without sending it")
+	.setAction(async function({token: address, to, amount, from, dryRun}, hre) {
+		const token = await get_token(hre, address);
+		const sender = await get_sender(hre, from);
+		const decimals = parseInt(await token.methods.decimals().call());
+		const value = parse_amount(amount, decimals);
+
+		console.log("minting %s tokens to %s", format_amount(value, decimals), to);
+		return await execute(hre, token, token.methods.mint(to, value.toString(10)), sender, dryRun);
+	});
+
+task("token:burn", "Burns tokens of the account specified")
+	.addParam("token", "token address")
+	.addParam("account", "address to burn tokens of")
+	.addParam("amount", "amount of tokens to burn, human-readable (taking into account decimals), like 1.5")
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "simulate the transaction without sending it")
+	.setAction(async function({token: address, account, amount, from, dryRun}, hre) {
+		const token = await get_token(hre, address);
+		const sender = await get_sender(hre, from);
+		const decimals = parseInt(await token.methods.decimals().call());
+		const value = parse_amount(amount, decimals);
+
+		console.log("burning %s tokens of %s", format_amount(value, decimals), account);
+		return await execute(hre, token, token.methods.burn(account, value.toString(10)), sender, dryRun);
+	});
+
+task("token:pause", "Pauses (freezes) the token keeping the features configured, requires ROLE_PAUSE_MANAGER")
+	.addParam("token", "token address")
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "simulate the transaction without sending it")
+	.setAction(async function({token: address, from, dryRun}, hre) {
+		const token = await get_token(hre, address);
+		const sender = await get_sender(hre, from);
+
+		console.log("pausing the token %s", token.options.address);
+		return await execute(hre, token, token.methods.pause(), sender, dryRun);
+	});
+
+task("token:unpause", "Unpauses the token restoring the features configured before the pause, requires ROLE_PAUSE_MANAGER")
+	.addParam("token", "token address")
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "simulate the transaction without sending it")
+	.setAction(async function({token: address, from, dryRun}, hre) {
+		const {formatMask} = features_roles();
+
+		const token = await get_token(hre, address);
+		const sender = await get_sender(hre, from);
+
+		console.log("unpausing the token %s, features: %s", token.options.address, formatMask(await token.methods.features().call()));
+		return await execute(hre, token, token.methods.unpause(), sender, dryRun);
+	});
+
+task("token:features:get", "Prints the features enabled on the token")
+	.addParam("token", "token address")
+	.setAction(async function({token: address}, hre) {
+		const {describeMask} = features_roles();
+
+		const token = await get_token(hre, address);
+		const description = describeMask(await token.methods.features().call());
+		console.log("features %s:", description.mask);
+		description.features.forEach(name => console.log("\t%s", name));
+		if(description.unknownFeatures) {
+			console.log("\tunknown: %s", description.unknownFeatures);
+		}
+		return description;
+	});
+
+task("token:features:set", "Sets the features enabled on the token, requires ROLE_ACCESS_MANAGER")
+	.addParam("token", "token address")
+	.addParam("features", 'features to enable, all others get disabled, like "TRANSFERS|OWN_BURNS|0x0400"')
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "simulate the transaction without sending it")
+	.setAction(async function({token: address, features, from, dryRun}, hre) {
+		const {parseMask, formatMask} = features_roles();
+
+		const token = await get_token(hre, address);
+		const sender = await get_sender(hre, from);
+		const current = await token.methods.features().call();
+		const mask = parseMask(features);
+
+		console.log("updating features: %s → %s", formatMask(current), formatMask(mask));
+		return await execute(hre, token, token.methods.updateFeatures(mask.toString(10)), sender, dryRun);
+	});
+
+task("token:roles:grant", "Grants the roles to the operator, keeping the roles it already has, requires ROLE_ACCESS_MANAGER")
+	.addParam("token", "token address")
+	.addParam("operator", "address to grant the roles to")
+	.addParam("roles", 'roles to grant, like "TOKEN_CREATOR|TOKEN_DESTROYER"')
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "simulate the transaction without sending it")
+	.setAction(async function(args, hre) {
+		return await update_role(hre, args, true);
+	});
+
+task("token:roles:revoke", "Revokes the roles from the operator, keeping other roles it has, requires ROLE_ACCESS_MANAGER")
+	.addParam("token", "token address")
+	.addParam("operator", "address to revoke the roles from")
+	.addParam("roles", 'roles to revoke, like "TOKEN_CREATOR|TOKEN_DESTROYER"')
+	.addOptionalParam("from", "transaction sender, defaults to the first account")
+	.addFlag("dryRun", "simulate the transaction without sending it")
+	.setAction(async function(args, hre) {
+		return await update_role(hre, args, false);
+	});
@@ -0,0 +1,308 @@
+// ERC20: Compliance (Blocklist and Allowlist) Tests
+
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+const {
+	ZERO_ADDRESS,
+	ZERO_BYTES32,
+	MAX_UINT256,
+} = constants;
+
+// RBAC token features and roles
+const {
+	not,
+	ROLE_COMPLIANCE_MANAGER,
+} = require("../../scripts/include/features_roles");
+
+// EIP712 helpers
+const {
+	eip712_permit,
+	eip712_transfer,
+	eip712_receive,
+} = require("./include/eip712");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+	erc1363_deploy_acceptor,
+} = require("./include/deployment_routines");
+
+// run compliance tests
+contract("ERC20: Compliance (Blocklist and Allowlist) tests", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3] = accounts;
+
+	// validity defaults
+	const validBefore = 10e9;
+	const validAfter = 10e3;
+	// create empty account with known private key
+	const w = web3.eth.accounts.create();
+
+	let token;
+	beforeEach(async function() {
+		token = await advanced_erc20_deploy(a0, H0);
+	});
+
+	it("blocklist is empty and allowlist-only mode is disabled after deployment", async function() {
+		expect(await token.blocklistSize(), "blocklist size").to.be.bignumber.that.is.zero;
+		expect(await token.allowlistOnly(), "allowlist-only").to.be.false;
+	});
+
+	describe("blocklist management", function() {
+		it("fails if executed not by ROLE_COMPLIANCE_MANAGER", async function() {
+			await token.updateRole(a1, not(ROLE_COMPLIANCE_MANAGER), {from: a0});
+			await expectRevert(token.updateBlocklist([a2], true, {from: a1}), "access denied");
+		});
+		describe("adding the addresses succeeds if executed by ROLE_COMPLIANCE_MANAGER", function() {
+			let receipt;
+			beforeEach(async function() {
+				await token.updateRole(a1, ROLE_COMPLIANCE_MANAGER, {from: a0});
+				receipt = await token.updateBlocklist([a2, a3], true, {from: a1});
+			});
+			it('"BlocklistUpdated" event is emitted', async function() {
+				expectEvent(receipt, "BlocklistUpdated", {by: a1, accounts: [a2, a3], blocked: true});
+			});
+			it("the addresses get blocked", async function() {
+				expect(await token.blocklist(a2), "a2").to.be.true;
+				expect(await token.blocklist(a3), "a3").to.be.true;
+			});
+			it("blocklist size increases", async function() {
+				expect(await token.blocklistSize()).to.be.bignumber.that.equals("2");
+			});
+			it("adding the same address again doesn't change the blocklist size", async function() {
+				await token.updateBlocklist([a2], true, {from: a1});
+				expect(await token.blocklistSize()).to.be.bignumber.that.equals("2");
+			});
+			describe("removing the addresses succeeds", function() {
+				beforeEach(async function() {
+					receipt = await token.updateBlocklist([a2, a1], false, {from: a1});
+				});
+				it('"BlocklistUpdated" event is emitted', async function() {
+					expectEvent(receipt, "BlocklistUpdated", {by: a1, accounts: [a2, a1], blocked: false});
+				});
+				it("the address gets unblocked", async function() {
+					expect(await token.blocklist(a2)).to.be.false;
+				});
+				it("blocklist size decreases by the number of the addresses actually removed", async function() {
+					expect(await token.blocklistSize()).to.be.bignumber.that.equals("1");
+				});
+			});
+		});
+	});
+
+	describe("allowlist management", function() {
+		it("updating the allowlist fails if executed not by ROLE_COMPLIANCE_MANAGER", async function() {
+			await token.updateRole(a1, not(ROLE_COMPLIANCE_MANAGER), {from: a0});
+			await expectRevert(token.updateAllowlist([a2], true, {from: a1}), "access denied");
+		});
+		it("switching the allowlist-only mode fails if executed not by ROLE_COMPLIANCE_MANAGER", async function() {
+			await token.updateRole(a1, not(ROLE_COMPLIANCE_MANAGER), {from: a0});
+			await expectRevert(token.setAllowlistOnly(true, {from: a1}), "access denied");
+		});
+		describe("succeeds if executed by ROLE_COMPLIANCE_MANAGER", function() {
+			let receipt1, receipt2;
+			beforeEach(async function() {
+				await token.updateRole(a1, ROLE_COMPLIANCE_MANAGER, {from: a0});
+				receipt1 = await token.updateAllowlist([a2, a3], true, {from: a1});
+				receipt2 = await token.setAllowlistOnly(true, {from: a1});
+			});
+			it('"AllowlistUpdated" event is emitted', async function() {
+				expectEvent(receipt1, "AllowlistUpdated", {by: a1, accounts: [a2, a3], allowed: true});
+			});
+			it("the addresses get allowlisted", async function() {
+				expect(await token.allowlist(a2), "a2").to.be.true;
+				expect(await token.allowlist(a3), "a3").to.be.true;
+			});
+			it('"AllowlistOnlyChanged" event is emitted', async function() {
+				expectEvent(receipt2, "AllowlistOnlyChanged", {by: a1, fromVal: false, toVal: true});
+			});
+			it("allowlist-only mode gets enabled", async function() {
+				expect(await token.allowlistOnly()).to.be.true;
+			});
+			it("the addresses can be removed from the allowlist", async function() {
+				const receipt = await token.updateAllowlist([a3], false, {from: a1});
+				expectEvent(receipt, "AllowlistUpdated", {by: a1, accounts: [a3], allowed: false});
+				expect(await token.allowlist(a3)).to.be.false;
+			});
+		});
+	});
+
+	describe("when an address is blocked", function() {
+		const value = 1;
+		let erc1363_acceptor;
+		beforeEach(async function() {
+			erc1363_acceptor = await erc1363_deploy_acceptor(a0);
+			await token.transfer(a1, 2 * value, {from: H0});
+			await token.transfer(w.address, value, {from: H0});
+			await token.approve(a2, MAX_UINT256, {from: H0});
+			await token.approve(a2, MAX_UINT256, {from: a1});
+		});
+
+		describe("blocked sender", function() {
+			beforeEach(async function() {
+				await token.updateBlocklist([a1], true, {from: a0});
+			});
+			it("cannot transfer", async function() {
+				await expectRevert(token.transfer(a3, value, {from: a1}), "blocklisted address");
+			});
+			it("cannot be transferred from on behalf", async function() {
+				await expectRevert(token.transferFrom(a1, a3, value, {from: a2}), "blocklisted address");
+			});
+			it("cannot ERC-1363 transfer and call", async function() {
+				await expectRevert(
+					token.methods["transferAndCall(address,uint256)"](erc1363_acceptor.address, value, {from: a1}),
+					"blocklisted address"
+				);
+			});
+			it("cannot ERC-1363 approve and call", async function() {
+				await expectRevert(
+					token.methods["approveAndCall(address,uint256)"](erc1363_acceptor.address, value, {from: a1}),
+					"blocklisted address"
+				);
+			});
+			it("cannot approve", async function() {
+				await expectRevert(token.approve(a3, value, {from: a1}), "blocklisted address");
+			});
+			it("cannot increase allowance", async function() {
+				await expectRevert(token.increaseAllowance(a3, value, {from: a1}), "blocklisted address");
+			});
+			it("cannot decrease allowance", async function() {
+				await expectRevert(token.decreaseAllowance(a2, value, {from: a1}), "blocklisted address");
+			});
+			it("cannot EIP-2612 permit", async function() {
+				await token.updateBlocklist([w.address], true, {from: a0});
+				const {v, r, s} = await eip712_permit(token.address, w.address, a3, value, 0, MAX_UINT256, w.privateKey);
+				await expectRevert(
+					token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](w.address, a3, value, MAX_UINT256, v, r, s, {from: a2}),
+					"blocklisted address"
+				);
+			});
+			it("can transfer again after being removed from the blocklist", async function() {
+				await token.updateBlocklist([a1], false, {from: a0});
+				await token.transfer(a3, value, {from: a1});
+				expect(await token.balanceOf(a3)).to.be.bignumber.that.equals(new BN(value));
+			});
+		});
+		describe("blocked receiver", function() {
+			beforeEach(async function() {
+				await token.updateBlocklist([a3], true, {from: a0});
+			});
+			it("cannot receive tokens", async function() {
+				await expectRevert(token.transfer(a3, value, {from: a1}), "blocklisted address");
+			});
+			it("cannot receive tokens transferred on behalf", async function() {
+				await expectRevert(token.transferFrom(H0, a3, value, {from: a2}), "blocklisted address");
+			});
+			it("cannot get tokens minted", async function() {
+				await expectRevert(token.mint(a3, value, {from: a0}), "blocklisted address");
+			});
+			it("cannot be approved and notified via ERC-1363", async function() {
+				await token.updateBlocklist([erc1363_acceptor.address], true, {from: a0});
+				await expectRevert(
+					token.methods["approveAndCall(address,uint256)"](erc1363_acceptor.address, value, {from: a1}),
+					"blocklisted address"
+				);
+			});
+			it("cannot be approved", async function() {
+				await expectRevert(token.approve(a3, value, {from: a1}), "blocklisted address");
+			});
+			it("cannot get allowance increased", async function() {
+				await expectRevert(token.increaseAllowance(a3, value, {from: a1}), "blocklisted address");
+			});
+			it("cannot be EIP-2612 permitted", async function() {
+				const {v, r, s} = await eip712_permit(token.address, w.address, a3, value, 0, MAX_UINT256, w.privateKey);
+				await expectRevert(
+					token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](w.address, a3, value, MAX_UINT256, v, r, s, {from: a2}),
+					"blocklisted address"
+				);
+			});
+			it("cannot receive EIP-3009 transfer with auth", async function() {
+				const {v, r, s} = await eip712_transfer(token.address, w.address, a3, value, validAfter, validBefore, ZERO_BYTES32, w.privateKey);
+				await expectRevert(
+					token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](w.address, a3, value, validAfter, validBefore, ZERO_BYTES32, v, r, s, {from: a1}),
+					"blocklisted address"
+				);
+			});
+			it("cannot receive EIP-3009 receive with auth", async function() {
+				const {v, r, s} = await eip712_receive(token.address, w.address, a3, value, validAfter, validBefore, ZERO_BYTES32, w.privateKey);
+				await expectRevert(
+					token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](w.address, a3, value, validAfter, validBefore, ZERO_BYTES32, v, r, s, {from: a3}),
+					"blocklisted address"
+				);
+			});
+		});
+		describe("blocked operator", function() {
+			beforeEach(async function() {
+				await token.updateBlocklist([a2], true, {from: a0});
+			});
+			it("cannot transfer on behalf", async function() {
+				await expectRevert(token.transferFrom(H0, a3, value, {from: a2}), "blocklisted address");
+			});
+			it("cannot relay EIP-3009 transfer with auth", async function() {
+				const {v, r, s} = await eip712_transfer(token.address, w.address, a3, value, validAfter, validBefore, ZERO_BYTES32, w.privateKey);
+				await expectRevert(
+					token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](w.address, a3, value, validAfter, validBefore, ZERO_BYTES32, v, r, s, {from: a2}),
+					"blocklisted address"
+				);
+			});
+		});
+		it("blocked address can still have its tokens burnt by ROLE_TOKEN_DESTROYER", async function() {
+			await token.updateBlocklist([a1], true, {from: a0});
+			await token.burn(a1, value, {from: a0});
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals(new BN(value));
+		});
+	});
+
+	describe("when allowlist-only mode is enabled", function() {
+		const value = 1;
+		beforeEach(async function() {
+			await token.transfer(a1, 2 * value, {from: H0});
+			await token.approve(a3, MAX_UINT256, {from: a1});
+			await token.updateAllowlist([a1, a2], true, {from: a0});
+			await token.setAllowlistOnly(true, {from: a0});
+		});
+		it("transfer between the allowlisted addresses succeeds", async function() {
+			await token.transfer(a2, value, {from: a1});
+			expect(await token.balanceOf(a2)).to.be.bignumber.that.equals(new BN(value));
+		});
+		it("transfer on behalf between the allowlisted addresses succeeds (operator is not required to be allowlisted)", async function() {
+			await token.transferFrom(a1, a2, value, {from: a3});
+			expect(await token.balanceOf(a2)).to.be.bignumber.that.equals(new BN(value));
+		});
+		it("transfer to not allowlisted address reverts", async function() {
+			await expectRevert(token.transfer(a3, value, {from: a1}), "address is not allowlisted");
+		});
+		it("transfer from not allowlisted address reverts", async function() {
+			await expectRevert(token.transfer(a1, value, {from: H0}), "address is not allowlisted");
+		});
+		it("mint to allowlisted address succeeds", async function() {
+			await token.mint(a2, value, {from: a0});
+			expect(await token.balanceOf(a2)).to.be.bignumber.that.equals(new BN(value));
+		});
+		it("mint to not allowlisted address reverts", async function() {
+			await expectRevert(token.mint(a3, value, {from: a0}), "address is not allowlisted");
+		});
+		it("blocklist takes precedence over the allowlist", async function() {
+			await token.updateBlocklist([a2], true, {from: a0});
+			await expectRevert(token.transfer(a2, value, {from: a1}), "blocklisted address");
+		});
+		it("transfers to anyone are possible again after the mode is disabled", async function() {
+			await token.setAllowlistOnly(false, {from: a0});
+			await token.transfer(a3, value, {from: a1});
+			expect(await token.balanceOf(a3)).to.be.bignumber.that.equals(new BN(value));
+		});
+	});
+});
@@ -0,0 +1,166 @@
+// ERC20: EIP-5267 EIP-712 Domain Discovery Tests
+
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+const {
+	ZERO_ADDRESS,
+	ZERO_BYTES32,
+	MAX_UINT256,
+} = constants;
+
+// EIP712 helpers
+const EIP712 = require("./include/comp/eip712");
+
+// ERC20 token constants
+const {CONTRACT_NAME} = require("./include/erc20_constants");
+
+// EIP-712 signature helpers
+const {
+	EIP712_TYPES,
+	eip712_domain,
+	eip712_permit,
+	eip712_delegate,
+} = require("./include/eip712");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+	advanced_erc20_deploy_with_domain,
+} = require("./include/deployment_routines");
+
+// run EIP-5267 domain discovery tests
+contract("ERC20: EIP-5267 EIP-712 Domain Discovery tests", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2] = accounts;
+
+	// create empty account with known private key
+	const w = web3.eth.accounts.create();
+
+	// custom EIP-712 domain name and version
+	const DOMAIN_NAME = "Custom Token";
+	const DOMAIN_VERSION = "2";
+
+	let chain_id;
+	before(async function() {
+		chain_id = await web3.eth.getChainId();
+	});
+
+	describe("when the token uses the default domain", function() {
+		let token;
+		beforeEach(async function() {
+			token = await advanced_erc20_deploy(a0, H0);
+		});
+
+		it("eip712Domain() describes the default domain", async function() {
+			const domain = await token.eip712Domain();
+			expect(domain.fields, "fields").to.equal("0x0d");
+			expect(domain.name_, "name").to.equal(CONTRACT_NAME);
+			expect(domain.version, "version").to.equal("");
+			expect(domain.chainId, "chainId").to.be.bignumber.that.equals(new BN(chain_id));
+			expect(domain.verifyingContract, "verifyingContract").to.equal(token.address);
+			expect(domain.salt, "salt").to.equal(ZERO_BYTES32);
+			expect(domain.extensions, "extensions").to.be.empty;
+		});
+		it("DOMAIN_SEPARATOR() is built from the default domain (no version)", async function() {
+			const domain = {name: CONTRACT_NAME, chainId: chain_id, verifyingContract: token.address};
+			expect(await token.DOMAIN_SEPARATOR()).to.equal("0x" + EIP712.domainSeparator(domain).toString("hex"));
+		});
+		it("eip712_domain discovers the default domain", async function() {
+			expect(await eip712_domain(token.address)).to.deep.equal({
+				name: CONTRACT_NAME,
+				chainId: chain_id,
+				verifyingContract: token.address,
+			});
+		});
+		it('"EIP712DomainChanged" event is not emitted on deployment', async function() {
+			await expectEvent.notEmitted.inTransaction(token.transactionHash, token, "EIP712DomainChanged");
+		});
+	});
+
+	describe("when the token uses the custom domain", function() {
+		let token;
+		beforeEach(async function() {
+			token = await advanced_erc20_deploy_with_domain(a0, DOMAIN_NAME, DOMAIN_VERSION, H0);
+		});
+
+		it("eip712Domain() describes the custom domain", async function() {
+			const domain = await token.eip712Domain();
+			expect(domain.fields, "fields").to.equal("0x0f");
+			expect(domain.name_, "name").to.equal(DOMAIN_NAME);
+			expect(domain.version, "version").to.equal(DOMAIN_VERSION);
+			expect(domain.chainId, "chainId").to.be.bignumber.that.equals(new BN(chain_id));
+			expect(domain.verifyingContract, "verifyingContract").to.equal(token.address);
+			expect(domain.salt, "salt").to.equal(ZERO_BYTES32);
+			expect(domain.extensions, "extensions").to.be.empty;
+		});
+		it("DOMAIN_SEPARATOR() is built from the custom domain (with version)", async function() {
+			const domain = {name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId: chain_id, verifyingContract: token.address};
+			expect(await token.DOMAIN_SEPARATOR()).to.equal("0x" + EIP712.domainSeparator(domain).toString("hex"));
+		});
+		it("eip712_domain discovers the custom domain", async function() {
+			expect(await eip712_domain(token.address)).to.deep.equal({
+				name: DOMAIN_NAME,
+				version: DOMAIN_VERSION,
+				chainId: chain_id,
+				verifyingContract: token.address,
+			});
+		});
+		it('"EIP712DomainChanged" event is emitted on deployment', async function() {
+			await expectEvent.inTransaction(token.transactionHash, token, "EIP712DomainChanged");
+		});
+		it("token name and symbol are not affected", async function() {
+			expect(await token.name(), "name").to.not.equal(DOMAIN_NAME);
+			expect(await token.symbol(), "symbol").to.not.equal(DOMAIN_NAME);
+		});
+
+		it("permit signed with the custom domain succeeds", async function() {
+			const {v, r, s} = await eip712_permit(token.address, w.address, a1, 10, 0, MAX_UINT256, w.privateKey);
+			await token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](w.address, a1, 10, MAX_UINT256, v, r, s, {from: a2});
+			expect(await token.allowance(w.address, a1)).to.be.bignumber.that.equals("10");
+		});
+		it("permit signed with the default domain fails", async function() {
+			const domain = {name: CONTRACT_NAME, chainId: chain_id, verifyingContract: token.address};
+			const params = {owner: w.address, spender: a1, value: 10, nonce: 0, deadline: MAX_UINT256};
+			const {v, r, s} = EIP712.sign(domain, "Permit", params, EIP712_TYPES, w.privateKey);
+			await expectRevert(
+				token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](w.address, a1, 10, MAX_UINT256, v, r, s, {from: a2}),
+				"invalid signature"
+			);
+		});
+		it("delegation signed with the custom domain succeeds", async function() {
+			const nonce = web3.utils.randomHex(32);
+			const {v, r, s} = await eip712_delegate(token.address, a1, nonce, MAX_UINT256, w.privateKey);
+			const receipt = await token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](a1, nonce, MAX_UINT256, v, r, s, {from: a2});
+			expectEvent(receipt, "DelegateChanged", {source: w.address, from: ZERO_ADDRESS, to: a1});
+		});
+	});
+
+	describe("when the custom domain name is empty", function() {
+		let token;
+		beforeEach(async function() {
+			token = await advanced_erc20_deploy_with_domain(a0, "", DOMAIN_VERSION, H0);
+		});
+		it("eip712Domain() describes the default domain, version is ignored", async function() {
+			const domain = await token.eip712Domain();
+			expect(domain.fields, "fields").to.equal("0x0d");
+			expect(domain.name_, "name").to.equal(CONTRACT_NAME);
+			expect(domain.version, "version").to.equal("");
+		});
+		it('"EIP712DomainChanged" event is not emitted on deployment', async function() {
+			await expectEvent.notEmitted.inTransaction(token.transactionHash, token, "EIP712DomainChanged");
+		});
+	});
+});
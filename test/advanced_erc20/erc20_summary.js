@@ -223,7 +223,7 @@ contract("AdvancedERC20: Token Summary", function(accounts) {
 			});
 
 			// missing interfaceId support checks
-			shouldSupportInterfaces(["ERC165", "ERC20", "ERC1363", "EIP2612", "EIP3009"], () => token);
+			shouldSupportInterfaces(["ERC165", "ERC20", "ERC1363", "EIP2612", "EIP3009", "ERC6372", "ERC5805"], () => token);
 
 			// missing Zeppelin increaseAllowance integer overflow check
 			describe("increaseAllowance integer overflow check", function() {
@@ -248,17 +248,17 @@ contract("AdvancedERC20: Token Summary", function(accounts) {
 			it("coverage: signature from the different account is not accepted", async function() {
 				const w = web3.eth.accounts.create();
 				const {v, r, s} = await eip712_cancel(token.address, H0, ZERO_BYTES32, w.privateKey);
-				await expectRevert(token.cancelAuthorization(H0, ZERO_BYTES32, v, r, s, {from: H0}), "invalid signature");
+				await expectRevert(token.methods["cancelAuthorization(address,bytes32,uint8,bytes32,bytes32)"](H0, ZERO_BYTES32, v, r, s, {from: H0}), "invalid signature");
 			});
 			it("coverage: signature with invalid 'v' is not accepted", async function() {
 				const w = web3.eth.accounts.create();
 				const {v, r, s} = await eip712_cancel(token.address, w.address, ZERO_BYTES32, w.privateKey);
-				await expectRevert(token.cancelAuthorization(w.address, ZERO_BYTES32, 26, r, s, {from: H0}), "invalid signature");
+				await expectRevert(token.methods["cancelAuthorization(address,bytes32,uint8,bytes32,bytes32)"](w.address, ZERO_BYTES32, 26, r, s, {from: H0}), "invalid signature");
 			});
 			it("coverage: invalid signature is not accepted", async function() {
 				const w = web3.eth.accounts.create();
 				const {v, r, s} = await eip712_cancel(token.address, w.address, ZERO_BYTES32, w.privateKey);
-				await expectRevert(token.cancelAuthorization(w.address, ZERO_BYTES32, v, r, ZERO_BYTES32, {from: H0}), "invalid signature");
+				await expectRevert(token.methods["cancelAuthorization(address,bytes32,uint8,bytes32,bytes32)"](w.address, ZERO_BYTES32, v, r, ZERO_BYTES32, {from: H0}), "invalid signature");
 			});
 
 			{
@@ -0,0 +1,223 @@
+// ERC20: ERC-2771 Meta-transactions (Trusted Forwarder) Tests
+
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+// EIP-712 signing library used by the wallets
+const ethSigUtil = require("eth-sig-util");
+
+// RBAC token features and roles
+const {
+	ROLE_TOKEN_CREATOR,
+} = require("../../scripts/include/features_roles");
+
+// meta-transactions request builders and relayer helpers
+const {
+	prepareForwardRequest,
+	relayForwardRequest,
+} = require("../../scripts/include/forwarder");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+	advanced_erc20_deploy_forwarded,
+	minimal_forwarder_deploy,
+} = require("./include/deployment_routines");
+
+// signs the typed data payload the same way the wallet does when serving `eth_signTypedData_v4`
+function sign_v4(p_key, data) {
+	return ethSigUtil.signTypedData_v4(Buffer.from(p_key.substring(2), "hex"), {data: JSON.parse(JSON.stringify(data))});
+}
+
+// run ERC-2771 meta-transactions tests
+contract("ERC20: ERC-2771 Meta-transactions tests", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3] = accounts;
+
+	// create empty account with known private key: the signer has no ETH to pay for gas
+	const w = web3.eth.accounts.create();
+	// relayer submitting the requests and paying for gas
+	const relayer = a1;
+
+	// signs the call encoded by the signer `w` and relays it via the forwarder
+	async function relay(forwarder, token, data, request = {}, p_key = w.privateKey) {
+		const typedData = await prepareForwardRequest(web3, forwarder.address, Object.assign({from: w.address, to: token.address, data}, request));
+		return await relayForwardRequest(web3, typedData, sign_v4(p_key, typedData), {from: relayer});
+	}
+
+	const value = new BN(1_000);
+	let forwarder;
+	beforeEach(async function() {
+		forwarder = await minimal_forwarder_deploy(a0);
+	});
+
+	describe("when the forwarder is trusted", function() {
+		let token;
+		beforeEach(async function() {
+			token = await advanced_erc20_deploy_forwarded(a0, forwarder.address, H0);
+			await token.transfer(w.address, value.muln(2), {from: H0});
+		});
+
+		it("trustedForwarder is set", async function() {
+			expect(await token.trustedForwarder()).to.equal(forwarder.address);
+		});
+		it("isTrustedForwarder(forwarder) is true", async function() {
+			expect(await token.isTrustedForwarder(forwarder.address)).to.be.true;
+		});
+		it("isTrustedForwarder(other address) is false", async function() {
+			expect(await token.isTrustedForwarder(relayer)).to.be.false;
+		});
+		it("isTrustedForwarder(zero address) is false", async function() {
+			expect(await token.isTrustedForwarder(ZERO_ADDRESS)).to.be.false;
+		});
+
+		describe("relayed transfer", function() {
+			let receipt;
+			beforeEach(async function() {
+				receipt = await relay(forwarder, token, token.contract.methods.transfer(a2, value).encodeABI());
+			});
+			it("signer balance decreases", async function() {
+				expect(await token.balanceOf(w.address)).to.be.bignumber.that.equals(value);
+			});
+			it("receiver balance increases", async function() {
+				expect(await token.balanceOf(a2)).to.be.bignumber.that.equals(value);
+			});
+			it("relayer balance doesn't change", async function() {
+				expect(await token.balanceOf(relayer)).to.be.bignumber.that.is.zero;
+			});
+			it("signer doesn't pay for gas", async function() {
+				expect(await web3.eth.getBalance(w.address)).to.equal("0");
+			});
+			it('improved "Transfer" event is emitted with the signer as "by"', async function() {
+				await expectEvent.inTransaction(receipt.transactionHash, token, "Transfer", {by: w.address, from: w.address, to: a2, value});
+			});
+			it('"Executed" event is emitted by the forwarder', async function() {
+				await expectEvent.inTransaction(receipt.transactionHash, forwarder, "Executed", {from: w.address, to: token.address, nonce: "0"});
+			});
+			it("signer nonce increases", async function() {
+				expect(await forwarder.nonces(w.address)).to.be.bignumber.that.equals("1");
+			});
+		});
+		it("relayed approve sets the signer's allowance", async function() {
+			await relay(forwarder, token, token.contract.methods.approve(a2, value).encodeABI());
+			expect(await token.allowance(w.address, a2)).to.be.bignumber.that.equals(value);
+		});
+		it("relayed transferFrom spends the signer's allowance", async function() {
+			await token.approve(w.address, value, {from: H0});
+			const receipt = await relay(forwarder, token, token.contract.methods.transferFrom(H0, a2, value).encodeABI());
+			await expectEvent.inTransaction(receipt.transactionHash, token, "Transfer", {by: w.address, from: H0, to: a2, value});
+			expect(await token.allowance(H0, w.address)).to.be.bignumber.that.is.zero;
+		});
+		it("relayed delegate delegates the signer's voting power", async function() {
+			await relay(forwarder, token, token.contract.methods.delegate(a3).encodeABI());
+			expect(await token.votingDelegates(w.address)).to.equal(a3);
+			expect(await token.votingPowerOf(a3)).to.be.bignumber.that.equals(value.muln(2));
+		});
+		it("relayed burn burns the signer's tokens", async function() {
+			const receipt = await relay(forwarder, token, token.contract.methods.burn(w.address, value).encodeABI());
+			await expectEvent.inTransaction(receipt.transactionHash, token, "Transfer", {by: w.address, from: w.address, to: ZERO_ADDRESS, value});
+			expect(await token.balanceOf(w.address)).to.be.bignumber.that.equals(value);
+		});
+		it("relayed mint fails if the signer is not a TOKEN_CREATOR", async function() {
+			await expectRevert(relay(forwarder, token, token.contract.methods.mint(a2, value).encodeABI(), {gas: 200_000}), "access denied");
+		});
+		it("relayed mint succeeds if the signer is a TOKEN_CREATOR", async function() {
+			await token.updateRole(w.address, ROLE_TOKEN_CREATOR, {from: a0});
+			await relay(forwarder, token, token.contract.methods.mint(a2, value).encodeABI());
+			expect(await token.balanceOf(a2)).to.be.bignumber.that.equals(value);
+		});
+		it("relayed call reverts with the token revert reason", async function() {
+			await expectRevert(
+				relay(forwarder, token, token.contract.methods.transfer(a2, value.muln(3)).encodeABI(), {gas: 200_000}),
+				"transfer amount exceeds balance"
+			);
+		});
+		it("direct calls are not affected", async function() {
+			const receipt = await token.transfer(a2, value, {from: H0});
+			expectEvent(receipt, "Transfer", {by: H0, from: H0, to: a2, value});
+		});
+
+		describe("forwarder request validation", function() {
+			it("request cannot be replayed", async function() {
+				const typedData = await prepareForwardRequest(web3, forwarder.address, {
+					from: w.address,
+					to: token.address,
+					data: token.contract.methods.transfer(a2, 1).encodeABI(),
+				});
+				const signature = sign_v4(w.privateKey, typedData);
+				await relayForwardRequest(web3, typedData, signature, {from: relayer});
+				await expectRevert(relayForwardRequest(web3, typedData, signature, {from: relayer}), "invalid request");
+			});
+			it("expired request cannot be executed", async function() {
+				const {timestamp} = await web3.eth.getBlock("latest");
+				await expectRevert(
+					relay(forwarder, token, token.contract.methods.transfer(a2, 1).encodeABI(), {deadline: timestamp}),
+					"invalid request"
+				);
+			});
+			it("request signed not by the sender cannot be executed", async function() {
+				const p_key = web3.eth.accounts.create().privateKey;
+				await expectRevert(
+					relay(forwarder, token, token.contract.methods.transfer(a2, 1).encodeABI(), {}, p_key),
+					"invalid request"
+				);
+			});
+			it("verify returns false for the request with the wrong nonce", async function() {
+				const typedData = await prepareForwardRequest(web3, forwarder.address, {
+					from: w.address,
+					to: token.address,
+					data: token.contract.methods.transfer(a2, 1).encodeABI(),
+				});
+				const signature = sign_v4(w.privateKey, typedData);
+				const {from, to, gas, deadline, data} = typedData.message;
+				expect(await forwarder.verify([from, to, 0, gas, 0, deadline, data], signature), "nonce 0").to.be.true;
+				expect(await forwarder.verify([from, to, 0, gas, 1, deadline, data], signature), "nonce 1").to.be.false;
+			});
+		});
+	});
+
+	describe("when the forwarder is not trusted", function() {
+		let token;
+		beforeEach(async function() {
+			token = await advanced_erc20_deploy(a0, H0);
+			await token.transfer(w.address, value.muln(2), {from: H0});
+		});
+
+		it("trustedForwarder is not set", async function() {
+			expect(await token.trustedForwarder()).to.equal(ZERO_ADDRESS);
+		});
+		it("isTrustedForwarder(forwarder) is false", async function() {
+			expect(await token.isTrustedForwarder(forwarder.address)).to.be.false;
+		});
+		it("isTrustedForwarder(zero address) is false", async function() {
+			expect(await token.isTrustedForwarder(ZERO_ADDRESS)).to.be.false;
+		});
+		it("relayed call acts as the forwarder, not as the signer", async function() {
+			await expectRevert(
+				relay(forwarder, token, token.contract.methods.transfer(a2, value).encodeABI(), {gas: 200_000}),
+				"transfer amount exceeds balance"
+			);
+		});
+		it("relayed approve approves on behalf of the forwarder", async function() {
+			await relay(forwarder, token, token.contract.methods.approve(a2, value).encodeABI());
+			expect(await token.allowance(forwarder.address, a2), "forwarder").to.be.bignumber.that.equals(value);
+			expect(await token.allowance(w.address, a2), "signer").to.be.bignumber.that.is.zero;
+		});
+	});
+});
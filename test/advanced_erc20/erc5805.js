@@ -0,0 +1,194 @@
+// ERC20: ERC-5805 Voting with Delegation (OpenZeppelin IVotes) Compatibility Tests
+
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+	time,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+const {
+	ZERO_ADDRESS,
+	MAX_UINT256,
+} = constants;
+
+// token constants
+const {
+	TOTAL_SUPPLY: S0,
+} = require("./include/erc20_constants");
+
+// RBAC token features and roles
+const {
+	not,
+	FEATURE_DELEGATIONS_ON_BEHALF,
+} = require("../../scripts/include/features_roles");
+
+// EIP-712 signature helpers
+const {
+	eip712_delegate,
+	eip712_delegate_by_sig,
+	eip712_permit,
+} = require("./include/eip712");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+} = require("./include/deployment_routines");
+
+// run ERC-5805 compatibility tests
+contract("ERC20: ERC-5805 Voting with Delegation (IVotes) tests", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2] = accounts;
+
+	// create empty account with known private key
+	const w = web3.eth.accounts.create();
+
+	const value = new BN(1_000);
+
+	let token;
+	beforeEach(async function() {
+		token = await advanced_erc20_deploy(a0, H0);
+	});
+
+	it("supportsInterface(ERC-6372) is true", async function() {
+		expect(await token.supportsInterface("0xda287a1d")).to.be.true;
+	});
+	it("supportsInterface(ERC-5805) is true", async function() {
+		expect(await token.supportsInterface("0xe90fb3f6")).to.be.true;
+	});
+
+	describe("after the delegation and the transfer", function() {
+		let b1, b2;
+		beforeEach(async function() {
+			({receipt: {blockNumber: b1}} = await token.delegate(a1, {from: H0}));
+			({receipt: {blockNumber: b2}} = await token.transfer(a2, value, {from: H0}));
+			await time.advanceBlock();
+		});
+		it("delegates is the same as votingDelegates", async function() {
+			expect(await token.delegates(H0), "delegated").to.equal(a1);
+			expect(await token.delegates(a2), "not delegated").to.equal(ZERO_ADDRESS);
+		});
+		it("getVotes is the same as votingPowerOf", async function() {
+			expect(await token.getVotes(a1)).to.be.bignumber.that.equals(S0.sub(value));
+		});
+		it("getPastVotes is the same as votingPowerAt", async function() {
+			expect(await token.getPastVotes(a1, b1 - 1), "before delegation").to.be.bignumber.that.is.zero;
+			expect(await token.getPastVotes(a1, b1), "after delegation").to.be.bignumber.that.equals(S0);
+			expect(await token.getPastVotes(a1, b2), "after transfer").to.be.bignumber.that.equals(S0.sub(value));
+		});
+		it("getPastTotalSupply is the same as totalSupplyAt", async function() {
+			expect(await token.getPastTotalSupply(b2)).to.be.bignumber.that.equals(S0);
+		});
+		it("getPastVotes throws if the timepoint is not in the past", async function() {
+			await expectRevert(token.getPastVotes(a1, (await token.clock()).addn(1)), "block not yet mined");
+		});
+		it("getPastTotalSupply throws if the timepoint is not in the past", async function() {
+			await expectRevert(token.getPastTotalSupply((await token.clock()).addn(1)), "block not yet mined");
+		});
+	});
+
+	describe("DelegateVotesChanged event", function() {
+		it("is emitted on delegation", async function() {
+			const receipt = await token.delegate(a1, {from: H0});
+			expectEvent(receipt, "DelegateVotesChanged", {delegate: a1, previousBalance: "0", newBalance: S0});
+		});
+		it("is emitted for both delegates on transfer", async function() {
+			await token.delegate(a1, {from: H0});
+			await token.delegate(a2, {from: a2});
+			const receipt = await token.transfer(a2, value, {from: H0});
+			expectEvent(receipt, "DelegateVotesChanged", {delegate: a1, previousBalance: S0, newBalance: S0.sub(value)});
+			expectEvent(receipt, "DelegateVotesChanged", {delegate: a2, previousBalance: "0", newBalance: value});
+		});
+		it("is emitted together with VotingPowerChanged", async function() {
+			const receipt = await token.delegate(a1, {from: H0});
+			expectEvent(receipt, "VotingPowerChanged", {by: H0, target: a1, fromVal: "0", toVal: S0});
+		});
+		it("is not emitted if the delegator has no tokens", async function() {
+			const receipt = await token.delegate(a1, {from: a2});
+			expectEvent.notEmitted(receipt, "DelegateVotesChanged");
+		});
+	});
+
+	describe("delegateBySig", function() {
+		beforeEach(async function() {
+			await token.transfer(w.address, value, {from: H0});
+		});
+
+		describe("when the signature is valid", function() {
+			let receipt;
+			beforeEach(async function() {
+				const {v, r, s} = await eip712_delegate_by_sig(token.address, a1, 0, MAX_UINT256, w.privateKey);
+				receipt = await token.delegateBySig(a1, 0, MAX_UINT256, v, r, s, {from: a2});
+			});
+			it("delegates the signer's voting power", async function() {
+				expect(await token.delegates(w.address), "delegate").to.equal(a1);
+				expect(await token.getVotes(a1), "votes").to.be.bignumber.that.equals(value);
+			});
+			it('"DelegateChanged" event is emitted', async function() {
+				expectEvent(receipt, "DelegateChanged", {source: w.address, from: ZERO_ADDRESS, to: a1});
+			});
+			it('"DelegateVotesChanged" event is emitted', async function() {
+				expectEvent(receipt, "DelegateVotesChanged", {delegate: a1, previousBalance: "0", newBalance: value});
+			});
+			it("signer's nonce increases", async function() {
+				expect(await token.nonces(w.address)).to.be.bignumber.that.equals("1");
+			});
+			it("random nonce is not used (no AuthorizationUsed event)", async function() {
+				expectEvent.notEmitted(receipt, "AuthorizationUsed");
+			});
+			it("signature cannot be replayed", async function() {
+				const {v, r, s} = await eip712_delegate_by_sig(token.address, a1, 0, MAX_UINT256, w.privateKey);
+				await expectRevert(token.delegateBySig(a1, 0, MAX_UINT256, v, r, s, {from: a2}), "invalid nonce");
+			});
+			it("permit with the next nonce succeeds (nonces are shared)", async function() {
+				const {v, r, s} = await eip712_permit(token.address, w.address, a2, value, 1, MAX_UINT256, w.privateKey);
+				await token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](w.address, a2, value, MAX_UINT256, v, r, s, {from: a2});
+				expect(await token.allowance(w.address, a2)).to.be.bignumber.that.equals(value);
+			});
+		});
+		it("fails if the nonce is not the signer's current nonce", async function() {
+			const {v, r, s} = await eip712_delegate_by_sig(token.address, a1, 1, MAX_UINT256, w.privateKey);
+			await expectRevert(token.delegateBySig(a1, 1, MAX_UINT256, v, r, s, {from: a2}), "invalid nonce");
+		});
+		it("fails if the nonce is used by the permit", async function() {
+			const permit = await eip712_permit(token.address, w.address, a2, value, 0, MAX_UINT256, w.privateKey);
+			await token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](
+				w.address, a2, value, MAX_UINT256, permit.v, permit.r, permit.s, {from: a2}
+			);
+			const {v, r, s} = await eip712_delegate_by_sig(token.address, a1, 0, MAX_UINT256, w.privateKey);
+			await expectRevert(token.delegateBySig(a1, 0, MAX_UINT256, v, r, s, {from: a2}), "invalid nonce");
+		});
+		it("fails if the signature is expired", async function() {
+			const {timestamp} = await web3.eth.getBlock("latest");
+			const {v, r, s} = await eip712_delegate_by_sig(token.address, a1, 0, timestamp, w.privateKey);
+			await expectRevert(token.delegateBySig(a1, 0, timestamp, v, r, s, {from: a2}), "signature expired");
+		});
+		it("fails if delegations on behalf are disabled", async function() {
+			await token.updateFeatures(not(FEATURE_DELEGATIONS_ON_BEHALF), {from: a0});
+			const {v, r, s} = await eip712_delegate_by_sig(token.address, a1, 0, MAX_UINT256, w.privateKey);
+			await expectRevert(token.delegateBySig(a1, 0, MAX_UINT256, v, r, s, {from: a2}), "delegations on behalf are disabled");
+		});
+		it("delegateWithAuthorization signature doesn't delegate the signer's voting power", async function() {
+			const {v, r, s} = await eip712_delegate(token.address, a1, 0, MAX_UINT256, w.privateKey);
+			// the signer recovered is some other address, which doesn't hold any tokens
+			await token.delegateBySig(a1, 0, MAX_UINT256, v, r, s, {from: a2});
+			expect(await token.delegates(w.address), "delegate").to.equal(ZERO_ADDRESS);
+			expect(await token.getVotes(a1), "votes").to.be.bignumber.that.is.zero;
+		});
+		it("delegateBySig signature is not accepted by delegateWithAuthorization", async function() {
+			const {v, r, s} = await eip712_delegate_by_sig(token.address, a1, 0, MAX_UINT256, w.privateKey);
+			const nonce = "0x" + "0".repeat(64);
+			await token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](a1, nonce, MAX_UINT256, v, r, s, {from: a2});
+			expect(await token.delegates(w.address), "delegate").to.equal(ZERO_ADDRESS);
+		});
+	});
+});
@@ -0,0 +1,148 @@
+// ERC20: ERC-6372 Contract Clock Tests
+
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+	time,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+const {
+	ZERO_ADDRESS,
+} = constants;
+
+// token constants
+const {
+	NAME,
+	SYMBOL,
+	TOTAL_SUPPLY: S0,
+} = require("./include/erc20_constants");
+
+// RBAC token features and roles
+const {
+	FEATURE_ALL,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+	advanced_erc20_deploy_timestamp_clock,
+} = require("./include/deployment_routines");
+
+// run ERC-6372 contract clock tests
+contract("ERC20: ERC-6372 Contract Clock tests", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2] = accounts;
+
+	const value = new BN(1_000);
+
+	describe("when the token uses the block number clock (default)", function() {
+		let token;
+		beforeEach(async function() {
+			token = await advanced_erc20_deploy(a0, H0);
+		});
+
+		it("CLOCK_MODE() is blocknumber", async function() {
+			expect(await token.CLOCK_MODE()).to.equal("mode=blocknumber&from=default");
+		});
+		it("clock() is the block number", async function() {
+			const clock = await token.clock();
+			const {number} = await web3.eth.getBlock("latest");
+			// the call is executed either in the latest or in the pending block, depending on the node
+			expect(clock).to.be.bignumber.that.is.at.least(new BN(number)).and.at.most(new BN(number + 1));
+		});
+		it("voting power history is keyed by block numbers", async function() {
+			await token.delegate(a1, {from: H0});
+			const {receipt} = await token.transfer(a2, value, {from: H0});
+			const history = await token.votingPowerHistoryOf(a1);
+			expect(history.length, "history length").to.equal(2);
+			expect(history[1].k, "key").to.equal(receipt.blockNumber.toString());
+		});
+	});
+
+	describe("when the token uses the timestamp clock", function() {
+		let token;
+		beforeEach(async function() {
+			token = await advanced_erc20_deploy_timestamp_clock(a0, H0);
+		});
+
+		it("CLOCK_MODE() is timestamp", async function() {
+			expect(await token.CLOCK_MODE()).to.equal("mode=timestamp");
+		});
+		it("clock() is the block timestamp", async function() {
+			await time.increase(60);
+			const clock = await token.clock();
+			const {timestamp} = await web3.eth.getBlock("latest");
+			// the call is executed either in the latest or in the pending block, depending on the node,
+			// the pending block timestamp follows the local clock which may have moved forward meanwhile
+			expect(clock).to.be.bignumber.that.is.at.least(new BN(timestamp)).and.at.most(new BN(timestamp + 60));
+		});
+		it("postConstruct cannot be executed again", async function() {
+			await expectRevert(
+				token.methods["postConstruct(address,string,string,address,uint256,uint256,uint256,address,string,string,bool)"](
+					a0, NAME, SYMBOL, H0, S0, FEATURE_ALL, 0, ZERO_ADDRESS, "", "", false, {from: a0}
+				),
+				"already initialized"
+			);
+		});
+
+		describe("after the delegation and the transfer separated in time", function() {
+			let t0, t1, t2;
+			beforeEach(async function() {
+				t0 = (await web3.eth.getBlock("latest")).timestamp;
+				await time.increase(60);
+				const {receipt: r1} = await token.delegate(a1, {from: H0});
+				t1 = (await web3.eth.getBlock(r1.blockNumber)).timestamp;
+				await time.increase(60);
+				const {receipt: r2} = await token.transfer(a2, value, {from: H0});
+				t2 = (await web3.eth.getBlock(r2.blockNumber)).timestamp;
+				await time.increase(60);
+			});
+			it("voting power history is keyed by timestamps", async function() {
+				const history = await token.votingPowerHistoryOf(a1);
+				expect(history.map(kv => kv.k), "keys").to.deep.equal([t1.toString(), t2.toString()]);
+			});
+			it("votingPowerAt(t1 - 1) is zero", async function() {
+				expect(await token.votingPowerAt(a1, t1 - 1)).to.be.bignumber.that.is.zero;
+			});
+			it("votingPowerAt(t1) is the entire supply", async function() {
+				expect(await token.votingPowerAt(a1, t1)).to.be.bignumber.that.equals(S0);
+			});
+			it("votingPowerAt(t2 - 1) is the entire supply", async function() {
+				expect(await token.votingPowerAt(a1, t2 - 1)).to.be.bignumber.that.equals(S0);
+			});
+			it("votingPowerAt(t2) is decreased by the value transferred", async function() {
+				expect(await token.votingPowerAt(a1, t2)).to.be.bignumber.that.equals(S0.sub(value));
+			});
+			it("totalSupplyAt(t0) is the initial supply", async function() {
+				expect(await token.totalSupplyAt(t0)).to.be.bignumber.that.equals(S0);
+			});
+			it("totalSupplyAt(t) reflects the burn", async function() {
+				const {receipt} = await token.burn(a2, value, {from: a2});
+				const t3 = (await web3.eth.getBlock(receipt.blockNumber)).timestamp;
+				await time.increase(1);
+				expect(await token.totalSupplyAt(t3 - 1), "before burn").to.be.bignumber.that.equals(S0);
+				expect(await token.totalSupplyAt(t3), "after burn").to.be.bignumber.that.equals(S0.sub(value));
+			});
+			it("block number lookup is treated as a timestamp long in the past", async function() {
+				const {number} = await web3.eth.getBlock("latest");
+				expect(await token.votingPowerAt(a1, number)).to.be.bignumber.that.is.zero;
+			});
+			it("votingPowerAt(t) throws if t is in the future", async function() {
+				await expectRevert(token.votingPowerAt(a1, (await token.clock()).addn(3_600)), "block not yet mined");
+			});
+			it("totalSupplyAt(t) throws if t is in the future", async function() {
+				await expectRevert(token.totalSupplyAt((await token.clock()).addn(3_600)), "block not yet mined");
+			});
+		});
+	});
+});
@@ -0,0 +1,187 @@
+// ERC20: Forced Transfers (Clawbacks) Tests
+
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+const {
+	ZERO_ADDRESS,
+	ZERO_BYTES32,
+	MAX_UINT256,
+} = constants;
+
+// RBAC token features and roles
+const {
+	or,
+	not,
+	FEATURE_ALL,
+	FEATURE_FORCED_TRANSFERS,
+	ROLE_FORCE_TRANSFER_MANAGER,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+} = require("./include/deployment_routines");
+
+// run forced transfers tests
+contract("ERC20: Forced Transfers (Clawbacks) tests", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3, a4] = accounts;
+
+	// court order reference used as a reason code
+	const reasonCode = web3.utils.keccak256("court order #42");
+
+	let token;
+	beforeEach(async function() {
+		token = await advanced_erc20_deploy(a0, H0);
+	});
+
+	describe("after deployment with FEATURE_ALL", function() {
+		beforeEach(async function() {
+			await token.transfer(a1, 1, {from: H0});
+		});
+		it("forced transfers are not enabled (opt-in feature)", async function() {
+			expect(await token.features(), "features").to.be.bignumber.that.equals(new BN(FEATURE_ALL));
+			expect((await token.features()).and(new BN(FEATURE_FORCED_TRANSFERS)), "forced transfers").to.be.bignumber.that.is.zero;
+		});
+		it("forced transfer reverts", async function() {
+			await expectRevert(token.forceTransfer(a1, a2, 1, reasonCode, {from: a0}), "forced transfers are disabled");
+		});
+		it("forced transfer succeeds once the feature is enabled explicitly", async function() {
+			await token.updateFeatures(or(FEATURE_ALL, FEATURE_FORCED_TRANSFERS), {from: a0});
+			await token.forceTransfer(a1, a2, 1, reasonCode, {from: a0});
+			expect(await token.balanceOf(a2)).to.be.bignumber.that.equals("1");
+		});
+	});
+
+	describe("when the tokens are held by the address delegating its votes", function() {
+		// victim (a1) delegates to a3, recovery address (a2) delegates to a4
+		const from = a1;
+		const to = a2;
+		const value = new BN(1_000);
+		let S0;
+		beforeEach(async function() {
+			await token.updateFeatures(or(FEATURE_ALL, FEATURE_FORCED_TRANSFERS), {from: a0});
+			await token.transfer(from, value.muln(2), {from: H0});
+			await token.delegate(a3, {from});
+			await token.delegate(a4, {from: to});
+			S0 = await token.totalSupply();
+		});
+
+		it("fails if executed not by ROLE_FORCE_TRANSFER_MANAGER", async function() {
+			await token.updateRole(a0, not(ROLE_FORCE_TRANSFER_MANAGER), {from: a0});
+			await expectRevert(token.forceTransfer(from, to, value, reasonCode, {from: a0}), "access denied");
+		});
+		it("fails if FEATURE_FORCED_TRANSFERS is disabled", async function() {
+			await token.updateFeatures(not(FEATURE_FORCED_TRANSFERS), {from: a0});
+			await expectRevert(token.forceTransfer(from, to, value, reasonCode, {from: a0}), "forced transfers are disabled");
+		});
+		it("fails if the token is paused", async function() {
+			await token.pause({from: a0});
+			await expectRevert(token.forceTransfer(from, to, value, reasonCode, {from: a0}), "token is paused");
+		});
+		it("fails if the value exceeds the balance", async function() {
+			await expectRevert(
+				token.forceTransfer(from, to, value.muln(2).addn(1), reasonCode, {from: a0}),
+				"transfer amount exceeds balance"
+			);
+		});
+		it("fails if transferring from the zero address", async function() {
+			await expectRevert(token.forceTransfer(ZERO_ADDRESS, to, 0, reasonCode, {from: a0}), "transfer from the zero address");
+		});
+		it("fails if transferring to the zero address", async function() {
+			await expectRevert(token.forceTransfer(from, ZERO_ADDRESS, value, reasonCode, {from: a0}), "transfer to the zero address");
+		});
+		it("fails if transferring to the token itself", async function() {
+			await expectRevert(
+				token.forceTransfer(from, token.address, value, reasonCode, {from: a0}),
+				"invalid recipient (transfer to the token smart contract itself)"
+			);
+		});
+		it("fails if the receiver is blocklisted", async function() {
+			await token.updateBlocklist([to], true, {from: a0});
+			await expectRevert(token.forceTransfer(from, to, value, reasonCode, {from: a0}), "blocklisted address");
+		});
+		it("fails if the receiver is not allowlisted in the allowlist-only mode", async function() {
+			await token.setAllowlistOnly(true, {from: a0});
+			await expectRevert(token.forceTransfer(from, to, value, reasonCode, {from: a0}), "address is not allowlisted");
+		});
+		it("succeeds if the sender is blocklisted", async function() {
+			await token.updateBlocklist([from], true, {from: a0});
+			await token.forceTransfer(from, to, value, reasonCode, {from: a0});
+			expect(await token.balanceOf(to)).to.be.bignumber.that.equals(value);
+		});
+
+		describe("succeeds if executed by ROLE_FORCE_TRANSFER_MANAGER", function() {
+			const by = a0;
+			let receipt;
+			beforeEach(async function() {
+				await token.updateRole(by, ROLE_FORCE_TRANSFER_MANAGER, {from: a0});
+				receipt = await token.forceTransfer(from, to, value, reasonCode, {from: by});
+			});
+			it('"ForcedTransfer" event is emitted', async function() {
+				expectEvent(receipt, "ForcedTransfer", {by, from, to, value, reasonCode});
+			});
+			it('improved "Transfer" event is emitted', async function() {
+				expectEvent(receipt, "Transfer", {by, from, to, value});
+			});
+			it('ERC20 "Transfer" event is emitted', async function() {
+				expectEvent(receipt, "Transfer", {from, to, value});
+			});
+			it("sender balance decreases", async function() {
+				expect(await token.balanceOf(from)).to.be.bignumber.that.equals(value);
+			});
+			it("receiver balance increases", async function() {
+				expect(await token.balanceOf(to)).to.be.bignumber.that.equals(value);
+			});
+			it("total supply doesn't change", async function() {
+				expect(await token.totalSupply()).to.be.bignumber.that.equals(S0);
+			});
+			it("no allowance is required or consumed", async function() {
+				expect(await token.allowance(from, by)).to.be.bignumber.that.is.zero;
+			});
+			it("voting power moves from the sender's delegate to the receiver's delegate", async function() {
+				expect(await token.votingPowerOf(a3), "a3").to.be.bignumber.that.equals(value);
+				expect(await token.votingPowerOf(a4), "a4").to.be.bignumber.that.equals(value);
+			});
+			it('"VotingPowerChanged" events are emitted', async function() {
+				expectEvent(receipt, "VotingPowerChanged", {by, target: a3, fromVal: value.muln(2), toVal: value});
+				expectEvent(receipt, "VotingPowerChanged", {by, target: a4, fromVal: new BN(0), toVal: value});
+			});
+		});
+	});
+
+	describe("disabling forced transfers forever", function() {
+		beforeEach(async function() {
+			await token.updateFeatures(or(FEATURE_ALL, FEATURE_FORCED_TRANSFERS), {from: a0});
+			await token.transfer(a1, 1, {from: H0});
+			// access manager disables the feature first, and then drops the feature bit from its own role;
+			// in the reverse order the feature cannot be disabled: the bit is not in the access manager's role anymore
+			await token.updateFeatures(not(FEATURE_FORCED_TRANSFERS), {from: a0});
+			await token.updateRole(a0, not(FEATURE_FORCED_TRANSFERS), {from: a0});
+		});
+		it("access manager cannot enable the feature back", async function() {
+			await token.updateFeatures(or(FEATURE_ALL, FEATURE_FORCED_TRANSFERS), {from: a0});
+			expect(await token.features()).to.be.bignumber.that.equals(new BN(FEATURE_ALL));
+		});
+		it("access manager cannot grant the feature bit to anyone", async function() {
+			await token.updateRole(a1, MAX_UINT256, {from: a0});
+			expect(await token.getRole(a1)).to.be.bignumber.that.equals(not(FEATURE_FORCED_TRANSFERS));
+		});
+		it("forced transfer reverts", async function() {
+			await expectRevert(token.forceTransfer(a1, a2, 1, ZERO_BYTES32, {from: a0}), "forced transfers are disabled");
+		});
+	});
+});
@@ -98,14 +98,15 @@ contract("AdvancedERC20: Gas Consumption (Non-functional Requirements) tests", f
 			// delegate with auth is used in many places and therefore is extracted here
 			async function delegate_with_auth(delegate, nonce) {
 				const {v, r, s} = await eip712_delegate(token.address,  delegate, nonce, expiry, w.privateKey);
-				return await token.delegateWithAuthorization(delegate, nonce, expiry, v, r, s, {from: by});
+				return await token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegate, nonce, expiry, v, r, s, {from: by});
 			}
 
 			let receipt;
 			function consumes_no_more_than(gas) {
 				// tests marked with @skip-on-coverage will be removed from solidity-coverage,
 				// see yield-solcover.js, see https://github.com/sc-forks/solidity-coverage/blob/master/docs/advanced.md
-				it(`consumes no more than ${gas} gas [ @skip-on-coverage ]`, async function() {
+				// tests marked with @skip-on-upgradeable are not executed against the upgradeable token, see hardhat.config.js
+				it(`consumes no more than ${gas} gas [ @skip-on-coverage @skip-on-upgradeable ]`, async function() {
 					const gasUsed = extract_gas(receipt);
 					expect(gasUsed).to.be.lte(gas);
 					if(gas - gasUsed > 41) {
@@ -143,7 +144,7 @@ contract("AdvancedERC20: Gas Consumption (Non-functional Requirements) tests", f
 							nonce = ZERO_BYTES32.slice(0, -1).concat('1');
 						}
 						const {v, r, s} = await eip712_transfer(token.address, w.address, to, value, validAfter, validBefore, nonce, w.privateKey);
-						receipt = await token.transferWithAuthorization(w.address, to, value, validAfter, validBefore, nonce, v, r, s, {from: by});
+						receipt = await token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](w.address, to, value, validAfter, validBefore, nonce, v, r, s, {from: by});
 					});
 					consumes_no_more_than(g7);
 				});
@@ -156,7 +157,7 @@ contract("AdvancedERC20: Gas Consumption (Non-functional Requirements) tests", f
 							nonce = ZERO_BYTES32.slice(0, -1).concat('1');
 						}
 						const {v, r, s} = await eip712_receive(token.address, w.address, to, value, validAfter, validBefore, nonce, w.privateKey);
-						receipt = await token.receiveWithAuthorization(w.address, to, value, validAfter, validBefore, nonce, v, r, s, {from: to});
+						receipt = await token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](w.address, to, value, validAfter, validBefore, nonce, v, r, s, {from: to});
 					});
 					consumes_no_more_than(g8);
 				});
@@ -274,7 +275,7 @@ contract("AdvancedERC20: Gas Consumption (Non-functional Requirements) tests", f
 					const nonce = 0;
 					beforeEach(async function() {
 						const {v, r, s} = await eip712_permit(token.address, owner, spender, value, nonce, deadline, w.privateKey);
-						receipt = await token.permit(owner, spender, value, deadline, v, r, s, {from: by});
+						receipt = await token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](owner, spender, value, deadline, v, r, s, {from: by});
 					});
 					consumes_no_more_than(g5);
 				});
@@ -304,49 +305,53 @@ contract("AdvancedERC20: Gas Consumption (Non-functional Requirements) tests", f
 			}
 
 			function gas_usage_suite() {
-				gas_usage_deployment(3758195, 297753);
+				// EIP-1167 cloning deploys the first clone of a fresh factory: ~297k to deploy and initialize the clone,
+				// +155k to index it (7 zero to non-zero storage writes: 3 array lengths, 3 array elements, and
+				// the deployedByFactory flag), +7k to check the clone fee and the restricted cloning, +2k to check
+				// the implementation registry, +7k to initialize the token features added later (max supply, EIP-712 domain, etc.)
+				gas_usage_deployment(5101314, 469330);
 				// approve, increase, decrease, 1363 approve, 2612 permit 
-				gas_usage_approvals(48508, 48869, 31826, 57297, 79412);
+				gas_usage_approvals(51246, 51901, 35839, 60900, 87846);
 				describe("when delegation is not involved", function() {
 					// 20: transfer, on behalf, inf.allowance; 3009: transfer, receive;
-					gas_usage_transfers(61665, 71633, 64456, 87683, 87722);
+					gas_usage_transfers(66886, 75443, 68176, 99448, 99444);
 					// 1363: transfer, on behalf, inf.allowance;
-					gas_usage_1363transfers(68669, 78674, 71500);
+					gas_usage_1363transfers(72546, 84365, 77101);
 					// mint, burn, burn on behalf, burn inf.allowance
-					gas_usage_mint_burn(91431, 76577, 86082, 78949);
+					gas_usage_mint_burn(97930, 80765, 90428, 83167);
 					// 1363 mint
-					gas_usage_1363mint(98535);
+					gas_usage_1363mint(106036);
 				});
 				describe("when first address is a delegate", function() {
 					beforeEach(async function() {
 						await token.delegate(from, {from});
 					});
 					// 20: transfer, on behalf, inf.allowance; 3009: transfer, receive;
-					gas_usage_transfers(94814, 104779, 97605, 120841, 120880);
+					gas_usage_transfers(102052, 110592, 103328, 134623, 134619);
 					// 1363: transfer, on behalf, inf.allowance;
-					gas_usage_1363transfers(101815, 111820, 104646);
+					gas_usage_1363transfers(107675, 119528, 112264);
 					// mint, burn, burn on behalf, burn inf.allowance
-					gas_usage_mint_burn(91431, 109726, 119231, 112098);
+					gas_usage_mint_burn(97930, 115931, 125594, 118333);
 					// 1363 mint
-					gas_usage_1363mint(98535);
+					gas_usage_1363mint(106036);
 				});
 				describe("when second address is a delegate", function() {
 					beforeEach(async function() {
 						await token.delegate(to, {from: to});
 					});
 					// 20: transfer, on behalf, inf.allowance; 3009: transfer, receive;
-					gas_usage_transfers(108909, 118857, 111696, 134907, 134946);
+					gas_usage_transfers(116114, 124654, 117390, 148673, 148669);
 					// mint, burn, burn on behalf, burn inf.allowance
-					gas_usage_mint_burn(138646, 76577, 86082, 78949);
+					gas_usage_mint_burn(147158, 80765, 90428, 83167);
 				});
 				describe("when second address is a delegate – ERC1363 acceptor", function() {
 					beforeEach(async function() {
 						await acceptor_delegate();
 					});
 					// 1363: transfer, on behalf, inf.allowance;
-					gas_usage_1363transfers(115893, 125898, 118724);
+					gas_usage_1363transfers(121735, 133590, 126326);
 					// 1363 mint
-					gas_usage_1363mint(145759);
+					gas_usage_1363mint(155261);
 				});
 				describe("when delegation is fully involved", function() {
 					beforeEach(async function() {
@@ -354,9 +359,9 @@ contract("AdvancedERC20: Gas Consumption (Non-functional Requirements) tests", f
 						await token.delegate(to, {from: to});
 					});
 					// 20: transfer, on behalf, inf.allowance; 3009: transfer, receive;
-					gas_usage_transfers(141971, 151920, 144758, 167983, 168022);
+					gas_usage_transfers(151194, 159734, 152470, 183765, 183761);
 					// mint, burn, burn on behalf, burn inf.allowance
-					gas_usage_mint_burn(138646, 109726, 119231, 112098);
+					gas_usage_mint_burn(147158, 115931, 125594, 118333);
 				});
 				describe("when delegation is fully involved – 2nd: ERC1363 acceptor", function() {
 					beforeEach(async function() {
@@ -364,25 +369,25 @@ contract("AdvancedERC20: Gas Consumption (Non-functional Requirements) tests", f
 						await acceptor_delegate();
 					});
 					// 1363: transfer, on behalf, inf.allowance;
-					gas_usage_1363transfers(148956, 158961, 151787);
+					gas_usage_1363transfers(156808, 168670, 161406);
 					// 1363 mint
-					gas_usage_1363mint(145759);
+					gas_usage_1363mint(155261);
 				});
 				describe("when there is nothing on the balances", function() {
-					gas_usage_delegation(50629, 80880);
+					gas_usage_delegation(53842, 88382);
 				});
 				describe("when one of the balances is non-zero", function() {
 					beforeEach(async function() {
 						await token.transfer(by, value.muln(2), {from});
 					});
-					gas_usage_delegation(97873, 128090);
+					gas_usage_delegation(103068, 137593);
 				});
 				describe("when both balances are non-zero", function() {
 					beforeEach(async function() {
 						await token.transfer(by, value.muln(2), {from});
 						await token.delegate(by, {from: by});
 					});
-					gas_usage_delegation(113835, 144065);
+					gas_usage_delegation(121048, 155585);
 				});
 			}
 
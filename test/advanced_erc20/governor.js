@@ -0,0 +1,206 @@
+// ERC20: OpenZeppelin Governor + TimelockController End-to-End Tests
+
+// Zeppelin test helpers
+const {
+	BN,
+	expectEvent,
+	expectRevert,
+	time,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// token constants
+const {
+	TOTAL_SUPPLY: S0,
+} = require("./include/erc20_constants");
+
+// RBAC token features and roles
+const {
+	ROLE_TOKEN_CREATOR,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+	advanced_erc20_deploy_timestamp_clock,
+	governor_deploy,
+} = require("./include/deployment_routines");
+
+// OpenZeppelin IGovernor.ProposalState
+const PENDING = "0";
+const ACTIVE = "1";
+const DEFEATED = "3";
+const SUCCEEDED = "4";
+const QUEUED = "5";
+const EXECUTED = "7";
+
+// run Governor + Timelock end-to-end tests
+contract("ERC20: Governor + Timelock proposal lifecycle (ERC-5805)", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2] = accounts;
+
+	// governor settings: voting delay and voting period are in the token's clock units
+	const voting_delay = 1;
+	const voting_period = 30;
+	// timelock delay, seconds; kept short not to move the chain time too far
+	const min_delay = 60;
+
+	// the value to mint in the proposal, and the proposal description
+	const value = new BN(1_000);
+	const description = "Proposal #1: mint 1,000 tokens to a2";
+	const description_hash = web3.utils.keccak256(description);
+
+	// token deployment routine and the clock advancing routine for each clock mode
+	const modes = {
+		"block number": {
+			deploy: advanced_erc20_deploy,
+			// advance the clock by mining the blocks
+			advance: async(n) => {for(let i = 0; i < n; i++) await time.advanceBlock();},
+		},
+		"timestamp": {
+			deploy: advanced_erc20_deploy_timestamp_clock,
+			// advance the clock by moving the time forward (mines a block)
+			advance: async(n) => await time.increase(n),
+		},
+	};
+
+	Object.entries(modes).forEach(([mode, {deploy, advance}]) => describe(`when the token uses the ${mode} clock`, function() {
+		let token, governor, timelock;
+		beforeEach(async function() {
+			token = await deploy(a0, H0);
+			({governor, timelock} = await governor_deploy(a0, token.address, voting_delay, voting_period, min_delay));
+			// the timelock executes the proposals and needs the permission to mint
+			await token.updateRole(timelock.address, ROLE_TOKEN_CREATOR, {from: a0});
+			// the holder activates its voting power
+			await token.delegate(H0, {from: H0});
+		});
+
+		it("governor follows the token's clock mode", async function() {
+			expect(await governor.CLOCK_MODE()).to.equal(await token.CLOCK_MODE());
+		});
+		it("governor counts the token's voting power", async function() {
+			await advance(1);
+			const timepoint = (await token.clock()).subn(1);
+			expect(await governor.getVotes(H0, timepoint)).to.be.bignumber.that.equals(S0);
+		});
+
+		describe("when the mint is proposed", function() {
+			let targets, values, calldatas, proposal_id;
+			beforeEach(async function() {
+				targets = [token.address];
+				values = [0];
+				calldatas = [token.contract.methods.mint(a2, value.toString()).encodeABI()];
+				const receipt = await governor.propose(targets, values, calldatas, description, {from: a1});
+				proposal_id = receipt.logs.find(log => log.event === "ProposalCreated").args.proposalId;
+			});
+			it("proposal is pending", async function() {
+				expect(await governor.state(proposal_id)).to.be.bignumber.that.equals(PENDING);
+			});
+			it("proposal id is derived from the proposal contents", async function() {
+				expect(proposal_id).to.be.bignumber.that.equals(
+					await governor.hashProposal(targets, values, calldatas, description_hash)
+				);
+			});
+
+			describe("when the voting starts", function() {
+				beforeEach(async function() {
+					await advance(voting_delay + 1);
+				});
+				it("proposal is active", async function() {
+					expect(await governor.state(proposal_id)).to.be.bignumber.that.equals(ACTIVE);
+				});
+				it("the vote is counted with the voting power at the proposal snapshot", async function() {
+					// voting power moved after the snapshot doesn't count
+					await token.transfer(a1, value, {from: H0});
+					await token.delegate(a1, {from: a1});
+					const receipt = await governor.castVote(proposal_id, 1, {from: H0});
+					expectEvent(receipt, "VoteCast", {voter: H0, proposalId: proposal_id, support: "1", weight: S0});
+					const {forVotes} = await governor.proposalVotes(proposal_id);
+					expect(forVotes).to.be.bignumber.that.equals(S0);
+				});
+				it("the voting power acquired after the snapshot is not counted", async function() {
+					await token.transfer(a1, value, {from: H0});
+					await token.delegate(a1, {from: a1});
+					const receipt = await governor.castVote(proposal_id, 1, {from: a1});
+					expectEvent(receipt, "VoteCast", {voter: a1, weight: "0"});
+				});
+				it("proposal is defeated if the quorum is not reached", async function() {
+					await advance(voting_period + 1);
+					expect(await governor.state(proposal_id)).to.be.bignumber.that.equals(DEFEATED);
+				});
+
+				describe("when the proposal succeeds", function() {
+					beforeEach(async function() {
+						await governor.castVote(proposal_id, 1, {from: H0});
+						await advance(voting_period + 1);
+					});
+					it("proposal is succeeded", async function() {
+						expect(await governor.state(proposal_id)).to.be.bignumber.that.equals(SUCCEEDED);
+					});
+					it("proposal cannot be executed before it is queued", async function() {
+						await expectRevert(
+							governor.execute(targets, values, calldatas, description_hash, {from: a1}),
+							"TimelockController: operation is not ready"
+						);
+					});
+
+					describe("when the proposal is queued", function() {
+						let operation_id;
+						beforeEach(async function() {
+							const {receipt} = await governor.queue(targets, values, calldatas, description_hash, {from: a1});
+							// the operation is scheduled by the governor, the event is emitted by the timelock
+							const [event] = await timelock.getPastEvents("CallScheduled", {fromBlock: receipt.blockNumber});
+							operation_id = event.args.id;
+						});
+						it("proposal is queued", async function() {
+							expect(await governor.state(proposal_id)).to.be.bignumber.that.equals(QUEUED);
+						});
+						it("timelock operation is pending", async function() {
+							expect(await timelock.isOperationPending(operation_id)).to.be.true;
+						});
+						it("proposal cannot be executed before the timelock delay passes", async function() {
+							await expectRevert(
+								governor.execute(targets, values, calldatas, description_hash, {from: a1}),
+								"TimelockController: operation is not ready"
+							);
+						});
+
+						describe("when the proposal is executed after the timelock delay", function() {
+							let receipt;
+							beforeEach(async function() {
+								await time.increase(min_delay + 1);
+								receipt = await governor.execute(targets, values, calldatas, description_hash, {from: a1});
+							});
+							it("proposal is executed", async function() {
+								expect(await governor.state(proposal_id)).to.be.bignumber.that.equals(EXECUTED);
+							});
+							it('"ProposalExecuted" event is emitted', async function() {
+								expectEvent(receipt, "ProposalExecuted", {proposalId: proposal_id});
+							});
+							it("timelock operation is done", async function() {
+								expect(await timelock.isOperationDone(operation_id)).to.be.true;
+							});
+							it("tokens are minted", async function() {
+								expect(await token.balanceOf(a2), "a2 balance").to.be.bignumber.that.equals(value);
+								expect(await token.totalSupply(), "total supply").to.be.bignumber.that.equals(S0.add(value));
+							});
+							it("proposal cannot be executed again", async function() {
+								await expectRevert(
+									governor.execute(targets, values, calldatas, description_hash, {from: a1}),
+									"Governor: proposal not successful"
+								);
+							});
+						});
+					});
+				});
+			});
+		});
+	}));
+});
@@ -8,6 +8,10 @@ const { ecSign, expectRevert/*, Signature*/, strip0x } = require("./helpers/inde
 const { ACCOUNTS_AND_KEYS, MAX_UINT256 } = require("./helpers/constants");
 // we don't use Zeppelin helpers, just enable chai-bn under the hood
 require('@lazy-sol/zeppelin-test-helpers');
+// `bytes signature` overloads accept the signature packed as r ‖ s ‖ v
+const { joinSignature } = require("../../../../scripts/include/eip712");
+
+const ERC1271WalletMock = artifacts.require("ERC1271WalletMock");
 
 const TRANSFER_WITH_AUTHORIZATION_TYPEHASH = web3.utils.keccak256(
   "TransferWithAuthorization(address from,address to,uint256 value,uint256 validAfter,uint256 validBefore,bytes32 nonce)"
@@ -85,7 +89,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
       expect(await this.token.authorizationState(from, nonce)).to.be.false;
 
       // a third-party, Charlie (not Alice) submits the signed authorization
-      const result = await this.token.transferWithAuthorization(
+      const result = await this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
         from,
         to,
         value,
@@ -137,7 +141,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to cheat by claiming the transfer amount is double
       await expectRevert(
-        this.token.transferWithAuthorization(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value * 2, // pass incorrect value
@@ -171,7 +175,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
       // try to cheat by submitting the signed authorization that is signed by
       // a wrong person
       await expectRevert(
-        this.token.transferWithAuthorization(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value,
@@ -205,7 +209,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to submit the authorization early
       await expectRevert(
-        this.token.transferWithAuthorization(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value,
@@ -238,7 +242,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to submit the authorization that is expired
       await expectRevert(
-        this.token.transferWithAuthorization(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value,
@@ -270,7 +274,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
       );
 
       // submit the authorization
-      await this.token.transferWithAuthorization(
+      await this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
         from,
         to,
         value,
@@ -285,7 +289,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to submit the authorization again
       await expectRevert(
-        this.token.transferWithAuthorization(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value,
@@ -316,7 +320,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
       );
 
       // submit the authorization
-      await this.token.transferWithAuthorization(
+      await this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
         from,
         to,
         value,
@@ -344,7 +348,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to submit the authorization again
       await expectRevert(
-        this.token.transferWithAuthorization(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           1e6,
@@ -378,7 +382,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to submit the authorization with invalid transfer parameters
       await expectRevert(
-        this.token.transferWithAuthorization(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value,
@@ -416,7 +420,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to submit the approval authorization
       await expectRevert(
-        this.token.transferWithAuthorization(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           owner,
           spender,
           value,
@@ -464,7 +468,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
       expect(await this.token.authorizationState(from, nonce)).to.be.false;
 
       // The payee submits the signed authorization
-      const result = await this.token.receiveWithAuthorization(
+      const result = await this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
         from,
         to,
         value,
@@ -522,7 +526,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // The payee submits the signed authorization
       await expectRevert(
-        this.token.receiveWithAuthorization(
+        this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value,
@@ -554,7 +558,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to cheat by claiming the transfer amount is double
       await expectRevert(
-        this.token.receiveWithAuthorization(
+        this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value * 2, // pass incorrect value
@@ -588,7 +592,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
       // try to cheat by submitting the signed authorization that is signed by
       // a wrong person
       await expectRevert(
-        this.token.receiveWithAuthorization(
+        this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value,
@@ -622,7 +626,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to submit the authorization early
       await expectRevert(
-        this.token.receiveWithAuthorization(
+        this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value,
@@ -655,7 +659,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to submit the authorization that is expired
       await expectRevert(
-        this.token.receiveWithAuthorization(
+        this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value,
@@ -687,7 +691,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
       );
 
       // submit the authorization
-      await this.token.receiveWithAuthorization(
+      await this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
         from,
         to,
         value,
@@ -702,7 +706,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to submit the authorization again
       await expectRevert(
-        this.token.receiveWithAuthorization(
+        this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value,
@@ -733,7 +737,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
       );
 
       // submit the authorization
-      await this.token.receiveWithAuthorization(
+      await this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
         from,
         to,
         value,
@@ -761,7 +765,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to submit the authorization again
       await expectRevert(
-        this.token.receiveWithAuthorization(
+        this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           1e6,
@@ -795,7 +799,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to submit the authorization with invalid transfer parameters
       await expectRevert(
-        this.token.receiveWithAuthorization(
+        this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value,
@@ -833,7 +837,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to submit the approval authorization
       await expectRevert(
-        this.token.receiveWithAuthorization(
+        this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           owner,
           spender,
           value,
@@ -882,7 +886,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
       expect(await this.token.authorizationState(from, nonce)).to.be.false;
 
       // cancel the authorization
-      await this.token.cancelAuthorization(
+      await this.token.methods["cancelAuthorization(address,bytes32,uint8,bytes32,bytes32)"](
         from,
         nonce,
         cancellation.v,
@@ -896,7 +900,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // attempt to use the canceled authorization
       await expectRevert(
-        this.token.transferWithAuthorization(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value,
@@ -943,7 +947,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
       expect(await this.token.authorizationState(from, nonce)).to.be.false;
 
       // cancel the authorization
-      await this.token.cancelAuthorization(
+      await this.token.methods["cancelAuthorization(address,bytes32,uint8,bytes32,bytes32)"](
         from,
         nonce,
         cancellation.v,
@@ -957,7 +961,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // attempt to use the canceled authorization
       await expectRevert(
-        this.token.receiveWithAuthorization(
+        this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
           from,
           to,
           value,
@@ -983,7 +987,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
       );
 
       // submit the cancellation
-      await this.token.cancelAuthorization(
+      await this.token.methods["cancelAuthorization(address,bytes32,uint8,bytes32,bytes32)"](
         alice.address,
         nonce,
         cancellation.v,
@@ -994,7 +998,7 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
 
       // try to submit the same cancellation again
       await expectRevert(
-        this.token.cancelAuthorization(
+        this.token.methods["cancelAuthorization(address,bytes32,uint8,bytes32,bytes32)"](
           alice.address,
           nonce,
           cancellation.v,
@@ -1006,6 +1010,320 @@ function shouldBehaveLikeEIP3009(initialBalance, initialHolder, charlie) {
       );
     });
   });
+
+  describe("bytes signature", () => {
+    const value = 7e6;
+    const validAfter = 0;
+    const validBefore = MAX_UINT256;
+
+    it("executes a transfer when a valid EOA signature is given", async function() {
+      const signature = joinSignature(signTransferAuthorization(
+        alice.address,
+        bob.address,
+        value,
+        validAfter,
+        validBefore,
+        nonce,
+        domainSeparator,
+        alice.key
+      ));
+
+      await this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)"](
+        alice.address,
+        bob.address,
+        value,
+        validAfter,
+        validBefore,
+        nonce,
+        signature,
+        { from: charlie }
+      );
+
+      expect(await this.token.balanceOf(bob.address)).to.be.bignumber.that.equals("" + value);
+      expect(await this.token.authorizationState(alice.address, nonce)).to.be.true;
+    });
+
+    it("reverts if the EOA signature is not 65 bytes long", async function() {
+      const signature = joinSignature(signTransferAuthorization(
+        alice.address,
+        bob.address,
+        value,
+        validAfter,
+        validBefore,
+        nonce,
+        domainSeparator,
+        alice.key
+      ));
+
+      await expectRevert(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)"](
+          alice.address,
+          bob.address,
+          value,
+          validAfter,
+          validBefore,
+          nonce,
+          signature.substring(0, 130),
+          { from: charlie }
+        ),
+        "invalid signature length"
+      );
+    });
+  });
+
+  describe("smart contract wallet (ERC-1271)", () => {
+    const value = 7e6;
+    const validAfter = 0;
+    const validBefore = MAX_UINT256;
+    // the wallet is owned by Alice, the wallet accepts Alice's signatures
+    let wallet;
+
+    beforeEach(async function() {
+      wallet = await ERC1271WalletMock.new(alice.address);
+      // Alice funds the wallet, Charlie submits the authorization
+      const funding = web3.utils.randomHex(32);
+      const { v, r, s } = signTransferAuthorization(
+        alice.address,
+        wallet.address,
+        value,
+        validAfter,
+        validBefore,
+        funding,
+        domainSeparator,
+        alice.key
+      );
+      await this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
+        alice.address,
+        wallet.address,
+        value,
+        validAfter,
+        validBefore,
+        funding,
+        v,
+        r,
+        s,
+        { from: charlie }
+      );
+    });
+
+    it("executes a transfer when a valid authorization is given", async function() {
+      const signature = joinSignature(signTransferAuthorization(
+        wallet.address,
+        bob.address,
+        value,
+        validAfter,
+        validBefore,
+        nonce,
+        domainSeparator,
+        alice.key
+      ));
+
+      const result = await this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)"](
+        wallet.address,
+        bob.address,
+        value,
+        validAfter,
+        validBefore,
+        nonce,
+        signature,
+        { from: charlie }
+      );
+
+      expect(await this.token.balanceOf(wallet.address)).to.be.bignumber.that.equals("0");
+      expect(await this.token.balanceOf(bob.address)).to.be.bignumber.that.equals("" + value);
+
+      const log0 = result.logs[0];
+      expect(log0.event).to.equal("AuthorizationUsed");
+      expect(log0.args[0]).to.equal(wallet.address);
+      expect(log0.args[1]).to.equal(nonce);
+
+      expect(await this.token.authorizationState(wallet.address, nonce)).to.be.true;
+    });
+
+    it("executes a transfer when a valid authorization is given as v, r, s", async function() {
+      const { v, r, s } = signTransferAuthorization(
+        wallet.address,
+        bob.address,
+        value,
+        validAfter,
+        validBefore,
+        nonce,
+        domainSeparator,
+        alice.key
+      );
+
+      await this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](
+        wallet.address,
+        bob.address,
+        value,
+        validAfter,
+        validBefore,
+        nonce,
+        v,
+        r,
+        s,
+        { from: charlie }
+      );
+
+      expect(await this.token.balanceOf(bob.address)).to.be.bignumber.that.equals("" + value);
+    });
+
+    it("executes a transfer when a valid authorization is submitted by the payee", async function() {
+      const signature = joinSignature(signReceiveAuthorization(
+        wallet.address,
+        charlie,
+        value,
+        validAfter,
+        validBefore,
+        nonce,
+        domainSeparator,
+        alice.key
+      ));
+
+      await this.token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)"](
+        wallet.address,
+        charlie,
+        value,
+        validAfter,
+        validBefore,
+        nonce,
+        signature,
+        { from: charlie }
+      );
+
+      expect(await this.token.balanceOf(charlie)).to.be.bignumber.that.equals("" + value);
+      expect(await this.token.authorizationState(wallet.address, nonce)).to.be.true;
+    });
+
+    it("cancels an unused authorization if the signature is valid", async function() {
+      const cancellation = joinSignature(signCancelAuthorization(
+        wallet.address,
+        nonce,
+        domainSeparator,
+        alice.key
+      ));
+
+      const result = await this.token.methods["cancelAuthorization(address,bytes32,bytes)"](
+        wallet.address,
+        nonce,
+        cancellation,
+        { from: charlie }
+      );
+
+      const log = result.logs[0];
+      expect(log.event).to.equal("AuthorizationCanceled");
+      expect(log.args[0]).to.equal(wallet.address);
+      expect(log.args[1]).to.equal(nonce);
+
+      const signature = joinSignature(signTransferAuthorization(
+        wallet.address,
+        bob.address,
+        value,
+        validAfter,
+        validBefore,
+        nonce,
+        domainSeparator,
+        alice.key
+      ));
+
+      await expectRevert(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)"](
+          wallet.address,
+          bob.address,
+          value,
+          validAfter,
+          validBefore,
+          nonce,
+          signature,
+          { from: charlie }
+        ),
+        "invalid nonce"
+      );
+    });
+
+    it("reverts if the signature is not signed by the wallet owner", async function() {
+      const signature = joinSignature(signTransferAuthorization(
+        wallet.address,
+        bob.address,
+        value,
+        validAfter,
+        validBefore,
+        nonce,
+        domainSeparator,
+        bob.key
+      ));
+
+      await expectRevert(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)"](
+          wallet.address,
+          bob.address,
+          value,
+          validAfter,
+          validBefore,
+          nonce,
+          signature,
+          { from: charlie }
+        ),
+        "invalid signature"
+      );
+    });
+
+    it("reverts if the wallet refuses to validate the signature", async function() {
+      const signature = joinSignature(signTransferAuthorization(
+        wallet.address,
+        bob.address,
+        value,
+        validAfter,
+        validBefore,
+        nonce,
+        domainSeparator,
+        alice.key
+      ));
+
+      await wallet.setRejectAll(true);
+
+      await expectRevert(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)"](
+          wallet.address,
+          bob.address,
+          value,
+          validAfter,
+          validBefore,
+          nonce,
+          signature,
+          { from: charlie }
+        ),
+        "invalid signature"
+      );
+    });
+
+    it("reverts if the wallet owner signs the authorization on behalf of itself instead of the wallet", async function() {
+      const signature = joinSignature(signTransferAuthorization(
+        alice.address,
+        bob.address,
+        value,
+        validAfter,
+        validBefore,
+        nonce,
+        domainSeparator,
+        alice.key
+      ));
+
+      await expectRevert(
+        this.token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,bytes)"](
+          wallet.address,
+          bob.address,
+          value,
+          validAfter,
+          validBefore,
+          nonce,
+          signature,
+          { from: charlie }
+        ),
+        "invalid signature"
+      );
+    });
+  });
 }
 
 function signTransferAuthorization(
@@ -55,27 +55,27 @@ function shouldBehaveLikeComp(name, contract_name, symbol, S0, root, a1, a2, a3,
 
     it('reverts if the signatory is invalid', async function() {
       const delegate = root, nonce = ZERO_BYTES32, expiry = 0;
-      await expectRevert(this.comp.delegateWithAuthorization(delegate, nonce, expiry, 0, '0xbad', '0xbad'), "invalid signature");
+      await expectRevert(this.comp.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegate, nonce, expiry, 0, '0xbad', '0xbad'), "invalid signature");
     });
 
     it('reverts if the nonce is bad ', async function() {
       const delegate = root, nonce = ZERO_BYTES32, expiry = 10e9;
       const { v, r, s } = eip712.sign(Domain, 'Delegation', { delegate, nonce, expiry }, Types, a1_pk);
-      await this.comp.delegateWithAuthorization(delegate, nonce, expiry, v, r, s); // use the nonce
-      await expectRevert(this.comp.delegateWithAuthorization(delegate, nonce, expiry, v, r, s), "invalid nonce");
+      await this.comp.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegate, nonce, expiry, v, r, s); // use the nonce
+      await expectRevert(this.comp.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegate, nonce, expiry, v, r, s), "invalid nonce");
     });
 
     it('reverts if the signature has expired', async function() {
       const delegate = root, nonce = ZERO_BYTES32, expiry = 0;
       const { v, r, s } = eip712.sign(Domain, 'Delegation', { delegate, nonce, expiry }, Types, a1_pk);
-      await expectRevert(this.comp.delegateWithAuthorization(delegate, nonce, expiry, v, r, s), "signature expired");
+      await expectRevert(this.comp.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegate, nonce, expiry, v, r, s), "signature expired");
     });
 
     it('delegates on behalf of the signatory', async function() {
       const delegate = root, nonce = ZERO_BYTES32, expiry = 10e9;
       const { v, r, s } = eip712.sign(Domain, 'Delegation', { delegate, nonce, expiry }, Types, a1_pk);
       expect(await this.comp.votingDelegates(a1)).to.equal(ZERO_ADDRESS);
-      const tx = await this.comp.delegateWithAuthorization(delegate, nonce, expiry, v, r, s);
+      const tx = await this.comp.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegate, nonce, expiry, v, r, s);
       expect(tx.gasUsed < 80000);
       expect(await this.comp.votingDelegates(a1)).to.equal(root);
     });
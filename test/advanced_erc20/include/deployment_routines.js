@@ -15,6 +15,55 @@ const {
 // RBAC token features and roles
 const {FEATURE_ALL} = require("../../../scripts/include/features_roles");
 
+// when set, the tokens are deployed as UpgradeableAdvancedERC20 behind the ERC1967 proxy,
+// allowing to run the entire test suite against the upgradeable flavour of the token
+const UPGRADEABLE = !!(process.env.UPGRADEABLE_ERC20);
+
+/**
+ * Deploys the token either as is (via constructor), or as the ERC1967 proxy (via postConstruct),
+ * depending on the UPGRADEABLE_ERC20 environment variable
+ *
+ * @param contract_name the name of the contract to deploy as is, like "AdvancedERC20"
+ * @param upgradeable_name the name of the upgradeable contract to deploy behind the proxy, like "UpgradeableAdvancedERC20"
+ * @param args constructor/postConstruct arguments
+ * @param from deployment account
+ * @returns the token instance
+ */
+async function deploy_token(contract_name, upgradeable_name, args, from) {
+	// if the upgradeable flavour is not requested, deploy the contract as is
+	if(!UPGRADEABLE) {
+		const Contract = artifacts.require(contract_name);
+		return await Contract.new(...args, {from});
+	}
+
+	// deploy behind the ERC1967 proxy otherwise
+	return await deploy_proxy(upgradeable_name, args, from);
+}
+
+/**
+ * Deploys the upgradeable token implementation and the ERC1967 proxy, immediately initializing it
+ *
+ * @param upgradeable_name the name of the upgradeable contract to deploy, like "UpgradeableAdvancedERC20"
+ * @param args postConstruct arguments
+ * @param from deployment account
+ * @returns the token instance connected to the proxy
+ */
+async function deploy_proxy(upgradeable_name, args, from) {
+	// deploy the implementation
+	const Contract = artifacts.require(upgradeable_name);
+	const impl = await Contract.new({from});
+
+	// deploy ERC1967 proxy, and immediately initializing it
+	const Proxy = artifacts.require("./ERC1967Proxy");
+	const init_data = impl.contract.methods.postConstruct(...args).encodeABI();
+	const proxy = await Proxy.new(impl.address, init_data, {from});
+
+	// connect to the proxy, keep the deployment transaction hash as if it was deployed via constructor
+	const instance = await Contract.at(proxy.address);
+	instance.transactionHash = proxy.transactionHash;
+	return instance;
+}
+
 /**
  * Deploys AdvancedERC20 token with all the features enabled
  *
@@ -26,11 +75,91 @@ const {FEATURE_ALL} = require("../../../scripts/include/features_roles");
  * @returns AdvancedERC20 instance
  */
 async function advanced_erc20_deploy(a0, H0 = a0, s0 = S0, name = NAME, symbol = SYMBOL) {
-	// smart contracts required
-	const AdvancedERC20 = artifacts.require("./AdvancedERC20");
+	// deploy and return the reference to the instance
+	return await deploy_token("AdvancedERC20", "UpgradeableAdvancedERC20", [a0, name, symbol, H0, s0, FEATURE_ALL], a0);
+}
 
+/**
+ * Deploys UpgradeableAdvancedERC20 token behind the ERC1967 proxy with all the features enabled
+ *
+ * @param a0 smart contract owner, super admin
+ * @param H0 initial token holder address, optional
+ * @param s0 initial token supply, optional
+ * @param name ERC20 token name, optional
+ * @param symbol ERC20 token symbol, optional
+ * @returns UpgradeableAdvancedERC20 instance (ERC1967 Proxy)
+ */
+async function advanced_erc20_deploy_upgradeable(a0, H0 = a0, s0 = S0, name = NAME, symbol = SYMBOL) {
 	// deploy and return the reference to the instance
-	return await AdvancedERC20.new(a0, name, symbol, H0, s0, FEATURE_ALL, {from: a0});
+	return await deploy_proxy("UpgradeableAdvancedERC20", [a0, name, symbol, H0, s0, FEATURE_ALL], a0);
+}
+
+/**
+ * Deploys UpgradeableAdvancedERC20 token behind the ERC1967 proxy with all the features enabled,
+ *      trusting the ERC-2771 forwarder specified
+ *
+ * @dev The trusted forwarder can be set in `postConstruct` only, that is why the token is always
+ *      deployed behind the proxy, regardless of the UPGRADEABLE_ERC20 environment variable
+ *
+ * @param a0 smart contract owner, super admin
+ * @param forwarder ERC-2771 trusted forwarder address
+ * @param H0 initial token holder address, optional
+ * @param s0 initial token supply, optional
+ * @returns UpgradeableAdvancedERC20 instance (ERC1967 Proxy)
+ */
+async function advanced_erc20_deploy_forwarded(a0, forwarder, H0 = a0, s0 = S0) {
+	// deploy and return the reference to the instance
+	return await deploy_proxy(
+		"UpgradeableAdvancedERC20",
+		[a0, NAME, SYMBOL, H0, s0, FEATURE_ALL, 0, forwarder, "", "", false],
+		a0
+	);
+}
+
+/**
+ * Deploys UpgradeableAdvancedERC20 token behind the ERC1967 proxy with all the features enabled,
+ *      using the custom EIP-712 domain name and version specified
+ *
+ * @dev The custom EIP-712 domain can be set in `postConstruct` only, that is why the token is always
+ *      deployed behind the proxy, regardless of the UPGRADEABLE_ERC20 environment variable
+ *
+ * @param a0 smart contract owner, super admin
+ * @param domain_name EIP-712 domain name
+ * @param domain_version EIP-712 domain version
+ * @param H0 initial token holder address, optional
+ * @param s0 initial token supply, optional
+ * @returns UpgradeableAdvancedERC20 instance (ERC1967 Proxy)
+ */
+async function advanced_erc20_deploy_with_domain(a0, domain_name, domain_version, H0 = a0, s0 = S0) {
+	// deploy and return the reference to the instance
+	return await deploy_proxy(
+		"UpgradeableAdvancedERC20",
+		[a0, NAME, SYMBOL, H0, s0, FEATURE_ALL, 0, ZERO_ADDRESS, domain_name, domain_version, false],
+		a0
+	);
+}
+
+/**
+ * Deploys UpgradeableAdvancedERC20 token behind the ERC1967 proxy with all the features enabled,
+ *      keeping the voting power and total supply history by block timestamps (ERC-6372 timestamp clock mode)
+ *
+ * @dev The clock mode can be set in `postConstruct` only, that is why the token is always
+ *      deployed behind the proxy, regardless of the UPGRADEABLE_ERC20 environment variable
+ *
+ * @param a0 smart contract owner, super admin
+ * @param H0 initial token holder address, optional
+ * @param s0 initial token supply, optional
+ * @param name ERC20 token name, optional
+ * @param symbol ERC20 token symbol, optional
+ * @returns UpgradeableAdvancedERC20 instance (ERC1967 Proxy)
+ */
+async function advanced_erc20_deploy_timestamp_clock(a0, H0 = a0, s0 = S0, name = NAME, symbol = SYMBOL) {
+	// deploy and return the reference to the instance
+	return await deploy_proxy(
+		"UpgradeableAdvancedERC20",
+		[a0, name, symbol, H0, s0, FEATURE_ALL, 0, ZERO_ADDRESS, "", "", true],
+		a0
+	);
 }
 
 /**
@@ -44,11 +173,8 @@ async function advanced_erc20_deploy(a0, H0 = a0, s0 = S0, name = NAME, symbol =
  * @returns AdvancedERC20 instance
  */
 async function advanced_erc20_deploy_restricted(a0, H0 = a0, s0 = S0, name = NAME, symbol = SYMBOL) {
-	// smart contracts required
-	const AdvancedERC20 = artifacts.require("./AdvancedERC20");
-
 	// deploy and return the reference to the instance
-	return await AdvancedERC20.new(a0, name, symbol, H0, s0, 0, {from: a0});
+	return await deploy_token("AdvancedERC20", "UpgradeableAdvancedERC20", [a0, name, symbol, H0, s0, 0], a0);
 }
 
 /**
@@ -63,11 +189,8 @@ async function advanced_erc20_deploy_restricted(a0, H0 = a0, s0 = S0, name = NAM
  * @returns AdvancedERC20 instance
  */
 async function advanced_erc20_deploy_detached(a0, H0 = a0, s0 = S0, name = NAME, symbol = SYMBOL, features = 0) {
-	// smart contracts required
-	const AdvancedERC20 = artifacts.require("./AdvancedERC20");
-
 	// deploy and return the reference to the instance
-	return await AdvancedERC20.new(ZERO_ADDRESS, name, symbol, H0, s0, features, {from: a0});
+	return await deploy_token("AdvancedERC20", "UpgradeableAdvancedERC20", [ZERO_ADDRESS, name, symbol, H0, s0, features], a0);
 }
 
 /**
@@ -81,11 +204,11 @@ async function advanced_erc20_deploy_detached(a0, H0 = a0, s0 = S0, name = NAME,
  * @returns AdvancedERC20 instance
  */
 async function advanced_erc20_deploy_comp_mock(a0, H0 = a0, s0 = S0, name = NAME, symbol = SYMBOL) {
-	// smart contracts required
-	const AdvCompMock = artifacts.require("./AdvCompMock");
+	// Comp mock constructor makes the deployer an owner, while postConstruct expects the owner explicitly
+	const args = UPGRADEABLE? [a0, name, symbol, H0, s0, FEATURE_ALL]: [name, symbol, H0, s0, FEATURE_ALL];
 
 	// deploy token Comp mock and return
-	return await AdvCompMock.new(name, symbol, H0, s0, FEATURE_ALL, {from: a0});
+	return await deploy_token("AdvCompMock", "UpgradeableAdvCompMock", args, a0);
 }
 
 /**
@@ -116,18 +239,89 @@ async function erc1363_deploy_mock(a0) {
 	return await ERC1363Mock.new({from: a0});
 }
 
+/**
+ * Deploys ERC1271 smart contract wallet, which accepts the signatures of its owner
+ *
+ * @param a0 deployment account
+ * @param owner wallet owner, optional, defaults to the deployment account
+ * @returns ERC1271 wallet instance
+ */
+async function erc1271_deploy_wallet(a0, owner = a0) {
+	// smart contracts required
+	const ERC1271WalletMock = artifacts.require("./ERC1271WalletMock");
+
+	// deploy ERC1271 wallet mock owned by the owner specified and return
+	return await ERC1271WalletMock.new(owner, {from: a0});
+}
+
+/**
+ * Deploys ERC-2771 MinimalForwarder
+ *
+ * @param a0 deployment account
+ * @returns MinimalForwarder instance
+ */
+async function minimal_forwarder_deploy(a0) {
+	// smart contracts required
+	const MinimalForwarder = artifacts.require("./MinimalForwarder");
+
+	// deploy the forwarder and return
+	return await MinimalForwarder.new({from: a0});
+}
+
+/**
+ * Deploys OpenZeppelin TimelockController, and OpenZeppelin Governor executing the proposals
+ *      via the timelock, and consuming the token specified as ERC-5805 (IVotes) votes source;
+ *      the governor is the only proposer and canceller, anyone can execute
+ *
+ * @param a0 deployment account, renounces the timelock admin role once the roles are set up
+ * @param token ERC-5805 token address to count the votes with
+ * @param voting_delay voting delay, in the token's clock units (blocks or seconds)
+ * @param voting_period voting period, in the token's clock units (blocks or seconds)
+ * @param min_delay timelock delay, in seconds
+ * @param quorum_numerator quorum, percent of the total supply
+ * @returns {governor, timelock} GovernorMock and TimelockController instances
+ */
+async function governor_deploy(a0, token, voting_delay = 1, voting_period = 10, min_delay = 3_600, quorum_numerator = 4) {
+	// smart contracts required
+	const TimelockController = artifacts.require("./TimelockController");
+	const GovernorMock = artifacts.require("./GovernorMock");
+
+	// deploy the timelock administered temporarily by the deployer
+	const timelock = await TimelockController.new(min_delay, [], [], a0, {from: a0});
+	// deploy the governor bound to the token and the timelock
+	const governor = await GovernorMock.new(token, timelock.address, voting_delay, voting_period, quorum_numerator, {from: a0});
+
+	// the governor is the only proposer and canceller, anyone can execute
+	await timelock.grantRole(await timelock.PROPOSER_ROLE(), governor.address, {from: a0});
+	await timelock.grantRole(await timelock.CANCELLER_ROLE(), governor.address, {from: a0});
+	await timelock.grantRole(await timelock.EXECUTOR_ROLE(), ZERO_ADDRESS, {from: a0});
+	// leave the timelock self-administered
+	await timelock.renounceRole(await timelock.TIMELOCK_ADMIN_ROLE(), a0, {from: a0});
+
+	// return both instances
+	return {governor, timelock};
+}
+
 // export public deployment API
 module.exports = {
+	UPGRADEABLE,
 	NAME,
 	SYMBOL,
 	TOTAL_SUPPLY: S0,
 	advanced_erc20_deploy,
 	advanced_erc20_deploy_restricted,
 	advanced_erc20_deploy_detached,
+	advanced_erc20_deploy_upgradeable,
+	advanced_erc20_deploy_forwarded,
+	advanced_erc20_deploy_with_domain,
+	advanced_erc20_deploy_timestamp_clock,
 	// advanced_erc20_deploy_via_factory,
 	// advanced_erc20_deploy_restricted_via_factory,
 	advanced_erc20_deploy_comp_mock,
 	erc1363_deploy_acceptor,
 	erc1363_deploy_mock,
+	erc1271_deploy_wallet,
+	minimal_forwarder_deploy,
+	governor_deploy,
 	// deploy_token_factory,
 };
@@ -1,53 +1,15 @@
-// ERC20 token constants required
-const {CONTRACT_NAME} = require("./erc20_constants");
-
 // EIP712 helpers
 const EIP712 = require('./comp/eip712');
 
-// EIP-712 constants and functions
-const EIP712_TYPES = {
-	Delegation: [
-		{name: 'delegate', type: 'address'},
-		{name: 'nonce', type: 'uint256'},
-		{name: 'expiry', type: 'uint256'}
-	],
-	Permit: [
-		{name: 'owner', type: 'address'},
-		{name: 'spender', type: 'address'},
-		{name: 'value', type: 'uint256'},
-		{name: 'nonce', type: 'uint256'},
-		{name: 'deadline', type: 'uint256'},
-	],
-	TransferWithAuthorization: [
-		{name: 'from', type: 'address'},
-		{name: 'to', type: 'address'},
-		{name: 'value', type: 'uint256'},
-		{name: 'validAfter', type: 'uint256'},
-		{name: 'validBefore', type: 'uint256'},
-		{name: 'nonce', type: 'bytes32'},
-	],
-	ReceiveWithAuthorization: [
-		{name: 'from', type: 'address'},
-		{name: 'to', type: 'address'},
-		{name: 'value', type: 'uint256'},
-		{name: 'validAfter', type: 'uint256'},
-		{name: 'validBefore', type: 'uint256'},
-		{name: 'nonce', type: 'bytes32'},
-	],
-	CancelAuthorization: [
-		{name: 'authorizer', type: 'address'},
-		{name: 'nonce', type: 'bytes32'},
-	],
-};
+// EIP-712 struct types are shared with the package API, as well as the domain discovery
+const {EIP712_TYPES, fetchDomain, buildDelegateBySig} = require("../../../scripts/include/eip712");
 
-// builds EIP712 domain
-async function eip712_domain(contract_address, contract_name = CONTRACT_NAME) {
-	// Chain ID opcode hardcoded at 1 in Ganache-cli, but not in Hardhat
+// builds EIP712 domain discovering it from the token itself (EIP-5267 eip712Domain)
+async function eip712_domain(contract_address) {
+	// the token reports the chain ID it sees, which doesn't depend on Ganache/Hardhat chain ID opcode quirks
 	// See: https://github.com/trufflesuite/ganache/issues/1643
 	//      https://github.com/trufflesuite/ganache-core/issues/515
-	const chainId = await web3.eth.net.getId();
-	// build the domain
-	return {name: contract_name, chainId, verifyingContract: contract_address};
+	return await fetchDomain(web3, contract_address);
 }
 
 // helper function to EIP712 sign any of the auth-like ERC20 token call
@@ -65,6 +27,12 @@ async function eip712_delegate(contract_address, delegate, nonce, expiry, p_key)
 	);
 }
 
+// helper function to build ERC-5805 (OpenZeppelin IVotes) `delegateBySig` Delegation signature
+async function eip712_delegate_by_sig(contract_address, delegatee, nonce, expiry, p_key) {
+	const {types, domain, message} = buildDelegateBySig(await eip712_domain(contract_address), {delegatee, nonce, expiry});
+	return EIP712.sign(domain, "Delegation", message, types, p_key);
+}
+
 // helper function to build EIP712 Permit signature
 async function eip712_permit(contract_address, owner, spender, value, nonce, deadline, p_key) {
 	return eip712_sign(
@@ -111,6 +79,7 @@ module.exports = {
 	eip712_domain,
 	eip712_sign,
 	eip712_delegate,
+	eip712_delegate_by_sig,
 	eip712_permit,
 	eip712_transfer,
 	eip712_receive,
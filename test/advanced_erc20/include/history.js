@@ -24,15 +24,19 @@ function assert_array_of_primitives(array, required = true) {
 }
 
 // simulates the transaction containing arbitrary data (see tx_data)
+// the transaction is bound to the block it was mined in, defined by its number and timestamp
 class Transaction {
 	#block_num;
+	#timestamp;
 	#tx_type;
 	#tx_data;
 
-	constructor(block_num, tx_type, tx_data) {
+	constructor({number: block_num, timestamp}, tx_type, tx_data) {
 		assert_primitive(block_num);
+		assert_primitive(timestamp);
 		assert_primitive(tx_type);
 		this.#block_num = block_num;
+		this.#timestamp = timestamp;
 		this.#tx_type = tx_type;
 		this.#tx_data = Object.assign({}, tx_data);
 	}
@@ -41,6 +45,15 @@ class Transaction {
 		return this.#block_num;
 	}
 
+	get timestamp() {
+		return this.#timestamp;
+	}
+
+	// timepoint of the transaction: block timestamp or block number, depending on the clock mode
+	timepoint(timestamp_clock) {
+		return timestamp_clock? this.#timestamp: this.#block_num;
+	}
+
 	get tx_type() {
 		return this.#tx_type;
 	}
@@ -52,38 +65,39 @@ class Transaction {
 
 // simulates the delegation transaction containing delegation data
 class DelegationTransaction extends Transaction {
-	constructor(block_num, from_idx, to_idx) {
-		super(block_num, "delegate", {from_idx, to_idx});
+	constructor(block, from_idx, to_idx) {
+		super(block, "delegate", {from_idx, to_idx});
 	}
 }
 
 // simulates the transfer transaction containing token transfer data
 class TransferTransaction extends Transaction {
-	constructor(block_num, from_idx, to_idx, value) {
-		super(block_num, "transfer", {from_idx, to_idx, value});
+	constructor(block, from_idx, to_idx, value) {
+		super(block, "transfer", {from_idx, to_idx, value});
 	}
 }
 
-// Represents a snapshot of balances, voting powers, delegations, etc, at a given block
+// Represents a snapshot of balances, voting powers, delegations, etc, at a given timepoint
+// timepoint is a block number or a block timestamp depending on the clock mode (ERC-6372)
 class State {
-	#block_num;
+	#timepoint;
 	#balances;
 	#voting_powers;
 	// array of delegate indexes
 	// delegator defined by its index "i" points to its delegate defined by its index "delegations[i]"
 	#delegations;
 
-	constructor(block_num, balances, voting_powers, delegations) {
+	constructor(timepoint, balances, voting_powers, delegations) {
 		// ensure the inputs are of correct types
-		assert_primitive(block_num);
+		assert_primitive(timepoint);
 		assert_array(balances);
 		assert_array(voting_powers, false);
 		assert_array_of_primitives(delegations, false);
 
 		const n = balances.length;
 
-		// block num is a primitive, no need to copy
-		this.#block_num = block_num;
+		// timepoint is a primitive, no need to copy
+		this.#timepoint = timepoint;
 		// deep copy the input array of BNs
 		this.#balances = balances.slice().map(b => b.clone());
 		// initialize the rest of the fields with "empty" values or deep copy the inputs if defined
@@ -95,12 +109,12 @@ class State {
 		assert(this.#delegations.length === n,  "array length mismatch (delegations)");
 	}
 
-	clone() {
-		return new State(this.#block_num, this.#balances, this.#voting_powers, this.#delegations);
+	clone(timepoint = this.#timepoint) {
+		return new State(timepoint, this.#balances, this.#voting_powers, this.#delegations);
 	}
 
-	get block_num() {
-		return this.#block_num;
+	get timepoint() {
+		return this.#timepoint;
 	}
 
 	get balances() {
@@ -153,15 +167,21 @@ class State {
 }
 
 // Represents an entire history of snapshots
+// the history is keyed by block numbers (default), or by block timestamps if `timestamp_clock` is set,
+// the same way the token keys the voting power and total supply history (see ERC-6372 `clock()`)
 class History {
+	#timestamp_clock;
 	#initial_state;
 	#latest_state;
-	#latest_block;
 	#transactions = [];
-	constructor(block_num, balances) {
-		this.#initial_state = new State(block_num, balances);
+	constructor(block, balances, timestamp_clock = false) {
+		this.#timestamp_clock = timestamp_clock;
+		this.#initial_state = new State(timestamp_clock? block.timestamp: block.number, balances);
 		this.#latest_state = this.#initial_state.clone();
-		this.#latest_block = block_num;
+	}
+
+	get timestamp_clock() {
+		return this.#timestamp_clock;
 	}
 
 	get initial_state() {
@@ -172,45 +192,47 @@ class History {
 		return this.#latest_state.clone();
 	}
 
-	get latest_block() {
-		return this.#latest_block;
+	get latest_timepoint() {
+		return this.#latest_state.timepoint;
 	}
 
 	// adds a generic transaction to the transaction history
 	#add_tx(tx) {
 		// get a shortcut
 		const txs = this.#transactions;
+		const timepoint = tx.timepoint(this.#timestamp_clock);
 		// verify we're not adding a transaction in the past
-		assert(this.#latest_block <= tx.block_num, "cannot insert transaction into the past");
+		assert(this.latest_timepoint <= timepoint, "cannot insert transaction into the past");
 
 		// apply the transaction to the current (latest) state
-		this.#latest_state.apply_tx(tx);
-		this.#latest_block = tx.block_num;
+		const state = this.#latest_state.clone(timepoint);
+		state.apply_tx(tx);
+		this.#latest_state = state;
 
 		// save the transaction
 		txs.push(tx);
 	}
 	// adds a delegate transaction to the transaction history
 	// value -1 for to_idx means revoke a delegate transaction
-	delegate(block_num, from_idx, to_idx) {
-		return this.#add_tx(new DelegationTransaction(block_num, from_idx, to_idx));
+	delegate(block, from_idx, to_idx) {
+		return this.#add_tx(new DelegationTransaction(block, from_idx, to_idx));
 	}
 	// adds a transfer transaction to the transaction history
-	transfer(block_num, from_idx, to_idx, value) {
-		return this.#add_tx(new TransferTransaction(block_num, from_idx, to_idx, value));
+	transfer(block, from_idx, to_idx, value) {
+		return this.#add_tx(new TransferTransaction(block, from_idx, to_idx, value));
 	}
 
-	// reconstructs the state based on initial state, and the transaction history up to the block specified
-	state_at(block_num) {
-		// if block number is not specified or if it's the latest one just return the latest state
-		if(!block_num || block_num >= this.#latest_state.block_num) {
+	// reconstructs the state based on initial state, and the transaction history up to the timepoint specified
+	state_at(timepoint) {
+		// if timepoint is not specified or if it's the latest one just return the latest state
+		if(timepoint === undefined || timepoint >= this.latest_timepoint) {
 			return this.latest_state;
 		}
 
 		// get the deep copy the initial state
-		const state = this.initial_state;
+		const state = this.#initial_state.clone(timepoint);
 		// apply all the transactions one by one to the state and return the result
-		this.#transactions.filter(tx => tx.block_num <= block_num).forEach(state.apply_tx);
+		this.#transactions.filter(tx => tx.timepoint(this.#timestamp_clock) <= timepoint).forEach(tx => state.apply_tx(tx));
 		return state;
 	}
 }
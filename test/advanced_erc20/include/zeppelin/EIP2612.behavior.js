@@ -11,6 +11,8 @@ const Wallet = require('ethereumjs-wallet').default;
 
 const { EIP712Domain, domainSeparator } = require('./eip712');
 
+const ERC1271WalletMock = artifacts.require('ERC1271WalletMock');
+
 const Permit = [
   { name: 'owner', type: 'address' },
   { name: 'spender', type: 'address' },
@@ -61,7 +63,7 @@ function shouldBehaveLikeEIP2612(name, symbol, initialSupply, initialHolder, spe
       const signature = ethSigUtil.signTypedMessage(wallet.getPrivateKey(), { data });
       const { v, r, s } = fromRpcSig(signature);
 
-      const receipt = await this.token.permit(owner, spender, value, maxDeadline, v, r, s);
+      const receipt = await this.token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](owner, spender, value, maxDeadline, v, r, s);
 
       expect(await this.token.nonces(owner)).to.be.bignumber.equal('1');
       expect(await this.token.allowance(owner, spender)).to.be.bignumber.equal(value);
@@ -72,10 +74,10 @@ function shouldBehaveLikeEIP2612(name, symbol, initialSupply, initialHolder, spe
       const signature = ethSigUtil.signTypedMessage(wallet.getPrivateKey(), { data });
       const { v, r, s } = fromRpcSig(signature);
 
-      await this.token.permit(owner, spender, value, maxDeadline, v, r, s);
+      await this.token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](owner, spender, value, maxDeadline, v, r, s);
 
       await expectRevert(
-        this.token.permit(owner, spender, value, maxDeadline, v, r, s),
+        this.token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](owner, spender, value, maxDeadline, v, r, s),
         'invalid signature',
       );
     });
@@ -87,7 +89,7 @@ function shouldBehaveLikeEIP2612(name, symbol, initialSupply, initialHolder, spe
       const { v, r, s } = fromRpcSig(signature);
 
       await expectRevert(
-        this.token.permit(owner, spender, value, maxDeadline, v, r, s),
+        this.token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](owner, spender, value, maxDeadline, v, r, s),
         'invalid signature',
       );
     });
@@ -100,7 +102,115 @@ function shouldBehaveLikeEIP2612(name, symbol, initialSupply, initialHolder, spe
       const { v, r, s } = fromRpcSig(signature);
 
       await expectRevert(
-        this.token.permit(owner, spender, value, deadline, v, r, s),
+        this.token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](owner, spender, value, deadline, v, r, s),
+        'signature expired',
+      );
+    });
+
+    it('accepts owner signature as bytes', async function () {
+      const data = buildData(this.chainId, this.token.address);
+      const signature = ethSigUtil.signTypedMessage(wallet.getPrivateKey(), { data });
+
+      await this.token.methods["permit(address,address,uint256,uint256,bytes)"](owner, spender, value, maxDeadline, signature);
+
+      expect(await this.token.nonces(owner)).to.be.bignumber.equal('1');
+      expect(await this.token.allowance(owner, spender)).to.be.bignumber.equal(value);
+    });
+
+    it('rejects malformed bytes signature', async function () {
+      const data = buildData(this.chainId, this.token.address);
+      const signature = ethSigUtil.signTypedMessage(wallet.getPrivateKey(), { data });
+
+      await expectRevert(
+        this.token.methods["permit(address,address,uint256,uint256,bytes)"](owner, spender, value, maxDeadline, signature + '00'),
+        'invalid signature length',
+      );
+    });
+  });
+
+  describe('permit from smart contract wallet (ERC-1271)', function () {
+    const signer = Wallet.generate();
+
+    const value = new BN(42);
+    const nonce = 0;
+    const maxDeadline = MAX_UINT256;
+
+    const buildData = (chainId, verifyingContract, owner, deadline = maxDeadline) => ({
+      primaryType: 'Permit',
+      types: { EIP712Domain, Permit },
+      domain: { name, chainId, verifyingContract },
+      message: { owner, spender, value, nonce, deadline },
+    });
+
+    let owner;
+    beforeEach(async function () {
+      this.wallet = await ERC1271WalletMock.new(signer.getAddressString());
+      owner = this.wallet.address;
+    });
+
+    it('accepts wallet owner signature', async function () {
+      const data = buildData(this.chainId, this.token.address, owner);
+      const signature = ethSigUtil.signTypedMessage(signer.getPrivateKey(), { data });
+
+      await this.token.methods["permit(address,address,uint256,uint256,bytes)"](owner, spender, value, maxDeadline, signature);
+
+      expect(await this.token.nonces(owner)).to.be.bignumber.equal('1');
+      expect(await this.token.allowance(owner, spender)).to.be.bignumber.equal(value);
+    });
+
+    it('accepts wallet owner signature split into v, r, s', async function () {
+      const data = buildData(this.chainId, this.token.address, owner);
+      const signature = ethSigUtil.signTypedMessage(signer.getPrivateKey(), { data });
+      const { v, r, s } = fromRpcSig(signature);
+
+      await this.token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](owner, spender, value, maxDeadline, v, r, s);
+
+      expect(await this.token.allowance(owner, spender)).to.be.bignumber.equal(value);
+    });
+
+    it('rejects reused signature', async function () {
+      const data = buildData(this.chainId, this.token.address, owner);
+      const signature = ethSigUtil.signTypedMessage(signer.getPrivateKey(), { data });
+
+      await this.token.methods["permit(address,address,uint256,uint256,bytes)"](owner, spender, value, maxDeadline, signature);
+
+      await expectRevert(
+        this.token.methods["permit(address,address,uint256,uint256,bytes)"](owner, spender, value, maxDeadline, signature),
+        'invalid signature',
+      );
+    });
+
+    it('rejects other signature', async function () {
+      const otherWallet = Wallet.generate();
+      const data = buildData(this.chainId, this.token.address, owner);
+      const signature = ethSigUtil.signTypedMessage(otherWallet.getPrivateKey(), { data });
+
+      await expectRevert(
+        this.token.methods["permit(address,address,uint256,uint256,bytes)"](owner, spender, value, maxDeadline, signature),
+        'invalid signature',
+      );
+    });
+
+    it('rejects signature the wallet refuses to validate', async function () {
+      const data = buildData(this.chainId, this.token.address, owner);
+      const signature = ethSigUtil.signTypedMessage(signer.getPrivateKey(), { data });
+
+      await this.wallet.setRejectAll(true);
+
+      await expectRevert(
+        this.token.methods["permit(address,address,uint256,uint256,bytes)"](owner, spender, value, maxDeadline, signature),
+        'invalid signature',
+      );
+    });
+
+    it('rejects expired permit', async function () {
+      const deadline = (await time.latest()) - time.duration.weeks(1);
+
+      const data = buildData(this.chainId, this.token.address, owner, deadline);
+      const signature = ethSigUtil.signTypedMessage(signer.getPrivateKey(), { data });
+
+      await expectRevert(
+        this.token.methods["permit(address,address,uint256,uint256,bytes)"](owner, spender, value, deadline, signature),
         'signature expired',
       );
     });
@@ -17,6 +17,7 @@ const queue = promisify(setImmediate);
 
 // token contract is deployed outside the behavior file
 // const ERC20VotesMock = artifacts.require('ERC20VotesMock');
+const ERC1271WalletMock = artifacts.require('ERC1271WalletMock');
 
 const { EIP712Domain, domainSeparator } = require('./eip712');
 
@@ -26,6 +27,13 @@ const Delegation = [
   { name: 'expiry', type: 'uint256' },
 ];
 
+const DelegationWithDelegator = [
+  { name: 'delegator', type: 'address' },
+  { name: 'delegate', type: 'address' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'expiry', type: 'uint256' },
+];
+
 async function countPendingTransactions() {
   return parseInt(
     await network.provider.send('eth_getBlockTransactionCountByNumber', ['pending'])
@@ -159,7 +167,7 @@ function shouldBehaveLikeVoting(name, symbol, supply, holder, recipient, holderD
 
         expect(await this.token.votingDelegates(delegatorAddress)).to.be.equal(ZERO_ADDRESS);
 
-        const { receipt } = await this.token.delegateWithAuthorization(delegatorAddress, nonce, MAX_UINT256, v, r, s);
+        const { receipt } = await this.token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegatorAddress, nonce, MAX_UINT256, v, r, s);
         expectEvent(receipt, 'DelegateChanged', {
           source: delegatorAddress,
           from: ZERO_ADDRESS,
@@ -190,10 +198,10 @@ function shouldBehaveLikeVoting(name, symbol, supply, holder, recipient, holderD
           }),
         ));
 
-        await this.token.delegateWithAuthorization(delegatorAddress, nonce, MAX_UINT256, v, r, s);
+        await this.token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegatorAddress, nonce, MAX_UINT256, v, r, s);
 
         await expectRevert(
-          this.token.delegateWithAuthorization(delegatorAddress, nonce, MAX_UINT256, v, r, s),
+          this.token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegatorAddress, nonce, MAX_UINT256, v, r, s),
           'invalid nonce',
         );
       });
@@ -208,7 +216,7 @@ function shouldBehaveLikeVoting(name, symbol, supply, holder, recipient, holderD
           }),
         ));
 
-        const { logs } = await this.token.delegateWithAuthorization(holderDelegate, nonce, MAX_UINT256, v, r, s);
+        const { logs } = await this.token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](holderDelegate, nonce, MAX_UINT256, v, r, s);
         const { args } = logs.find(({ event }) => event == 'DelegateChanged');
         expect(args.source).to.not.be.equal(delegatorAddress);
         expect(args.from).to.be.equal(ZERO_ADDRESS);
@@ -224,9 +232,9 @@ function shouldBehaveLikeVoting(name, symbol, supply, holder, recipient, holderD
             expiry: MAX_UINT256,
           }),
         ));
-        await this.token.delegateWithAuthorization(delegatorAddress, nonce, MAX_UINT256, v, r, s); // use nonce
+        await this.token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegatorAddress, nonce, MAX_UINT256, v, r, s); // use nonce
         await expectRevert(
-          this.token.delegateWithAuthorization(delegatorAddress, nonce, MAX_UINT256, v, r, s),
+          this.token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegatorAddress, nonce, MAX_UINT256, v, r, s),
           'invalid nonce',
         );
       });
@@ -243,11 +251,216 @@ function shouldBehaveLikeVoting(name, symbol, supply, holder, recipient, holderD
         ));
 
         await expectRevert(
-          this.token.delegateWithAuthorization(delegatorAddress, nonce, expiry, v, r, s),
+          this.token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegatorAddress, nonce, expiry, v, r, s),
           'signature expired',
         );
       });
     });
+
+    describe('with bytes signature', function () {
+      const signer = Wallet.generate();
+      const signerAddress = web3.utils.toChecksumAddress(signer.getAddressString());
+      const nonce = ZERO_BYTES32;
+
+      const buildData = (chainId, verifyingContract, message) => ({ data: {
+        primaryType: 'DelegationWithDelegator',
+        types: { EIP712Domain, DelegationWithDelegator },
+        // remove versionId from the EIP712 Domain
+        domain: { name, chainId, verifyingContract },
+        message,
+      }});
+
+      const delegateWithAuthorization = 'delegateWithAuthorization(address,address,bytes32,uint256,bytes)';
+
+      it('accept signed delegation from EOA', async function () {
+        await this.token.mint(signerAddress, supply);
+        const signature = ethSigUtil.signTypedMessage(
+          signer.getPrivateKey(),
+          buildData(this.chainId, this.token.address, {
+            delegator: signerAddress,
+            delegate: holderDelegate,
+            nonce,
+            expiry: MAX_UINT256,
+          }),
+        );
+
+        const { receipt } = await this.token.methods[delegateWithAuthorization](signerAddress, holderDelegate, nonce, MAX_UINT256, signature);
+        expectEvent(receipt, 'DelegateChanged', {
+          source: signerAddress,
+          from: ZERO_ADDRESS,
+          to: holderDelegate,
+        });
+
+        expect(await this.token.votingPowerOf(holderDelegate)).to.be.bignumber.equal(supply);
+      });
+
+      it('rejects signature of another EOA', async function () {
+        const signature = ethSigUtil.signTypedMessage(
+          signer.getPrivateKey(),
+          buildData(this.chainId, this.token.address, {
+            delegator: holder,
+            delegate: holderDelegate,
+            nonce,
+            expiry: MAX_UINT256,
+          }),
+        );
+
+        await expectRevert(
+          this.token.methods[delegateWithAuthorization](holder, holderDelegate, nonce, MAX_UINT256, signature),
+          'invalid signature',
+        );
+      });
+
+      describe('from smart contract wallet (ERC-1271)', function () {
+        let wallet;
+        beforeEach(async function () {
+          wallet = await ERC1271WalletMock.new(signerAddress);
+          await this.token.mint(wallet.address, supply);
+        });
+
+        it('accept signed delegation', async function () {
+          const signature = ethSigUtil.signTypedMessage(
+            signer.getPrivateKey(),
+            buildData(this.chainId, this.token.address, {
+              delegator: wallet.address,
+              delegate: holderDelegate,
+              nonce,
+              expiry: MAX_UINT256,
+            }),
+          );
+
+          const { receipt } = await this.token.methods[delegateWithAuthorization](wallet.address, holderDelegate, nonce, MAX_UINT256, signature);
+          expectEvent(receipt, 'DelegateChanged', {
+            source: wallet.address,
+            from: ZERO_ADDRESS,
+            to: holderDelegate,
+          });
+          expectEvent(receipt, 'VotingPowerChanged', {
+            by: wallet.address,
+            target: holderDelegate,
+            fromVal: '0',
+            toVal: supply,
+          });
+
+          expect(await this.token.votingDelegates(wallet.address)).to.be.equal(holderDelegate);
+          expect(await this.token.votingPowerOf(holderDelegate)).to.be.bignumber.equal(supply);
+        });
+
+        it('rejects reused signature', async function () {
+          const signature = ethSigUtil.signTypedMessage(
+            signer.getPrivateKey(),
+            buildData(this.chainId, this.token.address, {
+              delegator: wallet.address,
+              delegate: holderDelegate,
+              nonce,
+              expiry: MAX_UINT256,
+            }),
+          );
+
+          await this.token.methods[delegateWithAuthorization](wallet.address, holderDelegate, nonce, MAX_UINT256, signature);
+
+          await expectRevert(
+            this.token.methods[delegateWithAuthorization](wallet.address, holderDelegate, nonce, MAX_UINT256, signature),
+            'invalid nonce',
+          );
+        });
+
+        it('rejects signature not by the wallet owner', async function () {
+          const signature = ethSigUtil.signTypedMessage(
+            Wallet.generate().getPrivateKey(),
+            buildData(this.chainId, this.token.address, {
+              delegator: wallet.address,
+              delegate: holderDelegate,
+              nonce,
+              expiry: MAX_UINT256,
+            }),
+          );
+
+          await expectRevert(
+            this.token.methods[delegateWithAuthorization](wallet.address, holderDelegate, nonce, MAX_UINT256, signature),
+            'invalid signature',
+          );
+        });
+
+        it('rejects signature the wallet refuses to validate', async function () {
+          const signature = ethSigUtil.signTypedMessage(
+            signer.getPrivateKey(),
+            buildData(this.chainId, this.token.address, {
+              delegator: wallet.address,
+              delegate: holderDelegate,
+              nonce,
+              expiry: MAX_UINT256,
+            }),
+          );
+
+          await wallet.setRejectAll(true);
+
+          await expectRevert(
+            this.token.methods[delegateWithAuthorization](wallet.address, holderDelegate, nonce, MAX_UINT256, signature),
+            'invalid signature',
+          );
+        });
+
+        it('rejects expired permit', async function () {
+          const expiry = (await time.latest()) - time.duration.weeks(1);
+          const signature = ethSigUtil.signTypedMessage(
+            signer.getPrivateKey(),
+            buildData(this.chainId, this.token.address, {
+              delegator: wallet.address,
+              delegate: holderDelegate,
+              nonce,
+              expiry,
+            }),
+          );
+
+          await expectRevert(
+            this.token.methods[delegateWithAuthorization](wallet.address, holderDelegate, nonce, expiry, signature),
+            'signature expired',
+          );
+        });
+
+        it('rejects signature bound to another delegator', async function () {
+          const signature = ethSigUtil.signTypedMessage(
+            signer.getPrivateKey(),
+            buildData(this.chainId, this.token.address, {
+              delegator: signerAddress,
+              delegate: holderDelegate,
+              nonce,
+              expiry: MAX_UINT256,
+            }),
+          );
+
+          await expectRevert(
+            this.token.methods[delegateWithAuthorization](wallet.address, holderDelegate, nonce, MAX_UINT256, signature),
+            'invalid signature',
+          );
+        });
+
+        it('rejects EOA delegation signature replayed on behalf of the wallet', async function () {
+          // the wallet owner signs the delegation of its own EOA voting power,
+          // the message doesn't bind the delegator, the delegator is recovered from the signature
+          const signature = ethSigUtil.signTypedMessage(
+            signer.getPrivateKey(),
+            { data: {
+              primaryType: 'Delegation',
+              types: { EIP712Domain, Delegation },
+              domain: { name, chainId: this.chainId, verifyingContract: this.token.address },
+              message: { delegate: holderDelegate, nonce, expiry: MAX_UINT256 },
+            }},
+          );
+          const { v, r, s } = fromRpcSig(signature);
+          await this.token.methods['delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)'](holderDelegate, nonce, MAX_UINT256, v, r, s);
+          expect(await this.token.votingDelegates(signerAddress)).to.be.equal(holderDelegate);
+
+          // the same signature cannot be used to delegate the wallet voting power
+          await expectRevert(
+            this.token.methods[delegateWithAuthorization](wallet.address, holderDelegate, nonce, MAX_UINT256, signature),
+            'invalid signature',
+          );
+          expect(await this.token.votingDelegates(wallet.address)).to.be.equal(ZERO_ADDRESS);
+        });
+      });
+    });
   });
 
   describe('change delegation', function () {
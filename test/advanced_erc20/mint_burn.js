@@ -358,6 +358,69 @@ contract("AdvancedRC20: Mint/Burn", function(accounts) {
 				});
 			});
 
+			describe("Maximum supply (supply cap)", function() {
+				const uint192_max = new BN(2).pow(new BN(192)).subn(1);
+				it("is not capped by default (equals to uint192 max)", async function() {
+					expect(await token.maxSupply()).to.be.bignumber.that.equals(uint192_max);
+				});
+				it("cannot be lowered not by TOKEN_CREATOR", async function() {
+					await expectRevert(token.lowerMaxSupply(S0.muln(2), {from: by}), "access denied");
+				});
+				describe("when performed by TOKEN_CREATOR", function() {
+					beforeEach(async function() {
+						await token.updateRole(by, ROLE_TOKEN_CREATOR, {from: a0});
+					});
+					it("cannot be lowered to zero", async function() {
+						await expectRevert(token.lowerMaxSupply(0, {from: by}), "zero max supply");
+					});
+					it("cannot be set to the same value", async function() {
+						await expectRevert(token.lowerMaxSupply(uint192_max, {from: by}), "max supply can only be lowered");
+					});
+					it("cannot be lowered below the total supply", async function() {
+						await expectRevert(token.lowerMaxSupply(S0.subn(1), {from: by}), "max supply is below total supply");
+					});
+					describe("can be lowered otherwise", function() {
+						const cap = S0.muln(2);
+						let receipt;
+						beforeEach(async function() {
+							receipt = await token.lowerMaxSupply(cap, {from: by});
+						});
+						it('"MaxSupplyChanged" event is emitted', async function() {
+							expectEvent(receipt, "MaxSupplyChanged", {by, fromVal: uint192_max, toVal: cap});
+						});
+						it("max supply gets updated", async function() {
+							expect(await token.maxSupply()).to.be.bignumber.that.equals(cap);
+						});
+						it("max supply cannot be increased back", async function() {
+							await expectRevert(token.lowerMaxSupply(cap.addn(1), {from: by}), "max supply can only be lowered");
+						});
+						it("tokens can be minted up to the max supply", async function() {
+							await token.mint(a2, cap.sub(S0), {from: by});
+							expect(await token.totalSupply()).to.be.bignumber.that.equals(cap);
+						});
+						it("tokens cannot be minted above the max supply", async function() {
+							await expectRevert(token.mint(a2, cap.sub(S0).addn(1), {from: by}), "max supply exceeded");
+						});
+						it("ERC1363 mint cannot exceed the max supply", async function() {
+							await expectRevert(
+								token.methods["mintAndCall(address,uint256)"](a2, cap.sub(S0).addn(1), {from: by}),
+								"max supply exceeded"
+							);
+						});
+						it("burnt tokens can be minted again", async function() {
+							await token.mint(a2, cap.sub(S0), {from: by});
+							await token.burn(from, S0, {from: a0});
+							await token.mint(a2, S0, {from: by});
+							expect(await token.totalSupply()).to.be.bignumber.that.equals(cap);
+						});
+						it("can be lowered down to the total supply, disabling minting", async function() {
+							await token.lowerMaxSupply(S0, {from: by});
+							await expectRevert(token.mint(a2, 1, {from: by}), "max supply exceeded");
+						});
+					});
+				});
+			});
+
 		});
 	}
 
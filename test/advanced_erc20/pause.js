@@ -0,0 +1,223 @@
+// ERC20: Emergency Pause Tests
+
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+const {
+	ZERO_ADDRESS,
+	ZERO_BYTES32,
+	MAX_UINT256,
+} = constants;
+
+// RBAC token features and roles
+const {
+	not,
+	FEATURE_ALL,
+	FEATURE_TRANSFERS,
+	ROLE_TOKEN_CREATOR,
+	ROLE_TOKEN_DESTROYER,
+	ROLE_PAUSE_MANAGER,
+} = require("../../scripts/include/features_roles");
+
+// EIP712 helpers
+const {
+	eip712_delegate,
+	eip712_permit,
+	eip712_transfer,
+	eip712_receive,
+} = require("./include/eip712");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+	erc1363_deploy_acceptor,
+} = require("./include/deployment_routines");
+
+// run emergency pause tests
+contract("ERC20: Emergency Pause tests", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2] = accounts;
+
+	// expiration, deadlines, validity defaults
+	const expiry = 10e9;
+	const deadline = 10e9;
+	const validBefore = 10e9;
+	const validAfter = 10e3;
+	// create empty account with known private key
+	const w = web3.eth.accounts.create();
+
+	let token;
+	beforeEach(async function() {
+		token = await advanced_erc20_deploy(a0, H0);
+	});
+
+	it("token is not paused after deployment", async function() {
+		expect(await token.paused()).to.be.false;
+	});
+	it("deployer has ROLE_PAUSE_MANAGER", async function() {
+		expect(await token.getRole(a0)).to.be.bignumber.that.equals(MAX_UINT256);
+	});
+
+	describe("pause", function() {
+		it("fails if executed not by ROLE_PAUSE_MANAGER", async function() {
+			await token.updateRole(a1, not(ROLE_PAUSE_MANAGER), {from: a0});
+			await expectRevert(token.pause({from: a1}), "access denied");
+		});
+		it("fails if the token is already paused", async function() {
+			await token.pause({from: a0});
+			await expectRevert(token.pause({from: a0}), "already paused");
+		});
+		describe("succeeds if executed by ROLE_PAUSE_MANAGER", function() {
+			let receipt;
+			beforeEach(async function() {
+				await token.updateRole(a1, ROLE_PAUSE_MANAGER, {from: a0});
+				receipt = await token.pause({from: a1});
+			});
+			it('"Paused" event is emitted', async function() {
+				expectEvent(receipt, "Paused", {by: a1});
+			});
+			it("token becomes paused", async function() {
+				expect(await token.paused()).to.be.true;
+			});
+			it("features mask doesn't change", async function() {
+				expect(await token.features()).to.be.bignumber.that.equals(new BN(FEATURE_ALL));
+			});
+		});
+	});
+
+	describe("unpause", function() {
+		it("fails if executed not by ROLE_PAUSE_MANAGER", async function() {
+			await token.pause({from: a0});
+			await token.updateRole(a1, not(ROLE_PAUSE_MANAGER), {from: a0});
+			await expectRevert(token.unpause({from: a1}), "access denied");
+		});
+		it("fails if the token is not paused", async function() {
+			await expectRevert(token.unpause({from: a0}), "not paused");
+		});
+		describe("succeeds if executed by ROLE_PAUSE_MANAGER", function() {
+			let receipt;
+			beforeEach(async function() {
+				await token.updateRole(a1, ROLE_PAUSE_MANAGER, {from: a0});
+				await token.pause({from: a1});
+				receipt = await token.unpause({from: a1});
+			});
+			it('"Unpaused" event is emitted', async function() {
+				expectEvent(receipt, "Unpaused", {by: a1});
+			});
+			it("token becomes unpaused", async function() {
+				expect(await token.paused()).to.be.false;
+			});
+			it("transfers are possible again", async function() {
+				await token.transfer(a1, 1, {from: H0});
+				expect(await token.balanceOf(a1)).to.be.bignumber.that.equals("1");
+			});
+		});
+		it("restores exactly the features enabled before the pause", async function() {
+			await token.updateFeatures(FEATURE_TRANSFERS, {from: a0});
+			await token.pause({from: a0});
+			await token.unpause({from: a0});
+			expect(await token.features()).to.be.bignumber.that.equals(new BN(FEATURE_TRANSFERS));
+			await expectRevert(token.delegate(a1, {from: H0}), "delegations are disabled");
+		});
+		it("restores the features updated during the pause", async function() {
+			await token.pause({from: a0});
+			await token.updateFeatures(FEATURE_TRANSFERS, {from: a0});
+			await token.unpause({from: a0});
+			expect(await token.features()).to.be.bignumber.that.equals(new BN(FEATURE_TRANSFERS));
+		});
+	});
+
+	describe("when the token is paused", function() {
+		const by = a1;
+		const from = H0;
+		const to = a2;
+		const value = 1;
+
+		let erc1363_acceptor;
+		beforeEach(async function() {
+			erc1363_acceptor = await erc1363_deploy_acceptor(a0);
+			// prepare some state to use when paused
+			await token.transfer(w.address, value, {from});
+			await token.approve(by, MAX_UINT256, {from});
+			await token.updateRole(by, ROLE_TOKEN_CREATOR | ROLE_TOKEN_DESTROYER, {from: a0});
+			await token.pause({from: a0});
+		});
+
+		it("transfer reverts", async function() {
+			await expectRevert(token.transfer(to, value, {from}), "token is paused");
+		});
+		it("transfer on behalf reverts", async function() {
+			await expectRevert(token.transferFrom(from, to, value, {from: by}), "token is paused");
+		});
+		it("unsafe transfer reverts", async function() {
+			await expectRevert(token.unsafeTransferFrom(from, to, value, {from}), "token is paused");
+		});
+		it("ERC-1363 transfer and call reverts", async function() {
+			await expectRevert(
+				token.methods["transferAndCall(address,uint256)"](erc1363_acceptor.address, value, {from}),
+				"token is paused"
+			);
+		});
+		it("ERC-1363 approve and call reverts", async function() {
+			await expectRevert(
+				token.methods["approveAndCall(address,uint256)"](erc1363_acceptor.address, value, {from}),
+				"token is paused"
+			);
+		});
+		it("EIP-3009 transfer with auth reverts", async function() {
+			const {v, r, s} = await eip712_transfer(token.address, w.address, to, value, validAfter, validBefore, ZERO_BYTES32, w.privateKey);
+			await expectRevert(
+				token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](w.address, to, value, validAfter, validBefore, ZERO_BYTES32, v, r, s, {from: by}),
+				"token is paused"
+			);
+		});
+		it("EIP-3009 receive with auth reverts", async function() {
+			const {v, r, s} = await eip712_receive(token.address, w.address, to, value, validAfter, validBefore, ZERO_BYTES32, w.privateKey);
+			await expectRevert(
+				token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](w.address, to, value, validAfter, validBefore, ZERO_BYTES32, v, r, s, {from: to}),
+				"token is paused"
+			);
+		});
+		it("mint reverts even for ROLE_TOKEN_CREATOR", async function() {
+			await expectRevert(token.mint(to, value, {from: by}), "token is paused");
+		});
+		it("own burn reverts", async function() {
+			await expectRevert(token.burn(from, value, {from}), "token is paused");
+		});
+		it("burn reverts even for ROLE_TOKEN_DESTROYER", async function() {
+			await expectRevert(token.burn(from, value, {from: by}), "token is paused");
+		});
+		it("delegation reverts", async function() {
+			await expectRevert(token.delegate(to, {from}), "token is paused");
+		});
+		it("delegation on behalf reverts", async function() {
+			const {v, r, s} = await eip712_delegate(token.address, to, ZERO_BYTES32, expiry, w.privateKey);
+			await expectRevert(token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](to, ZERO_BYTES32, expiry, v, r, s, {from: by}), "token is paused");
+		});
+		it("approve succeeds", async function() {
+			await token.approve(to, value, {from});
+			expect(await token.allowance(from, to)).to.be.bignumber.that.equals(new BN(value));
+		});
+		it("EIP-2612 permit succeeds", async function() {
+			const {v, r, s} = await eip712_permit(token.address, w.address, to, value, 0, deadline, w.privateKey);
+			await token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](w.address, to, value, deadline, v, r, s, {from: by});
+			expect(await token.allowance(w.address, to)).to.be.bignumber.that.equals(new BN(value));
+		});
+		it("features can be updated", async function() {
+			await token.updateFeatures(FEATURE_TRANSFERS, {from: a0});
+			expect(await token.features()).to.be.bignumber.that.equals(new BN(FEATURE_TRANSFERS));
+		});
+	});
+});
@@ -199,7 +199,7 @@ contract("ERC20: AccessControl (RBAC) tests", function(accounts) {
 							await token.updateFeatures(FEATURE_DELEGATIONS_ON_BEHALF, {from: a0});
 						});
 						it("delegation on behalf succeeds", async function() {
-							await token.delegateWithAuthorization(delegate, nonce, expiry, v, r, s, {from});
+							await token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegate, nonce, expiry, v, r, s, {from});
 						});
 					});
 					describe("when FEATURE_DELEGATIONS_ON_BEHALF is disabled", function() {
@@ -208,7 +208,7 @@ contract("ERC20: AccessControl (RBAC) tests", function(accounts) {
 						});
 						it("delegation on behalf reverts", async function() {
 							await expectRevert(
-								token.delegateWithAuthorization(delegate, nonce, expiry, v, r, s, {from}),
+								token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](delegate, nonce, expiry, v, r, s, {from}),
 								"delegations on behalf are disabled"
 							);
 						});
@@ -227,7 +227,7 @@ contract("ERC20: AccessControl (RBAC) tests", function(accounts) {
 							await token.updateFeatures(FEATURE_EIP2612_PERMITS, {from: a0});
 						});
 						it("EIP-2612 permit succeeds", async function() {
-							await token.permit(owner, spender, value, deadline, v, r, s, {from: by});
+							await token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](owner, spender, value, deadline, v, r, s, {from: by});
 						});
 					});
 					describe("when FEATURE_EIP2612_PERMITS is disabled", function() {
@@ -236,7 +236,7 @@ contract("ERC20: AccessControl (RBAC) tests", function(accounts) {
 						});
 						it("EIP-2612 permit reverts", async function() {
 							await expectRevert(
-								token.permit(owner, spender, value, deadline, v, r, s, {from: by}),
+								token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](owner, spender, value, deadline, v, r, s, {from: by}),
 								"EIP2612 permits are disabled"
 							);
 						});
@@ -259,7 +259,7 @@ contract("ERC20: AccessControl (RBAC) tests", function(accounts) {
 							await token.updateFeatures(FEATURE_TRANSFERS | FEATURE_EIP3009_TRANSFERS, {from: a0});
 						});
 						it("EIP-3009 transfer succeeds", async function() {
-							await token.transferWithAuthorization(w.address, to, value, validAfter, validBefore, nonce, v, r, s, {from: by});
+							await token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](w.address, to, value, validAfter, validBefore, nonce, v, r, s, {from: by});
 						});
 					});
 					describe("when FEATURE_EIP3009_TRANSFERS is disabled", function() {
@@ -268,7 +268,7 @@ contract("ERC20: AccessControl (RBAC) tests", function(accounts) {
 						});
 						it("EIP-3009 transfer reverts", async function() {
 							await expectRevert(
-								token.transferWithAuthorization(w.address, to, value, validAfter, validBefore, nonce, v, r, s, {from: by}),
+								token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](w.address, to, value, validAfter, validBefore, nonce, v, r, s, {from: by}),
 								"EIP3009 transfers are disabled"
 							);
 						});
@@ -291,7 +291,7 @@ contract("ERC20: AccessControl (RBAC) tests", function(accounts) {
 							await token.updateFeatures(FEATURE_TRANSFERS | FEATURE_EIP3009_RECEPTIONS, {from: a0});
 						});
 						it("EIP-3009 reception succeeds", async function() {
-							await token.receiveWithAuthorization(w.address, to, value, validAfter, validBefore, nonce, v, r, s, {from: to});
+							await token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](w.address, to, value, validAfter, validBefore, nonce, v, r, s, {from: to});
 						});
 					});
 					describe("when FEATURE_EIP3009_RECEPTIONS is disabled", function() {
@@ -300,7 +300,7 @@ contract("ERC20: AccessControl (RBAC) tests", function(accounts) {
 						});
 						it("EIP-3009 reception reverts", async function() {
 							await expectRevert(
-								token.receiveWithAuthorization(w.address, to, value, validAfter, validBefore, nonce, v, r, s, {from: to}),
+								token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](w.address, to, value, validAfter, validBefore, nonce, v, r, s, {from: to}),
 								"EIP3009 receptions are disabled"
 							);
 						});
@@ -0,0 +1,181 @@
+// UpgradeableAdvancedERC20: Upgradeability (UUPS/ERC1967) Tests
+// note: the rest of the test suite can be run against the upgradeable token
+// by setting the UPGRADEABLE_ERC20 environment variable, see hardhat.config.js
+
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+	expectEvent,
+	expectRevert,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+const {
+	ZERO_ADDRESS,
+	ZERO_BYTES32,
+	MAX_UINT256,
+} = constants;
+
+// token constants
+const {
+	NAME,
+	SYMBOL,
+	TOTAL_SUPPLY: S0,
+} = require("./include/erc20_constants");
+
+// RBAC token features and roles
+const {
+	FEATURE_ALL,
+	ROLE_UPGRADE_MANAGER,
+} = require("../../scripts/include/features_roles");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+	advanced_erc20_deploy_upgradeable,
+} = require("./include/deployment_routines");
+const {
+	get_erc20_upgradeable_deployment,
+} = require("../include/deployment_fixture_routines");
+
+// run upgradeability tests
+contract("UpgradeableAdvancedERC20: Upgradeability tests", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2] = accounts;
+
+	// deploys the new implementation to upgrade to
+	async function deploy_impl() {
+		const UpgradeableAdvancedERC20 = artifacts.require("UpgradeableAdvancedERC20");
+		return await UpgradeableAdvancedERC20.new({from: a0});
+	}
+
+	let token, impl;
+	beforeEach(async function() {
+		token = await advanced_erc20_deploy_upgradeable(a0, H0);
+		impl = await token.getImplementation();
+	});
+
+	it("token implementations fit into the 24KB contract size limit (EIP-170)", async function() {
+		for(const name of ["AdvancedERC20", "UpgradeableAdvancedERC20"]) {
+			const {deployedBytecode} = artifacts.require(name);
+			expect((deployedBytecode.length - 2) / 2, name).to.be.at.most(24_576);
+		}
+	});
+
+	describe("after deployment", function() {
+		it("proxy is initialized", async function() {
+			expect(await token.getInitializedVersion()).to.be.bignumber.that.equals("1");
+		});
+		it("proxy gets the name, symbol, and initial supply", async function() {
+			expect(await token.name(), "name").to.equal(NAME);
+			expect(await token.symbol(), "symbol").to.equal(SYMBOL);
+			expect(await token.balanceOf(H0), "balance").to.be.bignumber.that.equals(S0);
+		});
+		it("proxy owner gets all the permissions (including ROLE_UPGRADE_MANAGER)", async function() {
+			expect(await token.getRole(a0)).to.be.bignumber.that.equals(MAX_UINT256);
+		});
+		it("proxy cannot be initialized again", async function() {
+			await expectRevert(
+				token.methods["postConstruct(address,string,string,address,uint256,uint256)"](a1, NAME, SYMBOL, a1, S0, FEATURE_ALL, {from: a1}),
+				"Initializable: contract is already initialized"
+			);
+		});
+		it("implementation is locked (initialized with no owner and no features)", async function() {
+			const UpgradeableAdvancedERC20 = artifacts.require("UpgradeableAdvancedERC20");
+			const impl_contract = await UpgradeableAdvancedERC20.at(impl);
+			expect(await impl_contract.getInitializedVersion(), "version").to.be.bignumber.that.equals("1");
+			expect(await impl_contract.features(), "features").to.be.bignumber.that.is.zero;
+			expect(await impl_contract.getRole(a0), "deployer role").to.be.bignumber.that.is.zero;
+			await expectRevert(
+				impl_contract.methods["postConstruct(address,string,string,address,uint256,uint256)"](a1, NAME, SYMBOL, a1, S0, FEATURE_ALL, {from: a1}),
+				"Initializable: contract is already initialized"
+			);
+		});
+		it("implementation cannot be upgraded directly", async function() {
+			const UpgradeableAdvancedERC20 = artifacts.require("UpgradeableAdvancedERC20");
+			const impl_contract = await UpgradeableAdvancedERC20.at(impl);
+			const new_impl = await deploy_impl();
+			await expectRevert(
+				impl_contract.upgradeTo(new_impl.address, {from: a0}),
+				"Function must be called through delegatecall"
+			);
+		});
+	});
+
+	describe("upgrade", function() {
+		let new_impl;
+		beforeEach(async function() {
+			new_impl = await deploy_impl();
+		});
+		it("fails if executed not by ROLE_UPGRADE_MANAGER", async function() {
+			await token.updateRole(a1, FEATURE_ALL, {from: a0});
+			await expectRevert(token.upgradeTo(new_impl.address, {from: a1}), "AccessDenied()");
+		});
+		it("fails if the new implementation is not UUPS", async function() {
+			const not_uups = await advanced_erc20_deploy(a0);
+			await expectRevert(token.upgradeTo(not_uups.address, {from: a0}), "ERC1967Upgrade: new implementation is not UUPS");
+		});
+		describe("succeeds if executed by ROLE_UPGRADE_MANAGER", function() {
+			let receipt;
+			beforeEach(async function() {
+				// prepare some state to verify it survives the upgrade
+				await token.transfer(a1, S0.divn(4), {from: H0});
+				await token.approve(a2, S0.divn(8), {from: H0});
+				await token.delegate(a2, {from: a1});
+
+				await token.updateRole(a1, ROLE_UPGRADE_MANAGER, {from: a0});
+				receipt = await token.upgradeTo(new_impl.address, {from: a1});
+			});
+			it('"Upgraded" event is emitted', async function() {
+				expectEvent(receipt, "Upgraded", {implementation: new_impl.address});
+			});
+			it("implementation address gets updated", async function() {
+				expect(await token.getImplementation()).to.equal(new_impl.address);
+			});
+			it("name, symbol, and total supply are preserved", async function() {
+				expect(await token.name(), "name").to.equal(NAME);
+				expect(await token.symbol(), "symbol").to.equal(SYMBOL);
+				expect(await token.totalSupply(), "total supply").to.be.bignumber.that.equals(S0);
+			});
+			it("balances and allowances are preserved", async function() {
+				expect(await token.balanceOf(H0), "H0 balance").to.be.bignumber.that.equals(S0.sub(S0.divn(4)));
+				expect(await token.balanceOf(a1), "a1 balance").to.be.bignumber.that.equals(S0.divn(4));
+				expect(await token.allowance(H0, a2), "allowance").to.be.bignumber.that.equals(S0.divn(8));
+			});
+			it("voting delegation and voting power are preserved", async function() {
+				expect(await token.votingDelegates(a1), "delegate").to.equal(a2);
+				expect(await token.votingPowerOf(a2), "voting power").to.be.bignumber.that.equals(S0.divn(4));
+			});
+			it("features and roles are preserved", async function() {
+				expect(await token.features(), "features").to.be.bignumber.that.equals(new BN(FEATURE_ALL));
+				expect(await token.getRole(a1), "a1 role").to.be.bignumber.that.equals(ROLE_UPGRADE_MANAGER);
+			});
+			it("token remains functional", async function() {
+				await token.transfer(a2, S0.divn(8), {from: a1});
+				expect(await token.balanceOf(a2)).to.be.bignumber.that.equals(S0.divn(8));
+				expect(await token.votingPowerOf(a2), "voting power").to.be.bignumber.that.equals(S0.divn(8));
+			});
+		});
+	});
+
+	describe("ERC20_Proxy deployment (hardhat-deploy fixture)", function() {
+		let proxy;
+		before(async function() {
+			proxy = await get_erc20_upgradeable_deployment();
+		});
+		it("points to the UpgradeableAdvancedERC20 implementation", async function() {
+			const {address} = await deployments.get("UpgradeableAdvancedERC20");
+			expect(await proxy.getImplementation()).to.equal(address);
+		});
+		it("gets initialized with all the features enabled", async function() {
+			expect(await proxy.features()).to.be.bignumber.that.equals(new BN(FEATURE_ALL));
+		});
+	});
+});
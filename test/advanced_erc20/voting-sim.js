@@ -1,6 +1,7 @@
 // ERC20: Voting Simulation
 // Following simulation executes a significant amount of token transfers and voting delegation operations,
-// tracking the expected token contract state and verifying it then against real state
+// tracking the expected token contract state and verifying it then against real state, current and past;
+// the simulation runs for both ERC-6372 clock modes: history keyed by block numbers and by block timestamps
 
 const log = require("loglevel");
 log.setLevel(process.env.LOG_LEVEL? process.env.LOG_LEVEL: "info");
@@ -11,6 +12,7 @@ const {
 	constants,
 	expectEvent,
 	expectRevert,
+	time,
 } = require("@lazy-sol/zeppelin-test-helpers");
 const {
 	assert,
@@ -41,6 +43,7 @@ const {
 // deployment routines in use
 const {
 	advanced_erc20_deploy,
+	advanced_erc20_deploy_timestamp_clock,
 } = require("./include/deployment_routines");
 
 // auxiliary classes for voting delegation simulation
@@ -57,13 +60,17 @@ contract("ERC20: Voting Delegation Simulation", function(accounts) {
 	// participants – rest of the accounts
 	const participants = accounts.slice(3);
 
-	function voting_sim_suite(suite_name, deployment_fn) {
+	function voting_sim_suite(suite_name, deployment_fn, timestamp_clock = false) {
 		describe(suite_name, function() {
 			let token;
 			beforeEach(async function() {
 				token = await deployment_fn(a0, H0);
 			});
 
+			it(`clock mode is ${timestamp_clock? "timestamp": "block number"}`, async function() {
+				expect(await token.CLOCK_MODE()).to.equal(timestamp_clock? "mode=timestamp": "mode=blocknumber&from=default");
+			});
+
 			// simulation executor
 			async function voting_sim_test(cycles = 1000, p1 = 0.015, p2 = 0.015) {
 				// for this simulation we will be working with all the available accounts
@@ -88,8 +95,14 @@ contract("ERC20: Voting Delegation Simulation", function(accounts) {
 				log.info("%o", draw_amounts(amounts));
 
 
+				// reads the block number and timestamp of the block specified
+				async function get_block(block_id) {
+					const {number, timestamp} = await web3.eth.getBlock(block_id);
+					return {number: parseInt(number), timestamp: parseInt(timestamp)};
+				}
+
 				// define a history object to track account balances, voting power, and delegations
-				const history = new History(await web3.eth.getBlockNumber(), amounts);
+				const history = new History(await get_block("latest"), amounts, timestamp_clock);
 
 				// generates random integer in [from, from + range) range
 				function random_int(from, range) {
@@ -101,7 +114,7 @@ contract("ERC20: Voting Delegation Simulation", function(accounts) {
 				async function delegate(from_idx, to_idx) {
 					// Truffle result: https://www.trufflesuite.com/docs/truffle/getting-started/interacting-with-your-contracts#processing-transaction-results
 					const result = await token.delegate(to_idx < n? participants[to_idx]: ZERO_ADDRESS, {from: participants[from_idx]});
-					history.delegate(result.receipt.blockNumber, from_idx, to_idx < n? to_idx: -1);
+					history.delegate(await get_block(result.receipt.blockNumber), from_idx, to_idx < n? to_idx: -1);
 					log.debug("delegate %o => %o", from_idx + 1, to_idx < n? to_idx + 1: "0x00");
 				}
 
@@ -109,7 +122,7 @@ contract("ERC20: Voting Delegation Simulation", function(accounts) {
 				async function transfer(from_idx, to_idx, value) {
 					// Truffle result: https://www.trufflesuite.com/docs/truffle/getting-started/interacting-with-your-contracts#processing-transaction-results
 					const result = await token.transfer(participants[to_idx], value, {from: participants[from_idx]});
-					history.transfer(result.receipt.blockNumber, from_idx, to_idx, value);
+					history.transfer(await get_block(result.receipt.blockNumber), from_idx, to_idx, value);
 					log.debug("transfer %o -> %o (%o)", from_idx + 1, to_idx + 1, print_amt(value, DM));
 				}
 
@@ -180,6 +193,24 @@ contract("ERC20: Voting Delegation Simulation", function(accounts) {
 						);
 					}
 				}
+				async function verify_past_state(round, timepoint) {
+					// the state expected at the timepoint specified
+					const state = history.state_at(timepoint);
+					const voting_powers = state.voting_powers;
+
+					for(let i = 0; i < n; i++) {
+						const voting_power = await token.votingPowerAt(participants[i], timepoint);
+						expect(voting_powers[i]).to.be.bignumber.that.equals(
+							voting_power,
+							"unexpected voting power for account " + (i + 1) + " at " + timepoint + ", round " + round
+						);
+					}
+					// there are no mints and burns during the simulation, the supply is the initial one
+					expect(S0).to.be.bignumber.that.equals(
+						await token.totalSupplyAt(timepoint),
+						"unexpected total supply at " + timepoint + ", round " + round
+					);
+				}
 
 				for(let i = 0; i < cycles; i++) {
 					await prob_delegate();
@@ -188,15 +219,23 @@ contract("ERC20: Voting Delegation Simulation", function(accounts) {
 					const round = i + 1;
 					const state = history.latest_state;
 					log.info(
-						"round %o; block %o:\nbalances  %o\nvoting    %o\ndelegates %o",
+						"round %o; %s %o:\nbalances  %o\nvoting    %o\ndelegates %o",
 						round,
-						history.latest_block,
+						timestamp_clock? "timestamp": "block",
+						history.latest_timepoint,
 						print_symbols(state.balances),
 						print_symbols(state.voting_powers),
 						print_booleans(state.delegations.map(d => d >= 0))
 					);
 
 					await verify_state(round, state);
+
+					// let some time pass (up to a minute, like on an idle L2), so that the timestamps and the block numbers diverge
+					await time.increase(random_int(1, 60));
+
+					// verify the past state at some random timepoint since the simulation start, finalized already
+					const t0 = history.initial_state.timepoint;
+					await verify_past_state(round, random_int(t0, history.latest_timepoint - t0 + 1));
 				}
 			}
 
@@ -213,4 +252,5 @@ contract("ERC20: Voting Delegation Simulation", function(accounts) {
 	}
 
 	voting_sim_suite("AdvancedERC20", advanced_erc20_deploy);
+	voting_sim_suite("AdvancedERC20 (timestamp clock)", advanced_erc20_deploy_timestamp_clock, true);
 });
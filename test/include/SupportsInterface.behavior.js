@@ -53,6 +53,18 @@ const INTERFACES = {
     'receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)',
     'cancelAuthorization(address,bytes32,uint8,bytes32,bytes32)',
   ],
+  ERC6372: [
+    'clock()',
+    'CLOCK_MODE()',
+  ],
+  ERC5805: [
+    'getVotes(address)',
+    'getPastVotes(address,uint256)',
+    'getPastTotalSupply(uint256)',
+    'delegates(address)',
+    'delegate(address)',
+    'delegateBySig(address,uint256,uint256,uint8,bytes32,bytes32)',
+  ],
 };
 
 const INTERFACE_IDS = {};
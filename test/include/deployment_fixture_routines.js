@@ -16,7 +16,7 @@ async function get_erc20_deployment() {
 	const {address} = await deployments.get("AdvancedERC20_Impl");
 
 	// connect to the contract instance and return it
-	const Contract = artifacts.require("./ERC20Mock");
+	const Contract = artifacts.require("./AdvancedERC20");
 	return await Contract.at(address);
 }
 
@@ -28,13 +28,14 @@ async function get_erc20_deployment() {
 async function get_erc20_upgradeable_deployment() {
 	// make sure fixtures were deployed, this can be also done via --deploy-fixture test flag
 	// see https://github.com/wighawag/hardhat-deploy#creating-fixtures
-	await deployments.fixture();
+	// deploy only the proxy and its implementation, leaving the rest of the network untouched
+	await deployments.fixture(["ERC20_Proxy"]);
 
 	// get deployed contract address
 	const {address} = await deployments.get("ERC20_Proxy");
 
 	// connect to the contract instance and return it
-	const Contract = artifacts.require("./UpgradeableERC20Mock");
+	const Contract = artifacts.require("./UpgradeableAdvancedERC20");
 	return await Contract.at(address);
 }
 
@@ -3,6 +3,7 @@
 // Zeppelin test helpers
 const {
 	BN,
+	balance,
 	constants,
 	expectEvent,
 	expectRevert,
@@ -21,15 +22,29 @@ const {
 const {
 	FULL_PRIVILEGES_MASK,
 	FEATURE_ALL,
+	FACTORY: {
+		FEATURE_REGISTERED_IMPLEMENTATIONS_ONLY,
+		FEATURE_RESTRICTED_CLONING,
+		ROLE_IMPLEMENTATION_MANAGER,
+		ROLE_CLONER,
+		ROLE_FEE_MANAGER,
+	},
 } = require("../../scripts/include/features_roles");
 
+// postConstruct calldata encoder
+const {encodeTokenInit} = require("../../scripts/include/token_init");
+
 // deployment routines in use
+const {
+	advanced_erc20_deploy,
+} = require("../advanced_erc20/include/deployment_routines");
 const {
 	NAME,
 	SYMBOL,
 	deploy_generic_factory,
 	deploy_advanced_erc20_implementation_contract,
 	generic_factory_clone,
+	generic_factory_clone_deterministic,
 	generic_factory_predict_clone_address,
 } = require("./include/deployment_routines");
 
@@ -65,6 +80,7 @@ contract("Generic Factory", function(accounts) {
 					by: relayer,
 					proxyAddress: token.address,
 					implAddress: erc20_impl.address,
+					salt: ZERO_BYTES32,
 					data: init_data,
 					returnData: null,
 				});
@@ -83,7 +99,7 @@ contract("Generic Factory", function(accounts) {
 					expect(await token.getRole(owner)).to.be.bignumber.that.equals(FULL_PRIVILEGES_MASK);
 				});
 			});
-			it("deployed ERC721 (proxy) has all main features 0xFFFF enabled", async function() {
+			it("deployed ERC721 (proxy) has all main features (FEATURE_ALL) enabled", async function() {
 				expect(await token.features()).to.be.bignumber.that.equals("" + FEATURE_ALL);
 			});
 			it("postConstruct cannot be executed on the deployed ERC20 (proxy)", async function() {
@@ -104,6 +120,7 @@ contract("Generic Factory", function(accounts) {
 					by: relayer,
 					proxyAddress,
 					implAddress: erc20_impl.address,
+					salt: ZERO_BYTES32,
 					data: null,
 					returnData: null,
 				});
@@ -134,5 +151,510 @@ contract("Generic Factory", function(accounts) {
 				"ERC1167: create failed"
 			);
 		});
+		describe("it deploys ERC20 (proxy) to the deterministic address successfully", function() {
+			const relayer = a1;
+			const owner = a2;
+			const salt = web3.utils.keccak256("salt");
+
+			let predicted_address, receipt, token, init_data;
+			beforeEach(async function() {
+				predicted_address = await factory.predictDeterministicAddress(erc20_impl.address, salt, relayer);
+				({receipt, instance: token, init_data} = await generic_factory_clone_deterministic(factory, erc20_impl, salt, owner, H0, relayer));
+			});
+			it("ProxyDeployed event is emitted", async function() {
+				expectEvent(receipt, "ProxyDeployed", {
+					by: relayer,
+					proxyAddress: token.address,
+					implAddress: erc20_impl.address,
+					salt,
+					data: init_data,
+					returnData: null,
+				});
+			});
+			it("ERC20 (proxy) is deployed to the predicted address", async function() {
+				expect(token.address).to.equal(predicted_address);
+			});
+			it("owner has full 0xFF...FF permissions on the deployed ERC20 (proxy)", async function() {
+				expect(await token.getRole(owner)).to.be.bignumber.that.equals(FULL_PRIVILEGES_MASK);
+			});
+			it("postConstruct cannot be executed on the deployed ERC20 (proxy)", async function() {
+				await expectRevert(token.postConstruct(a0, NAME, SYMBOL, H0, 0, 0), "already initialized");
+			});
+			it("the same salt cannot be reused by the same deployer", async function() {
+				await expectRevert(
+					generic_factory_clone_deterministic(factory, erc20_impl, salt, owner, H0, relayer),
+					"ERC1167: create2 failed"
+				);
+			});
+			it("the same salt can be used by another deployer, resulting in another address", async function() {
+				const {instance} = await generic_factory_clone_deterministic(factory, erc20_impl, salt, owner, H0, a0);
+				expect(instance.address).to.not.equal(token.address);
+			});
+		});
+		describe("predictDeterministicAddress", function() {
+			const salt = web3.utils.keccak256("salt");
+			it("doesn't depend on the initialization data", async function() {
+				const predicted_address = await factory.predictDeterministicAddress(erc20_impl.address, salt, a1);
+				const receipt = await factory.cloneDeterministic(erc20_impl.address, salt, "0x", {from: a1});
+				expectEvent(receipt, "ProxyDeployed", {proxyAddress: predicted_address, salt});
+			});
+			it("depends on the implementation address", async function() {
+				expect(await factory.predictDeterministicAddress(erc20_impl.address, salt, a1))
+					.to.not.equal(await factory.predictDeterministicAddress(factory.address, salt, a1));
+			});
+			it("depends on the salt", async function() {
+				expect(await factory.predictDeterministicAddress(erc20_impl.address, salt, a1))
+					.to.not.equal(await factory.predictDeterministicAddress(erc20_impl.address, ZERO_BYTES32, a1));
+			});
+		});
+		it("it fails to deploy ERC20 (proxy) to the deterministic address with wrong initialization data", async function() {
+			await expectRevert(
+				factory.cloneDeterministic(erc20_impl.address, ZERO_BYTES32, ZERO_BYTES32, {from: a0}),
+				"proxy initialization failed"
+			);
+		});
+		describe("it deploys several ERC20 (proxies) in a single transaction successfully", function() {
+			const relayer = a1;
+
+			let impl_v2, init_data, receipt, proxy_addresses;
+			beforeEach(async function() {
+				impl_v2 = await deploy_advanced_erc20_implementation_contract(a0);
+				init_data = [
+					encodeTokenInit({owner: a2, name: "Governance", symbol: "GOV", holder: H0, supply: 1000, features: FEATURE_ALL}),
+					encodeTokenInit({owner: a2, name: "Points", symbol: "PTS"}),
+					"0x",
+				];
+				const impl_addresses = [erc20_impl.address, impl_v2.address, erc20_impl.address];
+				({proxyAddresses: proxy_addresses} = await factory.cloneBatch.call(impl_addresses, init_data, {from: relayer}));
+				receipt = await factory.cloneBatch(impl_addresses, init_data, {from: relayer});
+			});
+			it("ProxyDeployed event is emitted for every clone", async function() {
+				const events = receipt.logs.filter(log => log.event === "ProxyDeployed");
+				expect(events.map(e => e.args.proxyAddress)).to.deep.equal(proxy_addresses);
+				expect(events.map(e => e.args.implAddress)).to.deep.equal([erc20_impl.address, impl_v2.address, erc20_impl.address]);
+				expect(events.map(e => e.args.by)).to.deep.equal([relayer, relayer, relayer]);
+				expect(events.map(e => e.args.data)).to.deep.equal([init_data[0], init_data[1], null]);
+			});
+			it("the clones are initialized", async function() {
+				const gov = await erc20_impl.constructor.at(proxy_addresses[0]);
+				const pts = await erc20_impl.constructor.at(proxy_addresses[1]);
+				expect(await gov.symbol()).to.equal("GOV");
+				expect(await gov.balanceOf(H0)).to.be.bignumber.that.equals("1000");
+				expect(await pts.symbol()).to.equal("PTS");
+				expect(await pts.getRole(a2)).to.be.bignumber.that.equals(FULL_PRIVILEGES_MASK);
+			});
+			it("the clone with empty data is not initialized", async function() {
+				const token = await erc20_impl.constructor.at(proxy_addresses[2]);
+				await token.postConstruct(a0, NAME, SYMBOL, H0, 0, 0);
+			});
+			it("the clones are indexed", async function() {
+				expect(await factory.getClonesByDeployer(relayer, 0, 10)).to.deep.equal(proxy_addresses);
+			});
+		});
+		it("it fails to deploy an empty batch", async function() {
+			await expectRevert(factory.cloneBatch([], [], {from: a1}), "empty batch");
+		});
+		it("it fails to deploy a batch if the array lengths mismatch", async function() {
+			await expectRevert(factory.cloneBatch([erc20_impl.address], ["0x", "0x"], {from: a1}), "array lengths mismatch");
+		});
+		it("it fails to deploy a batch atomically if any of the clones fails to initialize", async function() {
+			const init_data = encodeTokenInit({owner: a2, name: NAME, symbol: SYMBOL});
+			await expectRevert(
+				factory.cloneBatch([erc20_impl.address, erc20_impl.address], [init_data, ZERO_BYTES32], {from: a1}),
+				"proxy initialization failed"
+			);
+			expect(await factory.getClonesCount()).to.be.bignumber.that.is.zero;
+		});
+		it("cloning is not restricted by default", async function() {
+			expect(await factory.features()).to.be.bignumber.that.is.zero;
+		});
+		it("cloning is open to everyone when no features are enabled (like in the upgraded factories)", async function() {
+			await factory.updateFeatures(0, {from: a0});
+			await generic_factory_clone(factory, erc20_impl, a2, H0, a1);
+		});
+		describe("when cloning is restricted", function() {
+			const cloner = a2;
+			beforeEach(async function() {
+				await factory.updateFeatures(FEATURE_RESTRICTED_CLONING, {from: a0});
+				await factory.updateRole(cloner, ROLE_CLONER, {from: a0});
+			});
+			it("clone fails if executed not by a cloner", async function() {
+				await expectRevert(generic_factory_clone(factory, erc20_impl, a2, H0, a1), "cloning is restricted");
+			});
+			it("cloneDeterministic fails if executed not by a cloner", async function() {
+				await expectRevert(
+					generic_factory_clone_deterministic(factory, erc20_impl, ZERO_BYTES32, a2, H0, a1),
+					"cloning is restricted"
+				);
+			});
+			it("cloneBatch fails if executed not by a cloner", async function() {
+				await expectRevert(factory.cloneBatch([erc20_impl.address], ["0x"], {from: a1}), "cloning is restricted");
+			});
+			it("clone succeeds if executed by a cloner", async function() {
+				await generic_factory_clone(factory, erc20_impl, a2, H0, cloner);
+			});
+			it("cloneDeterministic succeeds if executed by a cloner", async function() {
+				await generic_factory_clone_deterministic(factory, erc20_impl, ZERO_BYTES32, a2, H0, cloner);
+			});
+			it("cloneBatch succeeds if executed by a cloner", async function() {
+				await factory.cloneBatch([erc20_impl.address], ["0x"], {from: cloner});
+			});
+		});
+		describe("clone fee", function() {
+			const fee_manager = a1;
+			const cloner = a2;
+			const fee = new BN(web3.utils.toWei("0.01"));
+
+			let fee_token;
+			beforeEach(async function() {
+				fee_token = await advanced_erc20_deploy(a0, H0);
+				await factory.updateRole(fee_manager, ROLE_FEE_MANAGER, {from: a0});
+				await factory.updateRole(cloner, ROLE_CLONER, {from: a0});
+			});
+			it("there is no fee by default", async function() {
+				const {token, amount} = await factory.getCloneFee(H0, 1);
+				expect(token).to.equal(ZERO_ADDRESS);
+				expect(amount).to.be.bignumber.that.is.zero;
+			});
+			it("setCloneFee fails if executed not by fee manager", async function() {
+				await expectRevert(factory.setCloneFee(ZERO_ADDRESS, fee, {from: H0}), "AccessDenied()");
+			});
+			it("setCloneFee fails if the fee token is not a contract", async function() {
+				await expectRevert(factory.setCloneFee(H0, fee, {from: fee_manager}), "not a contract");
+			});
+			it("withdrawFees fails if executed not by fee manager", async function() {
+				await expectRevert(factory.withdrawFees(ZERO_ADDRESS, H0, 0, {from: H0}), "AccessDenied()");
+			});
+			it("withdrawFees fails if the receiver is zero address", async function() {
+				await expectRevert(factory.withdrawFees(ZERO_ADDRESS, ZERO_ADDRESS, 0, {from: fee_manager}), "zero address");
+			});
+			it("withdrawFees fails if the token is not a contract", async function() {
+				await expectRevert(factory.withdrawFees(H0, H0, 0, {from: fee_manager}), "not a contract");
+			});
+			describe("when the fee is set in native currency", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await factory.setCloneFee(ZERO_ADDRESS, fee, {from: fee_manager});
+				});
+				it("CloneFeeUpdated event is emitted", async function() {
+					expectEvent(receipt, "CloneFeeUpdated", {by: fee_manager, feeToken: ZERO_ADDRESS, cloneFee: fee});
+				});
+				it("getCloneFee returns the fee multiplied by the number of clones", async function() {
+					const {token, amount} = await factory.getCloneFee(H0, 3);
+					expect(token).to.equal(ZERO_ADDRESS);
+					expect(amount).to.be.bignumber.that.equals(fee.muln(3));
+				});
+				it("getCloneFee returns zero for a cloner", async function() {
+					const {amount} = await factory.getCloneFee(cloner, 3);
+					expect(amount).to.be.bignumber.that.is.zero;
+				});
+				it("clone fails if the fee is not paid", async function() {
+					await expectRevert(factory.clone(erc20_impl.address, "0x", {from: H0}), "incorrect fee value");
+				});
+				it("clone fails if the fee paid is too big", async function() {
+					await expectRevert(factory.clone(erc20_impl.address, "0x", {from: H0, value: fee.muln(2)}), "incorrect fee value");
+				});
+				it("cloneBatch fails if the fee is paid for one clone only", async function() {
+					await expectRevert(
+						factory.cloneBatch([erc20_impl.address, erc20_impl.address], ["0x", "0x"], {from: H0, value: fee}),
+						"incorrect fee value"
+					);
+				});
+				it("cloner doesn't pay the fee", async function() {
+					await factory.clone(erc20_impl.address, "0x", {from: cloner});
+					expect(await balance.current(factory.address)).to.be.bignumber.that.is.zero;
+				});
+				describe("when the fee is paid", function() {
+					let receipt;
+					beforeEach(async function() {
+						await factory.clone(erc20_impl.address, "0x", {from: H0, value: fee});
+						await factory.cloneDeterministic(erc20_impl.address, ZERO_BYTES32, "0x", {from: H0, value: fee});
+						receipt = await factory.cloneBatch([erc20_impl.address, erc20_impl.address], ["0x", "0x"], {from: H0, value: fee.muln(2)});
+					});
+					it("CloneFeeCharged event is emitted", async function() {
+						expectEvent(receipt, "CloneFeeCharged", {by: H0, feeToken: ZERO_ADDRESS, amount: fee.muln(2)});
+					});
+					it("the fees are collected on the factory balance", async function() {
+						expect(await balance.current(factory.address)).to.be.bignumber.that.equals(fee.muln(4));
+					});
+					describe("when the fees are withdrawn", function() {
+						let receipt, balance_tracker;
+						beforeEach(async function() {
+							balance_tracker = await balance.tracker(a2);
+							receipt = await factory.withdrawFees(ZERO_ADDRESS, a2, fee.muln(3), {from: fee_manager});
+						});
+						it("FeesWithdrawn event is emitted", async function() {
+							expectEvent(receipt, "FeesWithdrawn", {by: fee_manager, token: ZERO_ADDRESS, to: a2, value: fee.muln(3)});
+						});
+						it("the receiver gets the fees", async function() {
+							expect(await balance_tracker.delta()).to.be.bignumber.that.equals(fee.muln(3));
+						});
+						it("the factory balance decreases", async function() {
+							expect(await balance.current(factory.address)).to.be.bignumber.that.equals(fee);
+						});
+					});
+					it("withdrawFees fails if the balance is not enough", async function() {
+						await expectRevert(factory.withdrawFees(ZERO_ADDRESS, a2, fee.muln(5), {from: fee_manager}), "native transfer failed");
+					});
+				});
+			});
+			describe("when the fee is set in ERC20 token", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await factory.setCloneFee(fee_token.address, fee, {from: fee_manager});
+				});
+				it("CloneFeeUpdated event is emitted", async function() {
+					expectEvent(receipt, "CloneFeeUpdated", {by: fee_manager, feeToken: fee_token.address, cloneFee: fee});
+				});
+				it("clone fails if the fee is not approved", async function() {
+					await expectRevert(factory.clone(erc20_impl.address, "0x", {from: H0}), "token transfer failed");
+				});
+				it("clone fails if native currency is sent", async function() {
+					await fee_token.approve(factory.address, fee, {from: H0});
+					await expectRevert(factory.clone(erc20_impl.address, "0x", {from: H0, value: fee}), "incorrect fee value");
+				});
+				it("cloner doesn't pay the fee", async function() {
+					await factory.clone(erc20_impl.address, "0x", {from: cloner});
+				});
+				describe("when the fee is paid", function() {
+					let receipt;
+					beforeEach(async function() {
+						await fee_token.approve(factory.address, fee.muln(2), {from: H0});
+						receipt = await factory.cloneBatch([erc20_impl.address, erc20_impl.address], ["0x", "0x"], {from: H0});
+					});
+					it("CloneFeeCharged event is emitted", async function() {
+						expectEvent(receipt, "CloneFeeCharged", {by: H0, feeToken: fee_token.address, amount: fee.muln(2)});
+					});
+					it("the fees are collected on the factory balance", async function() {
+						expect(await fee_token.balanceOf(factory.address)).to.be.bignumber.that.equals(fee.muln(2));
+					});
+					describe("when the fees are withdrawn", function() {
+						let receipt;
+						beforeEach(async function() {
+							receipt = await factory.withdrawFees(fee_token.address, a2, fee, {from: fee_manager});
+						});
+						it("FeesWithdrawn event is emitted", async function() {
+							expectEvent(receipt, "FeesWithdrawn", {by: fee_manager, token: fee_token.address, to: a2, value: fee});
+						});
+						it("the receiver gets the fees", async function() {
+							expect(await fee_token.balanceOf(a2)).to.be.bignumber.that.equals(fee);
+						});
+					});
+					it("withdrawFees fails if the balance is not enough", async function() {
+						await expectRevert(
+							factory.withdrawFees(fee_token.address, a2, fee.muln(3), {from: fee_manager}),
+							"token transfer failed"
+						);
+					});
+				});
+			});
+		});
+		describe("implementation registry", function() {
+			const manager = a1;
+
+			let impl_v2;
+			beforeEach(async function() {
+				impl_v2 = await deploy_advanced_erc20_implementation_contract(a0);
+				await factory.updateRole(manager, ROLE_IMPLEMENTATION_MANAGER, {from: a0});
+			});
+			it("registry is empty initially", async function() {
+				expect(await factory.getTemplateNames()).to.be.empty;
+				expect(await factory.isRegisteredImplementation(erc20_impl.address)).to.be.false;
+			});
+			it("getLatestImplementation fails for unknown template", async function() {
+				await expectRevert(factory.getLatestImplementation("AdvancedERC20"), "unknown template");
+			});
+			it("registerImplementation fails if executed not by implementation manager", async function() {
+				await expectRevert(
+					factory.registerImplementation("AdvancedERC20", "1.1", erc20_impl.address, {from: a2}),
+					"AccessDenied()"
+				);
+			});
+			it("registerImplementation fails if the name is empty", async function() {
+				await expectRevert(factory.registerImplementation("", "1.1", erc20_impl.address, {from: manager}), "empty name");
+			});
+			it("registerImplementation fails if the version is empty", async function() {
+				await expectRevert(factory.registerImplementation("AdvancedERC20", "", erc20_impl.address, {from: manager}), "empty version");
+			});
+			it("registerImplementation fails if the implementation is not a contract", async function() {
+				await expectRevert(factory.registerImplementation("AdvancedERC20", "1.1", a2, {from: manager}), "not a contract");
+			});
+			it("deregisterImplementation fails if the implementation is not registered", async function() {
+				await expectRevert(factory.deregisterImplementation(erc20_impl.address, {from: manager}), "not registered");
+			});
+			describe("when implementations are registered", function() {
+				let receipt;
+				beforeEach(async function() {
+					receipt = await factory.registerImplementation("AdvancedERC20", "1.1", erc20_impl.address, {from: manager});
+					await factory.registerImplementation("AdvancedERC20", "1.2", impl_v2.address, {from: manager});
+				});
+				it("ImplementationRegistered event is emitted", async function() {
+					expectEvent(receipt, "ImplementationRegistered", {
+						by: manager,
+						implAddress: erc20_impl.address,
+						name: "AdvancedERC20",
+						version: "1.1",
+					});
+				});
+				it("template name is listed once", async function() {
+					expect(await factory.getTemplateNames()).to.deep.equal(["AdvancedERC20"]);
+				});
+				it("template versions are listed in the order of registration", async function() {
+					const versions = await factory.getTemplateVersions("AdvancedERC20");
+					expect(versions.map(v => v.version)).to.deep.equal(["1.1", "1.2"]);
+					expect(versions.map(v => v.implAddress)).to.deep.equal([erc20_impl.address, impl_v2.address]);
+				});
+				it("the latest version is the last one registered", async function() {
+					const {version, implAddress} = await factory.getLatestImplementation("AdvancedERC20");
+					expect(version).to.equal("1.2");
+					expect(implAddress).to.equal(impl_v2.address);
+				});
+				it("implementations are registered", async function() {
+					expect(await factory.isRegisteredImplementation(erc20_impl.address)).to.be.true;
+					expect(await factory.isRegisteredImplementation(impl_v2.address)).to.be.true;
+				});
+				it("implementation record is accessible", async function() {
+					const {name, version, implAddress} = await factory.implementations(erc20_impl.address);
+					expect([name, version, implAddress]).to.deep.equal(["AdvancedERC20", "1.1", erc20_impl.address]);
+				});
+				it("the same implementation cannot be registered twice", async function() {
+					await expectRevert(
+						factory.registerImplementation("AdvancedERC20v2", "1.0", erc20_impl.address, {from: manager}),
+						"already registered"
+					);
+				});
+				it("the same version of the template cannot be registered twice", async function() {
+					const impl = await deploy_advanced_erc20_implementation_contract(a0);
+					await expectRevert(
+						factory.registerImplementation("AdvancedERC20", "1.2", impl.address, {from: manager}),
+						"version already registered"
+					);
+				});
+				it("the same version can be registered for another template", async function() {
+					const impl = await deploy_advanced_erc20_implementation_contract(a0);
+					await factory.registerImplementation("AdvancedERC20v2", "1.2", impl.address, {from: manager});
+					expect(await factory.getTemplateNames()).to.deep.equal(["AdvancedERC20", "AdvancedERC20v2"]);
+				});
+				it("deregisterImplementation fails if executed not by implementation manager", async function() {
+					await expectRevert(factory.deregisterImplementation(impl_v2.address, {from: a2}), "AccessDenied()");
+				});
+				describe("when the latest version is deregistered", function() {
+					let receipt;
+					beforeEach(async function() {
+						receipt = await factory.deregisterImplementation(impl_v2.address, {from: manager});
+					});
+					it("ImplementationDeregistered event is emitted", async function() {
+						expectEvent(receipt, "ImplementationDeregistered", {
+							by: manager,
+							implAddress: impl_v2.address,
+							name: "AdvancedERC20",
+							version: "1.2",
+						});
+					});
+					it("implementation is not registered anymore", async function() {
+						expect(await factory.isRegisteredImplementation(impl_v2.address)).to.be.false;
+					});
+					it("the previous version becomes the latest", async function() {
+						const {version} = await factory.getLatestImplementation("AdvancedERC20");
+						expect(version).to.equal("1.1");
+					});
+					it("the version can be registered again", async function() {
+						await factory.registerImplementation("AdvancedERC20", "1.2", impl_v2.address, {from: manager});
+						expect(await factory.isRegisteredImplementation(impl_v2.address)).to.be.true;
+					});
+				});
+				describe("when all the versions are deregistered", function() {
+					beforeEach(async function() {
+						await factory.deregisterImplementation(erc20_impl.address, {from: manager});
+						await factory.deregisterImplementation(impl_v2.address, {from: manager});
+					});
+					it("template name is removed", async function() {
+						expect(await factory.getTemplateNames()).to.be.empty;
+					});
+					it("template has no versions", async function() {
+						expect(await factory.getTemplateVersions("AdvancedERC20")).to.be.empty;
+					});
+				});
+			});
+			describe("when cloning is restricted to the registered implementations", function() {
+				beforeEach(async function() {
+					await factory.registerImplementation("AdvancedERC20", "1.1", erc20_impl.address, {from: manager});
+					await factory.updateFeatures(FEATURE_REGISTERED_IMPLEMENTATIONS_ONLY, {from: a0});
+				});
+				it("registered implementation can be cloned", async function() {
+					await generic_factory_clone(factory, erc20_impl, a2, H0, a2);
+				});
+				it("registered implementation can be cloned to the deterministic address", async function() {
+					await generic_factory_clone_deterministic(factory, erc20_impl, ZERO_BYTES32, a2, H0, a2);
+				});
+				it("not registered implementation cannot be cloned", async function() {
+					await expectRevert(generic_factory_clone(factory, impl_v2, a2, H0, a2), "implementation is not registered");
+				});
+				it("not registered implementation cannot be cloned in a batch", async function() {
+					await expectRevert(
+						factory.cloneBatch([erc20_impl.address, impl_v2.address], ["0x", "0x"], {from: a2}),
+						"implementation is not registered"
+					);
+				});
+				it("not registered implementation cannot be cloned to the deterministic address", async function() {
+					await expectRevert(
+						generic_factory_clone_deterministic(factory, impl_v2, ZERO_BYTES32, a2, H0, a2),
+						"implementation is not registered"
+					);
+				});
+			});
+			it("not registered implementation can be cloned when cloning is not restricted", async function() {
+				await generic_factory_clone(factory, impl_v2, a2, H0, a2);
+			});
+		});
+		describe("clones index", function() {
+			let impl_v2, clone_1, clone_2, clone_3;
+			beforeEach(async function() {
+				impl_v2 = await deploy_advanced_erc20_implementation_contract(a0);
+				({instance: clone_1} = await generic_factory_clone(factory, erc20_impl, a2, H0, a1));
+				({instance: clone_2} = await generic_factory_clone_deterministic(factory, impl_v2, ZERO_BYTES32, a2, H0, a1));
+				({instance: clone_3} = await generic_factory_clone(factory, erc20_impl, a2, H0, a2));
+			});
+			it("total number of the clones is correct", async function() {
+				expect(await factory.getClonesCount()).to.be.bignumber.that.equals("3");
+			});
+			it("all the clones are listed in the order of deployment", async function() {
+				expect(await factory.getClones(0, 10)).to.deep.equal([clone_1.address, clone_2.address, clone_3.address]);
+			});
+			it("clones are paginated", async function() {
+				expect(await factory.getClones(0, 2)).to.deep.equal([clone_1.address, clone_2.address]);
+				expect(await factory.getClones(2, 2)).to.deep.equal([clone_3.address]);
+			});
+			it("page out of bounds is empty", async function() {
+				expect(await factory.getClones(3, 10)).to.be.empty;
+				expect(await factory.getClones(MAX_UINT256, MAX_UINT256)).to.be.empty;
+			});
+			it("zero limit page is empty", async function() {
+				expect(await factory.getClones(0, 0)).to.be.empty;
+			});
+			it("clones are listed by deployer", async function() {
+				expect(await factory.getClonesByDeployerCount(a1)).to.be.bignumber.that.equals("2");
+				expect(await factory.getClonesByDeployer(a1, 0, 10)).to.deep.equal([clone_1.address, clone_2.address]);
+				expect(await factory.getClonesByDeployer(a2, 0, 10)).to.deep.equal([clone_3.address]);
+				expect(await factory.getClonesByDeployer(H0, 0, 10)).to.be.empty;
+			});
+			it("clones are listed by implementation", async function() {
+				expect(await factory.getClonesByImplementationCount(erc20_impl.address)).to.be.bignumber.that.equals("2");
+				expect(await factory.getClonesByImplementation(erc20_impl.address, 1, 10)).to.deep.equal([clone_3.address]);
+				expect(await factory.getClonesByImplementation(impl_v2.address, 0, 10)).to.deep.equal([clone_2.address]);
+			});
+			it("isDeployedByFactory is true for the clones", async function() {
+				expect(await factory.isDeployedByFactory(clone_1.address)).to.be.true;
+				expect(await factory.isDeployedByFactory(clone_2.address)).to.be.true;
+			});
+			it("isDeployedByFactory is false for the implementation and other addresses", async function() {
+				expect(await factory.isDeployedByFactory(erc20_impl.address)).to.be.false;
+				expect(await factory.isDeployedByFactory(a1)).to.be.false;
+			});
+			it("failed deployment is not indexed", async function() {
+				await expectRevert(factory.clone(erc20_impl.address, ZERO_BYTES32, {from: a1}), "proxy initialization failed");
+				expect(await factory.getClonesCount()).to.be.bignumber.that.equals("3");
+			});
+		});
 	});
 });
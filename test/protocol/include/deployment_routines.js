@@ -10,12 +10,14 @@ const {
 	NAME,
 	SYMBOL,
 	TOTAL_SUPPLY: S0,
-	advanced_erc20_deploy_detached,
 } = require("../../advanced_erc20/include/deployment_routines");
 
 // RBAC features and roles
 const {FEATURE_ALL} = require("../../../scripts/include/features_roles");
 
+// postConstruct calldata encoder
+const {encodeTokenInit} = require("../../../scripts/include/token_init");
+
 /**
  * Deploys generic factory capable of cloning any smart contract
  * @param a0 smart contract owner, super admin
@@ -42,8 +44,12 @@ async function deploy_generic_factory(a0) {
  * @returns TinyERC721 instance
  */
 async function deploy_advanced_erc20_implementation_contract(a0) {
+	// the implementation is always deployed as is, even when testing the upgradeable flavour of the token:
+	// EIP-1167 clone of the ERC1967 proxy would read the implementation address from its own (empty) storage
+	const AdvancedERC20 = artifacts.require("./AdvancedERC20");
+
 	// deploy implementation and return
-	return await advanced_erc20_deploy_detached(a0, ZERO_ADDRESS, 0, "impl contract, not for use", "N/A");
+	return await AdvancedERC20.new(ZERO_ADDRESS, "impl contract, not for use", "N/A", ZERO_ADDRESS, 0, 0, {from: a0});
 }
 
 /**
@@ -57,7 +63,7 @@ async function deploy_advanced_erc20_implementation_contract(a0) {
  * @returns AdvancedERC20 clone (EIP-1167 Minimal Proxy)
  */
 async function generic_factory_clone(factory, impl, a0, H0 = a0, relayer = a0) {
-	const init_data = impl.contract.methods.postConstruct(a0, NAME, SYMBOL, H0, S0, FEATURE_ALL).encodeABI();
+	const init_data = encodeTokenInit({owner: a0, name: NAME, symbol: SYMBOL, holder: H0, supply: S0, features: FEATURE_ALL});
 	const receipt = await factory.clone(impl.address, init_data, {from: relayer});
 	const proxyAddress = receipt.logs.find(log => log.event === "ProxyDeployed").args.proxyAddress;
 	const instance = await impl.constructor.at(proxyAddress);
@@ -65,6 +71,26 @@ async function generic_factory_clone(factory, impl, a0, H0 = a0, relayer = a0) {
 	return {receipt, instance, init_data};
 }
 
+/**
+ * Clones the AdvancedERC20 implementation contract via the GenericFactory to the deterministic address
+ *
+ * @param factory GenericFactory instance to use
+ * @param impl AdvancedERC20 implementation contract to clone
+ * @param salt bytes32 salt to use
+ * @param a0 clone contract owner to set
+ * @param H0 initial token supply owner
+ * @param relayer cloning transaction executor
+ * @returns AdvancedERC20 clone (EIP-1167 Minimal Proxy)
+ */
+async function generic_factory_clone_deterministic(factory, impl, salt, a0, H0 = a0, relayer = a0) {
+	const init_data = encodeTokenInit({owner: a0, name: NAME, symbol: SYMBOL, holder: H0, supply: S0, features: FEATURE_ALL});
+	const receipt = await factory.cloneDeterministic(impl.address, salt, init_data, {from: relayer});
+	const proxyAddress = receipt.logs.find(log => log.event === "ProxyDeployed").args.proxyAddress;
+	const instance = await impl.constructor.at(proxyAddress);
+
+	return {receipt, instance, init_data};
+}
+
 /**
  * Predicts the address of the AdvancedERC20 implementation contract cloned via the GenericFactory
  *
@@ -76,7 +102,7 @@ async function generic_factory_clone(factory, impl, a0, H0 = a0, relayer = a0) {
  * @returns AdvancedERC20 clone (EIP-1167 Minimal Proxy) address
  */
 async function generic_factory_predict_clone_address(factory, impl, a0, H0 = a0, relayer = a0) {
-	const init_data = impl.contract.methods.postConstruct(a0, NAME, SYMBOL, H0, S0, FEATURE_ALL).encodeABI();
+	const init_data = encodeTokenInit({owner: a0, name: NAME, symbol: SYMBOL, holder: H0, supply: S0, features: FEATURE_ALL});
 	const {proxyAddress} = await factory.contract.methods.clone(impl.address, init_data).call({from: relayer});
 	return proxyAddress;
 }
@@ -88,5 +114,6 @@ module.exports = {
 	deploy_generic_factory,
 	deploy_advanced_erc20_implementation_contract,
 	generic_factory_clone,
+	generic_factory_clone_deterministic,
 	generic_factory_predict_clone_address,
 };
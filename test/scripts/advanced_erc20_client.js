@@ -0,0 +1,283 @@
+// AdvancedERC20 client tests
+
+// Zeppelin test helpers
+const {
+	BN,
+	expectEvent,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	MAX_UINT256,
+} = require("@lazy-sol/zeppelin-test-helpers").constants;
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// EIP-712 signing library used by the wallets
+const ethSigUtil = require("eth-sig-util");
+
+// RBAC token features and roles
+const {
+	or,
+	not,
+	FEATURE_ALL,
+	FEATURE_FORCED_TRANSFERS,
+	FEATURE_TRANSFERS_ON_BEHALF,
+	FEATURE_DELEGATIONS_ON_BEHALF,
+	ROLE_TOKEN_CREATOR,
+} = require("../../scripts/include/features_roles");
+
+// EIP-712 typed data builders
+const {
+	buildDomain,
+	buildPermit,
+	buildDelegation,
+	buildDelegateBySig,
+} = require("../../scripts/include/eip712");
+
+// AdvancedERC20 client
+const {AdvancedERC20Client} = require("../../scripts/include/advanced_erc20_client");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+	advanced_erc20_deploy_restricted,
+	advanced_erc20_deploy_with_domain,
+	advanced_erc20_deploy_timestamp_clock,
+	erc1363_deploy_acceptor,
+	erc1271_deploy_wallet,
+} = require("../advanced_erc20/include/deployment_routines");
+
+// verifies the promise is rejected locally with the error message specified
+async function expect_local_error(promise, message) {
+	let error;
+	try {
+		await promise;
+	}
+	catch(e) {
+		error = e;
+	}
+	expect(error, "no error thrown").to.exist;
+	expect(error.message).to.equal(message);
+}
+
+// run AdvancedERC20 client tests
+contract("AdvancedERC20 client", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2] = accounts;
+
+	describe("when all the features are enabled", function() {
+		let token, client;
+		beforeEach(async function() {
+			token = await advanced_erc20_deploy(a0, H0);
+			client = new AdvancedERC20Client(web3, token.address, {from: H0});
+		});
+		it("views return uint256 values as BigInt", async function() {
+			expect(await client.balanceOf(H0)).to.equal(BigInt((await token.balanceOf(H0)).toString()));
+			expect(await client.totalSupply()).to.be.a("bigint");
+			expect(await client.decimals()).to.equal(18);
+		});
+		it("transfer accepts BigInt amount", async function() {
+			const receipt = await client.transfer(a1, 10n ** 18n);
+			expect(receipt.events.Transfer).to.exist;
+			expect(await client.balanceOf(a1)).to.equal(10n ** 18n);
+		});
+		it("transferAndCall resolves the overload without data", async function() {
+			const acceptor = await erc1363_deploy_acceptor(a0);
+			await client.transferAndCall(acceptor.address, 1n);
+			expect(await client.balanceOf(acceptor.address)).to.equal(1n);
+		});
+		it("transferAndCall resolves the overload with data", async function() {
+			const acceptor = await erc1363_deploy_acceptor(a0);
+			await client.transferAndCall(acceptor.address, 1n, "0x1234");
+			expect(await client.balanceOf(acceptor.address)).to.equal(1n);
+		});
+		it("transferAndCall accepts options in place of data", async function() {
+			const acceptor = await erc1363_deploy_acceptor(a0);
+			await client.transferAndCall(acceptor.address, 1n, {from: H0, gas: 200_000});
+			expect(await client.balanceOf(acceptor.address)).to.equal(1n);
+		});
+		it("safeTransferFrom transfers on behalf", async function() {
+			await client.approve(a1, 5n);
+			await client.safeTransferFrom(H0, a2, 5n, "0x", {from: a1});
+			expect(await client.balanceOf(a2)).to.equal(5n);
+		});
+		it("domain discovers the default EIP-712 domain", async function() {
+			expect(await client.domain()).to.deep.equal(buildDomain(token.address, await web3.eth.getChainId()));
+		});
+		it("domain discovers the custom EIP-712 domain", async function() {
+			const custom = await advanced_erc20_deploy_with_domain(a0, "Custom Token", "2", H0);
+			const {name, version} = await new AdvancedERC20Client(web3, custom.address).domain();
+			expect({name, version}).to.deep.equal({name: "Custom Token", version: "2"});
+		});
+		it("domain falls back to the default EIP-712 domain if EIP-5267 is not supported", async function() {
+			const acceptor = await erc1363_deploy_acceptor(a0);
+			expect(await new AdvancedERC20Client(web3, acceptor.address).domain())
+				.to.deep.equal(buildDomain(acceptor.address, await web3.eth.getChainId()));
+		});
+		it("clock returns the block number as BigInt by default", async function() {
+			expect(await client.clock()).to.equal(BigInt(await web3.eth.getBlockNumber()));
+			expect(await client.clockMode()).to.equal("mode=blocknumber&from=default");
+		});
+		it("clock returns the block timestamp as BigInt in the timestamp clock mode", async function() {
+			const custom = await advanced_erc20_deploy_timestamp_clock(a0, H0);
+			const custom_client = new AdvancedERC20Client(web3, custom.address);
+			const {timestamp} = await web3.eth.getBlock("latest");
+			const clock = await custom_client.clock();
+			expect(clock).to.be.a("bigint");
+			expect(clock >= BigInt(timestamp), `${clock} < ${timestamp}`).to.be.true;
+			expect(await custom_client.clockMode()).to.equal("mode=timestamp");
+		});
+		it("permit accepts 65 bytes signature", async function() {
+			const w = web3.eth.accounts.create();
+			const data = buildPermit(await client.domain(), {
+				owner: w.address,
+				spender: a1,
+				value: 7n,
+				nonce: await client.nonces(w.address),
+				deadline: MAX_UINT256,
+			});
+			const signature = ethSigUtil.signTypedData_v4(Buffer.from(w.privateKey.substring(2), "hex"), {data});
+			await client.permit(w.address, a1, 7n, BigInt(MAX_UINT256.toString()), signature);
+			expect(await client.allowance(w.address, a1)).to.equal(7n);
+		});
+		it("permit resolves the bytes signature overload if the owner is a smart contract wallet (ERC-1271)", async function() {
+			const w = web3.eth.accounts.create();
+			const wallet = await erc1271_deploy_wallet(a0, w.address);
+			const data = buildPermit(await client.domain(), {
+				owner: wallet.address,
+				spender: a1,
+				value: 7n,
+				nonce: 0n,
+				deadline: MAX_UINT256,
+			});
+			const signature = ethSigUtil.signTypedData_v4(Buffer.from(w.privateKey.substring(2), "hex"), {data});
+			const receipt = await client.permit(wallet.address, a1, 7n, BigInt(MAX_UINT256.toString()), signature);
+			expect(receipt.events.Approval).to.exist;
+			expect(await client.allowance(wallet.address, a1)).to.equal(7n);
+		});
+		it("delegateWithAuthorization resolves the overload with the delegator", async function() {
+			const w = web3.eth.accounts.create();
+			const wallet = await erc1271_deploy_wallet(a0, w.address);
+			const nonce = "0x" + "00".repeat(32);
+			const data = buildDelegation(await client.domain(), {delegator: wallet.address, delegate: a1, nonce, expiry: MAX_UINT256});
+			const signature = ethSigUtil.signTypedData_v4(Buffer.from(w.privateKey.substring(2), "hex"), {data});
+			await client.delegateWithAuthorization(wallet.address, a1, nonce, BigInt(MAX_UINT256.toString()), signature);
+			expect(await client.votingDelegates(wallet.address)).to.equal(a1);
+		});
+		it("delegateBySig delegates the signer's voting power (ERC-5805)", async function() {
+			const w = web3.eth.accounts.create();
+			const data = buildDelegateBySig(await client.domain(), {delegatee: a1, nonce: 0n, expiry: MAX_UINT256});
+			const signature = ethSigUtil.signTypedData_v4(Buffer.from(w.privateKey.substring(2), "hex"), {data});
+			const receipt = await client.delegateBySig(a1, 0n, BigInt(MAX_UINT256.toString()), signature);
+			expect(receipt.events.DelegateChanged).to.exist;
+			expect(await client.votingDelegates(w.address)).to.equal(a1);
+			expect(await client.nonces(w.address)).to.equal(1n);
+		});
+		it("mint fails locally if sender is not a token creator", async function() {
+			await expect_local_error(client.mint(a1, 1n), "access denied");
+		});
+		it("mint succeeds if sender is a token creator", async function() {
+			await client.mint(a1, 1n, {from: a0});
+			expect(await client.balanceOf(a1)).to.equal(1n);
+		});
+		it("pause fails locally if sender is not a pause manager", async function() {
+			await expect_local_error(client.pause(), "access denied");
+		});
+		it("transfer fails locally if the token is paused", async function() {
+			await client.pause({from: a0});
+			expect(await client.paused()).to.be.true;
+			await expect_local_error(client.transfer(a1, 1n), "token is paused");
+		});
+		it("unpause unpauses the token if sender is a pause manager", async function() {
+			await client.pause({from: a0});
+			await client.unpause({from: a0});
+			expect(await client.paused()).to.be.false;
+		});
+		it("lowerMaxSupply fails locally if sender is not a token creator", async function() {
+			await expect_local_error(client.lowerMaxSupply(await client.totalSupply()), "access denied");
+		});
+		it("lowerMaxSupply lowers the max supply if sender is a token creator", async function() {
+			const cap = await client.totalSupply() * 2n;
+			await client.lowerMaxSupply(cap, {from: a0});
+			expect(await client.maxSupply()).to.equal(cap);
+		});
+		it("forceTransfer fails locally with \"forced transfers are disabled\" (opt-in feature)", async function() {
+			await expect_local_error(client.forceTransfer(H0, a1, 1n, "0x" + "00".repeat(32), {from: a0}), "forced transfers are disabled");
+		});
+		describe("when the forced transfers are enabled", function() {
+			beforeEach(async function() {
+				await client.updateFeatures(or(FEATURE_ALL, FEATURE_FORCED_TRANSFERS), {from: a0});
+			});
+			it("forceTransfer fails locally if sender is not a force transfer manager", async function() {
+				await expect_local_error(client.forceTransfer(H0, a1, 1n, "0x" + "00".repeat(32)), "access denied");
+			});
+			it("forceTransfer moves the tokens if sender is a force transfer manager", async function() {
+				const receipt = await client.forceTransfer(H0, a1, 3n, "0x" + "01".repeat(32), {from: a0});
+				expect(receipt.events.ForcedTransfer).to.exist;
+				expect(await client.balanceOf(a1)).to.equal(3n);
+			});
+		});
+		it("updateRole fails locally if sender is not an access manager", async function() {
+			await expect_local_error(client.updateRole(a1, ROLE_TOKEN_CREATOR), "access denied");
+		});
+		it("throws if transaction sender is not set", async function() {
+			const anonymous = new AdvancedERC20Client(web3, token.address);
+			await expect_local_error(anonymous.transfer(a1, 1n), "transaction sender is not set");
+		});
+	});
+
+	describe("when the features are disabled", function() {
+		let token, client;
+		beforeEach(async function() {
+			token = await advanced_erc20_deploy(a0, H0);
+			client = new AdvancedERC20Client(web3, token.address, {from: H0});
+			await client.updateFeatures(not(FEATURE_TRANSFERS_ON_BEHALF, FEATURE_DELEGATIONS_ON_BEHALF).and(new BN(FEATURE_ALL)), {from: a0});
+			await client.approve(a1, 5n);
+		});
+		it("transferFrom fails locally with \"transfers on behalf are disabled\"", async function() {
+			await expect_local_error(client.transferFrom(H0, a2, 5n, {from: a1}), "transfers on behalf are disabled");
+		});
+		it("no transaction is sent when the check fails locally", async function() {
+			const nonce = await web3.eth.getTransactionCount(a1);
+			await expect_local_error(client.transferFrom(H0, a2, 5n, {from: a1}), "transfers on behalf are disabled");
+			expect(await web3.eth.getTransactionCount(a1)).to.equal(nonce);
+		});
+		it("own transfers are still allowed", async function() {
+			await client.transfer(a2, 5n);
+			expect(await client.balanceOf(a2)).to.equal(5n);
+		});
+		it("delegateWithAuthorization fails locally with \"delegations on behalf are disabled\"", async function() {
+			const signature = {v: 27, r: "0x" + "11".repeat(32), s: "0x" + "22".repeat(32)};
+			await expect(client.delegateWithAuthorization(a1, "0x" + "00".repeat(32), 1n, signature), "delegations on behalf are disabled");
+		});
+		it("delegateBySig fails locally with \"delegations on behalf are disabled\"", async function() {
+			const signature = {v: 27, r: "0x" + "11".repeat(32), s: "0x" + "22".repeat(32)};
+			await expect_local_error(client.delegateBySig(a1, 0n, 1n, signature), "delegations on behalf are disabled");
+		});
+	});
+
+	describe("when all the features are disabled", function() {
+		let client;
+		beforeEach(async function() {
+			const token = await advanced_erc20_deploy_restricted(a0, H0);
+			client = new AdvancedERC20Client(web3, token.address, {from: H0});
+		});
+		it("transfer fails locally with \"transfers are disabled\"", async function() {
+			await expect_local_error(client.transfer(a1, 1n), "transfers are disabled");
+		});
+		it("burn fails locally with \"burns are disabled\"", async function() {
+			await expect_local_error(client.burn(H0, 1n), "burns are disabled");
+		});
+		it("approveAndCall fails locally with \"ERC1363 approvals are disabled\"", async function() {
+			await expect_local_error(client.approveAndCall(a1, 1n), "ERC1363 approvals are disabled");
+		});
+		it("forceTransfer fails locally with \"forced transfers are disabled\"", async function() {
+			await expect_local_error(client.forceTransfer(H0, a1, 1n, "0x" + "00".repeat(32), {from: a0}), "forced transfers are disabled");
+		});
+	});
+});
@@ -0,0 +1,112 @@
+// Compiled smart contracts ABIs and bytecode shipped with the package tests
+
+// Chai assertions
+const {
+	expect,
+} = require("chai");
+
+// RBAC token features and roles
+const {
+	FEATURE_ALL,
+} = require("../../scripts/include/features_roles");
+
+// compiled smart contracts ABIs and bytecode
+const {
+	ADVANCED_ERC20_ABI,
+	ADVANCED_ERC20_BYTECODE,
+	ADVANCED_ERC20_DEPLOYED_BYTECODE,
+	GENERIC_FACTORY_ABI,
+	GENERIC_FACTORY_BYTECODE,
+	GENERIC_FACTORY_DEPLOYED_BYTECODE,
+	MINIMAL_FORWARDER_ABI,
+	MINIMAL_FORWARDER_BYTECODE,
+	MINIMAL_FORWARDER_DEPLOYED_BYTECODE,
+	ERC1363_ABI,
+	ERC1363_RECEIVER_ABI,
+	ERC1363_SPENDER_ABI,
+	EIP2612_ABI,
+	EIP3009_ABI,
+} = require("../../scripts/include/artifacts");
+
+// builds the list of function signatures defined in the ABI
+function fn_signatures(abi) {
+	return abi.filter(e => e.type === "function").map(e => `${e.name}(${e.inputs.map(i => i.type).join(",")})`);
+}
+
+// ERC1967 proxy events declared in ERC1967Upgrade, but emitted only by the proxies
+const PROXY_EVENTS = ["AdminChanged", "BeaconUpgraded"];
+
+// builds the list of event signatures defined in the ABI, excluding the proxy events
+function event_signatures(abi) {
+	return abi.filter(e => e.type === "event" && !PROXY_EVENTS.includes(e.name))
+		.map(e => `${e.name}(${e.inputs.map(i => i.type).join(",")})`);
+}
+
+// builds the list of event signatures defined in the ABI which topics are not found in the runtime bytecode,
+// an event emitted by the bytecode always has its topic in it
+function missing_events(abi, deployed_bytecode) {
+	return event_signatures(abi).filter(sig => !deployed_bytecode.includes(web3.utils.keccak256(sig).slice(2)));
+}
+
+// run ABIs and bytecode tests
+contract("Compiled smart contracts ABIs and bytecode", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	const [A0, a0, H0] = accounts;
+
+	it("AdvancedERC20 implements ERC1363", async function() {
+		expect(fn_signatures(ADVANCED_ERC20_ABI)).to.include.members(fn_signatures(ERC1363_ABI));
+	});
+	it("AdvancedERC20 implements EIP2612", async function() {
+		expect(fn_signatures(ADVANCED_ERC20_ABI)).to.include.members(fn_signatures(EIP2612_ABI));
+	});
+	it("AdvancedERC20 implements EIP3009", async function() {
+		expect(fn_signatures(ADVANCED_ERC20_ABI)).to.include.members(fn_signatures(EIP3009_ABI));
+	});
+	it("ERC1363 receiver and spender ABIs define the callbacks", async function() {
+		expect(fn_signatures(ERC1363_RECEIVER_ABI)).to.deep.equal(["onTransferReceived(address,address,uint256,bytes)"]);
+		expect(fn_signatures(ERC1363_SPENDER_ABI)).to.deep.equal(["onApprovalReceived(address,uint256,bytes)"]);
+	});
+	it("GenericFactoryV1 defines clone(address,bytes)", async function() {
+		expect(fn_signatures(GENERIC_FACTORY_ABI)).to.include("clone(address,bytes)");
+	});
+	it("GenericFactoryV1 defines deterministic cloning functions", async function() {
+		expect(fn_signatures(GENERIC_FACTORY_ABI)).to.include.members([
+			"cloneDeterministic(address,bytes32,bytes)",
+			"predictDeterministicAddress(address,bytes32,address)",
+		]);
+	});
+	it("AdvancedERC20 ABI events match the bytecode", async function() {
+		expect(event_signatures(ADVANCED_ERC20_ABI)).to.not.be.empty;
+		expect(missing_events(ADVANCED_ERC20_ABI, ADVANCED_ERC20_DEPLOYED_BYTECODE)).to.be.empty;
+	});
+	it("GenericFactoryV1 ABI events match the bytecode", async function() {
+		expect(event_signatures(GENERIC_FACTORY_ABI)).to.not.be.empty;
+		expect(missing_events(GENERIC_FACTORY_ABI, GENERIC_FACTORY_DEPLOYED_BYTECODE)).to.be.empty;
+	});
+	it("MinimalForwarder ABI events match the bytecode", async function() {
+		expect(missing_events(MINIMAL_FORWARDER_ABI, MINIMAL_FORWARDER_DEPLOYED_BYTECODE)).to.be.empty;
+	});
+	it("AdvancedERC20 bytecode deploys functional token", async function() {
+		const token = await new web3.eth.Contract(ADVANCED_ERC20_ABI)
+			.deploy({data: ADVANCED_ERC20_BYTECODE, arguments: [a0, "Test", "TST", H0, 1000, FEATURE_ALL]})
+			.send({from: a0, gas: 8_000_000});
+		expect(await token.methods.balanceOf(H0).call()).to.equal("1000");
+		expect(await web3.eth.getCode(token.options.address)).to.equal(ADVANCED_ERC20_DEPLOYED_BYTECODE);
+	});
+	it("GenericFactoryV1 bytecode deploys the factory", async function() {
+		const factory = await new web3.eth.Contract(GENERIC_FACTORY_ABI)
+			.deploy({data: GENERIC_FACTORY_BYTECODE})
+			.send({from: a0, gas: 8_000_000});
+		expect(await web3.eth.getCode(factory.options.address)).to.not.equal("0x");
+	});
+	it("MinimalForwarder bytecode deploys the forwarder", async function() {
+		const forwarder = await new web3.eth.Contract(MINIMAL_FORWARDER_ABI)
+			.deploy({data: MINIMAL_FORWARDER_BYTECODE})
+			.send({from: a0, gas: 8_000_000});
+		expect(await forwarder.methods.nonces(a0).call()).to.equal("0");
+		expect(await web3.eth.getCode(forwarder.options.address)).to.equal(MINIMAL_FORWARDER_DEPLOYED_BYTECODE);
+	});
+});
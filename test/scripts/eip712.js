@@ -0,0 +1,252 @@
+// EIP-712 typed data builders tests: signatures built with the package API are accepted by the token
+
+// Zeppelin test helpers
+const {
+	BN,
+	expectEvent,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	ZERO_BYTES32,
+	MAX_UINT256,
+} = require("@lazy-sol/zeppelin-test-helpers").constants;
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// EIP-712 signing library used by the wallets
+const ethSigUtil = require("eth-sig-util");
+
+// EIP-712 typed data builders
+const {
+	DEFAULT_DOMAIN_NAME,
+	EIP712_DOMAIN_TYPE,
+	EIP712_TYPES,
+	buildDomain,
+	buildDomainType,
+	fetchDomain,
+	buildTypedData,
+	buildPermit,
+	buildTransferWithAuthorization,
+	buildReceiveWithAuthorization,
+	buildCancelAuthorization,
+	buildDelegation,
+	buildDelegateBySig,
+	splitSignature,
+} = require("../../scripts/include/eip712");
+
+// ERC20 token constants
+const {CONTRACT_NAME} = require("../advanced_erc20/include/erc20_constants");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+	advanced_erc20_deploy_with_domain,
+} = require("../advanced_erc20/include/deployment_routines");
+
+// signs the typed data payload the same way the wallet does when serving `eth_signTypedData_v4`
+function sign_v4(p_key, data) {
+	return ethSigUtil.signTypedData_v4(Buffer.from(p_key.substring(2), "hex"), {data: JSON.parse(JSON.stringify(data))});
+}
+
+// run EIP-712 typed data builders tests
+contract("EIP-712 typed data builders", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2] = accounts;
+
+	describe("pure builders", function() {
+		const token_address = "0x0000000000000000000000000000000000000001";
+		it("default domain name matches the contract name", async function() {
+			expect(DEFAULT_DOMAIN_NAME).to.equal(CONTRACT_NAME);
+		});
+		it("domain is built with the default name and numeric chain ID", async function() {
+			expect(buildDomain(token_address, "0x1")).to.deep.equal({
+				name: CONTRACT_NAME,
+				chainId: 1,
+				verifyingContract: token_address,
+			});
+		});
+		it("domain name can be overridden", async function() {
+			expect(buildDomain(token_address, 1, "Custom").name).to.equal("Custom");
+		});
+		it("domain version is included only if specified", async function() {
+			expect(buildDomain(token_address, 1), "default").to.not.have.property("version");
+			expect(buildDomain(token_address, 1, "Custom", "2"), "custom").to.deep.equal({
+				name: "Custom",
+				version: "2",
+				chainId: 1,
+				verifyingContract: token_address,
+			});
+		});
+		it("default domain type has no version", async function() {
+			expect(buildDomainType(buildDomain(token_address, 1))).to.deep.equal(EIP712_DOMAIN_TYPE);
+		});
+		it("custom domain type has the version", async function() {
+			const data = buildCancelAuthorization(buildDomain(token_address, 1, "Custom", "2"), {authorizer: a1, nonce: ZERO_BYTES32});
+			expect(data.types.EIP712Domain.map(({name}) => name)).to.deep.equal(["name", "version", "chainId", "verifyingContract"]);
+		});
+		it("payload contains domain and primary types only", async function() {
+			const data = buildCancelAuthorization(buildDomain(token_address, 1), {authorizer: a1, nonce: ZERO_BYTES32});
+			expect(Object.keys(data.types)).to.deep.equal(["EIP712Domain", "CancelAuthorization"]);
+			expect(data.primaryType).to.equal("CancelAuthorization");
+			expect(data.types.CancelAuthorization).to.deep.equal(EIP712_TYPES.CancelAuthorization);
+		});
+		it("integer values are converted into decimal strings", async function() {
+			const {message} = buildPermit(buildDomain(token_address, 1), {
+				owner: a1,
+				spender: a2,
+				value: new BN(10),
+				nonce: 0,
+				deadline: MAX_UINT256,
+			});
+			expect(message.value).to.equal("10");
+			expect(message.nonce).to.equal("0");
+			expect(message.deadline).to.equal(MAX_UINT256.toString(10));
+		});
+		it("BigInt and hex string values are supported", async function() {
+			const {message} = buildDelegation(buildDomain(token_address, 1), {delegate: a1, nonce: "0x10", expiry: 17n});
+			expect(message.nonce).to.equal("16");
+			expect(message.expiry).to.equal("17");
+		});
+		it("delegation payload binds the delegator if it is specified", async function() {
+			const data = buildDelegation(buildDomain(token_address, 1), {delegator: a2, delegate: a1, nonce: 0, expiry: 17n});
+			expect(data.primaryType).to.equal("DelegationWithDelegator");
+			expect(data.message).to.deep.equal({delegator: a2, delegate: a1, nonce: "0", expiry: "17"});
+		});
+		it("ERC-5805 delegation payload differs from the delegation with authorization", async function() {
+			const data = buildDelegateBySig(buildDomain(token_address, 1), {delegatee: a1, nonce: 0, expiry: 17n});
+			expect(data.primaryType).to.equal("Delegation");
+			expect(data.types.Delegation.map(({name}) => name)).to.deep.equal(["delegatee", "nonce", "expiry"]);
+			expect(data.message).to.deep.equal({delegatee: a1, nonce: "0", expiry: "17"});
+		});
+		it("throws on unknown struct type", async function() {
+			expect(() => buildTypedData(buildDomain(token_address, 1), "Mail", {})).to.throw("unknown EIP-712 type: Mail");
+		});
+	});
+
+	describe("splitSignature", function() {
+		const r = "0x" + "11".repeat(32);
+		const s = "0x" + "22".repeat(32);
+		it("splits the signature into v, r, s", async function() {
+			expect(splitSignature(r + s.substring(2) + "1c")).to.deep.equal({v: 28, r, s});
+		});
+		it("normalizes v = 0/1 into v = 27/28", async function() {
+			expect(splitSignature(r + s.substring(2) + "00").v).to.equal(27);
+			expect(splitSignature(r + s.substring(2) + "01").v).to.equal(28);
+		});
+		it("throws on malformed signature", async function() {
+			expect(() => splitSignature(r)).to.throw("malformed signature");
+		});
+	});
+
+	describe("signatures built with the package API are accepted by the token", function() {
+		let token, domain, w;
+		beforeEach(async function() {
+			token = await advanced_erc20_deploy(a0, H0);
+			domain = buildDomain(token.address, await web3.eth.getChainId());
+			w = web3.eth.accounts.create();
+			await token.transfer(w.address, 1000, {from: H0});
+		});
+		it("Permit", async function() {
+			const data = buildPermit(domain, {
+				owner: w.address,
+				spender: a1,
+				value: 100,
+				nonce: await token.nonces(w.address),
+				deadline: MAX_UINT256,
+			});
+			const {v, r, s} = splitSignature(sign_v4(w.privateKey, data));
+			await token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](w.address, a1, 100, MAX_UINT256, v, r, s, {from: a2});
+			expect(await token.allowance(w.address, a1)).to.be.bignumber.that.equals("100");
+		});
+		it("TransferWithAuthorization", async function() {
+			const nonce = web3.utils.randomHex(32);
+			const data = buildTransferWithAuthorization(domain, {
+				from: w.address,
+				to: a1,
+				value: 100,
+				validAfter: 0,
+				validBefore: MAX_UINT256,
+				nonce,
+			});
+			const {v, r, s} = splitSignature(sign_v4(w.privateKey, data));
+			await token.methods["transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](w.address, a1, 100, 0, MAX_UINT256, nonce, v, r, s, {from: a2});
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals("100");
+		});
+		it("ReceiveWithAuthorization", async function() {
+			const nonce = web3.utils.randomHex(32);
+			const data = buildReceiveWithAuthorization(domain, {
+				from: w.address,
+				to: a1,
+				value: 100,
+				validAfter: 0,
+				validBefore: MAX_UINT256,
+				nonce,
+			});
+			const {v, r, s} = splitSignature(sign_v4(w.privateKey, data));
+			await token.methods["receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)"](w.address, a1, 100, 0, MAX_UINT256, nonce, v, r, s, {from: a1});
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals("100");
+		});
+		it("CancelAuthorization", async function() {
+			const nonce = web3.utils.randomHex(32);
+			const data = buildCancelAuthorization(domain, {authorizer: w.address, nonce});
+			const {v, r, s} = splitSignature(sign_v4(w.privateKey, data));
+			await token.methods["cancelAuthorization(address,bytes32,uint8,bytes32,bytes32)"](w.address, nonce, v, r, s, {from: a2});
+			expect(await token.authorizationState(w.address, nonce)).to.be.true;
+		});
+		it("Delegation", async function() {
+			const nonce = web3.utils.randomHex(32);
+			const data = buildDelegation(domain, {delegate: a1, nonce, expiry: MAX_UINT256});
+			const {v, r, s} = splitSignature(sign_v4(w.privateKey, data));
+			const receipt = await token.methods["delegateWithAuthorization(address,bytes32,uint256,uint8,bytes32,bytes32)"](a1, nonce, MAX_UINT256, v, r, s, {from: a2});
+			expectEvent(receipt, "DelegateChanged", {source: w.address, from: "0x0000000000000000000000000000000000000000", to: a1});
+		});
+		it("DelegationWithDelegator", async function() {
+			const nonce = web3.utils.randomHex(32);
+			const data = buildDelegation(domain, {delegator: w.address, delegate: a1, nonce, expiry: MAX_UINT256});
+			const signature = sign_v4(w.privateKey, data);
+			const receipt = await token.methods["delegateWithAuthorization(address,address,bytes32,uint256,bytes)"](w.address, a1, nonce, MAX_UINT256, signature, {from: a2});
+			expectEvent(receipt, "DelegateChanged", {source: w.address, from: "0x0000000000000000000000000000000000000000", to: a1});
+		});
+		it("Delegation (ERC-5805 delegateBySig)", async function() {
+			const data = buildDelegateBySig(domain, {delegatee: a1, nonce: await token.nonces(w.address), expiry: MAX_UINT256});
+			const {v, r, s} = splitSignature(sign_v4(w.privateKey, data));
+			const receipt = await token.delegateBySig(a1, 0, MAX_UINT256, v, r, s, {from: a2});
+			expectEvent(receipt, "DelegateChanged", {source: w.address, from: "0x0000000000000000000000000000000000000000", to: a1});
+		});
+	});
+
+	describe("fetchDomain discovers the token domain (EIP-5267)", function() {
+		it("default domain", async function() {
+			const token = await advanced_erc20_deploy(a0, H0);
+			expect(await fetchDomain(web3, token.address)).to.deep.equal(buildDomain(token.address, await web3.eth.getChainId()));
+		});
+		it("custom domain", async function() {
+			const token = await advanced_erc20_deploy_with_domain(a0, "Custom Token", "2", H0);
+			expect(await fetchDomain(web3, token.address)).to.deep.equal({
+				name: "Custom Token",
+				version: "2",
+				chainId: await web3.eth.getChainId(),
+				verifyingContract: token.address,
+			});
+		});
+		it("signatures built with the custom domain discovered are accepted by the token", async function() {
+			const token = await advanced_erc20_deploy_with_domain(a0, "Custom Token", "2", H0);
+			const w = web3.eth.accounts.create();
+			const data = buildPermit(await fetchDomain(web3, token.address), {
+				owner: w.address,
+				spender: a1,
+				value: 100,
+				nonce: 0,
+				deadline: MAX_UINT256,
+			});
+			const {v, r, s} = splitSignature(sign_v4(w.privateKey, data));
+			await token.methods["permit(address,address,uint256,uint256,uint8,bytes32,bytes32)"](w.address, a1, 100, MAX_UINT256, v, r, s, {from: a2});
+			expect(await token.allowance(w.address, a1)).to.be.bignumber.that.equals("100");
+		});
+	});
+});
@@ -0,0 +1,114 @@
+// Features and Roles: mask encoder/decoder tests
+
+// Zeppelin test helpers
+const {
+	BN,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	assert,
+	expect,
+} = require("chai");
+
+// RBAC token features and roles
+const {
+	ROLE_ACCESS_MANAGER,
+	FULL_PRIVILEGES_MASK,
+	or,
+	FEATURE_ALL,
+	FEATURE_TRANSFERS,
+	FEATURE_OWN_BURNS,
+	FEATURE_EIP2612_PERMITS,
+	FEATURE_EIP3009_TRANSFERS,
+	ROLE_TOKEN_CREATOR,
+	describeMask,
+	formatMask,
+	parseMask,
+} = require("../../scripts/include/features_roles");
+
+// run mask encoder/decoder tests
+describe("Features and Roles: mask encoder/decoder", function() {
+	describe("describeMask", function() {
+		it("decodes zero mask as no features and no roles", async function() {
+			expect(describeMask(0)).to.deep.equal({
+				mask: "0x0",
+				features: [],
+				roles: [],
+				unknownFeatures: null,
+				unknownRoles: null,
+			});
+		});
+		it("decodes features from the hex string with separators", async function() {
+			expect(describeMask("0x0000_0209").features).to.deep.equal([
+				"FEATURE_TRANSFERS",
+				"FEATURE_OWN_BURNS",
+				"FEATURE_EIP2612_PERMITS",
+			]);
+		});
+		it("decodes features and roles from BN", async function() {
+			const {features, roles} = describeMask(or(FEATURE_TRANSFERS, ROLE_TOKEN_CREATOR, ROLE_ACCESS_MANAGER));
+			expect(features).to.deep.equal(["FEATURE_TRANSFERS"]);
+			expect(roles).to.deep.equal(["ROLE_TOKEN_CREATOR", "ROLE_ACCESS_MANAGER"]);
+		});
+		it("decodes the same mask from number, decimal string, and BigInt", async function() {
+			expect(describeMask("521")).to.deep.equal(describeMask(0x209));
+			expect(describeMask(521n)).to.deep.equal(describeMask(0x209));
+		});
+		it("flags unknown bits in the features range", async function() {
+			expect(describeMask(0x0000_8001).unknownFeatures).to.equal("0x8000");
+		});
+		it("flags unknown bits in the roles range", async function() {
+			expect(describeMask(0x0010_0001).unknownRoles).to.equal("0x100000");
+		});
+		it("doesn't flag unknown roles for FEATURE_ALL", async function() {
+			const {features, unknownFeatures, unknownRoles} = describeMask(FEATURE_ALL);
+			expect(features.length).to.equal(12);
+			expect(features).to.not.include("FEATURE_FORCED_TRANSFERS");
+			expect(unknownFeatures).to.equal("0xe000");
+			expect(unknownRoles).to.be.null;
+		});
+		it("throws on malformed mask string", async function() {
+			expect(() => describeMask("0xZZ")).to.throw("malformed mask: 0xZZ");
+		});
+	});
+	describe("parseMask", function() {
+		it("parses names without prefixes", async function() {
+			expect(parseMask("TRANSFERS|OWN_BURNS|EIP2612_PERMITS")).to.be.bignumber.that.equals(
+				or(FEATURE_TRANSFERS, FEATURE_OWN_BURNS, FEATURE_EIP2612_PERMITS)
+			);
+		});
+		it("parses full names, case-insensitive, separated by commas and spaces", async function() {
+			expect(parseMask("feature_transfers, role_token_creator")).to.be.bignumber.that.equals(
+				or(FEATURE_TRANSFERS, ROLE_TOKEN_CREATOR)
+			);
+		});
+		it("parses hex and decimal numbers", async function() {
+			expect(parseMask("0x0000_0400 + 1")).to.be.bignumber.that.equals(
+				or(FEATURE_EIP3009_TRANSFERS, FEATURE_TRANSFERS)
+			);
+		});
+		it("parses composite masks", async function() {
+			expect(parseMask("FULL_PRIVILEGES_MASK")).to.be.bignumber.that.equals(FULL_PRIVILEGES_MASK);
+		});
+		it("parses empty string as zero mask", async function() {
+			expect(parseMask("")).to.be.bignumber.that.equals("0");
+		});
+		it("throws on unknown name", async function() {
+			expect(() => parseMask("TRANSFERS|TELEPORTS")).to.throw("unknown feature or role: TELEPORTS");
+		});
+		it("doesn't accept ERC721-only names", async function() {
+			expect(() => parseMask("URI_MANAGER")).to.throw("unknown feature or role: URI_MANAGER");
+		});
+	});
+	describe("formatMask", function() {
+		it("formats zero mask as FEATURE_NONE", async function() {
+			expect(formatMask(0)).to.equal("FEATURE_NONE");
+		});
+		it("formats known and unknown bits", async function() {
+			expect(formatMask(0x0001_8001)).to.equal("FEATURE_TRANSFERS|ROLE_TOKEN_CREATOR|0x8000");
+		});
+		it("formatted mask can be parsed back", async function() {
+			const mask = new BN("0x4000000000000000000000000000000000000000000000000000000000018e05");
+			expect(parseMask(formatMask(mask))).to.be.bignumber.that.equals(mask);
+		});
+	});
+});
@@ -0,0 +1,113 @@
+// Features and Roles: drift guard, verifies JS constants against the compiled AdvancedERC20
+
+// Zeppelin test helpers
+const {
+	BN,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	expect,
+} = require("chai");
+
+// RBAC token features and roles
+const {
+	ROLE_ACCESS_MANAGER,
+	ROLE_UPGRADE_MANAGER,
+	ERC20,
+	ERC721,
+	FACTORY,
+} = require("../../scripts/include/features_roles");
+
+// AdvancedERC20 ABI shipped with the package
+const {ADVANCED_ERC20_ABI} = require("../../scripts/include/artifacts");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+} = require("../advanced_erc20/include/deployment_routines");
+const {
+	deploy_generic_factory,
+} = require("../protocol/include/deployment_routines");
+
+// RBAC constants defined in the access control module, not in AdvancedERC20 itself
+const RBAC = {
+	ROLE_ACCESS_MANAGER,
+	ROLE_UPGRADE_MANAGER,
+};
+
+// extracts the names of the `public constant` FEATURE_* and ROLE_* getters from the ABI
+function constant_names(abi) {
+	return abi.filter(e => e.type === "function"
+		&& /^(FEATURE|ROLE)_[A-Z0-9_]+$/.test(e.name)
+		&& e.inputs.length === 0
+		&& e.stateMutability === "view"
+	).map(e => e.name);
+}
+
+// run features and roles drift guard tests
+contract("Features and Roles: drift guard", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	const [A0, a0] = accounts;
+
+	// read the constants from the compiled contract
+	let token, names;
+	before(async function() {
+		token = await advanced_erc20_deploy(a0);
+		names = constant_names(token.abi);
+	});
+
+	it("every contract constant is defined in the JS ERC20 (or RBAC) namespace", async function() {
+		expect(Object.keys(ERC20).concat(Object.keys(RBAC))).to.include.members(names);
+	});
+	it("every JS ERC20 namespace constant is defined in the contract", async function() {
+		expect(names).to.include.members(Object.keys(ERC20));
+	});
+	it("JS ERC20 namespace values match the contract values", async function() {
+		for(const name of names) {
+			const expected = await token[name]();
+			const actual = new BN((ERC20[name] === undefined? RBAC[name]: ERC20[name]).toString(10));
+			expect(actual, name).to.be.bignumber.that.equals(expected);
+		}
+	});
+	it("the ABI shipped with the package defines the same constants", async function() {
+		expect(constant_names(ADVANCED_ERC20_ABI)).to.have.members(names);
+	});
+	it("ERC20 namespace has no values shared between different names", async function() {
+		const values = Object.values(ERC20);
+		expect(new Set(values).size).to.equal(values.length);
+	});
+	it("ERC721-only names are not in the ERC20 namespace", async function() {
+		const erc721_only = Object.keys(ERC721).filter(name => !names.includes(name));
+		expect(erc721_only).to.have.members(["FEATURE_PERMITS", "FEATURE_OPERATOR_PERMITS", "ROLE_URI_MANAGER"]);
+		erc721_only.forEach(name => expect(ERC20).to.not.have.property(name));
+	});
+	it("namespaces are frozen", async function() {
+		expect(Object.isFrozen(ERC20)).to.be.true;
+		expect(Object.isFrozen(ERC721)).to.be.true;
+		expect(Object.isFrozen(FACTORY)).to.be.true;
+	});
+
+	describe("GenericFactoryV1", function() {
+		// read the constants from the compiled contract
+		let factory, factory_names;
+		before(async function() {
+			factory = await deploy_generic_factory(a0);
+			factory_names = constant_names(factory.abi);
+		});
+
+		it("every contract constant is defined in the JS FACTORY (or RBAC) namespace", async function() {
+			expect(Object.keys(FACTORY).concat(Object.keys(RBAC))).to.include.members(factory_names);
+		});
+		it("every JS FACTORY namespace constant is defined in the contract", async function() {
+			expect(factory_names).to.include.members(Object.keys(FACTORY));
+		});
+		it("JS FACTORY namespace values match the contract values", async function() {
+			for(const name of factory_names) {
+				const expected = await factory[name]();
+				const actual = new BN((FACTORY[name] === undefined? RBAC[name]: FACTORY[name]).toString(10));
+				expect(actual, name).to.be.bignumber.that.equals(expected);
+			}
+		});
+	});
+});
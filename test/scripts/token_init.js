@@ -0,0 +1,396 @@
+// postConstruct calldata encoder/decoder and factory deployment helper tests
+
+// Zeppelin test helpers
+const {
+	ZERO_ADDRESS,
+} = require("@lazy-sol/zeppelin-test-helpers").constants;
+const {
+	expect,
+} = require("chai");
+
+// RBAC token features and roles
+const {
+	FEATURE_ALL,
+	FACTORY: {ROLE_IMPLEMENTATION_MANAGER},
+} = require("../../scripts/include/features_roles");
+
+// postConstruct calldata encoder/decoder and factory deployment helper
+const {
+	encodeTokenInit,
+	decodeTokenInit,
+	predictCloneAddress,
+	deployViaFactory,
+	deployBatchViaFactory,
+	resolveManifest,
+	listTemplates,
+	listClones,
+} = require("../../scripts/include/token_init");
+
+// deployment routines in use
+const {
+	deploy_generic_factory,
+	deploy_advanced_erc20_implementation_contract,
+} = require("../protocol/include/deployment_routines");
+
+// verifies the promise is rejected with the error message containing the text specified
+async function expect_error(promise, text) {
+	let error;
+	try {
+		await promise;
+	}
+	catch(e) {
+		error = e;
+	}
+	expect(error, "no error thrown").to.exist;
+	expect(error.message).to.include(text);
+}
+
+// run postConstruct calldata encoder/decoder tests
+contract("postConstruct calldata encoder/decoder", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1] = accounts;
+
+	const params = {owner: a0, name: "Test Token", symbol: "TST", holder: H0, supply: 10n ** 24n, features: FEATURE_ALL};
+
+	describe("encodeTokenInit", function() {
+		let impl;
+		before(async function() {
+			impl = await deploy_advanced_erc20_implementation_contract(a0);
+		});
+		it("matches the ABI encoded postConstruct call", async function() {
+			const expected = impl.contract.methods.postConstruct(a0, "Test Token", "TST", H0, (10n ** 24n).toString(), FEATURE_ALL).encodeABI();
+			expect(encodeTokenInit(params)).to.equal(expected);
+		});
+		it("holder defaults to the owner, supply and features default to zero", async function() {
+			const expected = impl.contract.methods.postConstruct(a0, "Test Token", "TST", a0, 0, 0).encodeABI();
+			expect(encodeTokenInit({owner: a0, name: "Test Token", symbol: "TST"})).to.equal(expected);
+		});
+		it("encodes the full postConstruct call capping the total supply if maxSupply is set", async function() {
+			const expected = impl.contract.methods["postConstruct(address,string,string,address,uint256,uint256,uint256,address,string,string,bool)"](
+				a0, "Test Token", "TST", H0, (10n ** 24n).toString(), FEATURE_ALL, (10n ** 25n).toString(), ZERO_ADDRESS, "", "", false
+			).encodeABI();
+			expect(encodeTokenInit(Object.assign({maxSupply: 10n ** 25n}, params))).to.equal(expected);
+		});
+		it("zero maxSupply is not encoded", async function() {
+			expect(encodeTokenInit(Object.assign({maxSupply: 0}, params))).to.equal(encodeTokenInit(params));
+		});
+		it("encodes the full postConstruct call setting the trusted forwarder if trustedForwarder is set", async function() {
+			const expected = impl.contract.methods["postConstruct(address,string,string,address,uint256,uint256,uint256,address,string,string,bool)"](
+				a0, "Test Token", "TST", H0, (10n ** 24n).toString(), FEATURE_ALL, 0, a1, "", "", false
+			).encodeABI();
+			expect(encodeTokenInit(Object.assign({trustedForwarder: a1}, params))).to.equal(expected);
+		});
+		it("zero trustedForwarder is not encoded", async function() {
+			expect(encodeTokenInit(Object.assign({trustedForwarder: ZERO_ADDRESS}, params))).to.equal(encodeTokenInit(params));
+		});
+		it("encodes the full postConstruct call setting the EIP-712 domain if domainName is set", async function() {
+			const expected = impl.contract.methods["postConstruct(address,string,string,address,uint256,uint256,uint256,address,string,string,bool)"](
+				a0, "Test Token", "TST", H0, (10n ** 24n).toString(), FEATURE_ALL, 0, ZERO_ADDRESS, "Test Token", "1", false
+			).encodeABI();
+			expect(encodeTokenInit(Object.assign({domainName: "Test Token", domainVersion: "1"}, params))).to.equal(expected);
+		});
+		it("empty domainName is not encoded", async function() {
+			expect(encodeTokenInit(Object.assign({domainName: "", domainVersion: "1"}, params))).to.equal(encodeTokenInit(params));
+		});
+		it("encodes the full postConstruct call setting the timestamp clock mode if timestampClock is set", async function() {
+			const expected = impl.contract.methods["postConstruct(address,string,string,address,uint256,uint256,uint256,address,string,string,bool)"](
+				a0, "Test Token", "TST", H0, (10n ** 24n).toString(), FEATURE_ALL, 0, ZERO_ADDRESS, "", "", true
+			).encodeABI();
+			expect(encodeTokenInit(Object.assign({timestampClock: true}, params))).to.equal(expected);
+		});
+		it("false timestampClock is not encoded", async function() {
+			expect(encodeTokenInit(Object.assign({timestampClock: false}, params))).to.equal(encodeTokenInit(params));
+		});
+		it("encodes all the settings together", async function() {
+			const expected = impl.contract.methods["postConstruct(address,string,string,address,uint256,uint256,uint256,address,string,string,bool)"](
+				a0, "Test Token", "TST", H0, (10n ** 24n).toString(), FEATURE_ALL, (10n ** 25n).toString(), a1, "Test Token", "1", true
+			).encodeABI();
+			expect(encodeTokenInit(Object.assign({
+				maxSupply: 10n ** 25n,
+				trustedForwarder: a1,
+				domainName: "Test Token",
+				domainVersion: "1",
+				timestampClock: true,
+			}, params))).to.equal(expected);
+		});
+	});
+
+	describe("decodeTokenInit", function() {
+		it("decodes what was encoded", async function() {
+			expect(decodeTokenInit(encodeTokenInit(params))).to.deep.equal({
+				owner: a0,
+				name: "Test Token",
+				symbol: "TST",
+				holder: H0,
+				supply: 10n ** 24n,
+				features: BigInt(FEATURE_ALL),
+				maxSupply: 0n,
+				trustedForwarder: ZERO_ADDRESS,
+				domainName: "",
+				domainVersion: "",
+				timestampClock: false,
+			});
+		});
+		it("decodes the postConstruct call capping the total supply", async function() {
+			expect(decodeTokenInit(encodeTokenInit(Object.assign({maxSupply: 10n ** 25n}, params)))).to.deep.include({
+				supply: 10n ** 24n,
+				maxSupply: 10n ** 25n,
+			});
+		});
+		it("decodes the postConstruct call setting the trusted forwarder", async function() {
+			expect(decodeTokenInit(encodeTokenInit(Object.assign({maxSupply: 10n ** 25n, trustedForwarder: a1}, params)))).to.deep.include({
+				maxSupply: 10n ** 25n,
+				trustedForwarder: a1,
+			});
+		});
+		it("decodes the postConstruct call setting the EIP-712 domain", async function() {
+			expect(decodeTokenInit(encodeTokenInit(Object.assign({trustedForwarder: a1, domainName: "Test Token", domainVersion: "1"}, params)))).to.deep.include({
+				trustedForwarder: a1,
+				domainName: "Test Token",
+				domainVersion: "1",
+			});
+		});
+		it("decodes the postConstruct call setting the timestamp clock mode", async function() {
+			expect(decodeTokenInit(encodeTokenInit(Object.assign({timestampClock: true}, params)))).to.deep.include({
+				maxSupply: 0n,
+				domainName: "",
+				timestampClock: true,
+			});
+		});
+		it("throws if the data is not a postConstruct call", async function() {
+			expect(() => decodeTokenInit("0x12345678")).to.throw("not a postConstruct call");
+		});
+		it("throws if the data is empty", async function() {
+			expect(() => decodeTokenInit(null)).to.throw("not a postConstruct call");
+		});
+	});
+
+	describe("predictCloneAddress", function() {
+		const salt = web3.utils.keccak256("salt");
+
+		let factory, impl;
+		beforeEach(async function() {
+			factory = await deploy_generic_factory(a0);
+			impl = await deploy_advanced_erc20_implementation_contract(a0);
+		});
+		it("matches predictDeterministicAddress", async function() {
+			expect(predictCloneAddress(factory.address, impl.address, salt, a1))
+				.to.equal(await factory.predictDeterministicAddress(impl.address, salt, a1));
+		});
+		it("depends on the deployer", async function() {
+			expect(predictCloneAddress(factory.address, impl.address, salt, a1))
+				.to.not.equal(predictCloneAddress(factory.address, impl.address, salt, H0));
+		});
+		it("throws if the salt is not bytes32", async function() {
+			expect(() => predictCloneAddress(factory.address, impl.address, "0x1234", a1)).to.throw("salt must be a bytes32 hex string");
+		});
+	});
+
+	describe("deployViaFactory", function() {
+		let factory, impl;
+		beforeEach(async function() {
+			factory = await deploy_generic_factory(a0);
+			impl = await deploy_advanced_erc20_implementation_contract(a0);
+		});
+		it("returns the address of the deployed and initialized token", async function() {
+			const proxy_address = await deployViaFactory(factory, impl.address, params, {from: a1});
+			const token = await impl.constructor.at(proxy_address);
+			expect(await token.name()).to.equal("Test Token");
+			expect(await token.symbol()).to.equal("TST");
+			expect(await token.balanceOf(H0)).to.be.bignumber.that.equals((10n ** 24n).toString());
+			expect(await token.features()).to.be.bignumber.that.equals(FEATURE_ALL + "");
+		});
+		it("deploys the token with the total supply capped if maxSupply is set", async function() {
+			const proxy_address = await deployViaFactory(factory, impl, Object.assign({maxSupply: 10n ** 25n}, params), {from: a1});
+			const token = await impl.constructor.at(proxy_address);
+			expect(await token.maxSupply()).to.be.bignumber.that.equals((10n ** 25n).toString());
+		});
+		it("deploys the token trusting the forwarder if trustedForwarder is set", async function() {
+			const proxy_address = await deployViaFactory(factory, impl, Object.assign({trustedForwarder: a1}, params), {from: a1});
+			const token = await impl.constructor.at(proxy_address);
+			expect(await token.isTrustedForwarder(a1)).to.be.true;
+		});
+		it("deploys the token with the custom EIP-712 domain if domainName is set", async function() {
+			const proxy_address = await deployViaFactory(factory, impl, Object.assign({domainName: "Test Token", domainVersion: "1"}, params), {from: a1});
+			const token = await impl.constructor.at(proxy_address);
+			const domain = await token.eip712Domain();
+			expect(domain.name_, "name").to.equal("Test Token");
+			expect(domain.version, "version").to.equal("1");
+		});
+		it("deploys the token with the timestamp clock if timestampClock is set", async function() {
+			const proxy_address = await deployViaFactory(factory, impl, Object.assign({timestampClock: true}, params), {from: a1});
+			const token = await impl.constructor.at(proxy_address);
+			expect(await token.CLOCK_MODE()).to.equal("mode=timestamp");
+		});
+		it("accepts web3 factory and implementation contract instances", async function() {
+			const proxy_address = await deployViaFactory(factory.contract, impl.contract, params, {from: a1});
+			expect(proxy_address).to.not.equal(ZERO_ADDRESS);
+			expect(await web3.eth.getCode(proxy_address)).to.not.equal("0x");
+		});
+		it("ProxyDeployed event data decodes into the deployment params", async function() {
+			await deployViaFactory(factory, impl, params, {from: a1});
+			const [event] = await factory.contract.getPastEvents("ProxyDeployed");
+			expect(decodeTokenInit(event.returnValues.data)).to.deep.include({name: "Test Token", supply: 10n ** 24n});
+		});
+		it("deploys to the predicted address if the salt is set", async function() {
+			const salt = web3.utils.keccak256("salt");
+			const proxy_address = await deployViaFactory(factory, impl, params, {from: a1, salt});
+			expect(proxy_address).to.equal(predictCloneAddress(factory.address, impl.address, salt, a1));
+			const token = await impl.constructor.at(proxy_address);
+			expect(await token.name()).to.equal("Test Token");
+		});
+	});
+
+	describe("deployBatchViaFactory", function() {
+		let factory, impl;
+		before(async function() {
+			factory = await deploy_generic_factory(a0);
+			impl = await deploy_advanced_erc20_implementation_contract(a0);
+		});
+		it("returns the addresses of the deployed and initialized tokens in order", async function() {
+			const proxy_addresses = await deployBatchViaFactory(factory, [
+				Object.assign({impl: impl.address}, params),
+				{impl: impl.address, owner: a1, name: "Points", symbol: "PTS"},
+			], {from: a1});
+			expect(proxy_addresses).to.have.lengthOf(2);
+			const tst = await impl.constructor.at(proxy_addresses[0]);
+			const pts = await impl.constructor.at(proxy_addresses[1]);
+			expect(await tst.symbol()).to.equal("TST");
+			expect(await pts.symbol()).to.equal("PTS");
+		});
+		it("accepts a web3 factory contract instance", async function() {
+			const [proxy_address] = await deployBatchViaFactory(factory.contract, [Object.assign({impl: impl.address}, params)], {from: a1});
+			expect(await web3.eth.getCode(proxy_address)).to.not.equal("0x");
+		});
+	});
+
+	describe("resolveManifest", function() {
+		let factory, impl_v1, impl_v2;
+		before(async function() {
+			factory = await deploy_generic_factory(a0);
+			impl_v1 = await deploy_advanced_erc20_implementation_contract(a0);
+			impl_v2 = await deploy_advanced_erc20_implementation_contract(a0);
+			await factory.updateRole(a0, ROLE_IMPLEMENTATION_MANAGER, {from: a0});
+			await factory.registerImplementation("AdvancedERC20", "1.1", impl_v1.address, {from: a0});
+			await factory.registerImplementation("AdvancedERC20", "1.2", impl_v2.address, {from: a0});
+		});
+		it("applies the defaults", async function() {
+			const [token] = await resolveManifest(factory, {tokens: [{name: "Points", symbol: "PTS"}]}, {owner: a1, impl: impl_v1.address});
+			expect(token).to.deep.equal({impl: impl_v1.address, owner: a1, name: "Points", symbol: "PTS", holder: a1, supply: 0n, maxSupply: 0n, trustedForwarder: ZERO_ADDRESS, domainName: "", domainVersion: "", timestampClock: false, features: 0});
+		});
+		it("applies the default trusted forwarder", async function() {
+			const [token] = await resolveManifest(factory, [{name: "Points", symbol: "PTS"}], {owner: a1, impl: impl_v1.address, trustedForwarder: H0});
+			expect(token.trustedForwarder).to.equal(H0);
+		});
+		it("applies the default timestamp clock flag", async function() {
+			const [token] = await resolveManifest(factory, [{name: "Points", symbol: "PTS"}], {owner: a1, impl: impl_v1.address, timestampClock: true});
+			expect(token.timestampClock).to.be.true;
+		});
+		it("parses human-readable supply taking into account 18 decimals", async function() {
+			const [token] = await resolveManifest(factory, [{name: "Points", symbol: "PTS", supply: "1.5"}], {owner: a1, impl: impl_v1.address});
+			expect(token.supply).to.equal(15n * 10n ** 17n);
+		});
+		it("parses human-readable max supply taking into account 18 decimals", async function() {
+			const [token] = await resolveManifest(factory, [{name: "Points", symbol: "PTS", maxSupply: "2.5"}], {owner: a1, impl: impl_v1.address});
+			expect(token.maxSupply).to.equal(25n * 10n ** 17n);
+		});
+		it("resolves the template into its latest version", async function() {
+			const [token] = await resolveManifest(factory.contract, [{name: "Points", symbol: "PTS", template: "AdvancedERC20"}], {owner: a1});
+			expect(token.impl).to.equal(impl_v2.address);
+		});
+		it("explicitly set impl takes precedence over the template", async function() {
+			const [token] = await resolveManifest(factory, [
+				{name: "Points", symbol: "PTS", template: "AdvancedERC20", impl: impl_v1.address},
+			], {owner: a1});
+			expect(token.impl).to.equal(impl_v1.address);
+		});
+		it("throws if the manifest is empty", async function() {
+			await expect_error(resolveManifest(factory, {tokens: []}), "manifest doesn't contain any tokens");
+		});
+		it("throws if the name or symbol is not set", async function() {
+			await expect_error(resolveManifest(factory, [{name: "Points"}], {owner: a1}), "token #0: name and symbol are required");
+		});
+		it("throws if neither impl nor template is set", async function() {
+			await expect_error(resolveManifest(factory, [{name: "Points", symbol: "PTS"}], {owner: a1}), "neither impl nor template is set");
+		});
+		it("throws if the supply is malformed", async function() {
+			await expect_error(
+				resolveManifest(factory, [{name: "Points", symbol: "PTS", supply: "1e6"}], {owner: a1, impl: impl_v1.address}),
+				"malformed amount: 1e6"
+			);
+		});
+		it("throws if the trusted forwarder is malformed", async function() {
+			await expect_error(
+				resolveManifest(factory, [{name: "Points", symbol: "PTS", trustedForwarder: "0x1234"}], {owner: a1, impl: impl_v1.address}),
+				"token #0 (PTS): invalid trusted forwarder address: 0x1234"
+			);
+		});
+		it("throws if the domain version is set without the domain name", async function() {
+			await expect_error(
+				resolveManifest(factory, [{name: "Points", symbol: "PTS", domainVersion: "1"}], {owner: a1, impl: impl_v1.address}),
+				"token #0 (PTS): domainVersion is set, but domainName is not"
+			);
+		});
+		it("throws if the timestamp clock flag is not a boolean", async function() {
+			await expect_error(
+				resolveManifest(factory, [{name: "Points", symbol: "PTS", timestampClock: "yes"}], {owner: a1, impl: impl_v1.address}),
+				"token #0 (PTS): timestampClock must be a boolean: yes"
+			);
+		});
+	});
+
+	describe("listTemplates", function() {
+		let factory, impl_v1, impl_v2;
+		beforeEach(async function() {
+			factory = await deploy_generic_factory(a0);
+			impl_v1 = await deploy_advanced_erc20_implementation_contract(a0);
+			impl_v2 = await deploy_advanced_erc20_implementation_contract(a0);
+			await factory.updateRole(a0, ROLE_IMPLEMENTATION_MANAGER, {from: a0});
+		});
+		it("returns an empty list if nothing is registered", async function() {
+			expect(await listTemplates(factory)).to.be.empty;
+		});
+		it("lists the templates with all the versions and the latest one", async function() {
+			await factory.registerImplementation("AdvancedERC20", "1.1", impl_v1.address, {from: a0});
+			await factory.registerImplementation("AdvancedERC20", "1.2", impl_v2.address, {from: a0});
+			const v1 = {name: "AdvancedERC20", version: "1.1", implAddress: impl_v1.address};
+			const v2 = {name: "AdvancedERC20", version: "1.2", implAddress: impl_v2.address};
+			expect(await listTemplates(factory.contract)).to.deep.equal([
+				{name: "AdvancedERC20", versions: [v1, v2], latest: v2},
+			]);
+		});
+	});
+
+	describe("listClones", function() {
+		let factory, impl, clones;
+		before(async function() {
+			factory = await deploy_generic_factory(a0);
+			impl = await deploy_advanced_erc20_implementation_contract(a0);
+			const impl_v2 = await deploy_advanced_erc20_implementation_contract(a0);
+			clones = [
+				await deployViaFactory(factory, impl, params, {from: a1}),
+				await deployViaFactory(factory, impl_v2, params, {from: a1}),
+				await deployViaFactory(factory, impl, params, {from: H0}),
+			];
+		});
+		it("lists all the clones reading them page by page", async function() {
+			expect(await listClones(factory, {pageSize: 2})).to.deep.equal(clones);
+		});
+		it("lists the clones by deployer", async function() {
+			expect(await listClones(factory.contract, {deployer: a1, pageSize: 1})).to.deep.equal(clones.slice(0, 2));
+		});
+		it("lists the clones by implementation", async function() {
+			expect(await listClones(factory, {implementation: impl.address})).to.deep.equal([clones[0], clones[2]]);
+		});
+		it("throws if both deployer and implementation are set", async function() {
+			await expect_error(
+				listClones(factory, {deployer: a1, implementation: impl.address}),
+				"deployer and implementation filters cannot be used together"
+			);
+		});
+	});
+});
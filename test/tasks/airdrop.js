@@ -0,0 +1,210 @@
+// Hardhat tasks: token:airdrop
+
+// Zeppelin test helpers
+const {
+	BN,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	expect,
+} = require("chai");
+
+// file system access
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+} = require("../advanced_erc20/include/deployment_routines");
+
+// runs the task with the console output muted
+async function run_task(name, args) {
+	const log = console.log;
+	console.log = function() {};
+	try {
+		return await hre.run(name, args);
+	}
+	finally {
+		console.log = log;
+	}
+}
+
+// verifies the task fails with the error message containing the text specified
+async function expect_task_error(promise, text) {
+	let error;
+	try {
+		await promise;
+	}
+	catch(e) {
+		error = e;
+	}
+	expect(error, "no error thrown").to.exist;
+	expect(error.message).to.include(text);
+}
+
+// converts human-readable amount into BN (18 decimals)
+function amt(value) {
+	return new BN(web3.utils.toWei(value));
+}
+
+// run Hardhat airdrop task tests
+contract("Hardhat tasks: token:airdrop", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3] = accounts;
+
+	let token, dir, csv, journal, report;
+	beforeEach(async function() {
+		token = await advanced_erc20_deploy(a0, H0);
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-"));
+		csv = path.join(dir, "airdrop.csv");
+		journal = csv + ".journal.json";
+		report = csv + ".report.csv";
+	});
+	afterEach(async function() {
+		fs.rmSync(dir, {recursive: true, force: true});
+	});
+
+	describe("CSV validation", function() {
+		it("fails on bad checksum", async function() {
+			// flip the case of the first letter in the checksum address
+			const i = a1.search(/[a-fA-F]/);
+			const c = a1.charAt(i);
+			const bad = a1.substring(0, i) + (c === c.toLowerCase()? c.toUpperCase(): c.toLowerCase()) + a1.substring(i + 1);
+			fs.writeFileSync(csv, `${bad},1\n`);
+			await expect_task_error(run_task("token:airdrop", {token: token.address, csv, from: H0}), "invalid address or checksum");
+		});
+		it("fails on duplicates, case-insensitive", async function() {
+			fs.writeFileSync(csv, `address,amount\n${a1},1\n${a2},1\n${a1.toLowerCase()},2\n`);
+			await expect_task_error(run_task("token:airdrop", {token: token.address, csv, from: H0}), "line 4: duplicate address");
+		});
+		it("fails on malformed and zero amounts", async function() {
+			fs.writeFileSync(csv, `${a1},1e18\n${a2},0\n`);
+			const promise = run_task("token:airdrop", {token: token.address, csv, from: H0});
+			await expect_task_error(promise, "line 1: malformed amount: 1e18");
+		});
+		it("fails if sender balance is insufficient", async function() {
+			fs.writeFileSync(csv, `${a1},1\n`);
+			await expect_task_error(run_task("token:airdrop", {token: token.address, csv, from: a2}), "insufficient sender balance");
+		});
+		it("--dry-run validates without sending", async function() {
+			fs.writeFileSync(csv, `# comment\naddress,amount\n${a1},1.5\n\n${a2},2\n`);
+			const result = await run_task("token:airdrop", {token: token.address, csv, from: H0, dryRun: true});
+			expect(result.todo).to.equal(2);
+			expect(result.total).to.equal(35n * 10n ** 17n);
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals("0");
+		});
+	});
+
+	describe("distribution", function() {
+		it("pays everyone in chunks and reports the reconciliation", async function() {
+			fs.writeFileSync(csv, `${a1},1.5\n${a2},2\n${a3},0.25\n`);
+			const result = await run_task("token:airdrop", {token: token.address, csv, from: H0, chunkSize: 2});
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals(amt("1.5"));
+			expect(await token.balanceOf(a2)).to.be.bignumber.that.equals(amt("2"));
+			expect(await token.balanceOf(a3)).to.be.bignumber.that.equals(amt("0.25"));
+			expect(result.failed).to.equal(0);
+			expect(result.report.map(r => r.match)).to.deep.equal(["ok", "ok", "ok"]);
+			expect(fs.readFileSync(report, "utf8")).to.include(`${a1},1.5,1.5,done,0x`);
+		});
+		it("rerun doesn't pay twice", async function() {
+			fs.writeFileSync(csv, `${a1},1\n`);
+			await run_task("token:airdrop", {token: token.address, csv, from: H0});
+			await run_task("token:airdrop", {token: token.address, csv, from: H0});
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals(amt("1"));
+		});
+		it("resumes the interrupted run: mined transaction recorded as sent is not paid again", async function() {
+			fs.writeFileSync(csv, `${a1},1\n${a2},1\n`);
+			// simulate the crash after a1 transaction was sent but before it was confirmed
+			const {tx} = await token.transfer(a1, amt("1"), {from: H0});
+			fs.writeFileSync(journal, JSON.stringify({
+				token: token.address,
+				entries: {[a1]: {amount: amt("1").toString(), status: "sent", tx}},
+			}));
+			await run_task("token:airdrop", {token: token.address, csv, from: H0});
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals(amt("1"));
+			expect(await token.balanceOf(a2)).to.be.bignumber.that.equals(amt("1"));
+		});
+		it("resumes the interrupted run: mined transaction recorded as failed is not paid again", async function() {
+			fs.writeFileSync(csv, `${a1},1\n`);
+			// simulate web3 giving up waiting for the transaction, which was mined later
+			const {tx, receipt} = await token.transfer(a1, amt("1"), {from: H0});
+			const {nonce} = await web3.eth.getTransaction(tx);
+			fs.writeFileSync(journal, JSON.stringify({
+				token: token.address,
+				entries: {[a1]: {amount: amt("1").toString(), status: "failed", tx, nonce, error: "timeout"}},
+			}));
+			const result = await run_task("token:airdrop", {token: token.address, csv, from: H0});
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals(amt("1"));
+			expect(result.report[0].status).to.equal("done");
+			expect(result.report[0].tx).to.equal(receipt.transactionHash);
+		});
+		it("resumes the interrupted run: transaction not mined yet blocks the rerun", async function() {
+			fs.writeFileSync(csv, `${a1},1\n`);
+			// simulate the transaction stuck in the mempool
+			await hre.network.provider.send("evm_setAutomine", [false]);
+			let tx, nonce;
+			try {
+				nonce = await web3.eth.getTransactionCount(H0, "pending");
+				tx = await hre.network.provider.send("eth_sendTransaction", [{
+					from: H0,
+					to: token.address,
+					data: token.contract.methods.transfer(a1, amt("1").toString()).encodeABI(),
+				}]);
+				fs.writeFileSync(journal, JSON.stringify({
+					token: token.address,
+					entries: {[a1]: {amount: amt("1").toString(), status: "failed", tx, nonce, error: "timeout"}},
+				}));
+				await expect_task_error(run_task("token:airdrop", {token: token.address, csv, from: H0}), `transaction ${tx} is still pending`);
+			}
+			finally {
+				await hre.network.provider.send("evm_setAutomine", [true]);
+			}
+			await hre.network.provider.send("evm_mine", []);
+			await run_task("token:airdrop", {token: token.address, csv, from: H0});
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals(amt("1"));
+		});
+		it("resumes the interrupted run: dropped transaction which nonce is taken is paid again", async function() {
+			fs.writeFileSync(csv, `${a1},1\n`);
+			// simulate the dropped transaction: its nonce is taken by another transaction mined
+			const nonce = await web3.eth.getTransactionCount(H0, "latest");
+			await token.transfer(a2, 1, {from: H0});
+			const tx = web3.utils.keccak256("dropped transaction");
+			fs.writeFileSync(journal, JSON.stringify({
+				token: token.address,
+				entries: {[a1]: {amount: amt("1").toString(), status: "sent", tx, nonce}},
+			}));
+			await run_task("token:airdrop", {token: token.address, csv, from: H0});
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals(amt("1"));
+		});
+		it("fails if the CSV amount changed since the previous run", async function() {
+			fs.writeFileSync(csv, `${a1},1\n`);
+			await run_task("token:airdrop", {token: token.address, csv, from: H0});
+			fs.writeFileSync(csv, `${a1},2\n`);
+			await expect_task_error(run_task("token:airdrop", {token: token.address, csv, from: H0}), "amount changed since the previous run");
+		});
+		it("fails if the journal belongs to another token", async function() {
+			fs.writeFileSync(csv, `${a1},1\n`);
+			fs.writeFileSync(journal, JSON.stringify({token: a0, entries: {}}));
+			await expect_task_error(run_task("token:airdrop", {token: token.address, csv, from: H0}), "belongs to another token");
+		});
+		it("failed transfers don't block others and are reported", async function() {
+			// token rejects transfers to its own address
+			fs.writeFileSync(csv, `${a1},1\n${web3.utils.toChecksumAddress(token.address)},1\n${a2},1\n`);
+			const result = await run_task("token:airdrop", {token: token.address, csv, from: H0});
+			expect(result.failed).to.equal(1);
+			expect(await token.balanceOf(a2)).to.be.bignumber.that.equals(amt("1"));
+			expect(result.report.find(r => r.address === web3.utils.toChecksumAddress(token.address)).status).to.equal("failed");
+		});
+		it("reports over balances for the addresses which had tokens before", async function() {
+			await token.transfer(a1, amt("1"), {from: H0});
+			fs.writeFileSync(csv, `${a1},1\n`);
+			const {report: rows} = await run_task("token:airdrop", {token: token.address, csv, from: H0});
+			expect(rows[0].match).to.equal("over");
+		});
+	});
+});
@@ -0,0 +1,141 @@
+// Hardhat tasks: token:compliance:diff, token:compliance:sync, token:compliance:allowlist-only
+
+// Zeppelin test helpers
+const {
+	BN,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	expect,
+} = require("chai");
+
+// file system access
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// compliance lists tooling
+const {readComplianceList} = require("../../scripts/include/compliance");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+} = require("../advanced_erc20/include/deployment_routines");
+
+// runs the task with the console output muted
+async function run_task(name, args) {
+	const log = console.log;
+	console.log = function() {};
+	try {
+		return await hre.run(name, args);
+	}
+	finally {
+		console.log = log;
+	}
+}
+
+// verifies the task fails with the error message containing the text specified
+async function expect_task_error(promise, text) {
+	let error;
+	try {
+		await promise;
+	}
+	catch(e) {
+		error = e;
+	}
+	expect(error, "no error thrown").to.exist;
+	expect(error.message).to.include(text);
+}
+
+// run Hardhat compliance tasks tests
+contract("Hardhat tasks: compliance lists", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3] = accounts;
+
+	let token, dir, csv;
+	beforeEach(async function() {
+		token = await advanced_erc20_deploy(a0, H0);
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "compliance-"));
+		csv = path.join(dir, "list.csv");
+	});
+	afterEach(async function() {
+		fs.rmSync(dir, {recursive: true, force: true});
+	});
+
+	describe("CSV validation", function() {
+		it("fails on duplicate address", async function() {
+			fs.writeFileSync(csv, `address\n${a1}\n${a1.toLowerCase()}\n`);
+			await expect_task_error(run_task("token:compliance:diff", {token: token.address, list: "blocklist", csv}), "duplicate address");
+		});
+		it("fails on malformed address", async function() {
+			fs.writeFileSync(csv, "0x1234\n");
+			await expect_task_error(run_task("token:compliance:diff", {token: token.address, list: "blocklist", csv}), "invalid address or checksum");
+		});
+		it("fails on unknown list", async function() {
+			fs.writeFileSync(csv, `${a1}\n`);
+			await expect_task_error(run_task("token:compliance:diff", {token: token.address, list: "greylist", csv}), "unknown compliance list");
+		});
+	});
+
+	describe("when some addresses are already blocked", function() {
+		beforeEach(async function() {
+			await token.updateBlocklist([a1, a2], true, {from: a0});
+			// a3 was blocked and then unblocked, it must not be reported as a list member
+			await token.updateBlocklist([a3], true, {from: a0});
+			await token.updateBlocklist([a3], false, {from: a0});
+			// the CSV may contain additional columns, like the reason
+			fs.writeFileSync(csv, `address,reason\n${a2},sanctioned\n${H0},sanctioned\n`);
+		});
+		it("readComplianceList replays the events and lists the current members", async function() {
+			expect(await readComplianceList(web3, token.address, "blocklist")).to.have.members([a1, a2]);
+		});
+		it("token:compliance:diff reports the addresses to add and to remove", async function() {
+			const diff = await run_task("token:compliance:diff", {token: token.address, list: "blocklist", csv});
+			expect(diff.add, "add").to.deep.equal([H0]);
+			expect(diff.remove, "remove").to.deep.equal([a1]);
+			expect(diff.unchanged, "unchanged").to.deep.equal([a2]);
+		});
+		it("token:compliance:sync makes the on-chain list equal to the CSV", async function() {
+			await run_task("token:compliance:sync", {token: token.address, list: "blocklist", csv, from: a0});
+			expect(await readComplianceList(web3, token.address, "blocklist")).to.have.members([a2, H0]);
+			expect(await token.blocklistSize()).to.be.bignumber.that.equals("2");
+		});
+		it("token:compliance:sync splits the updates into chunks", async function() {
+			fs.writeFileSync(csv, `${a2}\n${H0}\n${a3}\n`);
+			const {results} = await run_task("token:compliance:sync", {token: token.address, list: "blocklist", csv, chunkSize: 1, from: a0});
+			// one removal (a1), and two additions (H0, a3)
+			expect(results.length).to.equal(3);
+			expect(await readComplianceList(web3, token.address, "blocklist")).to.have.members([a2, a3, H0]);
+		});
+		it("token:compliance:sync --dry-run doesn't change the list", async function() {
+			await run_task("token:compliance:sync", {token: token.address, list: "blocklist", csv, from: a0, dryRun: true});
+			expect(await readComplianceList(web3, token.address, "blocklist")).to.have.members([a1, a2]);
+		});
+		it("token:compliance:sync fails if sender is not a compliance manager", async function() {
+			await expect_task_error(
+				run_task("token:compliance:sync", {token: token.address, list: "blocklist", csv, from: a1, dryRun: true}),
+				"access denied"
+			);
+		});
+		it("token:compliance:sync does nothing if the list is up to date", async function() {
+			fs.writeFileSync(csv, `${a1}\n${a2}\n`);
+			const {results} = await run_task("token:compliance:sync", {token: token.address, list: "blocklist", csv, from: a0});
+			expect(results.length).to.equal(0);
+		});
+	});
+
+	it("token:compliance:sync syncs the allowlist", async function() {
+		fs.writeFileSync(csv, `${a1}\n${a2}\n`);
+		await run_task("token:compliance:sync", {token: token.address, list: "allowlist", csv, from: a0});
+		expect(await readComplianceList(web3, token.address, "allowlist")).to.have.members([a1, a2]);
+	});
+	it("token:compliance:allowlist-only switches the allowlist-only mode", async function() {
+		await run_task("token:compliance:allowlist-only", {token: token.address, enabled: true, from: a0});
+		expect(await token.allowlistOnly()).to.be.true;
+		await run_task("token:compliance:allowlist-only", {token: token.address, enabled: false, from: a0});
+		expect(await token.allowlistOnly()).to.be.false;
+	});
+});
@@ -0,0 +1,168 @@
+// Hardhat tasks: factory:templates, factory:templates:register, factory:templates:deregister, factory:clones,
+// factory:deploy-manifest
+
+// Zeppelin test helpers
+const {
+	expect,
+} = require("chai");
+
+// file system access
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+} = require("../advanced_erc20/include/deployment_routines");
+const {
+	deploy_generic_factory,
+	deploy_advanced_erc20_implementation_contract,
+	generic_factory_clone,
+} = require("../protocol/include/deployment_routines");
+
+// runs the task with the console output muted
+async function run_task(name, args) {
+	const log = console.log;
+	console.log = function() {};
+	try {
+		return await hre.run(name, args);
+	}
+	finally {
+		console.log = log;
+	}
+}
+
+// verifies the task fails with the error message containing the text specified
+async function expect_task_error(promise, text) {
+	let error;
+	try {
+		await promise;
+	}
+	catch(e) {
+		error = e;
+	}
+	expect(error, "no error thrown").to.exist;
+	expect(error.message).to.include(text);
+}
+
+// run Hardhat factory tasks tests
+contract("Hardhat tasks: factory implementation registry", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions (including factory roles), reserved
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, a1] = accounts;
+
+	let factory, impl;
+	beforeEach(async function() {
+		factory = await deploy_generic_factory(a0);
+		impl = await deploy_advanced_erc20_implementation_contract(a0);
+	});
+
+	// registers the implementation via the task
+	async function register(args = {}) {
+		return await run_task("factory:templates:register", Object.assign({
+			factory: factory.address,
+			name: "AdvancedERC20",
+			implVersion: "1.1",
+			impl: impl.address,
+		}, args));
+	}
+
+	it("factory:templates lists nothing if nothing is registered", async function() {
+		expect(await run_task("factory:templates", {factory: factory.address})).to.be.empty;
+	});
+	it("factory:templates:register registers the implementation", async function() {
+		const {events} = await register();
+		expect(events.map(e => e.name)).to.include("ImplementationRegistered");
+		expect(await factory.isRegisteredImplementation(impl.address)).to.be.true;
+	});
+	it("factory:templates:register --dry-run doesn't register the implementation", async function() {
+		const result = await register({dryRun: true});
+		expect(result.dryRun).to.be.true;
+		expect(await factory.isRegisteredImplementation(impl.address)).to.be.false;
+	});
+	it("factory:templates:register fails if the sender is not an implementation manager", async function() {
+		await expect_task_error(register({from: a1}), "AccessDenied");
+	});
+	it("factory:templates lists the registered templates and the latest versions", async function() {
+		const impl_v2 = await deploy_advanced_erc20_implementation_contract(a0);
+		await register();
+		await register({implVersion: "1.2", impl: impl_v2.address});
+		const [template] = await run_task("factory:templates", {factory: factory.address});
+		expect(template.name).to.equal("AdvancedERC20");
+		expect(template.versions.map(v => v.version)).to.deep.equal(["1.1", "1.2"]);
+		expect(template.latest.implAddress).to.equal(impl_v2.address);
+	});
+	it("factory:templates:deregister removes the implementation", async function() {
+		await register();
+		const {events} = await run_task("factory:templates:deregister", {factory: factory.address, impl: impl.address});
+		expect(events.map(e => e.name)).to.include("ImplementationDeregistered");
+		expect(await factory.isRegisteredImplementation(impl.address)).to.be.false;
+	});
+	it("factory:templates:deregister fails if the implementation is not registered", async function() {
+		await expect_task_error(
+			run_task("factory:templates:deregister", {factory: factory.address, impl: impl.address}),
+			"is not registered"
+		);
+	});
+	it("factory:clones lists the clones deployed by the factory", async function() {
+		const {instance: clone_1} = await generic_factory_clone(factory, impl, a0, a0, a0);
+		const {instance: clone_2} = await generic_factory_clone(factory, impl, a1, a1, a1);
+		expect(await run_task("factory:clones", {factory: factory.address})).to.deep.equal([clone_1.address, clone_2.address]);
+		expect(await run_task("factory:clones", {factory: factory.address, deployer: a1})).to.deep.equal([clone_2.address]);
+	});
+	describe("factory:deploy-manifest", function() {
+		let dir, manifest;
+		beforeEach(async function() {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+			manifest = path.join(dir, "manifest.json");
+			await register();
+			fs.writeFileSync(manifest, JSON.stringify({tokens: [
+				{name: "Governance", symbol: "GOV", template: "AdvancedERC20", supply: "1000", holder: a1, features: "TRANSFERS|OWN_BURNS"},
+				{name: "Points", symbol: "PTS", impl: impl.address, features: "0xFFFF"},
+			]}));
+		});
+		afterEach(async function() {
+			fs.rmSync(dir, {recursive: true, force: true});
+		});
+
+		it("deploys all the tokens in a single transaction", async function() {
+			const {proxyAddresses, events} = await run_task("factory:deploy-manifest", {factory: factory.address, manifest});
+			expect(events.filter(e => e.name === "ProxyDeployed")).to.have.lengthOf(2);
+			const gov = await impl.constructor.at(proxyAddresses[0]);
+			const pts = await impl.constructor.at(proxyAddresses[1]);
+			expect(await gov.balanceOf(a1)).to.be.bignumber.that.equals(web3.utils.toWei("1000"));
+			expect(await gov.features()).to.be.bignumber.that.equals("9");
+			expect(await gov.getRole(a0)).to.be.bignumber.that.is.not.zero;
+			expect(await pts.features()).to.be.bignumber.that.equals("65535");
+		});
+		it("--dry-run doesn't deploy anything", async function() {
+			const result = await run_task("factory:deploy-manifest", {factory: factory.address, manifest, dryRun: true});
+			expect(result.dryRun).to.be.true;
+			expect(await factory.getClonesCount()).to.be.bignumber.that.is.zero;
+		});
+		it("pays the clone fee in native currency", async function() {
+			const fee = web3.utils.toWei("0.01");
+			await factory.setCloneFee("0x0000000000000000000000000000000000000000", fee, {from: a0});
+			await run_task("factory:deploy-manifest", {factory: factory.address, manifest, from: a1});
+			expect(await web3.eth.getBalance(factory.address)).to.equal(String(2n * BigInt(fee)));
+		});
+		it("fails if the ERC20 clone fee is not approved", async function() {
+			const fee_token = await advanced_erc20_deploy(a0, a1);
+			await factory.setCloneFee(fee_token.address, 1, {from: a0});
+			await expect_task_error(
+				run_task("factory:deploy-manifest", {factory: factory.address, manifest, from: a1}),
+				"is not approved to the factory"
+			);
+		});
+		it("fails if the feature name is unknown", async function() {
+			fs.writeFileSync(manifest, JSON.stringify([{name: "Points", symbol: "PTS", impl: impl.address, features: "FLY"}]));
+			await expect_task_error(run_task("factory:deploy-manifest", {factory: factory.address, manifest}), "unknown feature or role: FLY");
+		});
+	});
+	it("factory address is required if there is no deployment", async function() {
+		await expect_task_error(run_task("factory:templates", {}), "factory address is not set");
+	});
+});
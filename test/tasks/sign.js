@@ -0,0 +1,251 @@
+// Hardhat tasks: sign:permit, sign:transfer-auth, sign:receive-auth, sign:cancel-auth, sign:delegation, relay:submit
+
+// Zeppelin test helpers
+const {
+	BN,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	expect,
+} = require("chai");
+
+// file system access
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// keystore creation
+const {default: Wallet} = require("ethereumjs-wallet");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+	advanced_erc20_deploy_with_domain,
+} = require("../advanced_erc20/include/deployment_routines");
+
+// Hardhat network accounts are derived from the default Hardhat mnemonic
+const MNEMONIC = "test test test test test test test test test test test junk";
+
+// runs the task with the console output muted
+async function run_task(name, args) {
+	const log = console.log;
+	console.log = function() {};
+	try {
+		return await hre.run(name, args);
+	}
+	finally {
+		console.log = log;
+	}
+}
+
+// verifies the task fails with the error message containing the text specified
+async function expect_task_error(promise, text) {
+	let error;
+	try {
+		await promise;
+	}
+	catch(e) {
+		error = e;
+	}
+	expect(error, "no error thrown").to.exist;
+	expect(error.message).to.include(text);
+}
+
+// converts human-readable amount into BN (18 decimals)
+function amt(value) {
+	return new BN(web3.utils.toWei(value));
+}
+
+// run Hardhat offline signing tasks tests
+contract("Hardhat tasks: sign:*, relay:submit", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2] = accounts;
+	// H0 is derived from the mnemonic with index 2
+	const H0_INDEX = 2;
+
+	let token, chainId, dir, envelope;
+	beforeEach(async function() {
+		token = await advanced_erc20_deploy(a0, H0);
+		chainId = await web3.eth.getChainId();
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "sign-"));
+		envelope = path.join(dir, "envelope.json");
+	});
+	afterEach(async function() {
+		fs.rmSync(dir, {recursive: true, force: true});
+	});
+
+	// signs the envelope of the type specified by H0, saves it into the envelope file
+	async function sign(type, args) {
+		return await run_task("sign:" + type, Object.assign({
+			token: token.address,
+			chainId,
+			mnemonic: MNEMONIC,
+			index: H0_INDEX,
+			output: envelope,
+		}, args));
+	}
+
+	// submits the envelope file
+	async function relay(args = {}) {
+		return await run_task("relay:submit", Object.assign({envelope}, args));
+	}
+
+	// modifies the envelope file
+	function tamper(fn) {
+		const json = JSON.parse(fs.readFileSync(envelope, "utf8"));
+		fn(json);
+		fs.writeFileSync(envelope, JSON.stringify(json));
+	}
+
+	describe("signer", function() {
+		it("signs with the key derived from the mnemonic", async function() {
+			const {signer} = await sign("permit", {spender: a1, value: "1", nonce: 0});
+			expect(signer).to.equal(H0);
+		});
+		it("signs with the key loaded from the keystore", async function() {
+			const keystore = path.join(dir, "keystore.json");
+			const wallet = Wallet.generate();
+			fs.writeFileSync(keystore, JSON.stringify(await wallet.toV3("secret", {n: 1024})));
+			const {signer} = await sign("permit", {mnemonic: undefined, keystore, password: "secret", spender: a1, value: "1", nonce: 0});
+			expect(signer).to.equal(wallet.getChecksumAddressString());
+		});
+		it("fails if the keystore password is wrong", async function() {
+			const keystore = path.join(dir, "keystore.json");
+			fs.writeFileSync(keystore, JSON.stringify(await Wallet.generate().toV3("secret", {n: 1024})));
+			await expect_task_error(
+				sign("permit", {mnemonic: undefined, keystore, password: "wrong", spender: a1, value: "1", nonce: 0}),
+				"Key derivation failed"
+			);
+		});
+		it("fails if neither keystore nor mnemonic is set", async function() {
+			await expect_task_error(sign("permit", {mnemonic: undefined, spender: a1, value: "1", nonce: 0}), "either keystore or mnemonic");
+		});
+		it("envelope is saved into the output file", async function() {
+			const result = await sign("permit", {spender: a1, value: "1", nonce: 0});
+			expect(JSON.parse(fs.readFileSync(envelope, "utf8"))).to.deep.equal(result);
+		});
+	});
+
+	describe("permit", function() {
+		beforeEach(async function() {
+			await sign("permit", {spender: a1, value: "10", nonce: 0});
+		});
+		it("relay:submit executes the permit", async function() {
+			await relay();
+			expect(await token.allowance(H0, a1)).to.be.bignumber.that.equals(amt("10"));
+		});
+		it("relay:submit --dry-run doesn't execute the permit", async function() {
+			const result = await relay({dryRun: true});
+			expect(result.dryRun).to.be.true;
+			expect(await token.allowance(H0, a1)).to.be.bignumber.that.is.zero;
+		});
+		it("relay:submit fails if the nonce is already used", async function() {
+			await relay();
+			await expect_task_error(relay(), "doesn't match nonces");
+		});
+		it("relay:submit fails if the signature is expired", async function() {
+			await sign("permit", {spender: a1, value: "10", nonce: 0, deadline: 1});
+			await expect_task_error(relay(), "signature expired");
+		});
+		it("relay:submit fails if the message is modified", async function() {
+			tamper(json => json.typedData.message.value = amt("11").toString(10));
+			await expect_task_error(relay(), "invalid signature");
+		});
+		it("relay:submit fails if the chain ID doesn't match", async function() {
+			await sign("permit", {spender: a1, value: "10", nonce: 0, chainId: 1});
+			await expect_task_error(relay(), "envelope is signed for chain ID 1");
+		});
+		it("relay:submit fails if the domain doesn't match DOMAIN_SEPARATOR()", async function() {
+			await sign("permit", {spender: a1, value: "10", nonce: 0, domainName: "AdvancedERC20v2"});
+			await expect_task_error(relay(), "doesn't match DOMAIN_SEPARATOR()");
+		});
+		it("relay:submit executes the permit signed with the custom domain name and version", async function() {
+			token = await advanced_erc20_deploy_with_domain(a0, "Custom Token", "2", H0);
+			await sign("permit", {spender: a1, value: "10", nonce: 0, domainName: "Custom Token", domainVersion: "2"});
+			await relay();
+			expect(await token.allowance(H0, a1)).to.be.bignumber.that.equals(amt("10"));
+		});
+	});
+
+	describe("transfer authorization", function() {
+		let nonce;
+		beforeEach(async function() {
+			({typedData: {message: {nonce}}} = await sign("transfer-auth", {to: a1, value: "10"}));
+		});
+		it("random nonce is generated", async function() {
+			expect(nonce).to.match(/^0x[0-9a-f]{64}$/);
+		});
+		it("relay:submit executes the transfer", async function() {
+			await relay({from: a2});
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals(amt("10"));
+		});
+		it("relay:submit fails if the nonce is already used", async function() {
+			await relay({from: a2});
+			await expect_task_error(relay({from: a2}), "is already used or canceled");
+		});
+		it("relay:submit fails if the signature is not yet valid", async function() {
+			await sign("transfer-auth", {to: a1, value: "10", validAfter: 4_000_000_000, validBefore: 4_000_000_001});
+			await expect_task_error(relay({from: a2}), "signature is not yet valid");
+		});
+		it("relay:submit fails if the signature is expired", async function() {
+			await sign("transfer-auth", {to: a1, value: "10", validBefore: 1});
+			await expect_task_error(relay({from: a2}), "signature expired");
+		});
+	});
+
+	describe("receive authorization", function() {
+		beforeEach(async function() {
+			await sign("receive-auth", {to: a1, value: "10"});
+		});
+		it("relay:submit executes the transfer when submitted by the receiver", async function() {
+			await relay({from: a1});
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals(amt("10"));
+		});
+		it("relay:submit fails if submitted not by the receiver", async function() {
+			await expect_task_error(relay({from: a2}), "must be submitted by the receiver");
+		});
+	});
+
+	describe("cancel authorization", function() {
+		const nonce = web3.utils.randomHex(32);
+		beforeEach(async function() {
+			await sign("cancel-auth", {nonce});
+		});
+		it("relay:submit cancels the authorization", async function() {
+			await relay({from: a2});
+			expect(await token.authorizationState(H0, nonce)).to.be.true;
+		});
+		it("canceled authorization cannot be submitted", async function() {
+			await relay({from: a2});
+			await sign("transfer-auth", {to: a1, value: "10", nonce});
+			await expect_task_error(relay({from: a2}), "is already used or canceled");
+		});
+	});
+
+	describe("delegation", function() {
+		beforeEach(async function() {
+			await sign("delegation", {delegate: a1});
+		});
+		it("relay:submit executes the delegation", async function() {
+			await relay({from: a2});
+			expect(await token.votingDelegates(H0)).to.equal(a1);
+			expect(await token.votingPowerOf(a1)).to.be.bignumber.that.equals(await token.balanceOf(H0));
+		});
+		it("relay:submit fails if the nonce is already used", async function() {
+			await relay({from: a2});
+			await expect_task_error(relay({from: a2}), "is already used or canceled");
+		});
+		it("relay:submit fails if the signature is expired", async function() {
+			await sign("delegation", {delegate: a1, expiry: 1});
+			await expect_task_error(relay({from: a2}), "signature expired");
+		});
+	});
+
+	it("value is parsed taking into account decimals", async function() {
+		const {typedData: {message: {value}}} = await sign("permit", {spender: a1, value: "1.5", nonce: 0, decimals: 6});
+		expect(value).to.equal("1500000");
+	});
+});
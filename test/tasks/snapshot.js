@@ -0,0 +1,226 @@
+// Hardhat tasks: token:snapshot
+
+// Zeppelin test helpers
+const {
+	BN,
+	constants,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	ZERO_ADDRESS,
+} = constants;
+const {
+	expect,
+} = require("chai");
+
+// file system access
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// snapshot builder
+const {takeSnapshot} = require("../../scripts/include/snapshot");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+	advanced_erc20_deploy_timestamp_clock,
+} = require("../advanced_erc20/include/deployment_routines");
+
+// runs the task with the console output muted
+async function run_task(name, args) {
+	const log = console.log;
+	console.log = function() {};
+	try {
+		return await hre.run(name, args);
+	}
+	finally {
+		console.log = log;
+	}
+}
+
+// verifies the task fails with the error message containing the text specified
+async function expect_task_error(promise, text) {
+	let error;
+	try {
+		await promise;
+	}
+	catch(e) {
+		error = e;
+	}
+	expect(error, "no error thrown").to.exist;
+	expect(error.message).to.include(text);
+}
+
+// converts human-readable amount into BN (18 decimals)
+function amt(value) {
+	return new BN(web3.utils.toWei(value));
+}
+
+// web3 reporting the block specified to have the same timestamp as the previous one
+// (Hardhat network doesn't mine the blocks sharing a timestamp, but opBNB, for example, does)
+function web3_sharing_timestamp(blockNumber) {
+	const eth = Object.create(web3.eth);
+	eth.getBlock = async function(n) {
+		const block = await web3.eth.getBlock(n);
+		return Number(n) !== blockNumber? block: Object.assign({}, block, {timestamp: (await web3.eth.getBlock(blockNumber - 1)).timestamp});
+	};
+	return Object.assign(Object.create(web3), {eth});
+}
+
+// run Hardhat snapshot task tests
+contract("Hardhat tasks: token:snapshot", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2, a3] = accounts;
+
+	let token, deployment_block, snapshot_block, dir, output;
+	beforeEach(async function() {
+		token = await advanced_erc20_deploy(a0, H0, amt("1000"));
+		deployment_block = (await web3.eth.getTransactionReceipt(token.transactionHash)).blockNumber;
+
+		// transfer, delegation, mint, and burn before the snapshot
+		await token.transfer(a1, amt("100"), {from: H0});
+		await token.delegate(a2, {from: a1});
+		await token.mint(a3, amt("5"), {from: a0});
+		await token.burn(a1, amt("40"), {from: a0});
+		snapshot_block = await web3.eth.getBlockNumber();
+
+		// transfer after the snapshot, must not be taken into account
+		await token.transfer(a2, amt("7"), {from: H0});
+
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "snapshot-"));
+		output = path.join(dir, "snapshot");
+	});
+	afterEach(async function() {
+		fs.rmSync(dir, {recursive: true, force: true});
+	});
+
+	describe("takeSnapshot", function() {
+		let snapshot;
+		beforeEach(async function() {
+			snapshot = await takeSnapshot(web3, token.address, {blockNumber: snapshot_block, votingPower: true});
+		});
+		it("balances are replayed up to the snapshot block", async function() {
+			expect(snapshot.holders.map(h => [h.address, h.balance.toString(10)])).to.deep.equal([
+				[H0, amt("900").toString(10)],
+				[a1, amt("60").toString(10)],
+				[a3, amt("5").toString(10)],
+			]);
+		});
+		it("sum of the balances matches totalSupplyAt", async function() {
+			expect(snapshot.consistent).to.be.true;
+			expect(snapshot.sum.toString(10)).to.equal(amt("965").toString(10));
+			expect(snapshot.totalSupply.toString(10)).to.equal(amt("965").toString(10));
+		});
+		it("voting power and delegates are included", async function() {
+			expect(snapshot.holders.map(h => [h.votingPower.toString(10), h.delegate])).to.deep.equal([
+				["0", ZERO_ADDRESS],
+				["0", a2],
+				["0", ZERO_ADDRESS],
+			]);
+		});
+		it("voting power is not included by default", async function() {
+			snapshot = await takeSnapshot(web3, token.address, {blockNumber: snapshot_block});
+			expect(snapshot.holders[0]).to.not.have.property("votingPower");
+			expect(snapshot.holders[0]).to.not.have.property("delegate");
+		});
+		it("small batch size gives the same result", async function() {
+			const batched = await takeSnapshot(web3, token.address, {blockNumber: snapshot_block, votingPower: true, batchSize: 2});
+			expect(batched).to.deep.equal(snapshot);
+		});
+		it("snapshot is inconsistent if events are replayed starting after the deployment", async function() {
+			snapshot = await takeSnapshot(web3, token.address, {blockNumber: snapshot_block, fromBlock: deployment_block + 1});
+			expect(snapshot.consistent).to.be.false;
+		});
+	});
+
+	describe("takeSnapshot in the timestamp clock mode", function() {
+		beforeEach(async function() {
+			token = await advanced_erc20_deploy_timestamp_clock(a0, H0, amt("1000"));
+			await token.transfer(a1, amt("100"), {from: H0});
+			snapshot_block = await web3.eth.getBlockNumber();
+
+			// transfers in the next two blocks
+			await token.transfer(a2, amt("7"), {from: H0});
+			await token.transfer(a3, amt("1"), {from: H0});
+		});
+		it("history is read at the snapshot block timestamp", async function() {
+			const snapshot = await takeSnapshot(web3, token.address, {blockNumber: snapshot_block});
+			expect(snapshot.timepoint).to.equal(Number((await web3.eth.getBlock(snapshot_block)).timestamp));
+			expect(snapshot.toBlock).to.equal(snapshot_block);
+			expect(snapshot.consistent).to.be.true;
+			expect(snapshot.holders.map(h => h.address)).to.deep.equal([H0, a1]);
+		});
+		it("blocks sharing the snapshot block timestamp are replayed as well", async function() {
+			const snapshot = await takeSnapshot(web3_sharing_timestamp(snapshot_block + 1), token.address, {blockNumber: snapshot_block});
+			expect(snapshot.toBlock).to.equal(snapshot_block + 1);
+			expect(snapshot.consistent).to.be.true;
+			expect(snapshot.holders.map(h => [h.address, h.balance.toString(10)])).to.deep.equal([
+				[H0, amt("893").toString(10)],
+				[a1, amt("100").toString(10)],
+				[a2, amt("7").toString(10)],
+			]);
+		});
+		it("fails if the snapshot block timestamp is shared with the latest block", async function() {
+			const latest = await web3.eth.getBlockNumber();
+			let error;
+			await takeSnapshot(web3_sharing_timestamp(latest), token.address, {blockNumber: latest - 1}).catch(e => error = e);
+			expect(error, "no error thrown").to.exist;
+			expect(error.message).to.include("is shared with the latest block");
+		});
+	});
+
+	describe("token:snapshot task", function() {
+		it("writes JSON with exact amounts", async function() {
+			await run_task("token:snapshot", {token: token.address, block: snapshot_block, output});
+			const json = JSON.parse(fs.readFileSync(output + ".json", "utf8"));
+			expect(json.blockNumber).to.equal(snapshot_block);
+			expect(json.totalSupply).to.equal(amt("965").toString(10));
+			expect(json.decimals).to.equal(18);
+			expect(json.holders).to.deep.equal([
+				{address: H0, balance: amt("900").toString(10)},
+				{address: a1, balance: amt("60").toString(10)},
+				{address: a3, balance: amt("5").toString(10)},
+			]);
+		});
+		it("writes CSV with human-readable amounts", async function() {
+			await run_task("token:snapshot", {token: token.address, block: snapshot_block, output});
+			expect(fs.readFileSync(output + ".csv", "utf8")).to.equal(`address,balance\n${H0},900\n${a1},60\n${a3},5\n`);
+		});
+		it("--voting adds voting power and delegate columns", async function() {
+			await run_task("token:snapshot", {token: token.address, block: snapshot_block, output, voting: true});
+			expect(fs.readFileSync(output + ".csv", "utf8")).to.equal(
+				`address,balance,votingPower,delegate\n${H0},900,0,${ZERO_ADDRESS}\n${a1},60,0,${a2}\n${a3},5,0,${ZERO_ADDRESS}\n`
+			);
+		});
+		it("voting power of the delegate is reported at the snapshot block", async function() {
+			await token.transfer(a3, amt("1"), {from: a2});
+			await token.delegate(a1, {from: a3});
+			const block = await web3.eth.getBlockNumber();
+			await token.transfer(a2, amt("1"), {from: H0});
+			const snapshot = await run_task("token:snapshot", {token: token.address, block, output, voting: true});
+			const holder = snapshot.holders.find(h => h.address === a1);
+			expect(holder.votingPower.toString(10)).to.equal(amt("6").toString(10));
+		});
+		it("defaults to the latest block - 1", async function() {
+			const latest = await web3.eth.getBlockNumber();
+			const snapshot = await run_task("token:snapshot", {token: token.address, output});
+			expect(snapshot.blockNumber).to.equal(latest - 1);
+			expect(snapshot.holders.map(h => h.address)).to.deep.equal([H0, a1, a3]);
+		});
+		it("fails if the block is not yet mined", async function() {
+			const latest = await web3.eth.getBlockNumber();
+			await expect_task_error(run_task("token:snapshot", {token: token.address, block: latest, output}), "is not yet mined");
+		});
+		it("fails if the sum doesn't match totalSupplyAt", async function() {
+			await expect_task_error(
+				run_task("token:snapshot", {token: token.address, block: snapshot_block, fromBlock: deployment_block + 1, output}),
+				"doesn't match totalSupplyAt"
+			);
+			expect(fs.existsSync(output + ".json"), "JSON file written").to.be.false;
+		});
+	});
+});
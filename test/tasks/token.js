@@ -0,0 +1,161 @@
+// Hardhat tasks: token:mint, token:burn, token:pause, token:unpause, token:features:*, token:roles:*, token:inspect
+
+// Zeppelin test helpers
+const {
+	BN,
+} = require("@lazy-sol/zeppelin-test-helpers");
+const {
+	expect,
+} = require("chai");
+
+// RBAC token features and roles
+const {
+	or,
+	FEATURE_ALL,
+	FEATURE_TRANSFERS,
+	FEATURE_OWN_BURNS,
+	ROLE_TOKEN_CREATOR,
+	ROLE_TOKEN_DESTROYER,
+} = require("../../scripts/include/features_roles");
+
+// task utils
+const {
+	parse_amount,
+	format_amount,
+} = require("../../tasks/include/task_utils");
+
+// deployment routines in use
+const {
+	advanced_erc20_deploy,
+} = require("../advanced_erc20/include/deployment_routines");
+
+// runs the task with the console output muted
+async function run_task(name, args) {
+	const log = console.log;
+	console.log = function() {};
+	try {
+		return await hre.run(name, args);
+	}
+	finally {
+		console.log = log;
+	}
+}
+
+// run Hardhat token tasks tests
+contract("Hardhat tasks: token management", function(accounts) {
+	// extract accounts to be used:
+	// A0 – special default zero account accounts[0] used by Truffle, reserved
+	// a0 – deployment account having all the permissions, reserved
+	// H0 – initial token holder account
+	// a1, a2,... – working accounts to perform tests on
+	const [A0, a0, H0, a1, a2] = accounts;
+
+	describe("amount parsing and formatting", function() {
+		it("parses human-readable amount taking into account decimals", async function() {
+			expect(parse_amount("1.5", 18)).to.equal(15n * 10n ** 17n);
+			expect(parse_amount("1_000", 2)).to.equal(100_000n);
+		});
+		it("throws on malformed amount", async function() {
+			expect(() => parse_amount("1e18", 18)).to.throw("malformed amount: 1e18");
+		});
+		it("throws on too many decimal places", async function() {
+			expect(() => parse_amount("0.001", 2)).to.throw("too many decimal places");
+		});
+		it("formats the amount taking into account decimals", async function() {
+			expect(format_amount(15n * 10n ** 17n, 18)).to.equal("1.5");
+			expect(format_amount("7", 18)).to.equal("0.000000000000000007");
+			expect(format_amount(new BN(100), 2)).to.equal("1");
+		});
+	});
+
+	describe("token tasks", function() {
+		let token;
+		beforeEach(async function() {
+			token = await advanced_erc20_deploy(a0, H0);
+		});
+		it("token:inspect prints token details and account roles", async function() {
+			const info = await run_task("token:inspect", {token: token.address, account: a0});
+			expect(info.symbol).to.equal(await token.symbol());
+			expect(info.features).to.include("FEATURE_EIP3009_TRANSFERS");
+			expect(info.account.roles).to.include("ROLE_ACCESS_MANAGER");
+		});
+		it("token:mint mints human-readable amount and decodes the events", async function() {
+			const {events} = await run_task("token:mint", {token: token.address, to: a1, amount: "2.5", from: a0});
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals(new BN(25).mul(new BN(10).pow(new BN(17))));
+			const minted = events.find(e => e.name === "Minted");
+			expect(minted.values.to).to.equal(a1);
+			expect(events.filter(e => e.name === "Transfer").length).to.equal(2);
+		});
+		it("token:mint --dry-run doesn't send the transaction", async function() {
+			const result = await run_task("token:mint", {token: token.address, to: a1, amount: "1", from: a0, dryRun: true});
+			expect(result.dryRun).to.be.true;
+			expect(result.gas).to.be.greaterThan(0);
+			expect(await token.balanceOf(a1)).to.be.bignumber.that.equals("0");
+		});
+		it("token:mint --dry-run fails with the revert reason", async function() {
+			let error;
+			try {
+				await run_task("token:mint", {token: token.address, to: a1, amount: "1", from: a1, dryRun: true});
+			}
+			catch(e) {
+				error = e;
+			}
+			expect(error.message).to.match(/AccessDenied|access denied/);
+		});
+		it("token:burn burns the tokens", async function() {
+			const balance = await token.balanceOf(H0);
+			await run_task("token:burn", {token: token.address, account: H0, amount: "1", from: H0});
+			expect(await token.balanceOf(H0)).to.be.bignumber.that.equals(balance.sub(new BN(10).pow(new BN(18))));
+		});
+		it("token:pause pauses the token keeping the features", async function() {
+			const {events} = await run_task("token:pause", {token: token.address, from: a0});
+			expect(await token.paused()).to.be.true;
+			expect(await token.features()).to.be.bignumber.that.equals(new BN(FEATURE_ALL));
+			expect(events.find(e => e.name === "Paused").values.by).to.equal(a0);
+		});
+		it("token:inspect reports the token is paused", async function() {
+			await token.pause({from: a0});
+			const info = await run_task("token:inspect", {token: token.address});
+			expect(info.paused).to.be.true;
+		});
+		it("token:unpause unpauses the token", async function() {
+			await token.pause({from: a0});
+			const {events} = await run_task("token:unpause", {token: token.address, from: a0});
+			expect(await token.paused()).to.be.false;
+			expect(events.find(e => e.name === "Unpaused").values.by).to.equal(a0);
+		});
+		it("token:pause --dry-run fails with the revert reason if sender is not a pause manager", async function() {
+			let error;
+			try {
+				await run_task("token:pause", {token: token.address, from: a1, dryRun: true});
+			}
+			catch(e) {
+				error = e;
+			}
+			expect(error.message).to.match(/access denied/);
+		});
+		it("token:features:get decodes the features", async function() {
+			const {features} = await run_task("token:features:get", {token: token.address});
+			expect(features.length).to.equal(12);
+		});
+		it("token:features:set sets the features by names", async function() {
+			const {events} = await run_task("token:features:set", {token: token.address, features: "TRANSFERS|OWN_BURNS", from: a0});
+			expect(await token.features()).to.be.bignumber.that.equals(or(FEATURE_TRANSFERS, FEATURE_OWN_BURNS));
+			expect(events.find(e => e.name === "RoleUpdated").values.operator).to.equal(token.address);
+		});
+		it("token:roles:grant adds the roles keeping existing ones", async function() {
+			await token.updateRole(a1, ROLE_TOKEN_CREATOR, {from: a0});
+			await run_task("token:roles:grant", {token: token.address, operator: a1, roles: "TOKEN_DESTROYER", from: a0});
+			expect(await token.getRole(a1)).to.be.bignumber.that.equals(or(ROLE_TOKEN_CREATOR, ROLE_TOKEN_DESTROYER));
+		});
+		it("token:roles:revoke removes the roles keeping other ones", async function() {
+			await token.updateRole(a1, or(ROLE_TOKEN_CREATOR, ROLE_TOKEN_DESTROYER), {from: a0});
+			await run_task("token:roles:revoke", {token: token.address, operator: a1, roles: "TOKEN_CREATOR", from: a0});
+			expect(await token.getRole(a1)).to.be.bignumber.that.equals(new BN(ROLE_TOKEN_DESTROYER));
+		});
+		it("token:features:set --dry-run doesn't change the features", async function() {
+			await run_task("token:features:set", {token: token.address, features: "0", from: a0, dryRun: true});
+			expect(await token.features()).to.be.bignumber.that.equals(new BN(FEATURE_ALL));
+		});
+	});
+});